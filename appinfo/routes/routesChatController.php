@@ -17,6 +17,12 @@ $requirementsWithMessageId = [
 	'messageId' => '[0-9]+',
 ];
 
+$requirementsWithThreadId = [
+	'apiVersion' => '(v1)',
+	'token' => '[a-z0-9]{4,30}',
+	'threadId' => '[0-9]+',
+];
+
 return [
 	'ocs' => [
 		/** @see \OCA\Talk\Controller\ChatController::receiveMessages() */
@@ -33,6 +39,22 @@ return [
 		['name' => 'Chat#editMessage', 'url' => '/api/{apiVersion}/chat/{token}/{messageId}', 'verb' => 'PUT', 'requirements' => $requirementsWithMessageId],
 		/** @see \OCA\Talk\Controller\ChatController::getMessageContext() */
 		['name' => 'Chat#getMessageContext', 'url' => '/api/{apiVersion}/chat/{token}/{messageId}/context', 'verb' => 'GET', 'requirements' => $requirementsWithMessageId],
+		/** @see \OCA\Talk\Controller\ChatController::getScheduledMessages() */
+		['name' => 'Chat#getScheduledMessages', 'url' => '/api/{apiVersion}/chat/{token}/schedule', 'verb' => 'GET', 'requirements' => $requirements],
+		/** @see \OCA\Talk\Controller\ChatController::scheduleMessage() */
+		['name' => 'Chat#scheduleMessage', 'url' => '/api/{apiVersion}/chat/{token}/schedule', 'verb' => 'POST', 'requirements' => $requirements],
+		/** @see \OCA\Talk\Controller\ChatController::editScheduledMessage() */
+		['name' => 'Chat#editScheduledMessage', 'url' => '/api/{apiVersion}/chat/{token}/schedule/{messageId}', 'verb' => 'PUT', 'requirements' => $requirementsWithMessageId],
+		/** @see \OCA\Talk\Controller\ChatController::deleteScheduledMessage() */
+		['name' => 'Chat#deleteScheduledMessage', 'url' => '/api/{apiVersion}/chat/{token}/schedule/{messageId}', 'verb' => 'DELETE', 'requirements' => $requirementsWithMessageId],
+		/** @see \OCA\Talk\Controller\ChatController::getThreadMessages() */
+		['name' => 'Chat#getThreadMessages', 'url' => '/api/{apiVersion}/chat/{token}/threads/{threadId}', 'verb' => 'GET', 'requirements' => $requirementsWithThreadId],
+		/** @see \OCA\Talk\Controller\ChatController::getPinnedMessages() */
+		['name' => 'Chat#getPinnedMessages', 'url' => '/api/{apiVersion}/chat/{token}/pin', 'verb' => 'GET', 'requirements' => $requirements],
+		/** @see \OCA\Talk\Controller\ChatController::pinMessage() */
+		['name' => 'Chat#pinMessage', 'url' => '/api/{apiVersion}/chat/{token}/{messageId}/pin', 'verb' => 'POST', 'requirements' => $requirementsWithMessageId],
+		/** @see \OCA\Talk\Controller\ChatController::unpinMessage() */
+		['name' => 'Chat#unpinMessage', 'url' => '/api/{apiVersion}/chat/{token}/{messageId}/pin', 'verb' => 'DELETE', 'requirements' => $requirementsWithMessageId],
 		/** @see \OCA\Talk\Controller\ChatController::setReminder() */
 		['name' => 'Chat#setReminder', 'url' => '/api/{apiVersion}/chat/{token}/{messageId}/reminder', 'verb' => 'POST', 'requirements' => $requirementsWithMessageId],
 		/** @see \OCA\Talk\Controller\ChatController::getReminder() */
@@ -68,6 +68,8 @@ module.exports = {
 		'^.+\\.svg(\\?raw)?$': '<rootDir>/src/__mocks__/svg.js',
 		'vendor/tflite/(.*).wasm$': '<rootDir>/src/utils/media/effects/virtual-background/vendor/tflite/$1.js',
 		'@matrix-org/olm/(.*).wasm$': '<rootDir>/node_modules/@matrix-org/olm/$1.js',
+		'vendor/rnnoise/(.*).wasm$': 'jest-transform-stub',
+		'\\.js\\?raw$': 'jest-transform-stub',
 	},
 
 	transform: {
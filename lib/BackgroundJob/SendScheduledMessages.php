@@ -0,0 +1,35 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\BackgroundJob;
+
+use OCA\Talk\Service\ScheduledMessageService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\BackgroundJob\IJob;
+use OCP\BackgroundJob\TimedJob;
+
+class SendScheduledMessages extends TimedJob {
+	public function __construct(
+		ITimeFactory $time,
+		protected ScheduledMessageService $scheduledMessageService,
+	) {
+		parent::__construct($time);
+		// Every minute
+		$this->setInterval(60);
+		$this->setTimeSensitivity(IJob::TIME_SENSITIVE);
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	#[\Override]
+	protected function run($argument): void {
+		$this->scheduledMessageService->sendScheduledMessages($this->time->getDateTime());
+	}
+}
@@ -116,6 +116,10 @@ class Capabilities implements IPublicCapability {
 		'edit-draft-poll',
 		'conversation-creation-all',
 		'important-conversations',
+		'webinar-mode',
+		'pinned-messages',
+		'threads',
+		'scheduled-messages',
 	];
 
 	public const CONDITIONAL_FEATURES = [
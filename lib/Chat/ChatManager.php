@@ -347,6 +347,7 @@ class ChatManager {
 		string $referenceId = '',
 		bool $silent = false,
 		bool $rateLimitGuestMentions = true,
+		int $threadId = 0,
 	): IComment {
 		if ($chat->isFederatedConversation()) {
 			$e = new MessagingNotAllowedException();
@@ -390,6 +391,9 @@ class ChatManager {
 		if ($chat->getMentionPermissions() === Room::MENTION_PERMISSIONS_EVERYONE || $participant?->hasModeratorPermissions()) {
 			$metadata[Message::METADATA_CAN_MENTION_ALL] = true;
 		}
+		if ($threadId !== 0) {
+			$metadata[Message::METADATA_THREAD_ID] = $threadId;
+		}
 		$comment->setMetaData($metadata);
 
 		$event = new BeforeChatMessageSentEvent($chat, $comment, $participant, $silent, $replyTo);
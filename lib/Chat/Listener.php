@@ -10,6 +10,9 @@ declare(strict_types=1);
 namespace OCA\Talk\Chat;
 
 use OCA\Talk\Events\RoomDeletedEvent;
+use OCA\Talk\Service\PinnedMessageService;
+use OCA\Talk\Service\ScheduledMessageService;
+use OCA\Talk\Service\ThreadService;
 use OCP\EventDispatcher\Event;
 use OCP\EventDispatcher\IEventListener;
 
@@ -19,6 +22,9 @@ use OCP\EventDispatcher\IEventListener;
 class Listener implements IEventListener {
 	public function __construct(
 		protected ChatManager $chatManager,
+		protected PinnedMessageService $pinnedMessageService,
+		protected ThreadService $threadService,
+		protected ScheduledMessageService $scheduledMessageService,
 	) {
 	}
 
@@ -26,6 +32,9 @@ class Listener implements IEventListener {
 	public function handle(Event $event): void {
 		if ($event instanceof RoomDeletedEvent) {
 			$this->chatManager->deleteMessages($event->getRoom());
+			$this->pinnedMessageService->deleteByRoom($event->getRoom());
+			$this->threadService->deleteByRoom($event->getRoom());
+			$this->scheduledMessageService->deleteByRoom($event->getRoom());
 		}
 	}
 }
@@ -696,6 +696,23 @@ class Config {
 		return false;
 	}
 
+	/**
+	 * User defined sections of the conversations list
+	 *
+	 * @return array{sections: list<array{id: string, name: string}>, assignments: array<string, string>}
+	 */
+	public function getConversationSections(string $userId): array {
+		$value = json_decode($this->config->getUserValue($userId, 'spreed', UserPreference::CONVERSATION_SECTIONS, '{}'), true);
+		if (!is_array($value)) {
+			$value = [];
+		}
+
+		return [
+			'sections' => is_array($value['sections'] ?? null) ? array_values($value['sections']) : [],
+			'assignments' => is_array($value['assignments'] ?? null) ? $value['assignments'] : [],
+		];
+	}
+
 	/**
 	 * User setting for conversations list style
 	 *
@@ -32,6 +32,7 @@ use OCA\Talk\Model\Attachment;
 use OCA\Talk\Model\Attendee;
 use OCA\Talk\Model\Bot;
 use OCA\Talk\Model\Message;
+use OCA\Talk\Model\ScheduledMessage;
 use OCA\Talk\Model\Session;
 use OCA\Talk\Participant;
 use OCA\Talk\ResponseDefinitions;
@@ -40,10 +41,13 @@ use OCA\Talk\Service\AttachmentService;
 use OCA\Talk\Service\AvatarService;
 use OCA\Talk\Service\BotService;
 use OCA\Talk\Service\ParticipantService;
+use OCA\Talk\Service\PinnedMessageService;
 use OCA\Talk\Service\ProxyCacheMessageService;
 use OCA\Talk\Service\ReminderService;
 use OCA\Talk\Service\RoomFormatter;
+use OCA\Talk\Service\ScheduledMessageService;
 use OCA\Talk\Service\SessionService;
+use OCA\Talk\Service\ThreadService;
 use OCA\Talk\Share\Helper\Preloader;
 use OCP\App\IAppManager;
 use OCP\AppFramework\Db\DoesNotExistException;
@@ -85,6 +89,7 @@ use Psr\Log\LoggerInterface;
  * @psalm-import-type TalkChatReminder from ResponseDefinitions
  * @psalm-import-type TalkRichObjectParameter from ResponseDefinitions
  * @psalm-import-type TalkRoom from ResponseDefinitions
+ * @psalm-import-type TalkScheduledMessage from ResponseDefinitions
  */
 class ChatController extends AEnvironmentAwareOCSController {
 	/** @var string[] */
@@ -104,6 +109,9 @@ class ChatController extends AEnvironmentAwareOCSController {
 		protected AttachmentService $attachmentService,
 		protected AvatarService $avatarService,
 		protected ReminderService $reminderService,
+		protected PinnedMessageService $pinnedMessageService,
+		protected ThreadService $threadService,
+		protected ScheduledMessageService $scheduledMessageService,
 		private GuestManager $guestManager,
 		private MessageParser $messageParser,
 		protected Preloader $sharePreloader,
@@ -196,6 +204,8 @@ class ChatController extends AEnvironmentAwareOCSController {
 	 * @param int $replyTo Parent id which this message is a reply to
 	 * @psalm-param non-negative-int $replyTo
 	 * @param bool $silent If sent silent the chat message will not create any notifications
+	 * @param int $threadId ID of the thread root message the message is posted in (Only available with `threads` capability)
+	 * @psalm-param non-negative-int $threadId
 	 * @return DataResponse<Http::STATUS_CREATED, ?TalkChatMessageWithParent, array{X-Chat-Last-Common-Read?: numeric-string}>|DataResponse<Http::STATUS_BAD_REQUEST|Http::STATUS_NOT_FOUND|Http::STATUS_REQUEST_ENTITY_TOO_LARGE|Http::STATUS_TOO_MANY_REQUESTS, array{error: string}, array{}>
 	 *
 	 * 201: Message sent successfully
@@ -210,7 +220,7 @@ class ChatController extends AEnvironmentAwareOCSController {
 	#[RequireParticipant]
 	#[RequirePermission(permission: RequirePermission::CHAT)]
 	#[RequireReadWriteConversation]
-	public function sendMessage(string $message, string $actorDisplayName = '', string $referenceId = '', int $replyTo = 0, bool $silent = false): DataResponse {
+	public function sendMessage(string $message, string $actorDisplayName = '', string $referenceId = '', int $replyTo = 0, bool $silent = false, int $threadId = 0): DataResponse {
 		if ($this->room->isFederatedConversation()) {
 			/** @var \OCA\Talk\Federation\Proxy\TalkV1\Controller\ChatController $proxy */
 			$proxy = \OCP\Server::get(\OCA\Talk\Federation\Proxy\TalkV1\Controller\ChatController::class);
@@ -242,11 +252,22 @@ class ChatController extends AEnvironmentAwareOCSController {
 			}
 		}
 
+		if ($threadId !== 0) {
+			try {
+				$threadId = $this->getThreadIdForReply($threadId);
+			} catch (NotFoundException) {
+				return new DataResponse(['error' => 'thread'], Http::STATUS_BAD_REQUEST);
+			}
+		}
+
 		$this->participantService->ensureOneToOneRoomIsFilled($this->room);
 		$creationDateTime = $this->timeFactory->getDateTime('now', new \DateTimeZone('UTC'));
 
 		try {
-			$comment = $this->chatManager->sendMessage($this->room, $this->participant, $actorType, $actorId, $message, $creationDateTime, $parent, $referenceId, $silent);
+			$comment = $this->chatManager->sendMessage($this->room, $this->participant, $actorType, $actorId, $message, $creationDateTime, $parent, $referenceId, $silent, threadId: $threadId);
+			if ($threadId !== 0) {
+				$this->threadService->addReply($this->room, $threadId, $comment);
+			}
 		} catch (MessageTooLongException) {
 			return new DataResponse(['error' => 'message'], Http::STATUS_REQUEST_ENTITY_TOO_LARGE);
 		} catch (IRateLimitExceededException) {
@@ -258,6 +279,20 @@ class ChatController extends AEnvironmentAwareOCSController {
 		return $this->parseCommentToResponse($comment, $parentMessage);
 	}
 
+	/**
+	 * Get the thread a reply to the given message is posted in
+	 *
+	 * @throws NotFoundException When the message does not exist or can not have a thread
+	 */
+	protected function getThreadIdForReply(int $messageId): int {
+		$threadRoot = $this->chatManager->getComment($this->room, (string)$messageId);
+		if ($threadRoot->getVerb() !== ChatManager::VERB_MESSAGE && $threadRoot->getVerb() !== ChatManager::VERB_OBJECT_SHARED) {
+			throw new NotFoundException('Message can not have a thread');
+		}
+
+		return $this->threadService->getThreadIdForMessage($threadRoot);
+	}
+
 	/**
 	 * Sends a rich-object to the given room
 	 *
@@ -881,6 +916,8 @@ class ChatController extends AEnvironmentAwareOCSController {
 			return new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND);
 		}
 
+		$this->pinnedMessageService->removePin($this->room, $messageId);
+
 		$systemMessage = $this->messageParser->createMessage($this->room, $this->participant, $systemMessageComment, $this->l);
 		$this->messageParser->parseMessage($systemMessage);
 
@@ -1015,6 +1052,352 @@ class ChatController extends AEnvironmentAwareOCSController {
 		return new DataResponse($data, $hasBotOrBridge ? Http::STATUS_ACCEPTED : Http::STATUS_OK, $headers);
 	}
 
+	/**
+	 * Get the messages the current user scheduled in the conversation
+	 *
+	 * Required capability: `scheduled-messages`
+	 *
+	 * @return DataResponse<Http::STATUS_OK, list<TalkScheduledMessage>, array{}>
+	 *
+	 * 200: List of scheduled messages returned, the next message to be posted first
+	 */
+	#[NoAdminRequired]
+	#[RequireModeratorOrNoLobby]
+	#[RequireLoggedInParticipant]
+	public function getScheduledMessages(): DataResponse {
+		$scheduledMessages = $this->scheduledMessageService->getScheduledMessages($this->room, $this->participant->getAttendee()->getActorId());
+
+		$parentIds = array_values(array_filter(array_map(static fn (ScheduledMessage $scheduledMessage): int => $scheduledMessage->getReplyTo(), $scheduledMessages)));
+		$parents = empty($parentIds) ? [] : $this->getMessagesForRoom($parentIds);
+
+		return new DataResponse(array_map(fn (ScheduledMessage $scheduledMessage): array => $this->formatScheduledMessage($scheduledMessage, $parents), $scheduledMessages), Http::STATUS_OK);
+	}
+
+	/**
+	 * Schedule a message to be posted later
+	 *
+	 * Required capability: `scheduled-messages`
+	 *
+	 * @param string $message The message to post
+	 * @param int $sendAt Timestamp when the message should be posted
+	 * @param int $replyTo Parent id which this message is a reply to
+	 * @psalm-param non-negative-int $replyTo
+	 * @param bool $silent If sent silent the chat message will not create any notifications
+	 * @param int $threadId ID of the thread root message the message is posted in (Only available with `threads` capability)
+	 * @psalm-param non-negative-int $threadId
+	 * @return DataResponse<Http::STATUS_CREATED, TalkScheduledMessage, array{}>|DataResponse<Http::STATUS_BAD_REQUEST|Http::STATUS_REQUEST_ENTITY_TOO_LARGE, array{error: string}, array{}>
+	 *
+	 * 201: Message scheduled successfully
+	 * 400: Scheduling the message is not possible
+	 * 413: Message too long
+	 */
+	#[NoAdminRequired]
+	#[RequireModeratorOrNoLobby]
+	#[RequireLoggedInParticipant]
+	#[RequirePermission(permission: RequirePermission::CHAT)]
+	#[RequireReadWriteConversation]
+	public function scheduleMessage(string $message, int $sendAt, int $replyTo = 0, bool $silent = false, int $threadId = 0): DataResponse {
+		$error = $this->validateScheduledMessage($message, $sendAt);
+		if ($error instanceof DataResponse) {
+			return $error;
+		}
+
+		$parents = [];
+		if ($replyTo !== 0) {
+			try {
+				$parent = $this->chatManager->getParentComment($this->room, (string)$replyTo);
+			} catch (NotFoundException) {
+				return new DataResponse(['error' => 'reply-to'], Http::STATUS_BAD_REQUEST);
+			}
+
+			$parentMessage = $this->messageParser->createMessage($this->room, $this->participant, $parent, $this->l);
+			$this->messageParser->parseMessage($parentMessage);
+			if (!$parentMessage->isReplyable()) {
+				return new DataResponse(['error' => 'reply-to'], Http::STATUS_BAD_REQUEST);
+			}
+			$parents[$replyTo] = $parentMessage->toArray($this->getResponseFormat());
+		}
+
+		if ($threadId !== 0) {
+			try {
+				$threadId = $this->getThreadIdForReply($threadId);
+			} catch (NotFoundException) {
+				return new DataResponse(['error' => 'thread'], Http::STATUS_BAD_REQUEST);
+			}
+		}
+
+		$scheduledMessage = $this->scheduledMessageService->scheduleMessage(
+			$this->room,
+			$this->participant->getAttendee()->getActorId(),
+			$message,
+			new \DateTime('@' . $sendAt),
+			$replyTo,
+			$threadId,
+			$silent,
+		);
+
+		return new DataResponse($this->formatScheduledMessage($scheduledMessage, $parents), Http::STATUS_CREATED);
+	}
+
+	/**
+	 * Change the text or the time of a scheduled message
+	 *
+	 * Required capability: `scheduled-messages`
+	 *
+	 * @param int $messageId ID of the scheduled message
+	 * @psalm-param non-negative-int $messageId
+	 * @param string $message The message to post
+	 * @param int $sendAt Timestamp when the message should be posted
+	 * @param bool $silent If sent silent the chat message will not create any notifications
+	 * @return DataResponse<Http::STATUS_OK, TalkScheduledMessage, array{}>|DataResponse<Http::STATUS_BAD_REQUEST|Http::STATUS_NOT_FOUND|Http::STATUS_REQUEST_ENTITY_TOO_LARGE, array{error: string}, array{}>
+	 *
+	 * 200: Scheduled message updated successfully
+	 * 400: Updating the scheduled message is not possible
+	 * 404: Scheduled message not found
+	 * 413: Message too long
+	 */
+	#[NoAdminRequired]
+	#[RequireModeratorOrNoLobby]
+	#[RequireLoggedInParticipant]
+	#[RequirePermission(permission: RequirePermission::CHAT)]
+	#[RequireReadWriteConversation]
+	public function editScheduledMessage(int $messageId, string $message, int $sendAt, bool $silent = false): DataResponse {
+		try {
+			$scheduledMessage = $this->scheduledMessageService->getScheduledMessage($this->room, $this->participant->getAttendee()->getActorId(), $messageId);
+		} catch (DoesNotExistException) {
+			return new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND);
+		}
+
+		$error = $this->validateScheduledMessage($message, $sendAt);
+		if ($error instanceof DataResponse) {
+			return $error;
+		}
+
+		$scheduledMessage = $this->scheduledMessageService->editScheduledMessage($scheduledMessage, $message, new \DateTime('@' . $sendAt), $silent);
+
+		$parents = $scheduledMessage->getReplyTo() !== 0 ? $this->getMessagesForRoom([$scheduledMessage->getReplyTo()]) : [];
+		return new DataResponse($this->formatScheduledMessage($scheduledMessage, $parents), Http::STATUS_OK);
+	}
+
+	/**
+	 * Cancel a scheduled message
+	 *
+	 * Required capability: `scheduled-messages`
+	 *
+	 * @param int $messageId ID of the scheduled message
+	 * @psalm-param non-negative-int $messageId
+	 * @return DataResponse<Http::STATUS_OK, null, array{}>|DataResponse<Http::STATUS_NOT_FOUND, array{error: string}, array{}>
+	 *
+	 * 200: Scheduled message cancelled successfully
+	 * 404: Scheduled message not found
+	 */
+	#[NoAdminRequired]
+	#[RequireModeratorOrNoLobby]
+	#[RequireLoggedInParticipant]
+	public function deleteScheduledMessage(int $messageId): DataResponse {
+		try {
+			$scheduledMessage = $this->scheduledMessageService->getScheduledMessage($this->room, $this->participant->getAttendee()->getActorId(), $messageId);
+		} catch (DoesNotExistException) {
+			return new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND);
+		}
+
+		$this->scheduledMessageService->deleteScheduledMessage($scheduledMessage);
+		return new DataResponse(null, Http::STATUS_OK);
+	}
+
+	/**
+	 * @return ?DataResponse<Http::STATUS_BAD_REQUEST|Http::STATUS_REQUEST_ENTITY_TOO_LARGE, array{error: string}, array{}>
+	 */
+	protected function validateScheduledMessage(string $message, int $sendAt): ?DataResponse {
+		if (trim($message) === '') {
+			return new DataResponse(['error' => 'message'], Http::STATUS_BAD_REQUEST);
+		}
+
+		if (mb_strlen($message, 'UTF-8') > ChatManager::MAX_CHAT_LENGTH) {
+			return new DataResponse(['error' => 'message'], Http::STATUS_REQUEST_ENTITY_TOO_LARGE);
+		}
+
+		if ($sendAt <= $this->timeFactory->getTime()) {
+			return new DataResponse(['error' => 'sendAt'], Http::STATUS_BAD_REQUEST);
+		}
+
+		return null;
+	}
+
+	/**
+	 * @param array<array-key, TalkChatMessage> $parents
+	 * @return TalkScheduledMessage
+	 */
+	protected function formatScheduledMessage(ScheduledMessage $scheduledMessage, array $parents): array {
+		$data = [
+			'id' => $scheduledMessage->getId(),
+			'token' => $this->room->getToken(),
+			'actorType' => Attendee::ACTOR_USERS,
+			'actorId' => $scheduledMessage->getUserId(),
+			'message' => $scheduledMessage->getMessage(),
+			'sendAt' => $scheduledMessage->getSendAt()->getTimestamp(),
+			'silent' => $scheduledMessage->getSilent(),
+		];
+
+		if (isset($parents[$scheduledMessage->getReplyTo()])) {
+			$data['parent'] = $parents[$scheduledMessage->getReplyTo()];
+		}
+		if ($scheduledMessage->getThreadId() !== 0) {
+			$data['threadId'] = $scheduledMessage->getThreadId();
+		}
+
+		return $data;
+	}
+
+	/**
+	 * Get the root message of a thread and the replies posted in it
+	 *
+	 * Required capability: `threads`
+	 *
+	 * @param int $threadId ID of the thread root message
+	 * @psalm-param non-negative-int $threadId
+	 * @param int $lastKnownMessageId Only return replies that are newer than this message, the root message is only returned without it
+	 * @psalm-param non-negative-int $lastKnownMessageId
+	 * @param int $limit Number of replies to return (1-200)
+	 * @psalm-param int<1, 200> $limit
+	 * @return DataResponse<Http::STATUS_OK, list<TalkChatMessage>, array{}>|DataResponse<Http::STATUS_NOT_FOUND, array{error: string}, array{}>
+	 *
+	 * 200: Messages of the thread returned, the oldest message first
+	 * 404: Thread root message not found
+	 */
+	#[PublicPage]
+	#[RequireModeratorOrNoLobby]
+	#[RequireParticipant]
+	public function getThreadMessages(int $threadId, int $lastKnownMessageId = 0, int $limit = 100): DataResponse {
+		try {
+			$this->chatManager->getComment($this->room, (string)$threadId);
+		} catch (NotFoundException) {
+			return new DataResponse(['error' => 'thread'], Http::STATUS_NOT_FOUND);
+		}
+
+		$limit = min(200, max(1, $limit));
+		$messageIds = $this->threadService->getReplyIds($this->room, $threadId, $lastKnownMessageId, $limit);
+		if ($lastKnownMessageId === 0) {
+			array_unshift($messageIds, $threadId);
+		}
+		if (empty($messageIds)) {
+			return new DataResponse([], Http::STATUS_OK);
+		}
+
+		$messages = $this->getMessagesForRoom($messageIds);
+
+		$threadMessages = [];
+		foreach ($messageIds as $messageId) {
+			if (isset($messages[$messageId])) {
+				$threadMessages[] = $messages[$messageId];
+			}
+		}
+
+		return new DataResponse($threadMessages, Http::STATUS_OK);
+	}
+
+	/**
+	 * Get the pinned messages of the conversation
+	 *
+	 * Required capability: `pinned-messages`
+	 *
+	 * @return DataResponse<Http::STATUS_OK, list<TalkChatMessage>, array{}>
+	 *
+	 * 200: List of pinned messages returned, the most recently pinned message first
+	 */
+	#[PublicPage]
+	#[RequireModeratorOrNoLobby]
+	#[RequireParticipant]
+	public function getPinnedMessages(): DataResponse {
+		$messageIds = $this->pinnedMessageService->getPinnedMessageIds($this->room);
+		if (empty($messageIds)) {
+			return new DataResponse([], Http::STATUS_OK);
+		}
+
+		$messages = $this->getMessagesForRoom($messageIds);
+
+		$pinnedMessages = [];
+		foreach ($messageIds as $messageId) {
+			if (isset($messages[$messageId])) {
+				$pinnedMessages[] = $messages[$messageId];
+			}
+		}
+
+		return new DataResponse($pinnedMessages, Http::STATUS_OK);
+	}
+
+	/**
+	 * Pin a message to the top of the conversation
+	 *
+	 * Required capability: `pinned-messages`
+	 *
+	 * @param int $messageId ID of the message
+	 * @psalm-param non-negative-int $messageId
+	 * @return DataResponse<Http::STATUS_OK, TalkChatMessage, array{}>|DataResponse<Http::STATUS_BAD_REQUEST|Http::STATUS_NOT_FOUND|Http::STATUS_METHOD_NOT_ALLOWED, array{error: string}, array{}>
+	 *
+	 * 200: Message pinned successfully
+	 * 400: Message is already pinned
+	 * 404: Message not found
+	 * 405: Pinning this message type is not allowed
+	 */
+	#[PublicPage]
+	#[RequireModeratorParticipant]
+	#[RequireReadWriteConversation]
+	public function pinMessage(int $messageId): DataResponse {
+		try {
+			$comment = $this->chatManager->getComment($this->room, (string)$messageId);
+		} catch (NotFoundException) {
+			return new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND);
+		}
+
+		if ($comment->getVerb() !== ChatManager::VERB_MESSAGE && $comment->getVerb() !== ChatManager::VERB_OBJECT_SHARED) {
+			// System message or deleted message
+			return new DataResponse(['error' => 'message'], Http::STATUS_METHOD_NOT_ALLOWED);
+		}
+
+		try {
+			$this->pinnedMessageService->pinMessage($this->room, $this->participant, $comment);
+		} catch (\InvalidArgumentException $e) {
+			return new DataResponse(['error' => $e->getMessage()], Http::STATUS_BAD_REQUEST);
+		}
+
+		$message = $this->messageParser->createMessage($this->room, $this->participant, $comment, $this->l);
+		$this->messageParser->parseMessage($message);
+
+		return new DataResponse($message->toArray($this->getResponseFormat()), Http::STATUS_OK);
+	}
+
+	/**
+	 * Unpin a message from the top of the conversation
+	 *
+	 * Required capability: `pinned-messages`
+	 *
+	 * @param int $messageId ID of the message
+	 * @psalm-param non-negative-int $messageId
+	 * @return DataResponse<Http::STATUS_OK, null, array{}>|DataResponse<Http::STATUS_NOT_FOUND, array{error: string}, array{}>
+	 *
+	 * 200: Message unpinned successfully
+	 * 404: Message not found or not pinned
+	 */
+	#[PublicPage]
+	#[RequireModeratorParticipant]
+	#[RequireReadWriteConversation]
+	public function unpinMessage(int $messageId): DataResponse {
+		try {
+			$comment = $this->chatManager->getComment($this->room, (string)$messageId);
+		} catch (NotFoundException) {
+			return new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND);
+		}
+
+		try {
+			$this->pinnedMessageService->unpinMessage($this->room, $this->participant, $comment);
+		} catch (DoesNotExistException) {
+			return new DataResponse(['error' => 'pin'], Http::STATUS_NOT_FOUND);
+		}
+
+		return new DataResponse(null, Http::STATUS_OK);
+	}
+
 	/**
 	 * Set a reminder for a chat message
 	 *
@@ -1167,6 +1550,9 @@ class ChatController extends AEnvironmentAwareOCSController {
 			$attendee->getActorType(),
 			$attendee->getActorId()
 		);
+		$this->pinnedMessageService->deleteByRoom($this->room);
+		$this->threadService->deleteByRoom($this->room);
+		$this->scheduledMessageService->deleteByRoom($this->room);
 
 		$systemMessage = $this->messageParser->createMessage($this->room, $this->participant, $systemMessageComment, $this->l);
 		$this->messageParser->parseMessage($systemMessage);
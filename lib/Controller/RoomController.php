@@ -35,6 +35,7 @@ use OCA\Talk\Exceptions\RoomProperty\ReadOnlyException;
 use OCA\Talk\Exceptions\RoomProperty\RecordingConsentException;
 use OCA\Talk\Exceptions\RoomProperty\SipConfigurationException;
 use OCA\Talk\Exceptions\RoomProperty\TypeException;
+use OCA\Talk\Exceptions\RoomProperty\WebinarModeException;
 use OCA\Talk\Exceptions\UnauthorizedException;
 use OCA\Talk\Federation\Authenticator;
 use OCA\Talk\Federation\FederationManager;
@@ -1622,6 +1623,32 @@ class RoomController extends AEnvironmentAwareOCSController {
 		return new DataResponse($this->formatRoom($this->room, $this->participant));
 	}
 
+	/**
+	 * Update the webinar mode of a room
+	 *
+	 * In webinar mode participants join calls as audience, only moderators
+	 * and participants that can publish audio or video are shown in the call.
+	 * The permissions of the audience are not changed by the mode.
+	 *
+	 * @param 0|1 $webinarMode New webinar mode
+	 * @psalm-param Room::WEBINAR_MODE_* $webinarMode
+	 * @return DataResponse<Http::STATUS_OK, TalkRoom, array{}>|DataResponse<Http::STATUS_BAD_REQUEST, array{error: 'breakout-room'|'type'|'value'}, array{}>
+	 *
+	 * 200: Webinar mode updated successfully
+	 * 400: Updating webinar mode is not possible
+	 */
+	#[NoAdminRequired]
+	#[RequireModeratorParticipant]
+	public function setWebinarMode(int $webinarMode): DataResponse {
+		try {
+			$this->roomService->setWebinarMode($this->room, $webinarMode);
+		} catch (WebinarModeException $e) {
+			return new DataResponse(['error' => $e->getReason()], Http::STATUS_BAD_REQUEST);
+		}
+
+		return new DataResponse($this->formatRoom($this->room, $this->participant));
+	}
+
 	/**
 	 * Set a password for a room
 	 *
@@ -539,6 +539,7 @@ class BackendNotifier {
 					ARoomModifiedEvent::PROPERTY_RECORDING_CONSENT => $room->getRecordingConsent(),
 					ARoomModifiedEvent::PROPERTY_SIP_ENABLED => $room->getSIPEnabled(),
 					ARoomModifiedEvent::PROPERTY_TYPE => $room->getType(),
+					ARoomModifiedEvent::PROPERTY_WEBINAR_MODE => $room->getWebinarMode(),
 					default => $data['newValue'],
 				};
 			}
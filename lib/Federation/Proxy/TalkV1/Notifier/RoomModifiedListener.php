@@ -62,6 +62,7 @@ class RoomModifiedListener implements IEventListener {
 			ARoomModifiedEvent::PROPERTY_RECORDING_CONSENT,
 			ARoomModifiedEvent::PROPERTY_SIP_ENABLED,
 			ARoomModifiedEvent::PROPERTY_TYPE,
+			ARoomModifiedEvent::PROPERTY_WEBINAR_MODE,
 		], true)) {
 			return;
 		}
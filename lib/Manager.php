@@ -122,6 +122,7 @@ class Manager {
 			'recording_consent' => 0,
 			'has_federation' => 0,
 			'mention_permissions' => 0,
+			'webinar_mode' => 0,
 		], $data));
 	}
 
@@ -191,6 +192,7 @@ class Manager {
 			(int)$row['recording_consent'],
 			(int)$row['has_federation'],
 			(int)$row['mention_permissions'],
+			(int)$row['webinar_mode'],
 		);
 	}
 
@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Add a table for the messages that users scheduled to be posted later
+ */
+class Version22000Date20251019181523 extends SimpleMigrationStep {
+	/**
+	 * @param IOutput $output
+	 * @param Closure(): ISchemaWrapper $schemaClosure
+	 * @param array $options
+	 * @return null|ISchemaWrapper
+	 */
+	#[\Override]
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if (!$schema->hasTable('talk_scheduled_messages')) {
+			$table = $schema->createTable('talk_scheduled_messages');
+			$table->addColumn('id', Types::BIGINT, [
+				'autoincrement' => true,
+				'notnull' => true,
+				'length' => 20,
+			]);
+			$table->addColumn('room_id', Types::BIGINT, [
+				'notnull' => true,
+				'unsigned' => true,
+			]);
+			$table->addColumn('user_id', Types::STRING, [
+				'notnull' => true,
+				'length' => 64,
+			]);
+			$table->addColumn('message', Types::TEXT, [
+				'notnull' => true,
+			]);
+			$table->addColumn('reply_to', Types::BIGINT, [
+				'notnull' => false,
+				'default' => 0,
+				'unsigned' => true,
+			]);
+			$table->addColumn('thread_id', Types::BIGINT, [
+				'notnull' => false,
+				'default' => 0,
+				'unsigned' => true,
+			]);
+			$table->addColumn('silent', Types::BOOLEAN, [
+				'notnull' => false,
+				'default' => false,
+			]);
+			$table->addColumn('send_at', Types::DATETIME, [
+				'notnull' => false,
+			]);
+
+			$table->setPrimaryKey(['id']);
+			$table->addIndex(['room_id', 'user_id'], 'talk_sched_room_user');
+			$table->addIndex(['send_at'], 'talk_sched_send_at');
+			return $schema;
+		}
+
+		return null;
+	}
+}
@@ -0,0 +1,40 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\Entity;
+use OCP\DB\Types;
+
+/**
+ * @method void setRoomId(int $roomId)
+ * @method int getRoomId()
+ * @method void setMessageId(int $messageId)
+ * @method int getMessageId()
+ * @method void setActorType(string $actorType)
+ * @method string getActorType()
+ * @method void setActorId(string $actorId)
+ * @method string getActorId()
+ * @method void setPinnedAt(\DateTime $pinnedAt)
+ * @method \DateTime getPinnedAt()
+ */
+class PinnedMessage extends Entity {
+	protected int $roomId = 0;
+	protected int $messageId = 0;
+	protected string $actorType = '';
+	protected string $actorId = '';
+	protected ?\DateTime $pinnedAt = null;
+
+	public function __construct() {
+		$this->addType('roomId', Types::BIGINT);
+		$this->addType('messageId', Types::BIGINT);
+		$this->addType('actorType', Types::STRING);
+		$this->addType('actorId', Types::STRING);
+		$this->addType('pinnedAt', Types::DATETIME);
+	}
+}
@@ -0,0 +1,63 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * @method PinnedMessage mapRowToEntity(array $row)
+ * @method PinnedMessage findEntity(IQueryBuilder $query)
+ * @method list<PinnedMessage> findEntities(IQueryBuilder $query)
+ * @template-extends QBMapper<PinnedMessage>
+ */
+class PinnedMessageMapper extends QBMapper {
+	public function __construct(
+		IDBConnection $db,
+	) {
+		parent::__construct($db, 'talk_pinned_messages', PinnedMessage::class);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 */
+	public function findByRoomAndMessage(int $roomId, int $messageId): PinnedMessage {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->eq('message_id', $query->createNamedParameter($messageId, IQueryBuilder::PARAM_INT)));
+
+		return $this->findEntity($query);
+	}
+
+	/**
+	 * @return list<PinnedMessage> The most recently pinned message first
+	 */
+	public function findByRoom(int $roomId): array {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)))
+			->orderBy('pinned_at', 'DESC')
+			->addOrderBy('id', 'DESC');
+
+		return $this->findEntities($query);
+	}
+
+	public function deleteByRoom(int $roomId): void {
+		$query = $this->db->getQueryBuilder();
+		$query->delete($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)));
+
+		$query->executeStatement();
+	}
+}
@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\Entity;
+use OCP\DB\Types;
+
+/**
+ * @method void setRoomId(int $roomId)
+ * @method int getRoomId()
+ * @method void setUserId(string $userId)
+ * @method string getUserId()
+ * @method void setMessage(string $message)
+ * @method string getMessage()
+ * @method void setReplyTo(int $replyTo)
+ * @method int getReplyTo()
+ * @method void setThreadId(int $threadId)
+ * @method int getThreadId()
+ * @method void setSilent(bool $silent)
+ * @method bool getSilent()
+ * @method void setSendAt(\DateTime $sendAt)
+ * @method \DateTime getSendAt()
+ */
+class ScheduledMessage extends Entity {
+	protected int $roomId = 0;
+	protected string $userId = '';
+	protected string $message = '';
+	protected int $replyTo = 0;
+	protected int $threadId = 0;
+	protected bool $silent = false;
+	protected ?\DateTime $sendAt = null;
+
+	public function __construct() {
+		$this->addType('roomId', Types::BIGINT);
+		$this->addType('userId', Types::STRING);
+		$this->addType('message', Types::TEXT);
+		$this->addType('replyTo', Types::BIGINT);
+		$this->addType('threadId', Types::BIGINT);
+		$this->addType('silent', Types::BOOLEAN);
+		$this->addType('sendAt', Types::DATETIME);
+	}
+}
@@ -0,0 +1,79 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * @method ScheduledMessage mapRowToEntity(array $row)
+ * @method ScheduledMessage findEntity(IQueryBuilder $query)
+ * @method list<ScheduledMessage> findEntities(IQueryBuilder $query)
+ * @template-extends QBMapper<ScheduledMessage>
+ */
+class ScheduledMessageMapper extends QBMapper {
+	public function __construct(
+		IDBConnection $db,
+	) {
+		parent::__construct($db, 'talk_scheduled_messages', ScheduledMessage::class);
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 */
+	public function findForUser(int $roomId, string $userId, int $id): ScheduledMessage {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->eq('id', $query->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->eq('user_id', $query->createNamedParameter($userId)));
+
+		return $this->findEntity($query);
+	}
+
+	/**
+	 * @return list<ScheduledMessage> The next message to be posted first
+	 */
+	public function findAllForUser(int $roomId, string $userId): array {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->eq('user_id', $query->createNamedParameter($userId)))
+			->orderBy('send_at', 'ASC')
+			->addOrderBy('id', 'ASC');
+
+		return $this->findEntities($query);
+	}
+
+	/**
+	 * @return list<ScheduledMessage> The messages to be posted, in the order they were scheduled for
+	 */
+	public function findMessagesToSend(\DateTime $sendBefore): array {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->lte('send_at', $query->createNamedParameter($sendBefore, IQueryBuilder::PARAM_DATE), IQueryBuilder::PARAM_DATE))
+			->orderBy('send_at', 'ASC')
+			->addOrderBy('id', 'ASC');
+
+		return $this->findEntities($query);
+	}
+
+	public function deleteByRoom(int $roomId): void {
+		$query = $this->db->getQueryBuilder();
+		$query->delete($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)));
+
+		$query->executeStatement();
+	}
+}
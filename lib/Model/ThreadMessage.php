@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\Entity;
+use OCP\DB\Types;
+
+/**
+ * @method void setRoomId(int $roomId)
+ * @method int getRoomId()
+ * @method void setThreadId(int $threadId)
+ * @method int getThreadId()
+ * @method void setMessageId(int $messageId)
+ * @method int getMessageId()
+ */
+class ThreadMessage extends Entity {
+	protected int $roomId = 0;
+	protected int $threadId = 0;
+	protected int $messageId = 0;
+
+	public function __construct() {
+		$this->addType('roomId', Types::BIGINT);
+		$this->addType('threadId', Types::BIGINT);
+		$this->addType('messageId', Types::BIGINT);
+	}
+}
@@ -0,0 +1,51 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Model;
+
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * @method ThreadMessage mapRowToEntity(array $row)
+ * @method ThreadMessage findEntity(IQueryBuilder $query)
+ * @method list<ThreadMessage> findEntities(IQueryBuilder $query)
+ * @template-extends QBMapper<ThreadMessage>
+ */
+class ThreadMessageMapper extends QBMapper {
+	public function __construct(
+		IDBConnection $db,
+	) {
+		parent::__construct($db, 'talk_thread_messages', ThreadMessage::class);
+	}
+
+	/**
+	 * @return list<ThreadMessage> The oldest reply first
+	 */
+	public function findByThread(int $roomId, int $threadId, int $lastKnownMessageId, int $limit): array {
+		$query = $this->db->getQueryBuilder();
+		$query->select('*')
+			->from($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->eq('thread_id', $query->createNamedParameter($threadId, IQueryBuilder::PARAM_INT)))
+			->andWhere($query->expr()->gt('message_id', $query->createNamedParameter($lastKnownMessageId, IQueryBuilder::PARAM_INT)))
+			->orderBy('message_id', 'ASC')
+			->setMaxResults($limit);
+
+		return $this->findEntities($query);
+	}
+
+	public function deleteByRoom(int $roomId): void {
+		$query = $this->db->getQueryBuilder();
+		$query->delete($this->getTableName())
+			->where($query->expr()->eq('room_id', $query->createNamedParameter($roomId, IQueryBuilder::PARAM_INT)));
+
+		$query->executeStatement();
+	}
+}
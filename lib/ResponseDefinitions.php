@@ -118,6 +118,7 @@ namespace OCA\Talk;
  *     lastEditActorType?: string,
  *     lastEditTimestamp?: int,
  *     silent?: bool,
+ *     threadId?: int,
  * }
  *
  * @psalm-type TalkChatProxyMessage = TalkBaseMessage
@@ -138,6 +139,18 @@ namespace OCA\Talk;
  *     userId: string
  * }
  *
+ * @psalm-type TalkScheduledMessage = array{
+ *     id: int,
+ *     token: string,
+ *     actorType: string,
+ *     actorId: string,
+ *     message: string,
+ *     sendAt: int,
+ *     silent: bool,
+ *     parent?: TalkChatMessage,
+ *     threadId?: int,
+ * }
+ *
  * @psalm-type TalkFederationInvite = array{
  *     id: int,
  *     state: int,
@@ -293,6 +306,8 @@ namespace OCA\Talk;
  *     isArchived: bool,
  *     // Required capability: `important-conversations`
  *     isImportant: bool,
+ *     // Required capability: `webinar-mode`
+ *     webinarMode: 0|1,
  * }
  *
  * @psalm-type TalkRoomWithInvalidInvitations = TalkRoom&array{
@@ -87,6 +87,9 @@ class Room {
 	public const MENTION_PERMISSIONS_EVERYONE = 0;
 	public const MENTION_PERMISSIONS_MODERATORS = 1;
 
+	public const WEBINAR_MODE_DISABLED = 0;
+	public const WEBINAR_MODE_ENABLED = 1;
+
 	protected ?string $currentUser = null;
 	protected ?Participant $participant = null;
 
@@ -96,6 +99,7 @@ class Room {
 	 * @psalm-param int-mask-of<self::HAS_FEDERATION_*> $hasFederation
 	 * @psalm-param self::RECORDING_* $callRecording
 	 * @psalm-param self::MENTION_PERMISSIONS_* $mentionPermissions
+	 * @psalm-param self::WEBINAR_MODE_* $webinarMode
 	 */
 	public function __construct(
 		private Manager $manager,
@@ -133,6 +137,7 @@ class Room {
 		private int $recordingConsent,
 		private int $hasFederation,
 		private int $mentionPermissions,
+		private int $webinarMode,
 	) {
 	}
 
@@ -592,6 +597,20 @@ class Room {
 		$this->mentionPermissions = $mentionPermissions;
 	}
 
+	/**
+	 * @psalm-return self::WEBINAR_MODE_*
+	 */
+	public function getWebinarMode(): int {
+		return $this->webinarMode;
+	}
+
+	/**
+	 * @psalm-param self::WEBINAR_MODE_* $webinarMode
+	 */
+	public function setWebinarMode(int $webinarMode): void {
+		$this->webinarMode = $webinarMode;
+	}
+
 	public function setObjectId(string $objectId): void {
 		$this->objectId = $objectId;
 	}
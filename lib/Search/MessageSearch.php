@@ -300,6 +300,12 @@ class MessageSearch implements IProvider, IFilteringProvider {
 		$entry->addAttribute('actorType', $comment->getActorType());
 		$entry->addAttribute('actorId', $comment->getActorId());
 		$entry->addAttribute('timestamp', '' . $comment->getCreationDateTime()->getTimestamp());
+		// Details for the filters of the message search in the conversation,
+		// so that the messages do not need to be fetched one by one
+		$entry->addAttribute('message', $message->getMessage());
+		$entry->addAttribute('messageType', $message->getMessageType());
+		$entry->addAttribute('messageParameters', json_encode($message->getMessageParameters(), JSON_THROW_ON_ERROR));
+		$entry->addAttribute('reactions', json_encode($comment->getReactions(), JSON_THROW_ON_ERROR));
 
 		return $entry;
 	}
@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Service;
+
+use OCA\Talk\Chat\ChatManager;
+use OCA\Talk\Model\PinnedMessage;
+use OCA\Talk\Model\PinnedMessageMapper;
+use OCA\Talk\Participant;
+use OCA\Talk\Room;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\IComment;
+use OCP\DB\Exception;
+
+class PinnedMessageService {
+	public function __construct(
+		protected PinnedMessageMapper $pinnedMessageMapper,
+		protected ChatManager $chatManager,
+		protected ITimeFactory $timeFactory,
+	) {
+	}
+
+	/**
+	 * Pin the message and post a system message about it
+	 *
+	 * @throws \InvalidArgumentException When the message is already pinned
+	 */
+	public function pinMessage(Room $room, Participant $participant, IComment $comment): IComment {
+		$pinnedMessage = new PinnedMessage();
+		$pinnedMessage->setRoomId($room->getId());
+		$pinnedMessage->setMessageId((int)$comment->getId());
+		$pinnedMessage->setActorType($participant->getAttendee()->getActorType());
+		$pinnedMessage->setActorId($participant->getAttendee()->getActorId());
+		$pinnedMessage->setPinnedAt($this->timeFactory->getDateTime());
+
+		try {
+			$this->pinnedMessageMapper->insert($pinnedMessage);
+		} catch (Exception $e) {
+			if ($e->getReason() === Exception::REASON_UNIQUE_CONSTRAINT_VIOLATION) {
+				throw new \InvalidArgumentException('pinned');
+			}
+			throw $e;
+		}
+
+		return $this->chatManager->addSystemMessage(
+			$room,
+			$participant->getAttendee()->getActorType(),
+			$participant->getAttendee()->getActorId(),
+			json_encode(['message' => 'message_pinned', 'parameters' => ['message' => $comment->getId()]]),
+			$this->timeFactory->getDateTime(),
+			false,
+			null,
+			$comment,
+		);
+	}
+
+	/**
+	 * Unpin the message and post a system message about it
+	 *
+	 * @throws DoesNotExistException When the message is not pinned
+	 */
+	public function unpinMessage(Room $room, Participant $participant, IComment $comment): IComment {
+		$pinnedMessage = $this->pinnedMessageMapper->findByRoomAndMessage($room->getId(), (int)$comment->getId());
+		$this->pinnedMessageMapper->delete($pinnedMessage);
+
+		return $this->chatManager->addSystemMessage(
+			$room,
+			$participant->getAttendee()->getActorType(),
+			$participant->getAttendee()->getActorId(),
+			json_encode(['message' => 'message_unpinned', 'parameters' => ['message' => $comment->getId()]]),
+			$this->timeFactory->getDateTime(),
+			false,
+			null,
+			$comment,
+		);
+	}
+
+	/**
+	 * Remove the pin of a deleted message without announcing it in the chat
+	 */
+	public function removePin(Room $room, int $messageId): void {
+		try {
+			$pinnedMessage = $this->pinnedMessageMapper->findByRoomAndMessage($room->getId(), $messageId);
+			$this->pinnedMessageMapper->delete($pinnedMessage);
+		} catch (DoesNotExistException) {
+		}
+	}
+
+	/**
+	 * @return list<int> The most recently pinned message first
+	 */
+	public function getPinnedMessageIds(Room $room): array {
+		$pinnedMessages = $this->pinnedMessageMapper->findByRoom($room->getId());
+		return array_map(static fn (PinnedMessage $pinnedMessage): int => $pinnedMessage->getMessageId(), $pinnedMessages);
+	}
+
+	public function deleteByRoom(Room $room): void {
+		$this->pinnedMessageMapper->deleteByRoom($room->getId());
+	}
+}
@@ -45,6 +45,7 @@ use OCA\Talk\Exceptions\RoomProperty\ReadOnlyException;
 use OCA\Talk\Exceptions\RoomProperty\RecordingConsentException;
 use OCA\Talk\Exceptions\RoomProperty\SipConfigurationException;
 use OCA\Talk\Exceptions\RoomProperty\TypeException;
+use OCA\Talk\Exceptions\RoomProperty\WebinarModeException;
 use OCA\Talk\Manager;
 use OCA\Talk\Model\Attendee;
 use OCA\Talk\Model\BreakoutRoom;
@@ -838,6 +839,45 @@ class RoomService {
 		$this->dispatcher->dispatchTyped($event);
 	}
 
+	/**
+	 * @param Room $room
+	 * @param int $newState New webinar mode from Room::WEBINAR_MODE_*
+	 * @psalm-param Room::WEBINAR_MODE_* $newState
+	 * @throws WebinarModeException
+	 */
+	public function setWebinarMode(Room $room, int $newState): void {
+		$oldState = $room->getWebinarMode();
+		if ($newState === $oldState) {
+			return;
+		}
+
+		if (!in_array($room->getType(), [Room::TYPE_GROUP, Room::TYPE_PUBLIC], true)) {
+			throw new WebinarModeException(WebinarModeException::REASON_TYPE);
+		}
+
+		if ($room->getObjectType() === BreakoutRoom::PARENT_OBJECT_TYPE) {
+			throw new WebinarModeException(WebinarModeException::REASON_BREAKOUT_ROOM);
+		}
+
+		if (!in_array($newState, [Room::WEBINAR_MODE_DISABLED, Room::WEBINAR_MODE_ENABLED], true)) {
+			throw new WebinarModeException(WebinarModeException::REASON_VALUE);
+		}
+
+		$event = new BeforeRoomModifiedEvent($room, ARoomModifiedEvent::PROPERTY_WEBINAR_MODE, $newState, $oldState);
+		$this->dispatcher->dispatchTyped($event);
+
+		$update = $this->db->getQueryBuilder();
+		$update->update('talk_rooms')
+			->set('webinar_mode', $update->createNamedParameter($newState, IQueryBuilder::PARAM_INT))
+			->where($update->expr()->eq('id', $update->createNamedParameter($room->getId(), IQueryBuilder::PARAM_INT)));
+		$update->executeStatement();
+
+		$room->setWebinarMode($newState);
+
+		$event = new RoomModifiedEvent($room, ARoomModifiedEvent::PROPERTY_WEBINAR_MODE, $newState, $oldState);
+		$this->dispatcher->dispatchTyped($event);
+	}
+
 	public function setAssignedSignalingServer(Room $room, ?int $signalingServer): bool {
 		$update = $this->db->getQueryBuilder();
 		$update->update('talk_rooms')
@@ -1295,6 +1335,14 @@ class RoomService {
 				$this->logger->error('An error (' . $e->getReason() . ') occurred while trying to sync mentionPermissions of ' . $local->getId() . ' to ' . $host['mentionPermissions'], ['exception' => $e]);
 			}
 		}
+		if (isset($host['webinarMode']) && $host['webinarMode'] !== $local->getWebinarMode()) {
+			try {
+				$this->setWebinarMode($local, $host['webinarMode']);
+				$changed[] = ARoomModifiedEvent::PROPERTY_WEBINAR_MODE;
+			} catch (WebinarModeException $e) {
+				$this->logger->error('An error (' . $e->getReason() . ') occurred while trying to sync webinarMode of ' . $local->getId() . ' to ' . $host['webinarMode'], ['exception' => $e]);
+			}
+		}
 		if (isset($host['messageExpiration']) && $host['messageExpiration'] !== $local->getMessageExpiration()) {
 			try {
 				$this->setMessageExpiration($local, $host['messageExpiration']);
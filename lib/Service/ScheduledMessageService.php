@@ -0,0 +1,157 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Service;
+
+use OCA\Talk\Chat\ChatManager;
+use OCA\Talk\Exceptions\ParticipantNotFoundException;
+use OCA\Talk\Exceptions\RoomNotFoundException;
+use OCA\Talk\Manager;
+use OCA\Talk\Model\Attendee;
+use OCA\Talk\Model\ScheduledMessage;
+use OCA\Talk\Model\ScheduledMessageMapper;
+use OCA\Talk\Participant;
+use OCA\Talk\Room;
+use OCA\Talk\Webinary;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\NotFoundException;
+use Psr\Log\LoggerInterface;
+
+class ScheduledMessageService {
+	public function __construct(
+		protected ScheduledMessageMapper $scheduledMessageMapper,
+		protected ChatManager $chatManager,
+		protected ThreadService $threadService,
+		protected ParticipantService $participantService,
+		protected Manager $manager,
+		protected ITimeFactory $timeFactory,
+		protected LoggerInterface $logger,
+	) {
+	}
+
+	public function scheduleMessage(Room $room, string $userId, string $message, \DateTime $sendAt, int $replyTo, int $threadId, bool $silent): ScheduledMessage {
+		$scheduledMessage = new ScheduledMessage();
+		$scheduledMessage->setRoomId($room->getId());
+		$scheduledMessage->setUserId($userId);
+		$scheduledMessage->setMessage($message);
+		$scheduledMessage->setReplyTo($replyTo);
+		$scheduledMessage->setThreadId($threadId);
+		$scheduledMessage->setSilent($silent);
+		$scheduledMessage->setSendAt($sendAt);
+		$this->scheduledMessageMapper->insert($scheduledMessage);
+
+		return $scheduledMessage;
+	}
+
+	/**
+	 * @throws DoesNotExistException
+	 */
+	public function getScheduledMessage(Room $room, string $userId, int $id): ScheduledMessage {
+		return $this->scheduledMessageMapper->findForUser($room->getId(), $userId, $id);
+	}
+
+	/**
+	 * @return list<ScheduledMessage> The next message to be posted first
+	 */
+	public function getScheduledMessages(Room $room, string $userId): array {
+		return $this->scheduledMessageMapper->findAllForUser($room->getId(), $userId);
+	}
+
+	public function editScheduledMessage(ScheduledMessage $scheduledMessage, string $message, \DateTime $sendAt, bool $silent): ScheduledMessage {
+		$scheduledMessage->setMessage($message);
+		$scheduledMessage->setSendAt($sendAt);
+		$scheduledMessage->setSilent($silent);
+		$this->scheduledMessageMapper->update($scheduledMessage);
+
+		return $scheduledMessage;
+	}
+
+	public function deleteScheduledMessage(ScheduledMessage $scheduledMessage): void {
+		$this->scheduledMessageMapper->delete($scheduledMessage);
+	}
+
+	public function deleteByRoom(Room $room): void {
+		$this->scheduledMessageMapper->deleteByRoom($room->getId());
+	}
+
+	/**
+	 * Post the messages that are due, messages of users who are not allowed
+	 * to chat in the conversation anymore are dropped
+	 */
+	public function sendScheduledMessages(\DateTime $sendBefore): void {
+		$scheduledMessages = $this->scheduledMessageMapper->findMessagesToSend($sendBefore);
+
+		foreach ($scheduledMessages as $scheduledMessage) {
+			$this->scheduledMessageMapper->delete($scheduledMessage);
+
+			try {
+				$room = $this->manager->getRoomById($scheduledMessage->getRoomId());
+				$participant = $this->participantService->getParticipant($room, $scheduledMessage->getUserId(), false);
+			} catch (RoomNotFoundException|ParticipantNotFoundException) {
+				$this->logger->warning('Ignoring scheduled message #' . $scheduledMessage->getId() . ' as user ' . $scheduledMessage->getUserId() . ' is not a participant of the conversation anymore');
+				continue;
+			}
+
+			if (!$this->canChat($room, $participant)) {
+				$this->logger->warning('Ignoring scheduled message #' . $scheduledMessage->getId() . ' as user ' . $scheduledMessage->getUserId() . ' is not allowed to chat in conversation ' . $room->getToken());
+				continue;
+			}
+
+			$this->sendScheduledMessage($room, $participant, $scheduledMessage);
+		}
+	}
+
+	protected function canChat(Room $room, Participant $participant): bool {
+		if ($room->isFederatedConversation() || $room->getReadOnly() === Room::READ_ONLY) {
+			return false;
+		}
+
+		if (!($participant->getPermissions() & Attendee::PERMISSIONS_CHAT)) {
+			return false;
+		}
+
+		return $room->getLobbyState() === Webinary::LOBBY_NONE
+			|| $participant->hasModeratorPermissions()
+			|| $participant->getPermissions() & Attendee::PERMISSIONS_LOBBY_IGNORE;
+	}
+
+	protected function sendScheduledMessage(Room $room, Participant $participant, ScheduledMessage $scheduledMessage): void {
+		// Messages are still posted when the message they reply to, or the thread
+		// they are posted in, was removed in the meantime
+		$parent = null;
+		if ($scheduledMessage->getReplyTo() !== 0) {
+			try {
+				$parent = $this->chatManager->getParentComment($room, (string)$scheduledMessage->getReplyTo());
+			} catch (NotFoundException) {
+			}
+		}
+
+		$threadId = $scheduledMessage->getThreadId();
+		if ($threadId !== 0) {
+			try {
+				$this->chatManager->getComment($room, (string)$threadId);
+			} catch (NotFoundException) {
+				$threadId = 0;
+			}
+		}
+
+		$this->participantService->ensureOneToOneRoomIsFilled($room);
+		$creationDateTime = $this->timeFactory->getDateTime('now', new \DateTimeZone('UTC'));
+
+		try {
+			$comment = $this->chatManager->sendMessage($room, $participant, Attendee::ACTOR_USERS, $scheduledMessage->getUserId(), $scheduledMessage->getMessage(), $creationDateTime, $parent, '', $scheduledMessage->getSilent(), threadId: $threadId);
+			if ($threadId !== 0) {
+				$this->threadService->addReply($room, $threadId, $comment);
+			}
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to post scheduled message #' . $scheduledMessage->getId() . ' in conversation ' . $room->getToken(), ['exception' => $e]);
+		}
+	}
+}
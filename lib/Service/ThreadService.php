@@ -0,0 +1,52 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Service;
+
+use OCA\Talk\Model\Message;
+use OCA\Talk\Model\ThreadMessage;
+use OCA\Talk\Model\ThreadMessageMapper;
+use OCA\Talk\Room;
+use OCP\Comments\IComment;
+
+class ThreadService {
+	public function __construct(
+		protected ThreadMessageMapper $threadMessageMapper,
+	) {
+	}
+
+	/**
+	 * Get the id of the thread a reply to the given message is posted in,
+	 * replies to a message of a thread stay in the same thread
+	 */
+	public function getThreadIdForMessage(IComment $comment): int {
+		$metaData = $comment->getMetaData() ?? [];
+		return (int)($metaData[Message::METADATA_THREAD_ID] ?? $comment->getId());
+	}
+
+	public function addReply(Room $room, int $threadId, IComment $reply): void {
+		$threadMessage = new ThreadMessage();
+		$threadMessage->setRoomId($room->getId());
+		$threadMessage->setThreadId($threadId);
+		$threadMessage->setMessageId((int)$reply->getId());
+		$this->threadMessageMapper->insert($threadMessage);
+	}
+
+	/**
+	 * @return list<int> The oldest reply first
+	 */
+	public function getReplyIds(Room $room, int $threadId, int $lastKnownMessageId, int $limit): array {
+		$threadMessages = $this->threadMessageMapper->findByThread($room->getId(), $threadId, $lastKnownMessageId, $limit);
+		return array_map(static fn (ThreadMessage $threadMessage): int => $threadMessage->getMessageId(), $threadMessages);
+	}
+
+	public function deleteByRoom(Room $room): void {
+		$this->threadMessageMapper->deleteByRoom($room->getId());
+	}
+}
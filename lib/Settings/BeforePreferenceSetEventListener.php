@@ -82,9 +82,52 @@ class BeforePreferenceSetEventListener implements IEventListener {
 			return $value === UserPreference::CONVERSATION_LIST_STYLE_TWO_LINES || $value === UserPreference::CONVERSATION_LIST_STYLE_COMPACT;
 		}
 
+		// JSON with the sections of the conversations list and the conversations assigned to them
+		if ($key === UserPreference::CONVERSATION_SECTIONS) {
+			return is_string($value) && $this->validateConversationSections($value);
+		}
+
 		return false;
 	}
 
+	protected function validateConversationSections(string $value): bool {
+		if (strlen($value) > 65535) {
+			return false;
+		}
+
+		try {
+			$data = json_decode($value, true, 4, JSON_THROW_ON_ERROR);
+		} catch (\JsonException) {
+			return false;
+		}
+
+		if (!is_array($data)
+			|| !is_array($data['sections'] ?? null)
+			|| !is_array($data['assignments'] ?? null)
+			|| count($data['sections']) > 50) {
+			return false;
+		}
+
+		$sectionIds = [];
+		foreach ($data['sections'] as $section) {
+			if (!is_array($section)
+				|| !is_string($section['id'] ?? null) || $section['id'] === ''
+				|| !is_string($section['name'] ?? null) || trim($section['name']) === ''
+				|| mb_strlen($section['name']) > 64) {
+				return false;
+			}
+			$sectionIds[] = $section['id'];
+		}
+
+		foreach ($data['assignments'] as $sectionId) {
+			if (!in_array($sectionId, $sectionIds, true)) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
 	protected function validateAttachmentFolder(string $userId, string $value): bool {
 		try {
 			$userFolder = $this->rootFolder->getUserFolder($userId);
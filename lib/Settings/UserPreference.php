@@ -11,6 +11,7 @@ namespace OCA\Talk\Settings;
 class UserPreference {
 	public const BLUR_VIRTUAL_BACKGROUND = 'blur_virtual_background';
 	public const CALLS_START_WITHOUT_MEDIA = 'calls_start_without_media';
+	public const CONVERSATION_SECTIONS = 'conversation_sections';
 	public const CONVERSATIONS_LIST_STYLE = 'conversations_list_style';
 	public const PLAY_SOUNDS = 'play_sounds';
 	public const TYPING_PRIVACY = 'typing_privacy';
@@ -113,6 +113,11 @@ trait TInitialState {
 			$this->talkConfig->getUserTypingPrivacy($user->getUID())
 		);
 
+		$this->initialState->provideInitialState(
+			'conversation_sections',
+			$this->talkConfig->getConversationSections($user->getUID())
+		);
+
 		$this->initialState->provideInitialState(
 			'play_sounds',
 			$this->serverConfig->getUserValue($user->getUID(), 'spreed', 'play_sounds', 'yes') === 'yes'
@@ -93,6 +93,10 @@ export const mockedCapabilities: Capabilities = {
 			'schedule-meeting',
 			'edit-draft-poll',
 			'conversation-creation-all',
+			'webinar-mode',
+			'pinned-messages',
+			'threads',
+			'scheduled-messages',
 			// Conditional features
 			'message-expiration',
 			'reactions',
@@ -0,0 +1,60 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Ref } from 'vue'
+import { onBeforeUnmount, watch } from 'vue'
+
+import { getLanguage } from '@nextcloud/l10n'
+
+import { useStore } from '../../composables/useStore.js'
+import { useCaptionsStore } from '../../stores/captions.ts'
+import CallParticipantsCaptioner from '../../utils/webrtc/captions/CallParticipantsCaptioner.js'
+import type { CaptionsResult } from '../../utils/webrtc/captions/providers.ts'
+import { callParticipantCollection, localCallParticipantModel, localMediaModel } from '../../utils/webrtc/index.js'
+
+/**
+ * Run live captions for the call participants while they are enabled,
+ * and post the transcript to the chat when the call ends (if requested).
+ * Captions of providers which only recognize the local microphone are sent
+ * to the other participants.
+ * @param token conversation token
+ */
+export function useCallCaptions(token: Ref<string>) {
+	const store = useStore()
+	const captionsStore = useCaptionsStore()
+	let captioner: CallParticipantsCaptioner | null = null
+
+	watch(() => captionsStore.enabled ? captionsStore.provider : undefined, (provider) => {
+		captioner?.destroy()
+		captioner = null
+		if (!provider) {
+			return
+		}
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, {
+			language: getLanguage(),
+			localName: store.getters.getDisplayName(),
+			onResult: (speaker: { id: string, name: string }, result: CaptionsResult) => {
+				captionsStore.addCaptionsResult(speaker, result)
+				if (provider.localAudioOnly) {
+					localCallParticipantModel.sendCaption(result.text, result.isFinal)
+				}
+			},
+		})
+	}, { immediate: true })
+
+	onBeforeUnmount(() => {
+		captioner?.destroy()
+		captioner = null
+
+		// Call view might be unmounted while still in the call (e.g. switching to the Files sidebar)
+		if (store.getters.isInCall(token.value)) {
+			return
+		}
+		if (captionsStore.postTranscriptOnCallEnd) {
+			captionsStore.postTranscript(token.value)
+		}
+		captionsStore.clearCaptions()
+	})
+}
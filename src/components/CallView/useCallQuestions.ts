@@ -0,0 +1,38 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Ref } from 'vue'
+import { onBeforeUnmount } from 'vue'
+
+import { useStore } from '../../composables/useStore.js'
+import { PARTICIPANT } from '../../constants.ts'
+import { useCallQuestionsStore } from '../../stores/callQuestions.ts'
+
+/**
+ * Post the questions of the call to the chat when the call ends (if requested
+ * by a moderator) and forget them.
+ * The call ends when the moderator leaves it as the last participant or ends
+ * it for everyone, so the questions are posted only once.
+ * @param token conversation token
+ */
+export function useCallQuestions(token: Ref<string>) {
+	const store = useStore()
+	const callQuestionsStore = useCallQuestionsStore()
+
+	onBeforeUnmount(() => {
+		// Call view might be unmounted while still in the call (e.g. switching to the Files sidebar)
+		if (store.getters.isInCall(token.value)) {
+			return
+		}
+
+		const conversation = store.getters.conversation(token.value)
+		const canModerate = [PARTICIPANT.TYPE.OWNER, PARTICIPANT.TYPE.MODERATOR, PARTICIPANT.TYPE.GUEST_MODERATOR].includes(conversation?.participantType)
+		const isCallEnded = !conversation?.hasCall || !store.getters.participantsInCall(token.value)
+		if (canModerate && isCallEnded && callQuestionsStore.postQuestionsOnCallEnd) {
+			callQuestionsStore.postQuestions(token.value)
+		}
+		callQuestionsStore.resetQuestions()
+	})
+}
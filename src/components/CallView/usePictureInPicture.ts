@@ -0,0 +1,291 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { onBeforeUnmount, shallowRef, watch } from 'vue'
+import type { Ref } from 'vue'
+
+import { useDocumentVisibility } from '../../composables/useDocumentVisibility.ts'
+import { EventBus } from '../../services/EventBus.ts'
+import store from '../../store/index.js'
+import { useCallViewStore } from '../../stores/callView.ts'
+import { useSettingsStore } from '../../stores/settings.js'
+import { localMediaModel } from '../../utils/webrtc/index.js'
+
+// Document Picture-in-Picture is not part of the DOM typings yet
+type DocumentPictureInPicture = {
+	window: Window | null,
+	requestWindow: (options?: { width?: number, height?: number }) => Promise<Window>,
+}
+type WindowWithDocumentPictureInPicture = Window & { documentPictureInPicture?: DocumentPictureInPicture }
+
+// Actions for video conferences, also not part of the DOM typings yet
+type CallMediaSessionAction = MediaSessionAction | 'togglemicrophone' | 'togglecamera' | 'hangup' | 'enterpictureinpicture'
+
+const PICTURE_IN_PICTURE_SIZE = { width: 320, height: 240 }
+
+/**
+ * Whether the call can be shown in a picture-in-picture window, either with
+ * Document Picture-in-Picture or with the fallback to a video element
+ */
+export function isPictureInPictureSupported(): boolean {
+	return 'documentPictureInPicture' in window || !!document.pictureInPictureEnabled
+}
+
+/**
+ * Set or remove a media session action handler, ignoring the actions not
+ * supported by the browser
+ *
+ * @param action the media session action
+ * @param handler the handler, or null to remove it
+ * @return whether the action is supported
+ */
+function setMediaSessionActionHandler(action: CallMediaSessionAction, handler: (() => void) | null): boolean {
+	try {
+		navigator.mediaSession?.setActionHandler(action as MediaSessionAction, handler)
+		return !!navigator.mediaSession
+	} catch (error) {
+		return false
+	}
+}
+
+/**
+ * Copy the styles of the page to the picture-in-picture window, so the
+ * components rendered there look the same as in the page
+ *
+ * @param pictureInPictureWindow the picture-in-picture window
+ */
+function copyStyles(pictureInPictureWindow: Window) {
+	const { document: pictureInPictureDocument } = pictureInPictureWindow
+
+	for (const styleSheet of Array.from(document.styleSheets)) {
+		try {
+			const style = pictureInPictureDocument.createElement('style')
+			style.textContent = Array.from(styleSheet.cssRules).map((rule) => rule.cssText).join('\n')
+			pictureInPictureDocument.head.appendChild(style)
+		} catch (error) {
+			// The rules of stylesheets from other origins can not be read
+			if (styleSheet.href) {
+				const link = pictureInPictureDocument.createElement('link')
+				link.rel = 'stylesheet'
+				link.href = styleSheet.href
+				pictureInPictureDocument.head.appendChild(link)
+			}
+		}
+	}
+
+	// Theming variables depend on the attributes of the body
+	for (const { name, value } of Array.from(document.body.attributes)) {
+		pictureInPictureDocument.body.setAttribute(name, value)
+	}
+}
+
+/**
+ * Show the call in a floating window that stays visible when switching to
+ * another tab or application.
+ *
+ * Document Picture-in-Picture is used when available, so the window renders
+ * the given components. Otherwise the fallback video element is shown in a
+ * picture-in-picture window, with the call controls provided through the
+ * media session if supported by the browser.
+ *
+ * @param token the conversation token
+ * @param getFallbackVideo getter for the video element to use as fallback
+ */
+export function usePictureInPicture(token: Ref<string>, getFallbackVideo: () => HTMLVideoElement | null) {
+	const callViewStore = useCallViewStore()
+	const settingsStore = useSettingsStore()
+	const isDocumentVisible = useDocumentVisibility()
+
+	const pictureInPictureWindow = shallowRef<Window | null>(null)
+	let pictureInPictureVideo: HTMLVideoElement | null = null
+	let isOpening = false
+	let isOpenedAutomatically = false
+
+	/**
+	 * Leave the call from the picture-in-picture controls
+	 */
+	async function hangUp() {
+		closePictureInPicture()
+		callViewStore.setSelectedVideoPeerId(null)
+		await store.dispatch('leaveCall', {
+			token: token.value,
+			participantIdentifier: store.getters.getParticipantIdentifier(),
+		})
+	}
+
+	/**
+	 * Reflect the state of the local media in the media session controls
+	 */
+	function updateMediaSessionState() {
+		const mediaSession = navigator.mediaSession as MediaSession & {
+			setMicrophoneActive?: (active: boolean) => void,
+			setCameraActive?: (active: boolean) => void,
+		}
+
+		mediaSession?.setMicrophoneActive?.(!!localMediaModel.attributes.audioEnabled)
+		mediaSession?.setCameraActive?.(!!localMediaModel.attributes.videoEnabled)
+	}
+
+	/**
+	 * Set or remove the call controls of the video picture-in-picture window
+	 *
+	 * @param enabled whether the controls should be set
+	 */
+	function setMediaSessionControls(enabled: boolean) {
+		setMediaSessionActionHandler('togglemicrophone', enabled
+			? () => {
+				if (localMediaModel.attributes.audioEnabled) {
+					localMediaModel.disableAudio()
+				} else if (localMediaModel.attributes.audioAvailable) {
+					localMediaModel.enableAudio()
+				}
+				updateMediaSessionState()
+			}
+			: null)
+		setMediaSessionActionHandler('togglecamera', enabled
+			? () => {
+				if (localMediaModel.attributes.videoEnabled) {
+					localMediaModel.disableVideo()
+				} else if (localMediaModel.attributes.videoAvailable) {
+					localMediaModel.enableVideo()
+				}
+				updateMediaSessionState()
+			}
+			: null)
+		setMediaSessionActionHandler('hangup', enabled ? hangUp : null)
+
+		if (enabled) {
+			updateMediaSessionState()
+		}
+	}
+
+	/**
+	 * Handle the video picture-in-picture window being closed, either from
+	 * the page or by the user
+	 */
+	function handleLeaveVideoPictureInPicture() {
+		pictureInPictureVideo?.removeEventListener('leavepictureinpicture', handleLeaveVideoPictureInPicture)
+		pictureInPictureVideo = null
+		setMediaSessionControls(false)
+		callViewStore.setIsPictureInPicture(false)
+	}
+
+	/**
+	 * Open the picture-in-picture window
+	 *
+	 * Browsers only allow it as a result of a user interaction, or when
+	 * switching tabs through the "enterpictureinpicture" media session action.
+	 */
+	async function openPictureInPicture() {
+		if (isOpening || callViewStore.isPictureInPicture) {
+			return
+		}
+		isOpening = true
+
+		try {
+			const { documentPictureInPicture } = window as WindowWithDocumentPictureInPicture
+			if (documentPictureInPicture) {
+				const newWindow = await documentPictureInPicture.requestWindow(PICTURE_IN_PICTURE_SIZE)
+				copyStyles(newWindow)
+				newWindow.addEventListener('pagehide', () => {
+					pictureInPictureWindow.value = null
+					callViewStore.setIsPictureInPicture(false)
+				}, { once: true })
+
+				pictureInPictureWindow.value = newWindow
+				callViewStore.setIsPictureInPicture(true)
+				return
+			}
+
+			const video = getFallbackVideo()
+			if (!video || !document.pictureInPictureEnabled) {
+				return
+			}
+
+			await video.requestPictureInPicture()
+			pictureInPictureVideo = video
+			pictureInPictureVideo.addEventListener('leavepictureinpicture', handleLeaveVideoPictureInPicture)
+			setMediaSessionControls(true)
+			callViewStore.setIsPictureInPicture(true)
+		} catch (error) {
+			console.error('Picture-in-picture window could not be opened', error)
+		} finally {
+			isOpening = false
+		}
+	}
+
+	/**
+	 * Close the picture-in-picture window, if any
+	 */
+	function closePictureInPicture() {
+		isOpenedAutomatically = false
+
+		if (pictureInPictureWindow.value) {
+			pictureInPictureWindow.value.close()
+			pictureInPictureWindow.value = null
+		} else if (pictureInPictureVideo && document.pictureInPictureElement === pictureInPictureVideo) {
+			document.exitPictureInPicture().catch((error) => {
+				console.error('Picture-in-picture window could not be closed', error)
+			})
+		}
+
+		callViewStore.setIsPictureInPicture(false)
+	}
+
+	/**
+	 * Toggle the picture-in-picture window, as a result of a user interaction
+	 */
+	function togglePictureInPicture() {
+		if (callViewStore.isPictureInPicture) {
+			closePictureInPicture()
+		} else {
+			openPictureInPicture()
+		}
+	}
+
+	/**
+	 * Open the picture-in-picture window when the page is hidden
+	 */
+	async function openPictureInPictureAutomatically() {
+		if (callViewStore.isPictureInPicture) {
+			return
+		}
+
+		await openPictureInPicture()
+		isOpenedAutomatically = callViewStore.isPictureInPicture
+	}
+
+	// Browsers supporting the action open the window on their own when
+	// switching tabs; otherwise it is tried when the page is hidden, although
+	// it may be rejected without a user interaction.
+	let hasAutomaticPictureInPictureAction = false
+	watch(() => settingsStore.autoPictureInPicture, (value) => {
+		hasAutomaticPictureInPictureAction = setMediaSessionActionHandler('enterpictureinpicture', value ? openPictureInPictureAutomatically : null)
+	}, { immediate: true })
+
+	watch(isDocumentVisible, (value) => {
+		if (value) {
+			if (isOpenedAutomatically) {
+				closePictureInPicture()
+			}
+		} else if (settingsStore.autoPictureInPicture && !hasAutomaticPictureInPictureAction) {
+			openPictureInPictureAutomatically()
+		}
+	})
+
+	EventBus.on('toggle-picture-in-picture', togglePictureInPicture)
+
+	onBeforeUnmount(() => {
+		EventBus.off('toggle-picture-in-picture', togglePictureInPicture)
+		setMediaSessionActionHandler('enterpictureinpicture', null)
+		closePictureInPicture()
+		setMediaSessionControls(false)
+	})
+
+	return {
+		pictureInPictureWindow,
+		hangUp,
+	}
+}
@@ -5,6 +5,7 @@
 import { createLocalVue, shallowMount, mount } from '@vue/test-utils'
 import flushPromises from 'flush-promises' // TODO fix after migration to @vue/test-utils v2.0.0
 import { cloneDeep } from 'lodash'
+import { createPinia, setActivePinia } from 'pinia'
 import VueRouter from 'vue-router'
 import Vuex from 'vuex'
 
@@ -50,6 +51,7 @@ describe('Conversation.vue', () => {
 		messagesMock = jest.fn().mockReturnValue({})
 		testStoreConfig.modules.messagesStore.getters.messages = () => messagesMock
 		store = new Vuex.Store(testStoreConfig)
+		setActivePinia(createPinia())
 
 		// common defaults
 		item = {
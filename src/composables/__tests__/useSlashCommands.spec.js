@@ -0,0 +1,159 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { createPinia, setActivePinia } from 'pinia'
+import { ref } from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+
+import { CONVERSATION, PARTICIPANT } from '../../constants.ts'
+import { useIntegrationsStore } from '../../stores/integrations.js'
+import { parseReminderTime, useSlashCommands } from '../useSlashCommands.ts'
+import { useStore } from '../useStore.js'
+
+jest.mock('@nextcloud/dialogs', () => ({
+	showError: jest.fn(),
+	showSuccess: jest.fn(),
+}))
+jest.mock('../useStore.js')
+
+describe('useSlashCommands', () => {
+	const TOKEN = 'XXTOKENXX'
+	let conversation
+	let integrationsStore
+
+	jest.useFakeTimers().setSystemTime(new Date('2024-05-01 17:00:00'))
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		integrationsStore = useIntegrationsStore()
+
+		conversation = {
+			token: TOKEN,
+			type: CONVERSATION.TYPE.GROUP,
+			participantType: PARTICIPANT.TYPE.USER,
+			canStartCall: true,
+			hasCall: false,
+		}
+		useStore.mockReturnValue({
+			getters: {
+				conversation: () => conversation,
+				getUserId: () => 'user-id-1',
+				getDisplayName: () => 'Alice',
+				isInCall: () => false,
+			},
+			dispatch: jest.fn(),
+		})
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	test('lists only commands available in the conversation', () => {
+		// Arrange
+		const { getMatchingCommands } = useSlashCommands(ref(TOKEN))
+
+		// Act
+		const commandNames = getMatchingCommands('/').map((command) => command.name)
+
+		// Assert
+		expect(commandNames).toEqual(expect.arrayContaining(['poll', 'me', 'shrug', 'mute', 'call']))
+		expect(commandNames).not.toContain('topic')
+		expect(getMatchingCommands('/sh').map((command) => command.name)).toEqual(['shrug'])
+		expect(getMatchingCommands('/me text')).toEqual([])
+		expect(getMatchingCommands('Hello /me')).toEqual([])
+	})
+
+	test('offers to change the description only where it can be edited', () => {
+		// Arrange
+		const isTopicAvailable = (attributes) => {
+			Object.assign(conversation, attributes)
+			const { getMatchingCommands } = useSlashCommands(ref(TOKEN))
+			return getMatchingCommands('/to').some((command) => command.name === 'topic')
+		}
+
+		// Assert
+		expect(isTopicAvailable({ participantType: PARTICIPANT.TYPE.MODERATOR })).toBe(true)
+		expect(isTopicAvailable({ readOnly: CONVERSATION.STATE.READ_ONLY })).toBe(false)
+		expect(isTopicAvailable({ readOnly: CONVERSATION.STATE.READ_WRITE, participantType: PARTICIPANT.TYPE.GUEST_MODERATOR })).toBe(false)
+		expect(isTopicAvailable({ participantType: PARTICIPANT.TYPE.OWNER, type: CONVERSATION.TYPE.ONE_TO_ONE_FORMER })).toBe(false)
+		expect(isTopicAvailable({ type: CONVERSATION.TYPE.NOTE_TO_SELF })).toBe(false)
+		expect(isTopicAvailable({ type: CONVERSATION.TYPE.PUBLIC })).toBe(true)
+	})
+
+	test('parses command with arguments', () => {
+		// Arrange
+		const { parseCommand } = useSlashCommands(ref(TOKEN))
+
+		// Act
+		const parsedCommand = parseCommand('/ME waves at everyone ')
+
+		// Assert
+		expect(parsedCommand.command.name).toBe('me')
+		expect(parsedCommand.args).toBe('waves at everyone')
+		expect(parseCommand('/unknown command')).toBeNull()
+		expect(parseCommand('/ me')).toBeNull()
+	})
+
+	test('returns message text from built-in commands', async () => {
+		// Arrange
+		const { parseCommand, executeCommand } = useSlashCommands(ref(TOKEN))
+
+		// Act
+		const meMessage = await executeCommand(parseCommand('/me waves'))
+		const shrugMessage = await executeCommand(parseCommand('/shrug Who knows'))
+
+		// Assert
+		expect(meMessage).toBe('*Alice waves*')
+		expect(shrugMessage).toBe('Who knows ¯\\\\\\_(ツ)\\_/¯')
+	})
+
+	test('executes commands registered by other apps', async () => {
+		// Arrange
+		const callback = jest.fn().mockResolvedValue('Rolled 4')
+		integrationsStore.addSlashCommand({ name: 'dice', description: 'Roll a dice', callback })
+		integrationsStore.addSlashCommand({ name: 'me', description: 'Override', callback })
+		const { getMatchingCommands, parseCommand, executeCommand } = useSlashCommands(ref(TOKEN))
+
+		// Act
+		const message = await executeCommand(parseCommand('/dice 6'))
+
+		// Assert
+		expect(message).toBe('Rolled 4')
+		expect(callback).toHaveBeenCalledWith({ token: TOKEN, args: '6', metadata: conversation, apiVersion: 'v3' })
+		expect(getMatchingCommands('/me').map((command) => command.description)).toEqual(['Describe what you are doing'])
+	})
+
+	test('shows an error when a command fails', async () => {
+		// Arrange
+		console.error = jest.fn()
+		integrationsStore.addSlashCommand({
+			name: 'broken',
+			description: 'Always fails',
+			callback: () => { throw new Error('failed') },
+		})
+		const { parseCommand, executeCommand } = useSlashCommands(ref(TOKEN))
+
+		// Act
+		const message = await executeCommand(parseCommand('/broken'))
+
+		// Assert
+		expect(message).toBeUndefined()
+		expect(showError).toHaveBeenCalled()
+	})
+
+	test('parses reminder time', () => {
+		// Arrange
+		const now = Date.now()
+
+		// Act & Assert
+		expect(parseReminderTime('30m')).toBe(now + 30 * 60 * 1000)
+		expect(parseReminderTime('2h')).toBe(now + 2 * 60 * 60 * 1000)
+		expect(parseReminderTime('1d')).toBe(now + 24 * 60 * 60 * 1000)
+		expect(parseReminderTime('tomorrow')).toBe(new Date('2024-05-02 08:00:00').valueOf())
+		expect(parseReminderTime('next week')).toBe(new Date('2024-05-06 08:00:00').valueOf())
+		expect(parseReminderTime('someday')).toBeNull()
+	})
+})
@@ -10,7 +10,9 @@ import type { ComputedRef, Ref } from 'vue'
 import { t } from '@nextcloud/l10n'
 
 import { ATTENDEE, CONVERSATION, PARTICIPANT } from '../constants.ts'
+import { useChatEncryptionStore } from '../stores/chatEncryption.ts'
 import type { Conversation } from '../types/index.ts'
+import { isEncryptedText } from '../utils/e2ee/chatEncryption.js'
 import { getMessageIcon } from '../utils/getMessageIcon.ts'
 
 type Payload = {
@@ -79,6 +81,9 @@ export function useConversationInfo({
 
 		const params = lastMessage.value.messageParameters
 		let subtitle = lastMessage.value.message.trim()
+		if (isEncryptedText(subtitle)) {
+			subtitle = useChatEncryptionStore().getMessagePreview(item.value.token, lastMessage.value).trim()
+		}
 
 		// We don't really use rich objects in the subtitle, instead we fall back to the name of the item
 		Object.keys(params).forEach((parameterKey) => {
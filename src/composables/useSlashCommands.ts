@@ -0,0 +1,266 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { ComputedRef, Ref } from 'vue'
+import { computed } from 'vue'
+
+import { showError, showSuccess } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
+import moment from '@nextcloud/moment'
+
+import { useStore } from './useStore.js'
+import { CONVERSATION, PARTICIPANT, POLL } from '../constants.ts'
+import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
+import { EventBus } from '../services/EventBus.ts'
+import { setMessageReminder } from '../services/remindersService.js'
+import { useChatExtrasStore } from '../stores/chatExtras.js'
+import { useIntegrationsStore } from '../stores/integrations.js'
+import { usePollsStore } from '../stores/polls.ts'
+import type { Conversation } from '../types/index.ts'
+import { ONE_DAY_IN_MS, ONE_HOUR_IN_MS, convertToUnix } from '../utils/formattedTime.ts'
+import { getTimeOptions } from '../utils/timeOptions.ts'
+
+export type SlashCommandData = {
+	token: string,
+	args: string,
+	metadata: Conversation,
+	apiVersion: 'v3',
+}
+export type SlashCommand = {
+	name: string,
+	description: string,
+	params?: string,
+	isAvailable?: (conversation: Conversation) => boolean,
+	callback: (data: SlashCommandData) => string | void | Promise<string | void>,
+}
+type ParsedCommand = { command: SlashCommand, args: string }
+type ReturnType = {
+	commands: ComputedRef<SlashCommand[]>,
+	getMatchingCommands: (text: string) => SlashCommand[],
+	parseCommand: (text: string) => ParsedCommand | null,
+	executeCommand: (parsedCommand: ParsedCommand) => Promise<string | void>,
+}
+
+// Same conditions as for editing the description in the conversation settings
+const DESCRIPTION_EDITOR_TYPES: number[] = [
+	PARTICIPANT.TYPE.OWNER,
+	PARTICIPANT.TYPE.MODERATOR,
+]
+const DESCRIPTION_CONVERSATION_TYPES: number[] = [
+	CONVERSATION.TYPE.GROUP,
+	CONVERSATION.TYPE.PUBLIC,
+]
+
+// Aliases of reminder presets, e.g. "/remind tomorrow"
+const REMINDER_PRESETS: Record<string, string> = {
+	later: 'laterToday',
+	today: 'laterToday',
+	tomorrow: 'tomorrow',
+	weekend: 'thisWeekend',
+	nextweek: 'nextWeek',
+}
+
+/**
+ * Parse a reminder time, either relative ("30m", "2h", "1d") or a preset ("tomorrow")
+ *
+ * @param value the command argument
+ * @return timestamp in ms, or null if not recognized
+ */
+export function parseReminderTime(value: string): number | null {
+	const relativeTime = value.trim().match(/^(\d+)\s*(m|min|h|d)$/i)
+	if (relativeTime) {
+		const units: Record<string, number> = { m: 60 * 1000, min: 60 * 1000, h: ONE_HOUR_IN_MS, d: ONE_DAY_IN_MS }
+		return Date.now() + +relativeTime[1] * units[relativeTime[2].toLowerCase()]
+	}
+
+	const presetKey = REMINDER_PRESETS[value.trim().toLowerCase().replace(/\s/g, '')]
+	return getTimeOptions().find((option) => option.key === presetKey)?.timestamp ?? null
+}
+
+/**
+ * Provides built-in and registered by other apps commands for the chat composer
+ * @param token conversation token
+ */
+export function useSlashCommands(token: Ref<string>): ReturnType {
+	const store = useStore()
+	const chatExtrasStore = useChatExtrasStore()
+	const integrationsStore = useIntegrationsStore()
+	const pollsStore = usePollsStore()
+
+	const isUser = () => store.getters.getUserId() !== null
+
+	const builtInCommands: SlashCommand[] = [
+		{
+			name: 'poll',
+			params: t('spreed', '[question | option | option …]'),
+			description: t('spreed', 'Create a poll'),
+			isAvailable: (conversation) => ![CONVERSATION.TYPE.ONE_TO_ONE, CONVERSATION.TYPE.ONE_TO_ONE_FORMER, CONVERSATION.TYPE.NOTE_TO_SELF]
+				.includes(conversation.type),
+			callback: async ({ token, args }) => {
+				const [question, ...options] = args.split('|').map((part) => part.trim()).filter(Boolean)
+				if (options.length < 2) {
+					// Not enough to create a poll right away, complete it in the editor
+					EventBus.emit('poll-editor-open', { id: null, fromDrafts: false })
+					return
+				}
+				await pollsStore.createPoll({
+					token,
+					form: { question, options, resultMode: POLL.MODE.PUBLIC, maxVotes: POLL.ANSWER_TYPE.SINGLE },
+				})
+			},
+		},
+		{
+			name: 'me',
+			params: t('spreed', '<action>'),
+			description: t('spreed', 'Describe what you are doing'),
+			callback: ({ args }) => {
+				if (!args) {
+					return
+				}
+				return `*${store.getters.getDisplayName()} ${args}*`
+			},
+		},
+		{
+			name: 'shrug',
+			params: t('spreed', '[message]'),
+			description: t('spreed', 'Append ¯\\_(ツ)_/¯ to your message'),
+			// Underscores and backslash are escaped for markdown
+			callback: ({ args }) => `${args} ¯\\\\\\_(ツ)\\_/¯`.trim(),
+		},
+		{
+			name: 'mute',
+			description: t('spreed', 'Turn notifications for this conversation off or back on'),
+			isAvailable: isUser,
+			callback: async ({ token, metadata }) => {
+				const isMuted = metadata.notificationLevel === PARTICIPANT.NOTIFY.NEVER
+				const notificationLevel = isMuted ? PARTICIPANT.NOTIFY.DEFAULT : PARTICIPANT.NOTIFY.NEVER
+				// Store action does not throw, so check the outcome
+				await store.dispatch('setNotificationLevel', { token, notificationLevel })
+				if (store.getters.conversation(token)?.notificationLevel !== notificationLevel) {
+					throw new Error('Notification level was not updated')
+				}
+				showSuccess(isMuted
+					? t('spreed', 'Notifications for this conversation are turned on')
+					: t('spreed', 'Notifications for this conversation are turned off'))
+			},
+		},
+		{
+			name: 'topic',
+			params: t('spreed', '<text>'),
+			description: t('spreed', 'Change the conversation description'),
+			isAvailable: (conversation) => DESCRIPTION_EDITOR_TYPES.includes(conversation.participantType)
+				&& DESCRIPTION_CONVERSATION_TYPES.includes(conversation.type)
+				&& conversation.readOnly !== CONVERSATION.STATE.READ_ONLY,
+			callback: async ({ token, args }) => {
+				await store.dispatch('setConversationDescription', { token, description: args })
+				if (store.getters.conversation(token)?.description !== args) {
+					throw new Error('Description was not updated')
+				}
+				showSuccess(t('spreed', 'Conversation description was updated'))
+			},
+		},
+		{
+			name: 'remind',
+			params: t('spreed', '<30m | 2h | 1d | tomorrow | nextweek>'),
+			description: t('spreed', 'Remind me about the replied or the last message'),
+			isAvailable: (conversation) => isUser() && hasTalkFeature(conversation.token, 'remind-me-later'),
+			callback: async ({ token, args, metadata }) => {
+				// Last message of federated conversations is a proxy without id
+				const lastMessageId = metadata.lastMessage && 'id' in metadata.lastMessage ? metadata.lastMessage.id : undefined
+				const messageId = chatExtrasStore.getParentIdToReply(token) || lastMessageId
+				const timestamp = parseReminderTime(args)
+				if (!messageId || !timestamp) {
+					showError(t('spreed', 'Use for example "/remind 30m" or "/remind tomorrow"'))
+					return
+				}
+				try {
+					await setMessageReminder(token, messageId, convertToUnix(timestamp))
+					chatExtrasStore.removeParentIdToReply(token)
+					showSuccess(t('spreed', 'A reminder was successfully set at {datetime}', {
+						datetime: moment(timestamp).format('LLL'),
+					}))
+				} catch (error) {
+					console.error(error)
+					showError(t('spreed', 'Error occurred when creating a reminder'))
+				}
+			},
+		},
+		{
+			name: 'call',
+			description: t('spreed', 'Start or join a call'),
+			isAvailable: (conversation) => (conversation.canStartCall || conversation.hasCall)
+				&& !store.getters.isInCall(conversation.token),
+			callback: () => {
+				EventBus.emit('start-call')
+			},
+		},
+	]
+
+	const commands = computed(() => {
+		const conversation = store.getters.conversation(token.value)
+		if (!conversation) {
+			return []
+		}
+		// Built-in commands can not be overridden by other apps
+		const builtInNames = builtInCommands.map((command) => command.name)
+		return [
+			...builtInCommands.filter((command) => !command.isAvailable || command.isAvailable(conversation)),
+			...integrationsStore.slashCommands.filter((command: SlashCommand) => !builtInNames.includes(command.name)),
+		]
+	})
+
+	/**
+	 * Commands matching the text typed so far, e.g. "/po"
+	 * @param text composer text
+	 */
+	function getMatchingCommands(text: string): SlashCommand[] {
+		const match = text.match(/^\/(\S*)$/)
+		if (!match) {
+			return []
+		}
+		const query = match[1].toLowerCase()
+		return commands.value.filter((command) => command.name.toLowerCase().startsWith(query))
+	}
+
+	/**
+	 * Find the command and its arguments in the composer text
+	 * @param text composer text, e.g. "/topic Weekly sync"
+	 */
+	function parseCommand(text: string): ParsedCommand | null {
+		const match = text.trim().match(/^\/(\S+)(?:\s+([\s\S]*))?$/)
+		if (!match) {
+			return null
+		}
+		const command = commands.value.find((command) => command.name.toLowerCase() === match[1].toLowerCase())
+		return command ? { command, args: match[2]?.trim() ?? '' } : null
+	}
+
+	/**
+	 * Run the command, resolves with a message text to post, if command provides one
+	 * @param parsedCommand command and its arguments
+	 * @param parsedCommand.command command to execute
+	 * @param parsedCommand.args command arguments
+	 */
+	async function executeCommand({ command, args }: ParsedCommand): Promise<string | void> {
+		try {
+			return await command.callback({
+				token: token.value,
+				args,
+				metadata: store.getters.conversation(token.value),
+				apiVersion: 'v3',
+			})
+		} catch (error) {
+			console.error('Error while executing command /' + command.name, error)
+			showError(t('spreed', 'Could not execute the command /{name}', { name: command.name }))
+		}
+	}
+
+	return {
+		commands,
+		getMatchingCommands,
+		parseCommand,
+		executeCommand,
+	}
+}
@@ -31,6 +31,7 @@ export const CHAT = {
 	MINIMUM_VISIBLE: 5,
 	FETCH_OLD: 0,
 	FETCH_NEW: 1,
+	CACHE_LIMIT: 200,
 } as const
 
 export const CALL = {
@@ -71,6 +72,11 @@ export const CONVERSATION = {
 		MODERATORS: 1,
 	},
 
+	WEBINAR_MODE: {
+		DISABLED: 0,
+		ENABLED: 1,
+	},
+
 	TYPE: {
 		ONE_TO_ONE: 1,
 		GROUP: 2,
@@ -234,6 +240,13 @@ export const WEBINAR = {
 		ENABLED: 1,
 		ENABLED_NO_PIN: 2,
 	},
+
+	// Default permissions of the audience in webinar mode: they can join the
+	// call and ask questions in the chat, but not publish any media
+	AUDIENCE_PERMISSIONS: PARTICIPANT.PERMISSIONS.CALL_JOIN | PARTICIPANT.PERMISSIONS.CHAT,
+	// Permissions given to an attendee when brought on stage
+	STAGE_PERMISSIONS: PARTICIPANT.PERMISSIONS.CUSTOM | PARTICIPANT.PERMISSIONS.CALL_JOIN | PARTICIPANT.PERMISSIONS.CHAT
+		| PARTICIPANT.PERMISSIONS.PUBLISH_AUDIO | PARTICIPANT.PERMISSIONS.PUBLISH_VIDEO | PARTICIPANT.PERMISSIONS.PUBLISH_SCREEN,
 } as const
 
 export const SHARE = {
@@ -291,6 +304,72 @@ export const SIMULCAST = {
 	HIGH: 2,
 } as const
 
+export const LOW_BANDWIDTH = {
+	MODE: {
+		AUTO: 'auto',
+		ON: 'on',
+		OFF: 'off',
+	},
+	// Each level includes the restrictions of the previous ones
+	LEVEL: {
+		NONE: 0,
+		REDUCED_SENT_VIDEO: 1,
+		LOW_RECEIVED_VIDEO: 2,
+		NON_SPEAKERS_VIDEO_PAUSED: 3,
+		AUDIO_ONLY: 4,
+	},
+} as const
+
+export const CALL_LAYOUT = {
+	PRESET: {
+		GRID: 'grid',
+		SPEAKER: 'speaker',
+		SIDE_BY_SIDE: 'side-by-side',
+	},
+	// 0 fits as many tiles as possible in the page
+	TILES_PER_PAGE: [0, 4, 9, 16, 25],
+} as const
+
+export const CALL_ENCRYPTION = {
+	// State of the end-to-end encryption with each remote session
+	STATE: {
+		NEGOTIATING: 'negotiating',
+		ENCRYPTED: 'encrypted',
+		FAILED: 'failed',
+	},
+	// Status shown to the user, which also takes the verification into account
+	STATUS: {
+		VERIFIED: 'verified',
+		ENCRYPTED: 'encrypted',
+		NEGOTIATING: 'negotiating',
+		REFUSED: 'refused',
+		FAILED: 'failed',
+	},
+} as const
+
+export const CHAT_ENCRYPTION = {
+	// Messages are only encrypted for devices accepted after comparing the safety number
+	DEVICE_STATUS: {
+		PENDING: 'pending',
+		ACCEPTED: 'accepted',
+		REJECTED: 'rejected',
+	},
+} as const
+
+// Durations in seconds
+export const AGENDA = {
+	DEFAULT_ITEM_DURATION: 5 * 60,
+	WARNING_THRESHOLD: 60,
+} as const
+
+export const CALL_QUESTION = {
+	STATE: {
+		OPEN: 'open',
+		ANSWERED: 'answered',
+		DISMISSED: 'dismissed',
+	},
+} as const
+
 export const VIRTUAL_BACKGROUND = {
 	BACKGROUND_TYPE: {
 		BLUR: 'blur',
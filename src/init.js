@@ -8,12 +8,18 @@
 
 import { showError } from '@nextcloud/dialogs'
 import { t } from '@nextcloud/l10n'
+import { generateUrl } from '@nextcloud/router'
 
 import { CALL, PARTICIPANT, VIRTUAL_BACKGROUND } from './constants.ts'
 import BrowserStorage from './services/BrowserStorage.js'
 import { EventBus } from './services/EventBus.ts'
+import { ExtensionAPI } from './services/ExtensionAPI.ts'
+import { clearMessagesCache } from './services/messagesCache.ts'
 import store from './store/index.js'
 import { useIntegrationsStore } from './stores/integrations.js'
+import { MockCaptionsProvider } from './utils/webrtc/captions/MockCaptionsProvider.ts'
+import { registerCaptionsProvider } from './utils/webrtc/captions/providers.ts'
+import { isWebSpeechSupported, WebSpeechCaptionsProvider } from './utils/webrtc/captions/WebSpeechCaptionsProvider.ts'
 
 import '@nextcloud/dialogs/style.css'
 
@@ -52,6 +58,58 @@ window.OCA.Talk.registerParticipantSearchAction = ({ label, callback, show, icon
 	integrationsStore.addParticipantSearchAction(participantSearchAction)
 }
 
+/**
+ * Frontend chat API for adding commands to the chat composer.
+ *
+ * @param {object} data the wrapping object;
+ * @param {string} data.name the command name without leading slash, e.g. "deck".
+ * @param {string} data.description the command description shown in the picker.
+ * @param {string} [data.params] the hint for command arguments, e.g. "<title>".
+ * @param {Function} data.callback the callback function. This function will receive
+ * the commandAPIData object as a parameter and be triggered, when the command is
+ * sent. If it returns (or resolves with) a string, it is posted as a message.
+ */
+window.OCA.Talk.registerSlashCommand = ({ name, description, params, callback }) => {
+	const slashCommand = {
+		name,
+		description,
+		params,
+		callback,
+	}
+	const integrationsStore = useIntegrationsStore()
+	integrationsStore.addSlashCommand(slashCommand)
+}
+
+// Versioned API for other apps to extend the sidebar, the chat composer, messages and the call view
+window.OCA.Talk.Extensions = ExtensionAPI
+
+// Speech recognition of the browser for live captions, if supported
+if (isWebSpeechSupported()) {
+	registerCaptionsProvider(WebSpeechCaptionsProvider)
+}
+
+// Captions without speech recognition, to test the captions UI
+if (OC.debug) {
+	registerCaptionsProvider(MockCaptionsProvider)
+}
+
+// Cached messages are not left behind in the browser after logging out. The
+// logout link of the user menu is followed once the cache is deleted.
+document.addEventListener('click', async (event) => {
+	const link = event.target.closest?.('a[href]')
+	if (!link || event.defaultPrevented) {
+		return
+	}
+	const url = new URL(link.href, window.location.href)
+	if (url.origin !== window.location.origin || url.pathname !== generateUrl('/logout')) {
+		return
+	}
+
+	event.preventDefault()
+	await clearMessagesCache()
+	window.location.href = link.href
+})
+
 EventBus.on('signaling-join-room', (payload) => {
 	const token = payload[0]
 	store.dispatch('updateLastJoinedConversationToken', token)
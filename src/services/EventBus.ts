@@ -24,6 +24,7 @@ export type Events = {
 	'forbidden-route': { error: string },
 	'joined-conversation': { token: string },
 	'message-height-changed': { heightDiff: number },
+	'message-focused': number,
 	'poll-drafts-open': { selector?: string },
 	'poll-editor-open': { id: number | null, fromDrafts: boolean, action?: string, selector?: string },
 	'refresh-peer-list': void,
@@ -41,8 +42,10 @@ export type Events = {
 	'signaling-users-changed': [(Partial<Participant> & ({ sessionId: string } | { nextcloudSessionId: string }))[]],
 	'signaling-users-in-room': [{ sessionId: string, userId: string }[]],
 	'smart-picker-open': void,
+	'start-call': void,
 	'switch-to-conversation': { token: string },
 	'talk:poll-added': { token: string, message: ChatMessage },
+	'toggle-picture-in-picture': void,
 	'upload-discard': void,
 	'upload-finished': void,
 	'upload-start': void,
@@ -0,0 +1,351 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { readonly, ref, markRaw } from 'vue'
+import type { Ref } from 'vue'
+
+import { EventBus } from './EventBus.ts'
+import type { Events } from './EventBus.ts'
+import { MENTION } from '../constants.ts'
+import type { Conversation } from '../types/index.ts'
+import { registerCaptionsProvider as addCaptionsProvider, getCaptionsProviders, unregisterCaptionsProvider } from '../utils/webrtc/captions/providers.ts'
+import type { CaptionsProvider } from '../utils/webrtc/captions/providers.ts'
+
+/**
+ * Version of the extension API, increased on breaking changes
+ */
+export const EXTENSION_API_VERSION = 1
+
+type ExtensionSidebarTab = {
+	/**
+	 * Tab internal ID
+	 */
+	id: string
+	/**
+	 * Tab visible name
+	 */
+	name: string
+	/**
+	 * WebComponent's (custom element's) tag name to render as the tab content, receives `token` property
+	 */
+	element: string
+	/**
+	 * Inline SVG icon of the tab
+	 */
+	icon?: string
+	/**
+	 * Position among the tabs, built-in tabs use values from 0 to 10
+	 */
+	order?: number
+	/**
+	 * Whether the tab should be shown for the conversation
+	 */
+	isAvailable?: (conversation: Conversation) => boolean
+}
+
+type ExtensionComposerAction = {
+	/**
+	 * Action internal ID
+	 */
+	id: string
+	/**
+	 * Action visible label
+	 */
+	label: string
+	/**
+	 * Inline SVG icon of the action
+	 */
+	icon?: string
+	/**
+	 * Triggered by a click on the action in the attachments menu
+	 */
+	callback: (data: { token: string, apiVersion: number }) => void
+	/**
+	 * Whether the action should be shown for the conversation
+	 */
+	isAvailable?: (conversation: Conversation) => boolean
+}
+
+type ExtensionRichObjectRenderer = {
+	/**
+	 * Rich object type to render, e.g. 'tables-row'
+	 */
+	type: string
+	/**
+	 * WebComponent's (custom element's) tag name, receives `parameter` and `token` properties
+	 */
+	element: string
+}
+
+type ExtensionCallOverlay = {
+	/**
+	 * Overlay internal ID
+	 */
+	id: string
+	/**
+	 * WebComponent's (custom element's) tag name to render above the call view, receives `token` property
+	 */
+	element: string
+	/**
+	 * Corner of the call view to place the overlay in
+	 */
+	position?: 'top-start' | 'top-end' | 'bottom-start' | 'bottom-end'
+}
+
+// Public events and their payloads, independent of internal EventBus events
+type ExtensionEvents = {
+	'conversation-joined': { token: string }
+	'call-joined': { token: string, flags: number }
+	'poll-added': { token: string, messageId: number }
+	'upload-finished': Record<string, never>
+}
+type ExtensionEventName = keyof ExtensionEvents
+type ExtensionEventHandler<Name extends ExtensionEventName> = (payload: ExtensionEvents[Name]) => void
+
+// Internal event and payload conversion for each public event
+const EXTENSION_EVENTS: { [Name in ExtensionEventName]: { source: keyof Events, convert: (payload: never) => ExtensionEvents[Name] } } = {
+	'conversation-joined': {
+		source: 'joined-conversation',
+		convert: ({ token }: Events['joined-conversation']) => ({ token }),
+	},
+	'call-joined': {
+		source: 'signaling-join-call',
+		convert: ([token, flags]: Events['signaling-join-call']) => ({ token, flags }),
+	},
+	'poll-added': {
+		source: 'talk:poll-added',
+		convert: ({ token, message }: Events['talk:poll-added']) => ({ token, messageId: message.id }),
+	},
+	'upload-finished': {
+		source: 'upload-finished',
+		convert: () => ({}),
+	},
+}
+
+// Rich object types rendered by Talk itself
+const BUILT_IN_RICH_OBJECT_TYPES: string[] = [...Object.values(MENTION.TYPE), 'file', 'deck-card', 'geo-location', 'talk-poll']
+
+const CUSTOM_ELEMENT_NAME_REGEX = /^[a-z][a-z0-9._]*-[a-z0-9._-]*$/
+
+// TODO: use shallowReactive instead of ref + markRaw in Vue 3 (see SettingsAPI.ts)
+const sidebarTabs: Ref<ExtensionSidebarTab[]> = ref([])
+const composerActions: Ref<ExtensionComposerAction[]> = ref([])
+const richObjectRenderers: Ref<ExtensionRichObjectRenderer[]> = ref([])
+const callOverlays: Ref<ExtensionCallOverlay[]> = ref([])
+const eventHandlers = new Map<ExtensionEventName, Map<(payload: never) => void, (payload: unknown) => void>>()
+
+/**
+ * Throw an error for an invalid extension registration
+ * @param condition - condition to be fulfilled
+ * @param message - description of the problem
+ */
+function assert(condition: boolean, message: string): asserts condition {
+	if (!condition) {
+		throw new Error('[Talk extension API] ' + message)
+	}
+}
+
+/**
+ * Check that the ID is valid and not taken yet
+ * @param ids - IDs of already registered items
+ * @param id - ID of item to register
+ */
+function validateId(ids: string[], id: string) {
+	assert(typeof id === 'string' && id !== '', 'id must be a non-empty string')
+	assert(!ids.includes(id), `"${id}" is already registered`)
+}
+
+/**
+ * Check that the custom element name is valid
+ * @param element - custom element tag name
+ */
+function validateElement(element: string) {
+	assert(typeof element === 'string' && CUSTOM_ELEMENT_NAME_REGEX.test(element), `"${element}" is not a valid custom element name`)
+}
+
+/**
+ * Remove an item with given key from the list
+ * @param list - list of registered items
+ * @param predicate - function to find the item
+ */
+function remove<T>(list: Ref<T[]>, predicate: (item: T) => boolean) {
+	const index = list.value.findIndex(predicate)
+	if (index !== -1) {
+		list.value.splice(index, 1)
+	}
+}
+
+/**
+ * Call a function provided by an extension, so its errors do not break Talk
+ * @param id - extension item ID (for logging)
+ * @param fn - function to call
+ * @param fallback - value to return on errors
+ */
+export function callExtension<T>(id: string, fn: () => T, fallback: T): T {
+	try {
+		return fn()
+	} catch (error) {
+		console.error(`[Talk extension API] Error in "${id}"`, error)
+		return fallback
+	}
+}
+
+/**
+ * Register a custom right sidebar tab
+ * @param tab - Sidebar tab
+ * @return function to unregister the tab
+ */
+function registerSidebarTab(tab: ExtensionSidebarTab) {
+	validateId(sidebarTabs.value.map(({ id }) => id), tab.id)
+	validateElement(tab.element)
+	assert(typeof tab.name === 'string' && tab.name !== '', 'name must be a non-empty string')
+	sidebarTabs.value.push(markRaw({ ...tab }))
+	return () => unregisterSidebarTab(tab.id)
+}
+
+/**
+ * Unregister a custom right sidebar tab
+ * @param id - Tab ID
+ */
+function unregisterSidebarTab(id: string) {
+	remove(sidebarTabs, (tab) => tab.id === id)
+}
+
+/**
+ * Register an action in the attachments menu of the chat composer
+ * @param action - Composer action
+ * @return function to unregister the action
+ */
+function registerComposerAction(action: ExtensionComposerAction) {
+	validateId(composerActions.value.map(({ id }) => id), action.id)
+	assert(typeof action.label === 'string' && action.label !== '', 'label must be a non-empty string')
+	assert(typeof action.callback === 'function', 'callback must be a function')
+	composerActions.value.push(markRaw({ ...action }))
+	return () => unregisterComposerAction(action.id)
+}
+
+/**
+ * Unregister an action of the chat composer
+ * @param id - Action ID
+ */
+function unregisterComposerAction(id: string) {
+	remove(composerActions, (action) => action.id === id)
+}
+
+/**
+ * Register a custom renderer for rich objects of given type in chat messages
+ * @param renderer - Rich object renderer
+ * @return function to unregister the renderer
+ */
+function registerRichObjectRenderer(renderer: ExtensionRichObjectRenderer) {
+	assert(!BUILT_IN_RICH_OBJECT_TYPES.includes(renderer.type), `"${renderer.type}" rich objects are rendered by Talk`)
+	validateId(richObjectRenderers.value.map(({ type }) => type), renderer.type)
+	validateElement(renderer.element)
+	richObjectRenderers.value.push(markRaw({ ...renderer }))
+	return () => unregisterRichObjectRenderer(renderer.type)
+}
+
+/**
+ * Unregister a custom renderer for rich objects
+ * @param type - Rich object type
+ */
+function unregisterRichObjectRenderer(type: string) {
+	remove(richObjectRenderers, (renderer) => renderer.type === type)
+}
+
+/**
+ * Register a widget to show above the call view
+ * @param overlay - Call overlay
+ * @return function to unregister the overlay
+ */
+function registerCallOverlay(overlay: ExtensionCallOverlay) {
+	validateId(callOverlays.value.map(({ id }) => id), overlay.id)
+	validateElement(overlay.element)
+	callOverlays.value.push(markRaw({ position: 'top-end', ...overlay }))
+	return () => unregisterCallOverlay(overlay.id)
+}
+
+/**
+ * Unregister a widget of the call view
+ * @param id - Overlay ID
+ */
+function unregisterCallOverlay(id: string) {
+	remove(callOverlays, (overlay) => overlay.id === id)
+}
+
+/**
+ * Register a speech-to-text provider for live captions in calls
+ * @param provider - Captions provider
+ * @return function to unregister the provider
+ */
+function registerCaptionsProvider(provider: CaptionsProvider) {
+	validateId(getCaptionsProviders().map(({ id }) => id), provider.id)
+	assert(typeof provider.name === 'string' && provider.name !== '', 'name must be a non-empty string')
+	assert(typeof provider.start === 'function', 'start must be a function')
+	addCaptionsProvider(provider)
+	return () => unregisterCaptionsProvider(provider.id)
+}
+
+/**
+ * Subscribe to a public Talk event
+ * @param name - Event name
+ * @param handler - Event handler, receives a copy of the event payload
+ * @return function to unsubscribe
+ */
+function subscribe<Name extends ExtensionEventName>(name: Name, handler: ExtensionEventHandler<Name>) {
+	assert(name in EXTENSION_EVENTS, `"${name}" is not a public event`)
+	assert(typeof handler === 'function', 'handler must be a function')
+	if (!eventHandlers.has(name)) {
+		eventHandlers.set(name, new Map())
+	}
+	if (!eventHandlers.get(name)!.has(handler)) {
+		const { source, convert } = EXTENSION_EVENTS[name]
+		const wrappedHandler = (payload: unknown) => callExtension(name, () => handler(convert(payload as never)), undefined)
+		eventHandlers.get(name)!.set(handler, wrappedHandler)
+		EventBus.on(source, wrappedHandler)
+	}
+	return () => unsubscribe(name, handler)
+}
+
+/**
+ * Unsubscribe from a public Talk event
+ * @param name - Event name
+ * @param handler - Event handler passed to subscribe
+ */
+function unsubscribe<Name extends ExtensionEventName>(name: Name, handler: ExtensionEventHandler<Name>) {
+	const wrappedHandler = eventHandlers.get(name)?.get(handler)
+	if (wrappedHandler) {
+		EventBus.off(EXTENSION_EVENTS[name].source, wrappedHandler)
+		eventHandlers.get(name)!.delete(handler)
+	}
+}
+
+export const ExtensionAPI = {
+	version: EXTENSION_API_VERSION,
+	registerSidebarTab,
+	unregisterSidebarTab,
+	registerComposerAction,
+	unregisterComposerAction,
+	registerRichObjectRenderer,
+	unregisterRichObjectRenderer,
+	registerCallOverlay,
+	unregisterCallOverlay,
+	registerCaptionsProvider,
+	unregisterCaptionsProvider,
+	subscribe,
+	unsubscribe,
+}
+
+/**
+ * Composable to use extensions registered by other apps in Talk
+ */
+export function useExtensions() {
+	return {
+		sidebarTabs: readonly(sidebarTabs),
+		composerActions: readonly(composerActions),
+		callOverlays: readonly(callOverlays),
+		getRichObjectRenderer: (type: string) => richObjectRenderers.value.find((renderer) => renderer.type === type),
+	}
+}
@@ -0,0 +1,83 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { jest, describe, it, expect } from '@jest/globals'
+
+import { EventBus } from '../EventBus.ts'
+import { ExtensionAPI, callExtension, useExtensions } from '../ExtensionAPI.ts'
+
+describe('ExtensionAPI', () => {
+	it('should have a version', () => {
+		expect(ExtensionAPI.version).toBe(1)
+	})
+
+	it('should register and unregister sidebar tabs', () => {
+		const { sidebarTabs } = useExtensions()
+		const tab = { id: 'test', name: 'Test', element: 'test-element' }
+
+		const unregister = ExtensionAPI.registerSidebarTab(tab)
+		expect(sidebarTabs.value).toEqual([tab])
+
+		unregister()
+		expect(sidebarTabs.value).toEqual([])
+	})
+
+	it('should reject invalid or duplicated registrations', () => {
+		const { composerActions } = useExtensions()
+		const action = { id: 'test', label: 'Test', callback: jest.fn() }
+		ExtensionAPI.registerComposerAction(action)
+
+		expect(() => ExtensionAPI.registerComposerAction(action)).toThrow('"test" is already registered')
+		expect(() => ExtensionAPI.registerComposerAction({ id: 'other', label: 'Other' })).toThrow('callback must be a function')
+		expect(() => ExtensionAPI.registerSidebarTab({ id: 'test', name: 'Test', element: 'div' })).toThrow('"div" is not a valid custom element name')
+		expect(() => ExtensionAPI.registerCallOverlay({ id: '', element: 'test-element' })).toThrow('id must be a non-empty string')
+		expect(composerActions.value).toEqual([action])
+
+		ExtensionAPI.unregisterComposerAction('test')
+		expect(composerActions.value).toEqual([])
+	})
+
+	it('should register rich object renderers except built-in types', () => {
+		const { getRichObjectRenderer } = useExtensions()
+
+		expect(() => ExtensionAPI.registerRichObjectRenderer({ type: 'file', element: 'test-file' })).toThrow('"file" rich objects are rendered by Talk')
+		ExtensionAPI.registerRichObjectRenderer({ type: 'tables-row', element: 'test-row' })
+		expect(getRichObjectRenderer('tables-row')).toEqual({ type: 'tables-row', element: 'test-row' })
+
+		ExtensionAPI.unregisterRichObjectRenderer('tables-row')
+		expect(getRichObjectRenderer('tables-row')).toBeUndefined()
+	})
+
+	it('should register call overlays with default position', () => {
+		const { callOverlays } = useExtensions()
+
+		const unregister = ExtensionAPI.registerCallOverlay({ id: 'test', element: 'test-element' })
+		expect(callOverlays.value).toEqual([{ id: 'test', element: 'test-element', position: 'top-end' }])
+
+		unregister()
+		expect(callOverlays.value).toEqual([])
+	})
+
+	it('should forward public events with converted payload', () => {
+		const handler = jest.fn()
+
+		const unsubscribe = ExtensionAPI.subscribe('call-joined', handler)
+		EventBus.emit('signaling-join-call', ['TOKEN', 7])
+		expect(handler).toHaveBeenCalledWith({ token: 'TOKEN', flags: 7 })
+
+		unsubscribe()
+		EventBus.emit('signaling-join-call', ['TOKEN', 7])
+		expect(handler).toHaveBeenCalledTimes(1)
+
+		expect(() => ExtensionAPI.subscribe('signaling-join-call', handler)).toThrow('"signaling-join-call" is not a public event')
+	})
+
+	it('should not break on errors in extension functions', () => {
+		console.error = jest.fn()
+
+		expect(callExtension('test', () => { throw new Error('failed') }, false)).toBe(false)
+		expect(callExtension('test', () => true, false)).toBe(true)
+		expect(console.error).toHaveBeenCalledTimes(1)
+	})
+})
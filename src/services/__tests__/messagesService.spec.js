@@ -15,6 +15,14 @@ import {
 	editMessage,
 	postRichObjectToConversation,
 	updateLastReadMessage,
+	getPinnedMessages,
+	pinMessage,
+	unpinMessage,
+	getThreadMessages,
+	getScheduledMessages,
+	scheduleMessage,
+	editScheduledMessage,
+	deleteScheduledMessage,
 } from '../messagesService.ts'
 import {
 	addReactionToMessage,
@@ -157,6 +165,32 @@ describe('messagesService', () => {
 		)
 	})
 
+	test('postNewMessage calls the chat API endpoint with thread id', () => {
+		postNewMessage({
+			token: 'XXTOKENXX',
+			message: 'hello thread!',
+			actorDisplayName: 'actor-display-name',
+			referenceId: 'reference-id',
+			parent: { id: 111 },
+			threadId: 100,
+		}, {
+			silent: false,
+		})
+
+		expect(axios.post).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX'),
+			{
+				message: 'hello thread!',
+				actorDisplayName: 'actor-display-name',
+				referenceId: 'reference-id',
+				replyTo: 111,
+				silent: false,
+				threadId: 100,
+			},
+			{}
+		)
+	})
+
 	test('deleteMessage calls the chat API endpoint', () => {
 		deleteMessage({
 			token: 'XXTOKENXX',
@@ -260,6 +294,122 @@ describe('messagesService', () => {
 		)
 	})
 
+	test('getPinnedMessages calls the pin API endpoint', () => {
+		getPinnedMessages('XXTOKENXX', { dummyOption: true })
+
+		expect(axios.get).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/pin'),
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('pinMessage calls the pin API endpoint', () => {
+		pinMessage({ token: 'XXTOKENXX', messageId: 1234 }, { dummyOption: true })
+
+		expect(axios.post).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/1234/pin'),
+			{},
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('unpinMessage calls the pin API endpoint', () => {
+		unpinMessage({ token: 'XXTOKENXX', messageId: 1234 }, { dummyOption: true })
+
+		expect(axios.delete).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/1234/pin'),
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('getThreadMessages calls the thread API endpoint', () => {
+		getThreadMessages({ token: 'XXTOKENXX', threadId: 1234, lastKnownMessageId: 1240 }, { dummyOption: true })
+
+		expect(axios.get).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/threads/1234'),
+			{
+				dummyOption: true,
+				params: {
+					lastKnownMessageId: 1240,
+					limit: 100,
+				},
+			}
+		)
+	})
+
+	test('getScheduledMessages calls the schedule API endpoint', () => {
+		getScheduledMessages('XXTOKENXX', { dummyOption: true })
+
+		expect(axios.get).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/schedule'),
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('scheduleMessage calls the schedule API endpoint', () => {
+		scheduleMessage({
+			token: 'XXTOKENXX',
+			message: 'hello',
+			sendAt: 1736931600,
+			parent: { id: 1234 },
+			silent: false,
+		}, { dummyOption: true })
+
+		expect(axios.post).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/schedule'),
+			{
+				message: 'hello',
+				sendAt: 1736931600,
+				replyTo: 1234,
+				silent: false,
+			},
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('editScheduledMessage calls the schedule API endpoint', () => {
+		editScheduledMessage({
+			token: 'XXTOKENXX',
+			messageId: 5,
+			message: 'hello again',
+			sendAt: 1736931600,
+			silent: true,
+		}, { dummyOption: true })
+
+		expect(axios.put).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/schedule/5'),
+			{
+				message: 'hello again',
+				sendAt: 1736931600,
+				silent: true,
+			},
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
+	test('deleteScheduledMessage calls the schedule API endpoint', () => {
+		deleteScheduledMessage({ token: 'XXTOKENXX', messageId: 5 }, { dummyOption: true })
+
+		expect(axios.delete).toHaveBeenCalledWith(
+			generateOcsUrl('apps/spreed/api/v1/chat/XXTOKENXX/schedule/5'),
+			{
+				dummyOption: true,
+			}
+		)
+	})
+
 	test('getReactionsDetails calls the reaction API endpoint', () => {
 		getReactionsDetails('XXTOKENXX', 1234, { dummyOption: true })
 
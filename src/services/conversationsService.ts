@@ -52,6 +52,8 @@ import type {
 	setConversationPermissionsResponse,
 	setConversationMessageExpirationParams,
 	setConversationMessageExpirationResponse,
+	setConversationWebinarModeParams,
+	setConversationWebinarModeResponse,
 } from '../types/index.ts'
 
 /**
@@ -305,6 +307,17 @@ async function setMentionPermissions(token: string, mentionPermissions: setConve
 	} as setConversationMentionsPermissionsParams)
 }
 
+/**
+ * Set the webinar mode, in which participants join calls as audience
+ * @param token The token of the conversation to be modified
+ * @param webinarMode The webinar mode to set
+ */
+async function setWebinarMode(token: string, webinarMode: setConversationWebinarModeParams['webinarMode']): setConversationWebinarModeResponse {
+	return axios.put(generateOcsUrl('apps/spreed/api/v4/room/{token}/webinar-mode', { token }), {
+		webinarMode,
+	} as setConversationWebinarModeParams)
+}
+
 /**
  * Set the default permissions for participants in a conversation.
  * @param token conversation token
@@ -371,4 +384,5 @@ export {
 	setCallPermissions,
 	setMessageExpiration,
 	setMentionPermissions,
+	setWebinarMode,
 }
@@ -3,8 +3,9 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import { getCurrentUser } from '@nextcloud/auth'
 import axios from '@nextcloud/axios'
-import { generateOcsUrl } from '@nextcloud/router'
+import { generateOcsUrl, generateRemoteUrl } from '@nextcloud/router'
 
 import type {
 	OutOfOfficeResponse,
@@ -25,6 +26,23 @@ const getUpcomingEvents = async (location: string): UpcomingEventsResponse => {
 	})
 }
 
+/**
+ * Get the iCalendar data of an event of the current user, like one of the
+ * upcoming events of a conversation.
+ * @param calendarUri last part of the calendar URI as seen by the user
+ * @param eventUri URI of the event in the calendar
+ */
+const getEventData = async (calendarUri: string, eventUri: string): Promise<{ data: string }> => {
+	const userId = getCurrentUser()?.uid
+	if (!userId) {
+		throw new TypeError('Cannot get calendar events without a user')
+	}
+
+	return axios.get(generateRemoteUrl('dav/calendars/' + encodeURIComponent(userId) + '/' + encodeURIComponent(calendarUri) + '/' + encodeURIComponent(eventUri)), {
+		responseType: 'text',
+	})
+}
+
 /**
  * Get absence information for a user (in a given 1-1 conversation).
  * @param userId user id
@@ -58,6 +76,7 @@ const scheduleMeeting = async function(token: string, { calendarUri, start, end,
 }
 
 export {
+	getEventData,
 	getUpcomingEvents,
 	getUserAbsence,
 	scheduleMeeting,
@@ -0,0 +1,304 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { getCurrentUser } from '@nextcloud/auth'
+import { getBuilder } from '@nextcloud/browser-storage'
+
+import type { ChatMessage } from '../types/index.ts'
+
+type CachedConversation = {
+	token: string,
+	firstKnown: number,
+	lastKnown: number,
+}
+type CachedMessages = Omit<CachedConversation, 'token'> & {
+	messages: ChatMessage[],
+}
+export type OutboxEntry = {
+	id: ChatMessage['id'], // id of the temporary message
+	token: string,
+	createdAt: number,
+	ownerTabId: string,
+	temporaryMessage: ChatMessage,
+	options: { silent?: boolean } | null,
+	upload?: {
+		uploadId: string,
+		index: string,
+		file: File,
+		caption: string | null,
+	},
+}
+
+const DATABASE_NAME = 'nextcloud:talk:messages'
+const DATABASE_VERSION = 2
+const MESSAGES_STORE = 'messages'
+const CONVERSATIONS_STORE = 'conversations'
+const OUTBOX_STORE = 'outbox'
+
+/**
+ * Note: unlike BrowserStorage.js this storage is cleared on logout (same as
+ * SessionStorage.js), but is shared between tabs. The database is deleted when
+ * logging out from Talk, and a missing owner means that the user has logged out
+ * elsewhere since the cache was written, so it has to be purged as well.
+ */
+const cacheOwnerStorage = getBuilder('talk').persist().clearOnLogout().build()
+
+let databasePromise: Promise<IDBDatabase | null> | null = null
+
+/**
+ * Wrap an IndexedDB request into a promise
+ *
+ * @param request IndexedDB request
+ */
+function promisifyRequest<T>(request: IDBRequest<T>): Promise<T> {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result)
+		request.onerror = () => reject(request.error)
+	})
+}
+
+/**
+ * Wrap an IndexedDB transaction into a promise, resolving when it is committed
+ *
+ * @param transaction IndexedDB transaction
+ */
+function promisifyTransaction(transaction: IDBTransaction): Promise<void> {
+	return new Promise((resolve, reject) => {
+		transaction.oncomplete = () => resolve()
+		transaction.onerror = () => reject(transaction.error)
+		transaction.onabort = () => reject(transaction.error)
+	})
+}
+
+/**
+ * Get the key range covering all cached messages of a conversation
+ *
+ * @param token conversation token
+ */
+function getConversationRange(token: string): IDBKeyRange {
+	return IDBKeyRange.bound([token, 0], [token, Infinity])
+}
+
+/**
+ * Open the database of the current user, purge it first if it doesn't belong to the user session
+ */
+async function openDatabase(): Promise<IDBDatabase | null> {
+	const userId = getCurrentUser()?.uid
+	if (typeof indexedDB === 'undefined' || !userId) {
+		return null
+	}
+
+	if (cacheOwnerStorage.getItem('messagesCacheOwner') !== userId) {
+		await promisifyRequest(indexedDB.deleteDatabase(DATABASE_NAME))
+		cacheOwnerStorage.setItem('messagesCacheOwner', userId)
+	}
+
+	const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+	request.onupgradeneeded = (event) => {
+		const database = request.result
+		if (event.oldVersion < 1) {
+			database.createObjectStore(MESSAGES_STORE, { keyPath: ['token', 'id'] })
+			database.createObjectStore(CONVERSATIONS_STORE, { keyPath: 'token' })
+		}
+		if (event.oldVersion < 2) {
+			database.createObjectStore(OUTBOX_STORE, { keyPath: 'id' })
+		}
+	}
+	const database = await promisifyRequest(request)
+	// Another tab requested an upgrade or deletion of the database
+	database.onversionchange = () => {
+		database.close()
+		databasePromise = null
+	}
+	return database
+}
+
+/**
+ * Get the (shared) database connection, if IndexedDB is available
+ */
+async function getDatabase(): Promise<IDBDatabase | null> {
+	if (!databasePromise) {
+		databasePromise = openDatabase().catch((error) => {
+			console.debug('Messages cache is not available: ', error)
+			databasePromise = null
+			return null
+		})
+	}
+	return databasePromise
+}
+
+/**
+ * Delete the database with the cached messages and the outbox, when the user logs out
+ */
+async function clearMessagesCache(): Promise<void> {
+	if (typeof indexedDB === 'undefined') {
+		return
+	}
+
+	try {
+		// The connection would block the deletion until it is closed
+		const database = await databasePromise
+		database?.close()
+		databasePromise = null
+		cacheOwnerStorage.removeItem('messagesCacheOwner')
+		await promisifyRequest(indexedDB.deleteDatabase(DATABASE_NAME))
+	} catch (error) {
+		console.debug('Could not clear messages cache: ', error)
+	}
+}
+
+/**
+ * Get cached messages of a conversation together with known ids boundaries
+ *
+ * @param token conversation token
+ */
+async function getCachedMessages(token: string): Promise<CachedMessages | null> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return null
+		}
+
+		const transaction = database.transaction([MESSAGES_STORE, CONVERSATIONS_STORE], 'readonly')
+		const [conversation, messages] = await Promise.all([
+			promisifyRequest<CachedConversation | undefined>(transaction.objectStore(CONVERSATIONS_STORE).get(token)),
+			promisifyRequest<ChatMessage[]>(transaction.objectStore(MESSAGES_STORE).getAll(getConversationRange(token))),
+		])
+
+		if (!conversation || !messages.length) {
+			return null
+		}
+
+		return {
+			messages,
+			firstKnown: conversation.firstKnown,
+			lastKnown: conversation.lastKnown,
+		}
+	} catch (error) {
+		console.debug('Could not read messages from cache: ', error)
+		return null
+	}
+}
+
+/**
+ * Replace cached messages of a conversation with the given ones
+ *
+ * @param token conversation token
+ * @param messages list of messages (without temporary ones)
+ * @param knownIds known ids boundaries
+ * @param knownIds.firstKnown id of the first known message
+ * @param knownIds.lastKnown id of the last known message
+ */
+async function cacheMessages(token: string, messages: ChatMessage[], { firstKnown, lastKnown }: Omit<CachedConversation, 'token'>): Promise<void> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return
+		}
+
+		const transaction = database.transaction([MESSAGES_STORE, CONVERSATIONS_STORE], 'readwrite')
+		const messagesStore = transaction.objectStore(MESSAGES_STORE)
+		messagesStore.delete(getConversationRange(token))
+		messages.forEach((message) => {
+			messagesStore.put(message)
+		})
+		transaction.objectStore(CONVERSATIONS_STORE).put({ token, firstKnown, lastKnown })
+		await promisifyTransaction(transaction)
+	} catch (error) {
+		console.debug('Could not write messages to cache: ', error)
+	}
+}
+
+/**
+ * Remove cached messages of a conversation
+ *
+ * @param token conversation token
+ */
+async function removeCachedMessages(token: string): Promise<void> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return
+		}
+
+		const transaction = database.transaction([MESSAGES_STORE, CONVERSATIONS_STORE], 'readwrite')
+		transaction.objectStore(MESSAGES_STORE).delete(getConversationRange(token))
+		transaction.objectStore(CONVERSATIONS_STORE).delete(token)
+		await promisifyTransaction(transaction)
+	} catch (error) {
+		console.debug('Could not remove messages from cache: ', error)
+	}
+}
+
+/**
+ * Get all messages waiting in the outbox, ordered by creation time
+ */
+async function getOutboxEntries(): Promise<OutboxEntry[]> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return []
+		}
+
+		const transaction = database.transaction(OUTBOX_STORE, 'readonly')
+		const entries = await promisifyRequest<OutboxEntry[]>(transaction.objectStore(OUTBOX_STORE).getAll())
+		return entries.sort((entry1, entry2) => entry1.createdAt - entry2.createdAt)
+	} catch (error) {
+		console.debug('Could not read messages from outbox: ', error)
+		return []
+	}
+}
+
+/**
+ * Add or update messages in the outbox
+ *
+ * @param entries list of outbox entries
+ */
+async function putOutboxEntries(entries: OutboxEntry[]): Promise<void> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return
+		}
+
+		const transaction = database.transaction(OUTBOX_STORE, 'readwrite')
+		entries.forEach((entry) => {
+			transaction.objectStore(OUTBOX_STORE).put(entry)
+		})
+		await promisifyTransaction(transaction)
+	} catch (error) {
+		console.debug('Could not write messages to outbox: ', error)
+	}
+}
+
+/**
+ * Remove a message from the outbox
+ *
+ * @param id id of the temporary message
+ */
+async function removeOutboxEntry(id: ChatMessage['id']): Promise<void> {
+	try {
+		const database = await getDatabase()
+		if (!database) {
+			return
+		}
+
+		const transaction = database.transaction(OUTBOX_STORE, 'readwrite')
+		transaction.objectStore(OUTBOX_STORE).delete(id)
+		await promisifyTransaction(transaction)
+	} catch (error) {
+		console.debug('Could not remove message from outbox: ', error)
+	}
+}
+
+export {
+	clearMessagesCache,
+	getCachedMessages,
+	cacheMessages,
+	removeCachedMessages,
+	getOutboxEntries,
+	putOutboxEntries,
+	removeOutboxEntry,
+}
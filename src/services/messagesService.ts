@@ -14,21 +14,32 @@ import type {
 	ChatMessage,
 	clearHistoryResponse,
 	deleteMessageResponse,
+	deleteScheduledMessageResponse,
 	editMessageParams,
 	editMessageResponse,
+	editScheduledMessageParams,
+	editScheduledMessageResponse,
 	getMessageContextParams,
 	getMessageContextResponse,
+	getPinnedMessagesResponse,
+	getScheduledMessagesResponse,
+	getThreadMessagesParams,
+	getThreadMessagesResponse,
 	markUnreadResponse,
+	pinMessageResponse,
 	postNewMessageParams,
 	postNewMessageResponse,
 	postRichObjectParams,
 	postRichObjectResponse,
 	receiveMessagesParams,
 	receiveMessagesResponse,
+	scheduleMessageParams,
+	scheduleMessageResponse,
 	setReadMarkerParams,
 	setReadMarkerResponse,
 	summarizeChatParams,
 	summarizeChatResponse,
+	unpinMessageResponse,
 } from '../types/index.ts'
 
 type ReceiveMessagesPayload = Partial<receiveMessagesParams> & { token: string }
@@ -37,6 +48,11 @@ type PostNewMessagePayload = Omit<postNewMessageParams, 'replyTo'> & { token: st
 type PostNewMessageOptions = Pick<postNewMessageParams, 'silent'> & object
 type DeleteMessagePayload = { token: string, id: number }
 type EditMessagePayload = { token: string, messageId: number, updatedMessage: editMessageParams['message'] }
+type PinMessagePayload = { token: string, messageId: number }
+type GetThreadMessagesPayload = getThreadMessagesParams & { token: string, threadId: number }
+type ScheduleMessagePayload = Omit<scheduleMessageParams, 'replyTo'> & { token: string, parent?: ChatMessage }
+type EditScheduledMessagePayload = editScheduledMessageParams & { token: string, messageId: number }
+type DeleteScheduledMessagePayload = { token: string, messageId: number }
 
 /**
  * Fetches messages that belong to a particular conversation
@@ -126,16 +142,18 @@ const getMessageContext = async function({ token, messageId, limit = 50 }: GetMe
  * @param param0.actorDisplayName The display name of the actor
  * @param param0.referenceId A reference id to identify the message later again
  * @param param0.parent The message to be replied to
+ * @param param0.threadId The id of the thread root message, if posted in a thread
  * @param param1 options object destructured
  * @param param1.silent whether the message should trigger a notifications
  */
-const postNewMessage = async function({ token, message, actorDisplayName, referenceId, parent }: PostNewMessagePayload, { silent, ...options }: PostNewMessageOptions): postNewMessageResponse {
+const postNewMessage = async function({ token, message, actorDisplayName, referenceId, parent, threadId }: PostNewMessagePayload, { silent, ...options }: PostNewMessageOptions): postNewMessageResponse {
 	return axios.post(generateOcsUrl('apps/spreed/api/v1/chat/{token}', { token }, options), {
 		message,
 		actorDisplayName,
 		referenceId,
 		replyTo: parent?.id,
 		silent,
+		...(threadId ? { threadId } : {}),
 	} as postNewMessageParams, options)
 }
 
@@ -236,6 +254,123 @@ const summarizeChat = async function(token: string, fromMessageId: summarizeChat
 	} as summarizeChatParams, options)
 }
 
+/**
+ * Get pinned messages of a conversation
+ *
+ * @param token The conversation token
+ * @param options object destructured
+ */
+const getPinnedMessages = async function(token: string, options?: object): getPinnedMessagesResponse {
+	return axios.get(generateOcsUrl('apps/spreed/api/v1/chat/{token}/pin', { token }, options), options)
+}
+
+/**
+ * Pin a message to the top of the conversation
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.messageId The id of the message to pin
+ * @param options object destructured
+ */
+const pinMessage = async function({ token, messageId }: PinMessagePayload, options?: object): pinMessageResponse {
+	return axios.post(generateOcsUrl('apps/spreed/api/v1/chat/{token}/{messageId}/pin', { token, messageId }, options), {}, options)
+}
+
+/**
+ * Unpin a message from the top of the conversation
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.messageId The id of the message to unpin
+ * @param options object destructured
+ */
+const unpinMessage = async function({ token, messageId }: PinMessagePayload, options?: object): unpinMessageResponse {
+	return axios.delete(generateOcsUrl('apps/spreed/api/v1/chat/{token}/{messageId}/pin', { token, messageId }, options), options)
+}
+
+/**
+ * Get a thread root message and all its replies
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.threadId The id of the thread root message
+ * @param [data.lastKnownMessageId=0] Fetch replies after this message
+ * @param [data.limit=100] Number of messages to load
+ * @param options object destructured
+ */
+const getThreadMessages = async function({ token, threadId, lastKnownMessageId = 0, limit = 100 }: GetThreadMessagesPayload, options?: object): getThreadMessagesResponse {
+	return axios.get(generateOcsUrl('apps/spreed/api/v1/chat/{token}/threads/{threadId}', { token, threadId }, options), {
+		...options,
+		params: {
+			lastKnownMessageId,
+			limit,
+		} as getThreadMessagesParams,
+	})
+}
+
+/**
+ * Get messages of the current user scheduled to be posted later
+ *
+ * @param token The conversation token
+ * @param options object destructured
+ */
+const getScheduledMessages = async function(token: string, options?: object): getScheduledMessagesResponse {
+	return axios.get(generateOcsUrl('apps/spreed/api/v1/chat/{token}/schedule', { token }, options), options)
+}
+
+/**
+ * Schedule a message to be posted later
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.message The message text
+ * @param data.sendAt The time to post the message at (unix timestamp)
+ * @param data.parent The message to be replied to
+ * @param data.silent whether the message should trigger a notifications
+ * @param data.threadId The id of the thread root message, if posted in a thread
+ * @param options object destructured
+ */
+const scheduleMessage = async function({ token, message, sendAt, parent, silent, threadId }: ScheduleMessagePayload, options?: object): scheduleMessageResponse {
+	return axios.post(generateOcsUrl('apps/spreed/api/v1/chat/{token}/schedule', { token }, options), {
+		message,
+		sendAt,
+		replyTo: parent?.id,
+		silent,
+		...(threadId ? { threadId } : {}),
+	} as scheduleMessageParams, options)
+}
+
+/**
+ * Change text or time of a scheduled message
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.messageId The id of the scheduled message
+ * @param data.message The message text
+ * @param data.sendAt The time to post the message at (unix timestamp)
+ * @param data.silent whether the message should trigger a notifications
+ * @param options object destructured
+ */
+const editScheduledMessage = async function({ token, messageId, message, sendAt, silent }: EditScheduledMessagePayload, options?: object): editScheduledMessageResponse {
+	return axios.put(generateOcsUrl('apps/spreed/api/v1/chat/{token}/schedule/{messageId}', { token, messageId }, options), {
+		message,
+		sendAt,
+		silent,
+	} as editScheduledMessageParams, options)
+}
+
+/**
+ * Cancel a scheduled message
+ *
+ * @param data the wrapping object
+ * @param data.token The conversation token
+ * @param data.messageId The id of the scheduled message
+ * @param options object destructured
+ */
+const deleteScheduledMessage = async function({ token, messageId }: DeleteScheduledMessagePayload, options?: object): deleteScheduledMessageResponse {
+	return axios.delete(generateOcsUrl('apps/spreed/api/v1/chat/{token}/schedule/{messageId}', { token, messageId }, options), options)
+}
+
 export {
 	fetchMessages,
 	pollNewMessages,
@@ -248,4 +383,12 @@ export {
 	updateLastReadMessage,
 	setConversationUnread,
 	summarizeChat,
+	getPinnedMessages,
+	pinMessage,
+	unpinMessage,
+	getThreadMessages,
+	getScheduledMessages,
+	scheduleMessage,
+	editScheduledMessage,
+	deleteScheduledMessage,
 }
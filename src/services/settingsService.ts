@@ -8,6 +8,7 @@ import { generateOcsUrl } from '@nextcloud/router'
 
 import BrowserStorage from './BrowserStorage.js'
 import type {
+	ConversationSectionsConfig,
 	setSipSettingsParams,
 	setSipSettingsResponse,
 	setUserSettingsParams,
@@ -91,6 +92,10 @@ const setConversationsListStyle = async function(value: string) {
 	return setUserConfig('spreed', 'conversations_list_style', value)
 }
 
+const setConversationSections = async function(value: ConversationSectionsConfig) {
+	return setUserConfig('spreed', 'conversation_sections', JSON.stringify(value))
+}
+
 /**
  * Set user config using provisioning API
  *
@@ -107,6 +112,7 @@ const setUserConfig = async function(appId: string, configKey: string, configVal
 export {
 	setAttachmentFolder,
 	setBlurVirtualBackground,
+	setConversationSections,
 	setConversationsListStyle,
 	setReadStatusPrivacy,
 	setTypingStatusPrivacy,
@@ -49,6 +49,7 @@ import {
 	setMessageExpiration,
 	setConversationPassword,
 	setMentionPermissions,
+	setWebinarMode,
 } from '../services/conversationsService.ts'
 import {
 	clearConversationHistory,
@@ -64,8 +65,11 @@ import { useBreakoutRoomsStore } from '../stores/breakoutRooms.ts'
 import { useChatExtrasStore } from '../stores/chatExtras.js'
 import { useFederationStore } from '../stores/federation.ts'
 import { useGroupwareStore } from '../stores/groupware.ts'
+import { usePinnedMessagesStore } from '../stores/pinnedMessages.ts'
 import { useReactionsStore } from '../stores/reactions.js'
+import { useScheduledMessagesStore } from '../stores/scheduledMessages.ts'
 import { useTalkHashStore } from '../stores/talkHash.js'
+import { useThreadsStore } from '../stores/threads.ts'
 import { convertToUnix } from '../utils/formattedTime.ts'
 import { getDisplayNamesList } from '../utils/getDisplayName.ts'
 
@@ -255,6 +259,10 @@ const mutations = {
 		Vue.set(state.conversations[token], 'mentionPermissions', mentionPermissions)
 	},
 
+	setWebinarMode(state, { token, webinarMode }) {
+		Vue.set(state.conversations[token], 'webinarMode', webinarMode)
+	},
+
 	setCallRecording(state, { token, callRecording }) {
 		Vue.set(state.conversations[token], 'callRecording', callRecording)
 	},
@@ -377,8 +385,14 @@ const actions = {
 		chatExtrasStore.purgeChatExtras(token)
 		const groupwareStore = useGroupwareStore()
 		groupwareStore.purgeGroupwareStore(token)
+		const pinnedMessagesStore = usePinnedMessagesStore()
+		pinnedMessagesStore.purgePinnedMessagesStore(token)
+		const threadsStore = useThreadsStore()
+		threadsStore.purgeThreadsStore(token)
 		const reactionsStore = useReactionsStore()
 		reactionsStore.purgeReactionsStore(token)
+		const scheduledMessagesStore = useScheduledMessagesStore()
+		scheduledMessagesStore.purgeScheduledMessagesStore(token)
 		context.dispatch('purgeMessagesStore', token)
 		context.commit('deleteConversation', token)
 		context.dispatch('purgeParticipantsStore', token)
@@ -502,6 +516,10 @@ const actions = {
 			const response = await clearConversationHistory(token)
 			const chatExtrasStore = useChatExtrasStore()
 			chatExtrasStore.removeParentIdToReply(token)
+			const pinnedMessagesStore = usePinnedMessagesStore()
+			pinnedMessagesStore.purgePinnedMessagesStore(token)
+			const threadsStore = useThreadsStore()
+			threadsStore.purgeThreadsStore(token)
 			const reactionsStore = useReactionsStore()
 			reactionsStore.purgeReactionsStore(token)
 			context.dispatch('purgeMessagesStore', token)
@@ -1166,6 +1184,11 @@ const actions = {
 		}
 	},
 
+	async setWebinarMode(context, { token, webinarMode }) {
+		await setWebinarMode(token, webinarMode)
+		context.commit('setWebinarMode', { token, webinarMode })
+	},
+
 	async startCallRecording(context, { token, callRecording }) {
 		try {
 			await startCallRecording(token, callRecording)
@@ -21,6 +21,7 @@ import {
 } from '../services/filesSharingServices.ts'
 import { setAttachmentFolder } from '../services/settingsService.ts'
 import { useChatExtrasStore } from '../stores/chatExtras.js'
+import { isNetworkError, useOutboxStore } from '../stores/outbox.ts'
 import {
 	hasDuplicateUploadNames,
 	findUniquePath,
@@ -295,17 +296,25 @@ const actions = {
 	 * @param {string} data.uploadId The unique uploadId
 	 * @param {string|null} data.caption The text caption to the media
 	 * @param {object|null} data.options The share options
+	 * @param {boolean} [data.fromOutbox] Whether the files are uploaded from the outbox queue
 	 */
-	async uploadFiles({ commit, dispatch, state, getters }, { token, uploadId, caption, options }) {
+	async uploadFiles({ commit, dispatch, state, getters }, { token, uploadId, caption, options, fromOutbox = false }) {
 		if (state.currentUploadId === uploadId) {
 			commit('setCurrentUploadId', undefined)
 		}
 
-		EventBus.emit('upload-start')
+		if (!fromOutbox) {
+			EventBus.emit('upload-start')
+		}
+
+		// Files are kept in the outbox until the connection is back
+		const outboxStore = useOutboxStore()
+		const shouldQueue = !fromOutbox && !navigator.onLine
 
 		// Tag previously indexed files and add temporary messages to the MessagesList
 		// If caption is provided, attach to the last temporary message
-		const lastIndex = getters.getInitialisedUploads(uploadId).at(-1).at(0)
+		// (queued files, which are uploaded again, might not include the last one)
+		const lastIndex = (fromOutbox ? getters.getUploadsArray(uploadId) : getters.getInitialisedUploads(uploadId)).at(-1).at(0)
 		for (const [index, uploadedFile] of getters.getInitialisedUploads(uploadId)) {
 			// Store the previously created temporary message
 			const message = {
@@ -314,15 +323,27 @@ const actions = {
 			}
 			// Add temporary messages (files) to the messages list
 			dispatch('addTemporaryMessage', { token, message })
+			if (shouldQueue) {
+				await outboxStore.queueMessage({
+					token,
+					temporaryMessage: message,
+					options,
+					upload: { uploadId, index, file: uploadedFile.file, caption: index === lastIndex ? caption : null },
+				})
+			}
 			// Scroll the message list
 			EventBus.emit('scroll-chat-to-bottom', { smooth: true, force: true })
 		}
 
+		if (shouldQueue) {
+			return
+		}
+
 		await dispatch('prepareUploadPaths', { token, uploadId })
 
-		await dispatch('processUpload', { token, uploadId })
+		await dispatch('processUpload', { token, uploadId, fromOutbox })
 
-		await dispatch('shareFiles', { token, uploadId, lastIndex, caption, options })
+		await dispatch('shareFiles', { token, uploadId, lastIndex, caption, options, fromOutbox })
 
 		EventBus.emit('upload-finished')
 	},
@@ -394,8 +415,9 @@ const actions = {
 	 * @param {object} data the wrapping object
 	 * @param {string} data.token The conversation token
 	 * @param {string} data.uploadId The unique uploadId
+	 * @param {boolean} [data.fromOutbox] Whether the files are uploaded from the outbox queue
 	 */
-	async processUpload(context, { token, uploadId }) {
+	async processUpload(context, { token, uploadId, fromOutbox = false }) {
 		const performUpload = async ([index, uploadedFile]) => {
 			const currentFile = uploadedFile.file
 			const fileName = (currentFile.newName || currentFile.name)
@@ -406,6 +428,12 @@ const actions = {
 				await uploader.upload(uploadedFile.sharePath, currentFile)
 				context.commit('markFileAsSuccessUpload', { uploadId, index })
 			} catch (exception) {
+				if (fromOutbox && isNetworkError(exception)) {
+					// Keep the file in the outbox, it is uploaded again with the next attempt
+					context.commit('markFileAsInitializedUpload', { uploadId, index })
+					throw exception
+				}
+
 				let reason = 'failed-upload'
 				if (exception.response) {
 					console.error('Error while uploading file "%s": %s', fileName, exception.message)
@@ -428,7 +456,11 @@ const actions = {
 		}
 
 		const uploads = context.getters.getPendingUploads(uploadId)
-		await Promise.all(uploads.map(performUpload))
+		const results = await Promise.allSettled(uploads.map(performUpload))
+		const failure = results.find((result) => result.status === 'rejected')
+		if (failure) {
+			throw failure.reason
+		}
 	},
 
 	/**
@@ -441,8 +473,9 @@ const actions = {
 	 * @param {string} data.lastIndex The index of last uploaded file
 	 * @param {string|null} data.caption The text caption to the media
 	 * @param {object|null} data.options The share options
+	 * @param {boolean} [data.fromOutbox] Whether the files are shared from the outbox queue
 	 */
-	async shareFiles(context, { token, uploadId, lastIndex, caption, options }) {
+	async shareFiles(context, { token, uploadId, lastIndex, caption, options, fromOutbox = false }) {
 		const shares = context.getters.getShareableFiles(uploadId)
 		for await (const share of shares) {
 			if (!share) {
@@ -458,7 +491,7 @@ const actions = {
 				parent ? { replyTo: parent.id } : {},
 			))
 
-			await context.dispatch('shareFile', { token, path: shareableFile.sharePath, index, uploadId, id, referenceId, talkMetaData })
+			await context.dispatch('shareFile', { token, path: shareableFile.sharePath, index, uploadId, id, referenceId, talkMetaData, fromOutbox })
 		}
 	},
 
@@ -474,8 +507,9 @@ const actions = {
 	 * @param {string} [data.id] Id of temporary message
 	 * @param {string} [data.referenceId] A reference id to recognize the message later
 	 * @param {string} [data.talkMetaData] The metadata JSON-encoded object
+	 * @param {boolean} [data.fromOutbox] Whether the file is shared from the outbox queue
 	 */
-	async shareFile(context, { token, path, index, uploadId, id, referenceId, talkMetaData }) {
+	async shareFile(context, { token, path, index, uploadId, id, referenceId, talkMetaData, fromOutbox = false }) {
 		try {
 			if (uploadId) {
 				context.dispatch('markFileAsSharing', { uploadId, index })
@@ -487,6 +521,12 @@ const actions = {
 				context.dispatch('markFileAsShared', { uploadId, index })
 			}
 		} catch (error) {
+			if (fromOutbox && isNetworkError(error)) {
+				// File is uploaded already, it is shared with the next attempt
+				context.commit('markFileAsSuccessUpload', { uploadId, index })
+				throw error
+			}
+
 			console.error('Error while sharing file: ', error)
 
 			if (error?.response?.status === 403) {
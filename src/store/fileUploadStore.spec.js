@@ -317,6 +317,44 @@ describe('fileUploadStore', () => {
 			expect(console.error).toHaveBeenCalled()
 		})
 
+		test('keeps queued file for the next attempt in case of network error', async () => {
+			const files = [
+				{
+					name: 'pngimage.png',
+					type: 'image/png',
+					size: 123,
+					lastModified: Date.UTC(2021, 3, 27, 15, 30, 0),
+				},
+			]
+
+			store.dispatch('initialiseUpload', {
+				uploadId: 'upload-id1',
+				token: 'XXTOKENXX',
+				files,
+			})
+
+			findUniquePath
+				.mockResolvedValue({ uniquePath: '/Talk/' + files[0].name + 'uniq', suffix: 1 })
+			uploadMock.mockRejectedValueOnce({ isAxiosError: true, message: 'Network Error' })
+
+			await expect(store.dispatch('uploadFiles', { token: 'XXTOKENXX', uploadId: 'upload-id1', caption: 'text-caption', options: null, fromOutbox: true }))
+				.rejects.toMatchObject({ message: 'Network Error' })
+
+			expect(shareFile).not.toHaveBeenCalled()
+			expect(mockedActions.markTemporaryMessageAsFailed).not.toHaveBeenCalled()
+			expect(showError).not.toHaveBeenCalled()
+			expect(store.getters.getInitialisedUploads('upload-id1')).toHaveLength(1)
+
+			uploadMock.mockResolvedValueOnce()
+			shareFile.mockResolvedValueOnce()
+
+			await store.dispatch('uploadFiles', { token: 'XXTOKENXX', uploadId: 'upload-id1', caption: 'text-caption', options: null, fromOutbox: true })
+
+			expect(uploadMock).toHaveBeenCalledTimes(2)
+			expect(shareFile).toHaveBeenCalledTimes(1)
+			expect(shareFile).toHaveBeenCalledWith(expect.objectContaining({ talkMetaData: '{"caption":"text-caption"}' }))
+		})
+
 		test('removes file from selection', async () => {
 			const files = [
 				{
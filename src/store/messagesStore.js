@@ -17,6 +17,11 @@ import {
 import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
 import { fetchNoteToSelfConversation } from '../services/conversationsService.ts'
 import { EventBus } from '../services/EventBus.ts'
+import {
+	cacheMessages,
+	getCachedMessages,
+	removeCachedMessages,
+} from '../services/messagesCache.ts'
 import {
 	deleteMessage,
 	editMessage,
@@ -28,12 +33,17 @@ import {
 	postRichObjectToConversation,
 } from '../services/messagesService.ts'
 import { useCallViewStore } from '../stores/callView.ts'
+import { useChatEncryptionStore } from '../stores/chatEncryption.ts'
 import { useGuestNameStore } from '../stores/guestName.js'
+import { isNetworkError, useOutboxStore } from '../stores/outbox.ts'
+import { usePinnedMessagesStore } from '../stores/pinnedMessages.ts'
 import { usePollsStore } from '../stores/polls.ts'
 import { useReactionsStore } from '../stores/reactions.js'
 import { useSharedItemsStore } from '../stores/sharedItems.js'
+import { useThreadsStore } from '../stores/threads.ts'
 import CancelableRequest from '../utils/cancelableRequest.js'
 import { debugTimer } from '../utils/debugTimer.ts'
+import { isEncryptedText } from '../utils/e2ee/chatEncryption.js'
 import { convertToUnix } from '../utils/formattedTime.ts'
 
 /**
@@ -545,6 +555,14 @@ const actions = {
 	processMessage(context, { token, message }) {
 		const sharedItemsStore = useSharedItemsStore()
 
+		// Encrypted messages are decrypted, device announcements are not shown
+		if (context.getters.conversation(token)?.type === CONVERSATION.TYPE.ONE_TO_ONE) {
+			message = useChatEncryptionStore().processMessage(token, message)
+			if (!message) {
+				return
+			}
+		}
+
 		if (message.systemMessage === 'message_deleted'
 				|| message.systemMessage === 'reaction'
 				|| message.systemMessage === 'reaction_deleted'
@@ -568,6 +586,12 @@ const actions = {
 			}
 
 			if (message.systemMessage === 'message_edited' || message.systemMessage === 'message_deleted') {
+				const pinnedMessagesStore = usePinnedMessagesStore()
+				pinnedMessagesStore.updatePinnedMessage(token, message.parent)
+				if (message.parent.threadId) {
+					const threadsStore = useThreadsStore()
+					threadsStore.addThreadMessage(token, message.parent)
+				}
 				// update conversation lastMessage, if it was edited or deleted
 				if (message.parent.id === context.getters.conversation(token).lastMessage?.id) {
 					context.dispatch('updateConversationLastMessage', { token, lastMessage: message.parent })
@@ -609,6 +633,16 @@ const actions = {
 			}
 		}
 
+		if (message.threadId) {
+			const threadsStore = useThreadsStore()
+			threadsStore.addThreadMessage(token, message)
+		}
+
+		if (message.systemMessage === 'message_pinned' || message.systemMessage === 'message_unpinned') {
+			const pinnedMessagesStore = usePinnedMessagesStore()
+			pinnedMessagesStore.processPinSystemMessage(token, message)
+		}
+
 		if (message.systemMessage === 'poll_voted') {
 			const pollsStore = usePollsStore()
 			pollsStore.debounceGetPollData({
@@ -691,10 +725,13 @@ const actions = {
 		})
 
 		try {
+			const chatEncryptionStore = useChatEncryptionStore()
 			const response = await editMessage({
 				token,
 				messageId,
-				updatedMessage,
+				updatedMessage: (message.isEncrypted || chatEncryptionStore.isEncryptionEnabled(token))
+					? chatEncryptionStore.encryptMessage(token, updatedMessage)
+					: updatedMessage,
 			})
 			context.dispatch('processMessage', { token, message: response.data.ocs.data })
 			EventBus.emit('editing-message-processing', { messageId, value: false })
@@ -787,6 +824,82 @@ const actions = {
 	 */
 	purgeMessagesStore(context, token) {
 		context.commit('purgeMessagesStore', token)
+		removeCachedMessages(token)
+	},
+
+	/**
+	 * Restores messages of a conversation from the cache (IndexedDB) and add them to the store state.
+	 * Missing messages are then received with the next "pollNewMessages" from the last known message.
+	 *
+	 * @param {object} context default store context;
+	 * @param {object} data the wrapping object;
+	 * @param {string} data.token the conversation token;
+	 * @param {number} data.messageId the message id to start from (has to be within cached messages);
+	 * @return {Promise<boolean>} true if messages were restored, false otherwise
+	 */
+	async restoreMessages(context, { token, messageId }) {
+		if (!context.getters.getUserId() || context.getters.getFirstKnownMessageId(token)) {
+			return false
+		}
+
+		const cachedMessages = await getCachedMessages(token)
+		// Newer messages were read on another device, the context around them
+		// is loaded from server instead of polling everything after the cache
+		if (!cachedMessages || messageId < cachedMessages.firstKnown || messageId > cachedMessages.lastKnown
+			// Messages might have been loaded from server in the meantime
+			|| context.getters.getFirstKnownMessageId(token)) {
+			return false
+		}
+
+		cachedMessages.messages.forEach(message => {
+			context.commit('addMessage', { token, message })
+		})
+		context.commit('removeExpiredMessages', { token })
+		context.dispatch('setFirstKnownMessageId', { token, id: cachedMessages.firstKnown })
+		context.dispatch('setLastKnownMessageId', { token, id: cachedMessages.lastKnown })
+		context.commit('loadedMessagesOfConversation', { token })
+
+		console.debug(`Messages of ${token} have been restored from cache`)
+		return true
+	},
+
+	/**
+	 * Save messages of a conversation to the cache (IndexedDB) from the store state.
+	 * Only most recent messages are kept, guests messages and end-to-end encrypted conversations are not cached.
+	 *
+	 * @param {object} context default store context;
+	 * @param {object} data the wrapping object;
+	 * @param {string} data.token the conversation token;
+	 */
+	cacheMessages(context, { token }) {
+		if (!context.getters.getUserId()
+			|| !context.getters.getFirstKnownMessageId(token)
+			|| !context.getters.getLastKnownMessageId(token)) {
+			return
+		}
+
+		const messages = context.getters.messagesList(token)
+			.filter(message => !String(message.id).startsWith('temp-'))
+		if (!messages.length) {
+			return
+		}
+
+		// Decrypted end-to-end encrypted messages are not stored
+		if (useChatEncryptionStore().isEncryptionEnabled(token)
+			|| messages.some(message => message.isEncrypted || message.parent?.isEncrypted)) {
+			removeCachedMessages(token)
+			return
+		}
+
+		const messagesToCache = messages.slice(-CHAT.CACHE_LIMIT)
+		const firstKnown = messagesToCache.length < messages.length
+			? messagesToCache[0].id
+			: context.getters.getFirstKnownMessageId(token)
+
+		cacheMessages(token, messagesToCache, {
+			firstKnown,
+			lastKnown: context.getters.getLastKnownMessageId(token),
+		})
 	},
 
 	/**
@@ -951,6 +1064,7 @@ const actions = {
 		}
 
 		context.commit('loadedMessagesOfConversation', { token })
+		context.dispatch('cacheMessages', { token })
 
 		if (minimumVisible > 0) {
 			debugTimer.tick(`${token} | fetch history`, 'first chunk')
@@ -1046,6 +1160,7 @@ const actions = {
 		}
 
 		context.commit('loadedMessagesOfConversation', { token })
+		context.dispatch('cacheMessages', { token })
 
 		if (minimumVisible > 0) {
 			debugTimer.tick(`${token} | get context`, 'first chunk')
@@ -1224,6 +1339,7 @@ const actions = {
 		}
 
 		context.commit('loadedMessagesOfConversation', { token })
+		context.dispatch('cacheMessages', { token })
 
 		return response
 	},
@@ -1252,9 +1368,24 @@ const actions = {
 	 * @param {string} data.token token of the conversation
 	 * @param {object} data.temporaryMessage temporary message, must already have been added to messages list.
 	 * @param {object} data.options post request options.
+	 * @param {boolean} [data.fromOutbox] whether the message is sent from the outbox queue.
 	 */
-	async postNewMessage(context, { token, temporaryMessage, options }) {
-		context.dispatch('addTemporaryMessage', { token, message: temporaryMessage })
+	async postNewMessage(context, { token, temporaryMessage, options, fromOutbox = false }) {
+		const outboxStore = useOutboxStore()
+		// Keep the order of messages: send after the ones, which are already waiting in the outbox
+		if (!fromOutbox && (!navigator.onLine || outboxStore.hasQueuedMessages(token))) {
+			await outboxStore.queueMessage({ token, temporaryMessage, options })
+			outboxStore.processOutbox()
+			return
+		}
+
+		const chatEncryptionStore = useChatEncryptionStore()
+		// Messages from the outbox of end-to-end encrypted conversations are already encrypted
+		const isEncrypted = isEncryptedText(temporaryMessage.message)
+		context.dispatch('addTemporaryMessage', {
+			token,
+			message: isEncrypted ? await chatEncryptionStore.decryptTemporaryMessage(token, temporaryMessage) : temporaryMessage,
+		})
 
 		const { request, cancel } = CancelableRequest(postNewMessage)
 		context.commit('setCancelPostNewMessage', { messageId: temporaryMessage.id, cancelFunction: cancel })
@@ -1269,7 +1400,9 @@ const actions = {
 		}, 30000)
 
 		try {
-			const response = await request(temporaryMessage, options)
+			const response = await request(chatEncryptionStore.isEncryptionEnabled(token) && !isEncrypted
+				? { ...temporaryMessage, message: chatEncryptionStore.encryptMessage(token, temporaryMessage.message) }
+				: temporaryMessage, options)
 			clearTimeout(timeout)
 			context.commit('setCancelPostNewMessage', { messageId: temporaryMessage.id, cancelFunction: null })
 
@@ -1293,6 +1426,16 @@ const actions = {
 			}
 			context.commit('setCancelPostNewMessage', { messageId: temporaryMessage.id, cancelFunction: null })
 
+			if (isNetworkError(error)) {
+				if (fromOutbox) {
+					throw error
+				}
+				// Connection is lost, keep the message in the outbox until it is back
+				await outboxStore.queueMessage({ token, temporaryMessage, options })
+				outboxStore.scheduleRetry()
+				return
+			}
+
 			let statusCode = null
 			console.error('error while submitting message %s', error)
 			if (error.isAxiosError) {
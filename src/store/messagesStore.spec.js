@@ -14,11 +14,16 @@ import storeConfig from './storeConfig.js'
 // eslint-disable-next-line import/order -- required for testing
 import messagesStore from './messagesStore.js'
 import {
-	ATTENDEE, CHAT,
+	ATTENDEE, CHAT, CONVERSATION,
 } from '../constants.ts'
 import {
 	fetchNoteToSelfConversation,
 } from '../services/conversationsService.ts'
+import {
+	cacheMessages,
+	getCachedMessages,
+	removeCachedMessages,
+} from '../services/messagesCache.ts'
 import {
 	deleteMessage,
 	editMessage,
@@ -29,10 +34,12 @@ import {
 	postNewMessage,
 	postRichObjectToConversation,
 } from '../services/messagesService.ts'
+import { useChatEncryptionStore } from '../stores/chatEncryption.ts'
 import { useGuestNameStore } from '../stores/guestName.js'
 import { useReactionsStore } from '../stores/reactions.js'
 import { generateOCSErrorResponse, generateOCSResponse } from '../test-helpers.js'
 import CancelableRequest from '../utils/cancelableRequest.js'
+import { convertToUnix } from '../utils/formattedTime.ts'
 
 jest.mock('../services/messagesService', () => ({
 	deleteMessage: jest.fn(),
@@ -49,6 +56,12 @@ jest.mock('../services/conversationsService', () => ({
 	fetchNoteToSelfConversation: jest.fn(),
 }))
 
+jest.mock('../services/messagesCache', () => ({
+	cacheMessages: jest.fn(),
+	getCachedMessages: jest.fn(),
+	removeCachedMessages: jest.fn(),
+}))
+
 jest.mock('../utils/cancelableRequest')
 jest.mock('@nextcloud/dialogs', () => ({
 	showError: jest.fn(),
@@ -131,6 +144,24 @@ describe('messagesStore', () => {
 			expect(store.getters.messagesList(TOKEN)[0]).toBe(message1)
 		})
 
+		test('processes the end-to-end encryption only in one-to-one conversations', () => {
+			const chatEncryptionStore = useChatEncryptionStore()
+			jest.spyOn(chatEncryptionStore, 'processMessage').mockReturnValue(null)
+			const message1 = {
+				id: 1,
+				token: TOKEN,
+			}
+
+			store.dispatch('processMessage', { token: TOKEN, message: message1 })
+			expect(chatEncryptionStore.processMessage).not.toHaveBeenCalled()
+			expect(store.getters.messagesList(TOKEN)).toStrictEqual([message1])
+
+			conversationMock.mockReturnValue({ ...conversation, type: CONVERSATION.TYPE.ONE_TO_ONE })
+			store.dispatch('processMessage', { token: TOKEN, message: { id: 2, token: TOKEN } })
+			expect(chatEncryptionStore.processMessage).toHaveBeenCalledWith(TOKEN, { id: 2, token: TOKEN })
+			expect(store.getters.messagesList(TOKEN)).toStrictEqual([message1])
+		})
+
 		test('doesn\'t add specific messages to the store', () => {
 			reactionsStore.resetReactions = jest.fn()
 			reactionsStore.processReaction = jest.fn()
@@ -206,7 +237,7 @@ describe('messagesStore', () => {
 		})
 
 		test('updates last read message when replacing matching temporary message', () => {
-			conversationMock.mockReturnValueOnce({
+			conversationMock.mockReturnValue({
 				token: TOKEN,
 				lastReadMessage: 100,
 				lastMessage: {
@@ -588,6 +619,96 @@ describe('messagesStore', () => {
 		expect(store.getters.messagesList(TOKEN)).toStrictEqual([])
 
 		expect(deleteMessage).not.toHaveBeenCalled()
+		expect(removeCachedMessages).toHaveBeenCalledWith(TOKEN)
+	})
+
+	describe('messages cache', () => {
+		beforeEach(() => {
+			jest.useFakeTimers().setSystemTime(new Date('2020-01-01T20:00:00'))
+		})
+
+		afterEach(() => {
+			jest.useRealTimers()
+		})
+
+		test('restores messages from cache', async () => {
+			const messages = [
+				{ id: 10, token: TOKEN },
+				{ id: 11, token: TOKEN, expirationTimestamp: convertToUnix(Date.now()) - 60 },
+				{ id: 12, token: TOKEN, expirationTimestamp: convertToUnix(Date.now()) + 60 },
+			]
+			getCachedMessages.mockResolvedValueOnce({ messages, firstKnown: 10, lastKnown: 12 })
+
+			const isRestored = await store.dispatch('restoreMessages', { token: TOKEN, messageId: 11 })
+
+			expect(isRestored).toBe(true)
+			expect(getCachedMessages).toHaveBeenCalledWith(TOKEN)
+			// Expired messages are removed
+			expect(store.getters.messagesList(TOKEN)).toStrictEqual([messages[0], messages[2]])
+			expect(store.getters.getFirstKnownMessageId(TOKEN)).toBe(10)
+			expect(store.getters.getLastKnownMessageId(TOKEN)).toBe(12)
+			expect(store.getters.isMessagesListPopulated(TOKEN)).toBe(true)
+		})
+
+		test('does not restore messages if starting message is not cached', async () => {
+			getCachedMessages.mockResolvedValueOnce({ messages: [{ id: 10, token: TOKEN }], firstKnown: 10, lastKnown: 10 })
+
+			const isRestored = await store.dispatch('restoreMessages', { token: TOKEN, messageId: 5 })
+
+			expect(isRestored).toBe(false)
+			expect(store.getters.messagesList(TOKEN)).toStrictEqual([])
+			expect(store.getters.getFirstKnownMessageId(TOKEN)).toBe(null)
+		})
+
+		test('does not restore messages if starting message is newer than cached ones', async () => {
+			getCachedMessages.mockResolvedValueOnce({ messages: [{ id: 10, token: TOKEN }], firstKnown: 10, lastKnown: 10 })
+
+			const isRestored = await store.dispatch('restoreMessages', { token: TOKEN, messageId: 500 })
+
+			expect(isRestored).toBe(false)
+			expect(store.getters.messagesList(TOKEN)).toStrictEqual([])
+			expect(store.getters.getFirstKnownMessageId(TOKEN)).toBe(null)
+		})
+
+		test('does not restore messages if messages are already loaded', async () => {
+			store.dispatch('setFirstKnownMessageId', { token: TOKEN, id: 1 })
+
+			const isRestored = await store.dispatch('restoreMessages', { token: TOKEN, messageId: 5 })
+
+			expect(isRestored).toBe(false)
+			expect(getCachedMessages).not.toHaveBeenCalled()
+		})
+
+		test('does not use cache for guests', async () => {
+			getUserIdMock.mockReturnValue(() => null)
+			store = new Vuex.Store(testStoreConfig)
+
+			const isRestored = await store.dispatch('restoreMessages', { token: TOKEN, messageId: 5 })
+			store.dispatch('processMessage', { token: TOKEN, message: { id: 1, token: TOKEN } })
+			store.dispatch('setLastKnownMessageId', { token: TOKEN, id: 1 })
+			store.dispatch('cacheMessages', { token: TOKEN })
+
+			expect(isRestored).toBe(false)
+			expect(getCachedMessages).not.toHaveBeenCalled()
+			expect(cacheMessages).not.toHaveBeenCalled()
+		})
+
+		test('caches most recent messages without temporary ones', () => {
+			for (let id = 1; id <= CHAT.CACHE_LIMIT + 10; id++) {
+				store.dispatch('processMessage', { token: TOKEN, message: { id, token: TOKEN } })
+			}
+			store.dispatch('addTemporaryMessage', { token: TOKEN, message: { id: 'temp-123', token: TOKEN } })
+			store.dispatch('setFirstKnownMessageId', { token: TOKEN, id: 1 })
+			store.dispatch('setLastKnownMessageId', { token: TOKEN, id: CHAT.CACHE_LIMIT + 10 })
+
+			store.dispatch('cacheMessages', { token: TOKEN })
+
+			const cachedMessages = store.getters.messagesList(TOKEN).slice(10, CHAT.CACHE_LIMIT + 10)
+			expect(cacheMessages).toHaveBeenCalledWith(TOKEN, cachedMessages, {
+				firstKnown: 11,
+				lastKnown: CHAT.CACHE_LIMIT + 10,
+			})
+		})
 	})
 
 	describe('temporary messages', () => {
@@ -894,6 +1015,8 @@ describe('messagesStore', () => {
 
 			updateLastCommonReadMessageAction = jest.fn()
 			addGuestNameAction = jest.fn()
+			testStoreConfig.getters.getUserId = jest.fn().mockReturnValue(() => 'actor-id-1')
+			testStoreConfig.getters.conversation = jest.fn().mockReturnValue(() => conversation)
 			testStoreConfig.actions.updateLastCommonReadMessage = updateLastCommonReadMessageAction
 			guestNameStore.addGuestName = addGuestNameAction
 
@@ -968,6 +1091,7 @@ describe('messagesStore', () => {
 			expect(store.getters.messagesList(TOKEN)).toStrictEqual(expectedMessages)
 			expect(store.getters.getFirstKnownMessageId(TOKEN)).toBe(firstKnown)
 			expect(store.getters.getLastKnownMessageId(TOKEN)).toBe(lastKnown)
+			expect(cacheMessages).toHaveBeenCalledWith(TOKEN, expectedMessages, { firstKnown, lastKnown })
 		})
 
 		test('cancels fetching messages', () => {
@@ -1015,6 +1139,8 @@ describe('messagesStore', () => {
 
 			updateLastCommonReadMessageAction = jest.fn()
 			addGuestNameAction = jest.fn()
+			testStoreConfig.getters.getUserId = jest.fn().mockReturnValue(() => 'actor-id-1')
+			testStoreConfig.getters.conversation = jest.fn().mockReturnValue(() => conversation)
 			testStoreConfig.actions.updateLastCommonReadMessage = updateLastCommonReadMessageAction
 			guestNameStore.addGuestName = addGuestNameAction
 
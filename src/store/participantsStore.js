@@ -195,6 +195,18 @@ const getters = {
 	participantRaisedHandList: (state) => {
 		return state.participantRaisedHands
 	},
+	/**
+	 * Gets the raised hands ordered by the time they were raised.
+	 *
+	 * @param {object} state - the state object.
+	 * @return {Array} the raised hands, as objects with the session id and
+	 *         the timestamp.
+	 */
+	participantRaisedHandQueue: (state) => {
+		return Object.entries(state.participantRaisedHands)
+			.map(([sessionId, raisedHand]) => ({ sessionId, timestamp: raisedHand.timestamp }))
+			.sort((a, b) => a.timestamp - b.timestamp)
+	},
 	getParticipantRaisedHand: (state) => (sessionIds) => {
 		for (let i = 0; i < sessionIds.length; i++) {
 			if (state.participantRaisedHands[sessionIds[i]]) {
@@ -947,7 +959,7 @@ const actions = {
 		}
 	},
 
-	async leaveCall({ commit, getters }, { token, participantIdentifier, all = false }) {
+	async leaveCall({ commit, dispatch, getters }, { token, participantIdentifier, all = false }) {
 		if (!participantIdentifier?.sessionId) {
 			console.error('Trying to leave call without sessionId')
 		}
@@ -965,6 +977,11 @@ const actions = {
 		}
 		commit('updateParticipant', { token, attendeeId: attendee.attendeeId, updatedData })
 
+		// The call was ended for everyone, before the other participants are updated by the signaling
+		if (all) {
+			dispatch('setConversationProperties', { token, properties: { hasCall: false } })
+		}
+
 		// clear raised hands as they were specific to the call
 		commit('clearParticipantHandRaised')
 
@@ -700,6 +700,34 @@ describe('participantsStore', () => {
 			])
 		})
 
+		test('ends the call for everyone', async () => {
+			const setConversationPropertiesAction = jest.fn()
+			testStoreConfig.actions.setConversationProperties = setConversationPropertiesAction
+			store = new Vuex.Store(testStoreConfig)
+			store.dispatch('addParticipant', {
+				token: TOKEN,
+				participant: {
+					attendeeId: 1,
+					sessionId: 'session-id-1',
+					participantType: PARTICIPANT.TYPE.MODERATOR,
+					inCall: flags,
+				},
+			})
+
+			await store.dispatch('leaveCall', {
+				token: TOKEN,
+				participantIdentifier: {
+					attendeeId: 1,
+					sessionId: 'session-id-1',
+				},
+				all: true,
+			})
+
+			expect(leaveCall).toHaveBeenCalledWith(TOKEN, true)
+			expect(setConversationPropertiesAction).toHaveBeenCalledWith(expect.anything(), { token: TOKEN, properties: { hasCall: false } })
+			expect(store.getters.participantsInCall(TOKEN)).toBe(0)
+		})
+
 		describe('raised hand', () => {
 			test('get whether participants raised hands with single session id', () => {
 				store.dispatch('setParticipantHandRaised', {
@@ -765,6 +793,30 @@ describe('participantsStore', () => {
 				expect(store.getters.getParticipantRaisedHand(['session-id-1', 'session-id-2', 'session-id-3']))
 					.toStrictEqual({ state: true, timestamp: 1 })
 			})
+
+			test('get raised hands ordered by the time they were raised', () => {
+				store.dispatch('setParticipantHandRaised', {
+					sessionId: 'session-id-1',
+					raisedHand: { state: true, timestamp: 3 },
+				})
+				store.dispatch('setParticipantHandRaised', {
+					sessionId: 'session-id-2',
+					raisedHand: { state: true, timestamp: 1 },
+				})
+				store.dispatch('setParticipantHandRaised', {
+					sessionId: 'session-id-3',
+					raisedHand: { state: true, timestamp: 2 },
+				})
+				store.dispatch('setParticipantHandRaised', {
+					sessionId: 'session-id-3',
+					raisedHand: { state: false, timestamp: 4 },
+				})
+
+				expect(store.getters.participantRaisedHandQueue).toStrictEqual([
+					{ sessionId: 'session-id-2', timestamp: 1 },
+					{ sessionId: 'session-id-1', timestamp: 3 },
+				])
+			})
 		})
 	})
 
@@ -0,0 +1,82 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { getEventData, getUpcomingEvents } from '../../services/groupwareService.ts'
+import { generateOCSResponse } from '../../test-helpers.js'
+import { useAgendaStore } from '../agenda.ts'
+
+jest.mock('../../services/groupwareService', () => ({
+	getEventData: jest.fn(),
+	getUpcomingEvents: jest.fn(),
+}))
+
+describe('agendaStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	const items = [
+		{ title: 'Introduction', duration: 300 },
+		{ title: 'Demo', duration: 600 },
+	]
+	let agendaStore
+
+	beforeEach(() => {
+		jest.useFakeTimers().setSystemTime(new Date('2025-03-01 10:00:00'))
+		setActivePinia(createPinia())
+		agendaStore = useAgendaStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+		jest.useRealTimers()
+	})
+
+	it('sets the current item from the elapsed time', () => {
+		agendaStore.setAgenda(items, 1, 5000)
+
+		expect(agendaStore.currentItem).toEqual(items[1])
+		expect(agendaStore.nextItem).toBeUndefined()
+		expect(agendaStore.itemStartedAt).toBe(Date.now() - 5000)
+
+		jest.advanceTimersByTime(1000)
+		expect(agendaStore.getElapsed()).toBe(6000)
+	})
+
+	it('does not start the agenda without a valid current item', () => {
+		agendaStore.setAgenda(items, null, null)
+		expect(agendaStore.currentItem).toBeUndefined()
+		expect(agendaStore.getElapsed()).toBe(null)
+
+		agendaStore.setAgenda(items, 2, 0)
+		expect(agendaStore.currentIndex).toBe(null)
+		expect(agendaStore.itemStartedAt).toBe(null)
+	})
+
+	it('resets the agenda', () => {
+		agendaStore.setAgenda(items, 0, 0)
+		agendaStore.resetAgenda()
+
+		expect(agendaStore.items).toEqual([])
+		expect(agendaStore.currentIndex).toBe(null)
+	})
+
+	it('gets the agenda from the next calendar event', async () => {
+		getUpcomingEvents.mockResolvedValue(generateOCSResponse({
+			payload: { events: [{ uri: 'event.ics', calendarUri: 'personal', start: 1740823200, summary: 'Weekly', location: null }] },
+		}))
+		getEventData.mockResolvedValue({ data: 'BEGIN:VEVENT\r\nDESCRIPTION:- Introduction 5 min\\n- Demo 10 min\r\nEND:VEVENT' })
+
+		const agenda = await agendaStore.getCalendarEventAgenda(TOKEN)
+
+		expect(getEventData).toHaveBeenCalledWith('personal', 'event.ics')
+		expect(agenda).toEqual(items)
+	})
+
+	it('gets no agenda without calendar events', async () => {
+		getUpcomingEvents.mockResolvedValue(generateOCSResponse({ payload: { events: [] } }))
+
+		expect(await agendaStore.getCalendarEventAgenda(TOKEN)).toEqual([])
+		expect(getEventData).not.toHaveBeenCalled()
+	})
+})
@@ -0,0 +1,94 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { CALL_ENCRYPTION } from '../../constants.ts'
+import { useCallEncryptionStore } from '../callEncryption.ts'
+
+describe('callEncryptionStore', () => {
+	let callEncryptionStore
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		callEncryptionStore = useCallEncryptionStore()
+		callEncryptionStore.setLocalIdentityKey('localKey')
+	})
+
+	it('returns the status of the sessions', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.NEGOTIATING, 'key1')
+		callEncryptionStore.setSessionState('session2', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key2')
+		callEncryptionStore.setSessionError('session3', 'Session already created')
+
+		expect(callEncryptionStore.getSessionStatus('session1')).toBe(CALL_ENCRYPTION.STATUS.NEGOTIATING)
+		expect(callEncryptionStore.getSessionStatus('session2')).toBe(CALL_ENCRYPTION.STATUS.ENCRYPTED)
+		expect(callEncryptionStore.getSessionStatus('session3')).toBe(CALL_ENCRYPTION.STATUS.FAILED)
+		expect(callEncryptionStore.getSession('session3').error).toBe('Session already created')
+		expect(callEncryptionStore.getSessionStatus('unknown')).toBe(CALL_ENCRYPTION.STATUS.FAILED)
+	})
+
+	it('verifies only the current identity key of a session', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key1')
+		callEncryptionStore.verifySession('session1')
+
+		expect(callEncryptionStore.getSessionStatus('session1')).toBe(CALL_ENCRYPTION.STATUS.VERIFIED)
+
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'otherKey')
+
+		expect(callEncryptionStore.isSessionVerified('session1')).toBe(false)
+		expect(callEncryptionStore.getSessionStatus('session1')).toBe(CALL_ENCRYPTION.STATUS.ENCRYPTED)
+	})
+
+	it('refuses the sessions not verified when a moderator requires it', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key1')
+		callEncryptionStore.setSessionState('session2', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key2')
+		callEncryptionStore.setSessionState('session3', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key3')
+		callEncryptionStore.verifySession('session1')
+
+		callEncryptionStore.setVerificationRequirement(true, { session2: 'key2', session3: 'fakeKey', moderator: 'localKey' })
+
+		expect(callEncryptionStore.isSessionAllowed('session1')).toBe(true)
+		expect(callEncryptionStore.isSessionAllowed('session2')).toBe(true)
+		expect(callEncryptionStore.isSessionAllowed('session3')).toBe(false)
+		expect(callEncryptionStore.getSessionStatus('session3')).toBe(CALL_ENCRYPTION.STATUS.REFUSED)
+		expect(callEncryptionStore.isLocalSessionVerifiedByModerator).toBe(true)
+
+		callEncryptionStore.setVerificationRequirement(false, {})
+
+		expect(callEncryptionStore.isSessionAllowed('session3')).toBe(true)
+	})
+
+	it('returns the worst status of the call', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key1')
+		callEncryptionStore.setSessionState('session2', CALL_ENCRYPTION.STATE.NEGOTIATING, 'key2')
+		callEncryptionStore.verifySession('session1')
+
+		expect(callEncryptionStore.getCallStatus([])).toBe(CALL_ENCRYPTION.STATUS.VERIFIED)
+		expect(callEncryptionStore.getCallStatus(['session1'])).toBe(CALL_ENCRYPTION.STATUS.VERIFIED)
+		expect(callEncryptionStore.getCallStatus(['session1', 'session2'])).toBe(CALL_ENCRYPTION.STATUS.NEGOTIATING)
+	})
+
+	it('includes the local session in the verified sessions shared as moderator', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key1')
+		callEncryptionStore.verifySession('session1')
+		callEncryptionStore.setVerificationRequirement(true, { session2: 'key2' })
+
+		expect(callEncryptionStore.getSessionsVerifiedAsModerator('localSession')).toEqual({
+			localSession: 'localKey',
+			session1: 'key1',
+			session2: 'key2',
+		})
+	})
+
+	it('clears the sessions when the encryption is stopped', () => {
+		callEncryptionStore.setSessionState('session1', CALL_ENCRYPTION.STATE.ENCRYPTED, 'key1')
+		callEncryptionStore.verifySession('session1')
+
+		callEncryptionStore.setLocalIdentityKey(null)
+
+		expect(callEncryptionStore.isEncryptionEnabled).toBe(false)
+		expect(callEncryptionStore.sessions).toEqual({})
+		expect(callEncryptionStore.verifiedSessions).toEqual({})
+	})
+})
@@ -0,0 +1,120 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { CALL_QUESTION } from '../../constants.ts'
+import store from '../../store/index.js'
+import { useCallQuestionsStore } from '../callQuestions.ts'
+
+jest.mock('../../services/CapabilitiesManager', () => ({
+	getTalkConfig: jest.fn(() => 32000),
+	hasTalkFeature: jest.fn(() => true),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		getActorId: jest.fn(() => 'me'),
+		getActorType: jest.fn(() => 'users'),
+		getDisplayName: jest.fn(() => 'Me'),
+	},
+	dispatch: jest.fn(),
+}))
+
+describe('callQuestionsStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	let callQuestionsStore
+
+	beforeEach(() => {
+		jest.useFakeTimers().setSystemTime(new Date('2025-03-01 10:00:00'))
+		setActivePinia(createPinia())
+		callQuestionsStore = useCallQuestionsStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+		jest.useRealTimers()
+	})
+
+	it('ignores empty and duplicated questions', () => {
+		callQuestionsStore.addQuestion('question-1', 'What?', 'Alice')
+		callQuestionsStore.addQuestion('question-1', 'What again?', 'Alice')
+		callQuestionsStore.addQuestion('question-2', '  ', 'Bob')
+
+		expect(callQuestionsStore.questions).toEqual([{
+			id: 'question-1',
+			text: 'What?',
+			authorName: 'Alice',
+			timestamp: Date.now(),
+			votes: [],
+			state: CALL_QUESTION.STATE.OPEN,
+		}])
+	})
+
+	it('sorts open questions by votes and then answered questions', () => {
+		callQuestionsStore.addQuestion('question-1', 'First', 'Alice')
+		jest.advanceTimersByTime(1000)
+		callQuestionsStore.addQuestion('question-2', 'Second', null)
+		jest.advanceTimersByTime(1000)
+		callQuestionsStore.addQuestion('question-3', 'Third', 'Bob')
+		jest.advanceTimersByTime(1000)
+		callQuestionsStore.addQuestion('question-4', 'Fourth', 'Bob')
+
+		callQuestionsStore.setVote('question-3', 'peer-alice', true)
+		callQuestionsStore.setVote('question-3', 'peer-alice', true)
+		callQuestionsStore.setVote('question-1', 'peer-bob', true)
+		callQuestionsStore.setVote('question-1', 'peer-bob', false)
+		callQuestionsStore.setQuestionState('question-1', CALL_QUESTION.STATE.ANSWERED)
+		callQuestionsStore.setQuestionState('question-4', CALL_QUESTION.STATE.DISMISSED)
+
+		expect(callQuestionsStore.sortedQuestions.map((question) => question.id))
+			.toEqual(['question-3', 'question-2', 'question-1'])
+		expect(callQuestionsStore.hasVoted('question-3', 'peer-alice')).toBeTruthy()
+		expect(callQuestionsStore.hasVoted('question-1', 'peer-bob')).toBeFalsy()
+		expect(callQuestionsStore.questionsSummary).toEqual([
+			'- Third (Bob, 1 vote)',
+			'- Second (Anonymous, 0 votes)',
+			'- First (Alice, 0 votes) (answered)',
+		])
+	})
+
+	it('removes the highlight when the question is dismissed', () => {
+		callQuestionsStore.addQuestion('question-1', 'What?', 'Alice')
+		callQuestionsStore.setHighlightedQuestionId('question-1')
+		expect(callQuestionsStore.highlightedQuestion.text).toBe('What?')
+
+		callQuestionsStore.setQuestionState('question-1', CALL_QUESTION.STATE.DISMISSED)
+		expect(callQuestionsStore.highlightedQuestion).toBeUndefined()
+	})
+
+	it('does not highlight unknown questions', () => {
+		callQuestionsStore.setHighlightedQuestionId('question-1')
+		expect(callQuestionsStore.highlightedQuestionId).toBe(null)
+	})
+
+	it('restores the questions of a moderator', () => {
+		callQuestionsStore.addQuestion('question-1', 'What?', 'Alice')
+		const questions = [{ id: 'question-2', text: 'Why?', authorName: null, timestamp: 0, votes: ['peer-bob'], state: CALL_QUESTION.STATE.OPEN }]
+
+		callQuestionsStore.restoreQuestions(questions, 'question-2')
+
+		expect(callQuestionsStore.questions).toEqual(questions)
+		expect(callQuestionsStore.highlightedQuestionId).toBe('question-2')
+	})
+
+	it('posts the questions to the chat', async () => {
+		callQuestionsStore.addQuestion('question-1', 'What?', 'Alice')
+
+		await callQuestionsStore.postQuestions(TOKEN)
+
+		expect(store.dispatch).toHaveBeenCalledTimes(1)
+		expect(store.dispatch).toHaveBeenCalledWith('postNewMessage', expect.objectContaining({
+			token: TOKEN,
+			temporaryMessage: expect.objectContaining({
+				message: 'Questions from the call\n- What? (Alice, 0 votes)',
+			}),
+			options: { silent: true },
+		}))
+	})
+})
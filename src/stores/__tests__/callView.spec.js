@@ -4,7 +4,7 @@
  */
 import { setActivePinia, createPinia } from 'pinia'
 
-import { CONVERSATION } from '../../constants.ts'
+import { CALL_LAYOUT, CONVERSATION, LOW_BANDWIDTH } from '../../constants.ts'
 import BrowserStorage from '../../services/BrowserStorage.js'
 import vuexStore from '../../store/index.js'
 import { useCallViewStore } from '../callView.ts'
@@ -220,6 +220,64 @@ describe('callViewStore', () => {
 		})
 	})
 
+	describe('call layout', () => {
+		const LAYOUT_BROWSER_STORAGE_KEY = 'callprefs-XXTOKENXX-layout'
+
+		it('restores the layout options from BrowserStorage when joining call', () => {
+			// Arrange
+			BrowserStorage.getItem.mockImplementation((key) => key === LAYOUT_BROWSER_STORAGE_KEY
+				? JSON.stringify({ tilesPerPage: 9, hideSelfView: true })
+				: null)
+			const conversation = { token: TOKEN, type: CONVERSATION.TYPE.GROUP }
+
+			// Act
+			callViewStore.handleJoinCall(conversation)
+
+			// Assert
+			expect(callViewStore.tilesPerPage).toBe(9)
+			expect(callViewStore.hideSelfView).toBeTruthy()
+			expect(callViewStore.hideVideolessTiles).toBeFalsy()
+			expect(callViewStore.isSideBySide).toBeFalsy()
+
+			BrowserStorage.getItem.mockReturnValue(null)
+		})
+
+		it('sets and saves the layout options', () => {
+			// Act
+			callViewStore.setCallLayout(TOKEN, { hideVideolessTiles: true })
+			callViewStore.setCallLayout(TOKEN, { tilesPerPage: 4 })
+
+			// Assert
+			expect(callViewStore.hideVideolessTiles).toBeTruthy()
+			expect(callViewStore.tilesPerPage).toBe(4)
+			expect(BrowserStorage.setItem).toHaveBeenLastCalledWith(LAYOUT_BROWSER_STORAGE_KEY, JSON.stringify({
+				tilesPerPage: 4,
+				isSideBySide: false,
+				hideVideolessTiles: true,
+				hideSelfView: false,
+			}))
+		})
+
+		it('switches between layout presets', () => {
+			// Act
+			callViewStore.setCallLayoutPreset(TOKEN, CALL_LAYOUT.PRESET.SIDE_BY_SIDE)
+
+			// Assert
+			expect(callViewStore.isGrid).toBeFalsy()
+			expect(callViewStore.isSideBySide).toBeTruthy()
+			expect(callViewStore.callLayoutPreset).toBe(CALL_LAYOUT.PRESET.SIDE_BY_SIDE)
+
+			// Act
+			callViewStore.setCallLayoutPreset(TOKEN, CALL_LAYOUT.PRESET.GRID)
+
+			// Assert
+			expect(callViewStore.isGrid).toBeTruthy()
+			expect(callViewStore.isSideBySide).toBeFalsy()
+			expect(callViewStore.callLayoutPreset).toBe(CALL_LAYOUT.PRESET.GRID)
+			expect(BrowserStorage.setItem).toHaveBeenCalledWith(BROWSER_STORAGE_KEY, 'true')
+		})
+	})
+
 	describe('other actions', () => {
 		it('sets value on forceCallView', () => {
 			expect(callViewStore.forceCallView).toBeFalsy()
@@ -244,6 +302,47 @@ describe('callViewStore', () => {
 			expect(callViewStore.selectedVideoPeerId).toBe(PEER_ID)
 		})
 
+		it('sets value on spotlightPeerId', () => {
+			callViewStore.setSpotlightPeerId(PEER_ID)
+			expect(callViewStore.spotlightPeerId).toBe(PEER_ID)
+			callViewStore.setSpotlightPeerId(null)
+			expect(callViewStore.spotlightPeerId).toBe(null)
+		})
+
+		it('pins and unpins videos', () => {
+			callViewStore.pinVideo(PEER_ID)
+			callViewStore.pinVideo('another-peer-id')
+			callViewStore.pinVideo(PEER_ID)
+			expect(callViewStore.pinnedPeerIds).toEqual(['another-peer-id', PEER_ID])
+			expect(callViewStore.isVideoPinned(PEER_ID)).toBeTruthy()
+
+			callViewStore.unpinVideo(PEER_ID)
+			expect(callViewStore.pinnedPeerIds).toEqual(['another-peer-id'])
+			expect(callViewStore.isVideoPinned(PEER_ID)).toBeFalsy()
+		})
+
+		it('resets spotlight and pinned videos', () => {
+			callViewStore.setSpotlightPeerId(PEER_ID)
+			callViewStore.pinVideo(PEER_ID)
+			callViewStore.resetSpotlightAndPinnedVideos()
+			expect(callViewStore.spotlightPeerId).toBe(null)
+			expect(callViewStore.pinnedPeerIds).toEqual([])
+		})
+
+		it('sets and saves the low bandwidth mode', () => {
+			expect(callViewStore.lowBandwidthMode).toBe(LOW_BANDWIDTH.MODE.AUTO)
+			callViewStore.setLowBandwidthMode(LOW_BANDWIDTH.MODE.ON)
+			expect(callViewStore.lowBandwidthMode).toBe(LOW_BANDWIDTH.MODE.ON)
+			expect(BrowserStorage.setItem).toHaveBeenCalledWith('lowBandwidthMode', LOW_BANDWIDTH.MODE.ON)
+		})
+
+		it('sets value on lowBandwidthLevel', () => {
+			expect(callViewStore.isLowBandwidthModeActive).toBeFalsy()
+			callViewStore.setLowBandwidthLevel(LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO)
+			expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO)
+			expect(callViewStore.isLowBandwidthModeActive).toBeTruthy()
+		})
+
 		it('sets timeout if timestamp is lesser than 10 seconds', () => {
 			callViewStore.setCallHasJustEnded(Date.now() / 1000 - 3)
 			expect(callViewStore.callHasJustEnded).toBeTruthy()
@@ -0,0 +1,117 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { getTalkConfig } from '../../services/CapabilitiesManager.ts'
+import store from '../../store/index.js'
+import { useCaptionsStore } from '../captions.ts'
+
+jest.mock('../../services/CapabilitiesManager', () => ({
+	getTalkConfig: jest.fn(() => 32000),
+	hasTalkFeature: jest.fn(() => true),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		getActorId: jest.fn(() => 'me'),
+		getActorType: jest.fn(() => 'users'),
+		getDisplayName: jest.fn(() => 'Me'),
+	},
+	dispatch: jest.fn(),
+}))
+
+describe('captionsStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	const alice = { id: 'peer-alice', name: 'Alice' }
+	const bob = { id: 'peer-bob', name: 'Bob' }
+	let captionsStore
+
+	beforeEach(() => {
+		jest.useFakeTimers().setSystemTime(new Date('2025-03-01 10:00:00'))
+		setActivePinia(createPinia())
+		captionsStore = useCaptionsStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+		jest.useRealTimers()
+	})
+
+	test('shows live captions and adds final results to the transcript', () => {
+		// Act
+		captionsStore.addCaptionsResult(alice, { text: 'Hello every', isFinal: false })
+		captionsStore.addCaptionsResult(bob, { text: 'Good morning', isFinal: true })
+		captionsStore.addCaptionsResult(alice, { text: 'Hello everyone', isFinal: true })
+
+		// Assert
+		expect(captionsStore.getLiveCaption(alice.id)).toMatchObject({ speakerName: 'Alice', text: 'Hello everyone', isFinal: true })
+		expect(captionsStore.interimCaptions).toEqual([])
+		expect(captionsStore.transcript.map(({ speakerName, text }) => `${speakerName}: ${text}`))
+			.toEqual(['Bob: Good morning', 'Alice: Hello everyone'])
+	})
+
+	test('hides live captions of a silent speaker', () => {
+		// Arrange
+		captionsStore.addCaptionsResult(alice, { text: 'Hello', isFinal: false })
+
+		// Act
+		jest.advanceTimersByTime(3000)
+		captionsStore.addCaptionsResult(alice, { text: 'Hello there', isFinal: true })
+		jest.advanceTimersByTime(3000)
+
+		// Assert
+		expect(captionsStore.getLiveCaption(alice.id)).toMatchObject({ text: 'Hello there' })
+		jest.advanceTimersByTime(2000)
+		expect(captionsStore.getLiveCaption(alice.id)).toBeUndefined()
+		expect(captionsStore.transcript).toHaveLength(1)
+	})
+
+	test('posts the transcript to the chat', async () => {
+		// Arrange
+		captionsStore.addCaptionsResult(alice, { text: 'Hello everyone', isFinal: true })
+		captionsStore.addCaptionsResult(bob, { text: 'Good morning', isFinal: true })
+
+		// Act
+		await captionsStore.postTranscript(TOKEN)
+
+		// Assert
+		expect(store.dispatch).toHaveBeenCalledTimes(1)
+		expect(store.dispatch).toHaveBeenCalledWith('postNewMessage', expect.objectContaining({
+			token: TOKEN,
+			temporaryMessage: expect.objectContaining({
+				message: 'Call transcript\n[10:00 AM] Alice: Hello everyone\n[10:00 AM] Bob: Good morning',
+				actorId: 'me',
+			}),
+			options: { silent: true },
+		}))
+	})
+
+	test('splits a long transcript into several messages', async () => {
+		// Arrange
+		getTalkConfig.mockReturnValue(50)
+		captionsStore.addCaptionsResult(alice, { text: 'Hello everyone', isFinal: true })
+		captionsStore.addCaptionsResult(bob, { text: 'Good morning', isFinal: true })
+
+		// Act
+		await captionsStore.postTranscript(TOKEN)
+
+		// Assert
+		expect(store.dispatch).toHaveBeenCalledTimes(2)
+		expect(store.dispatch.mock.calls.map(([, { temporaryMessage }]) => temporaryMessage.message))
+			.toEqual(['Call transcript\n[10:00 AM] Alice: Hello everyone', '[10:00 AM] Bob: Good morning'])
+	})
+
+	test('clears captions and the transcript', () => {
+		// Arrange
+		captionsStore.addCaptionsResult(alice, { text: 'Hello', isFinal: true })
+
+		// Act
+		captionsStore.clearCaptions()
+
+		// Assert
+		expect(captionsStore.getLiveCaption(alice.id)).toBeUndefined()
+		expect(captionsStore.transcript).toEqual([])
+	})
+})
@@ -0,0 +1,203 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { TextDecoder, TextEncoder } from 'util'
+
+import { setActivePinia, createPinia } from 'pinia'
+
+import { postNewMessage } from '../../services/messagesService.ts'
+import store from '../../store/index.js'
+import { useChatEncryptionStore } from '../chatEncryption.ts'
+
+jest.mock('@nextcloud/auth', () => ({
+	getCurrentUser: jest.fn(() => ({ uid: 'me' })),
+}))
+
+jest.mock('../../services/messagesService', () => ({
+	postNewMessage: jest.fn(),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		getActorId: jest.fn(() => 'me'),
+		getActorType: jest.fn(() => 'users'),
+		getDisplayName: jest.fn(() => 'Me'),
+		conversation: jest.fn(() => ({ type: 1, name: 'alice' })),
+		message: jest.fn(),
+	},
+	state: {
+		messagesStore: {
+			messages: {},
+		},
+	},
+	dispatch: jest.fn(),
+}))
+
+// The WebAssembly file is loaded from the package instead of the server
+jest.mock('../../utils/e2ee/olm.js', () => () => jest.requireActual('@matrix-org/olm').init())
+// IndexedDB is not provided by jsdom
+jest.mock('../../utils/e2ee/pickleKeyStorage.js', () => ({
+	getPickleKey: jest.fn(async () => 'pickleKey'),
+}))
+
+/**
+ * @param {object} envelope the payload of the message
+ */
+function createEncryptedText(envelope) {
+	return 'Encrypted\ntalk-e2ee:v1:' + Buffer.from(JSON.stringify(envelope)).toString('base64')
+}
+
+describe('chatEncryptionStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	const originalTextEncoder = global.TextEncoder
+	const originalTextDecoder = global.TextDecoder
+	const device = { identityKey: 'identityKey', fallbackKey: 'fallbackKey' }
+	const message = {
+		id: 1,
+		token: TOKEN,
+		actorType: 'users',
+		actorId: 'alice',
+		message: 'Hello',
+		messageParameters: {},
+	}
+	let chatEncryptionStore
+
+	beforeAll(() => {
+		// Not provided by jsdom
+		global.TextEncoder = TextEncoder
+		global.TextDecoder = TextDecoder
+	})
+
+	afterAll(() => {
+		global.TextEncoder = originalTextEncoder
+		global.TextDecoder = originalTextDecoder
+	})
+
+	beforeEach(() => {
+		localStorage.clear()
+		setActivePinia(createPinia())
+		chatEncryptionStore = useChatEncryptionStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	it('does not change messages which are not encrypted', () => {
+		expect(chatEncryptionStore.processMessage(TOKEN, message)).toEqual(message)
+	})
+
+	it('hides device announcements and remembers the device of the other participant', () => {
+		const announcement = { ...message, message: createEncryptedText({ type: 'device', device }) }
+
+		expect(chatEncryptionStore.processMessage(TOKEN, announcement)).toBe(null)
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([{ actorType: 'users', actorId: 'alice', ...device, status: 'pending' }])
+		expect(chatEncryptionStore.isEncryptionRequested(TOKEN)).toBe(true)
+		expect(chatEncryptionStore.canEncrypt(TOKEN)).toBe(false)
+	})
+
+	it('only remembers the devices of the other participant of a one-to-one conversation', () => {
+		const announcement = { ...message, message: createEncryptedText({ type: 'device', device }) }
+		chatEncryptionStore.processMessage(TOKEN, { ...announcement, actorId: 'mallory' })
+		chatEncryptionStore.processMessage(TOKEN, { ...announcement, actorType: 'guests' })
+
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([])
+
+		store.getters.conversation.mockReturnValueOnce({ type: 2, name: 'alice' })
+		chatEncryptionStore.processMessage(TOKEN, announcement)
+
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([])
+	})
+
+	it('encrypts the messages only for accepted devices', async () => {
+		const announcement = { ...message, message: createEncryptedText({ type: 'device', device }) }
+		await chatEncryptionStore.enableEncryption(TOKEN)
+		chatEncryptionStore.processMessage(TOKEN, announcement)
+
+		expect(chatEncryptionStore.getPendingDevices(TOKEN)).toEqual([expect.objectContaining(device)])
+		expect(chatEncryptionStore.canEncrypt(TOKEN)).toBe(false)
+		expect(() => chatEncryptionStore.encryptMessage(TOKEN, 'Hello')).toThrow()
+
+		chatEncryptionStore.setDeviceStatus(TOKEN, device.identityKey, 'accepted')
+
+		expect(chatEncryptionStore.getPendingDevices(TOKEN)).toEqual([])
+		expect(chatEncryptionStore.getAcceptedDevices(TOKEN)).toEqual([expect.objectContaining(device)])
+		expect(chatEncryptionStore.canEncrypt(TOKEN)).toBe(true)
+
+		// A rotated fallback key does not change the identity of the device
+		chatEncryptionStore.processMessage(TOKEN, { ...message, message: createEncryptedText({ type: 'device', device: { ...device, fallbackKey: 'newFallbackKey' } }) })
+
+		expect(chatEncryptionStore.getAcceptedDevices(TOKEN)).toEqual([expect.objectContaining({ ...device, fallbackKey: 'newFallbackKey' })])
+
+		chatEncryptionStore.setDeviceStatus(TOKEN, device.identityKey, 'rejected')
+
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([])
+		expect(chatEncryptionStore.canEncrypt(TOKEN)).toBe(false)
+	})
+
+	it('asks to verify a changed device', () => {
+		chatEncryptionStore.processMessage(TOKEN, { ...message, message: createEncryptedText({ type: 'device', device }) })
+		chatEncryptionStore.setDeviceStatus(TOKEN, device.identityKey, 'accepted')
+
+		const newDevice = { identityKey: 'newIdentityKey', fallbackKey: 'fallbackKey' }
+		chatEncryptionStore.processMessage(TOKEN, { ...message, message: createEncryptedText({ type: 'device', device: newDevice }) })
+
+		expect(chatEncryptionStore.getPendingDevices(TOKEN)).toEqual([expect.objectContaining(newDevice)])
+		expect(chatEncryptionStore.getAcceptedDevices(TOKEN)).toEqual([expect.objectContaining(device)])
+	})
+
+	it('does not count the own devices as devices of the other participant', () => {
+		const announcement = { ...message, actorId: 'me', message: createEncryptedText({ type: 'device', device }) }
+		chatEncryptionStore.processMessage(TOKEN, announcement)
+
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([])
+		expect(chatEncryptionStore.isEncryptionRequested(TOKEN)).toBe(false)
+	})
+
+	it('replaces messages which can not be decrypted by a placeholder', async () => {
+		const encryptedText = createEncryptedText({ type: 'message', device, sessionId: 'sessionId', ciphertext: 'ciphertext', keys: {} })
+		await chatEncryptionStore.initialize()
+
+		const processedMessage = chatEncryptionStore.processMessage(TOKEN, { ...message, message: encryptedText })
+
+		expect(processedMessage).toEqual(expect.objectContaining({
+			isEncrypted: true,
+			isUndecryptable: true,
+			encryptedMessage: encryptedText,
+		}))
+		expect(chatEncryptionStore.getMessagePreview(TOKEN, { ...message, message: encryptedText })).toBe('Encrypted message')
+	})
+
+	it('shows the text of already decrypted messages in the preview without processing the message', () => {
+		const announcement = { ...message, message: createEncryptedText({ type: 'device', device }) }
+		const encryptedText = createEncryptedText({ type: 'message', device, sessionId: 'sessionId', ciphertext: 'ciphertext', keys: {} })
+
+		expect(chatEncryptionStore.getMessagePreview(TOKEN, announcement)).toBe('Enabled end-to-end encryption')
+		expect(chatEncryptionStore.getPeerDevices(TOKEN)).toEqual([])
+		expect(chatEncryptionStore.getMessagePreview(TOKEN, { ...message, message: encryptedText })).toBe('Encrypted message')
+
+		store.getters.message.mockReturnValueOnce({ ...message, message: 'Hello', isEncrypted: true })
+
+		expect(chatEncryptionStore.getMessagePreview(TOKEN, { ...message, message: encryptedText })).toBe('Hello')
+		expect(store.getters.message).toHaveBeenCalledWith(TOKEN, 1)
+	})
+
+	it('does not encrypt temporary messages if the encryption is not enabled', () => {
+		expect(chatEncryptionStore.encryptTemporaryMessage(TOKEN, message)).toBe(message)
+	})
+
+	it('enables the encryption and announces the device', async () => {
+		await chatEncryptionStore.enableEncryption(TOKEN)
+
+		expect(chatEncryptionStore.isEncryptionEnabled(TOKEN)).toBe(true)
+		expect(postNewMessage).toHaveBeenCalledWith(expect.objectContaining({ token: TOKEN }), { silent: true })
+		expect(chatEncryptionStore.processMessage(TOKEN, { ...message, actorId: 'me', message: postNewMessage.mock.calls[0][0].message })).toBe(null)
+		expect(() => chatEncryptionStore.encryptMessage(TOKEN, 'Hello')).toThrow()
+
+		chatEncryptionStore.disableEncryption(TOKEN)
+
+		expect(chatEncryptionStore.isEncryptionEnabled(TOKEN)).toBe(false)
+		expect(JSON.parse(localStorage.getItem('talk_e2eeChatEnabled') ?? '[]')).toEqual([])
+	})
+})
@@ -0,0 +1,58 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import BrowserStorage from '../../services/BrowserStorage.js'
+import { CONVERSATION_FILTER, CONVERSATION_FILTER_OPERATOR } from '../../utils/conversation.js'
+import { useConversationFiltersStore } from '../conversationFilters.ts'
+
+describe('conversationFiltersStore', () => {
+	const filter = {
+		operator: CONVERSATION_FILTER_OPERATOR.OR,
+		conditions: [{ type: CONVERSATION_FILTER.CALL }, { type: CONVERSATION_FILTER.FEDERATED }],
+	}
+	let conversationFiltersStore
+
+	beforeEach(() => {
+		BrowserStorage.removeItem('conversationFilterPresets')
+		BrowserStorage.removeItem('conversationFilterActive')
+		setActivePinia(createPinia())
+		conversationFiltersStore = useConversationFiltersStore()
+	})
+
+	it('applies and clears the filter', () => {
+		conversationFiltersStore.applyFilter(filter)
+
+		expect(conversationFiltersStore.activeFilter).toEqual({ filter, presetId: null })
+		expect(JSON.parse(BrowserStorage.getItem('conversationFilterActive'))).toEqual({ filter, presetId: null })
+
+		conversationFiltersStore.applyFilter({ operator: CONVERSATION_FILTER_OPERATOR.AND, conditions: [] })
+
+		expect(conversationFiltersStore.activeFilter).toBe(null)
+		expect(BrowserStorage.getItem('conversationFilterActive')).toBe(null)
+	})
+
+	it('saves the filter as a preset and toggles it', () => {
+		const id = conversationFiltersStore.savePreset(' Calls ', filter)
+
+		expect(conversationFiltersStore.getPreset(id)).toEqual({ id, name: 'Calls', filter })
+		expect(conversationFiltersStore.isPresetActive(id)).toBe(true)
+		expect(JSON.parse(BrowserStorage.getItem('conversationFilterPresets'))).toEqual([{ id, name: 'Calls', filter }])
+
+		conversationFiltersStore.togglePreset(id)
+		expect(conversationFiltersStore.activeFilter).toBe(null)
+
+		conversationFiltersStore.togglePreset(id)
+		expect(conversationFiltersStore.activeFilter).toEqual({ filter, presetId: id })
+	})
+
+	it('clears the filter of a deleted preset', () => {
+		const id = conversationFiltersStore.savePreset('Calls', filter)
+		conversationFiltersStore.deletePreset(id)
+
+		expect(conversationFiltersStore.presets).toEqual([])
+		expect(conversationFiltersStore.activeFilter).toBe(null)
+	})
+})
@@ -0,0 +1,93 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { loadState } from '@nextcloud/initial-state'
+
+import BrowserStorage from '../../services/BrowserStorage.js'
+import { setConversationSections } from '../../services/settingsService.ts'
+import { useConversationSectionsStore } from '../conversationSections.ts'
+
+jest.mock('../../services/settingsService', () => ({
+	setConversationSections: jest.fn(),
+}))
+
+describe('conversationSectionsStore', () => {
+	const config = {
+		sections: [
+			{ id: 'customers', name: 'Customers' },
+			{ id: 'team', name: 'Team' },
+		],
+		assignments: {
+			token1: 'customers',
+			token2: 'team',
+		},
+	}
+	let conversationSectionsStore
+
+	beforeEach(() => {
+		BrowserStorage.removeItem('conversationSectionsCollapsed')
+		loadState.mockImplementation((app, key, fallback) => key === 'conversation_sections' ? config : fallback)
+		setActivePinia(createPinia())
+		conversationSectionsStore = useConversationSectionsStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	it('loads the sections from the user config', () => {
+		expect(conversationSectionsStore.sections).toEqual(config.sections)
+		expect(conversationSectionsStore.getSectionId('token1')).toBe('customers')
+		expect(conversationSectionsStore.getSectionId('token3')).toBe(null)
+	})
+
+	it('assigns a conversation to a new section', async () => {
+		const sectionId = await conversationSectionsStore.createSection('  Projects ')
+		await conversationSectionsStore.assignConversation('token1', sectionId)
+
+		expect(conversationSectionsStore.getSection(sectionId)).toEqual({ id: sectionId, name: 'Projects' })
+		expect(conversationSectionsStore.getSectionId('token1')).toBe(sectionId)
+		expect(setConversationSections).toHaveBeenLastCalledWith({
+			sections: [...config.sections, { id: sectionId, name: 'Projects' }],
+			assignments: { token1: sectionId, token2: 'team' },
+		})
+	})
+
+	it('moves the conversations of a deleted section back to the other conversations', async () => {
+		conversationSectionsStore.setCollapsed('customers', true)
+		await conversationSectionsStore.deleteSection('customers')
+
+		expect(conversationSectionsStore.sections).toEqual([{ id: 'team', name: 'Team' }])
+		expect(conversationSectionsStore.getSectionId('token1')).toBe(null)
+		expect(conversationSectionsStore.isCollapsed('customers')).toBe(false)
+		expect(setConversationSections).toHaveBeenCalledWith({
+			sections: [{ id: 'team', name: 'Team' }],
+			assignments: { token2: 'team' },
+		})
+	})
+
+	it('reorders the sections', async () => {
+		await conversationSectionsStore.moveSection('team', -1)
+		expect(conversationSectionsStore.sections.map((section) => section.id)).toEqual(['team', 'customers'])
+
+		await conversationSectionsStore.moveSection('team', -1)
+		expect(setConversationSections).toHaveBeenCalledTimes(1)
+	})
+
+	it('keeps the sections when the user config could not be updated', async () => {
+		setConversationSections.mockRejectedValueOnce(new Error('Bad request'))
+
+		await expect(conversationSectionsStore.assignConversation('token1', null)).rejects.toThrow()
+		expect(conversationSectionsStore.getSectionId('token1')).toBe('customers')
+	})
+
+	it('remembers the collapsed sections on this device', () => {
+		conversationSectionsStore.toggleCollapsed('team')
+
+		expect(conversationSectionsStore.isCollapsed('team')).toBe(true)
+		expect(JSON.parse(BrowserStorage.getItem('conversationSectionsCollapsed'))).toEqual(['team'])
+	})
+})
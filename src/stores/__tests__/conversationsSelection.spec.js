@@ -0,0 +1,98 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import store from '../../store/index.js'
+import { BULK_ACTION, useConversationsSelectionStore } from '../conversationsSelection.ts'
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		conversation: jest.fn(),
+	},
+	dispatch: jest.fn(),
+}))
+
+describe('conversationsSelectionStore', () => {
+	let conversations
+	let conversationsSelectionStore
+
+	beforeEach(() => {
+		conversations = {
+			token1: { token: 'token1', displayName: 'Customers', isArchived: false, canLeaveConversation: true, canDeleteConversation: true },
+			token2: { token: 'token2', displayName: 'Team', isArchived: false, canLeaveConversation: true, canDeleteConversation: false },
+		}
+		store.getters.conversation.mockImplementation((token) => conversations[token])
+
+		setActivePinia(createPinia())
+		conversationsSelectionStore = useConversationsSelectionStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	it('selects the conversations', () => {
+		conversationsSelectionStore.startSelection('token1')
+		conversationsSelectionStore.toggleSelected('token2')
+		conversationsSelectionStore.toggleSelected('token1')
+
+		expect(conversationsSelectionStore.isSelecting).toBe(true)
+		expect(conversationsSelectionStore.selectedTokens).toEqual(['token2'])
+
+		conversationsSelectionStore.stopSelection()
+
+		expect(conversationsSelectionStore.isSelecting).toBe(false)
+		expect(conversationsSelectionStore.selectedTokens).toEqual([])
+	})
+
+	it('runs the action for all selected conversations', async () => {
+		store.dispatch.mockImplementation((action, { token, isArchived }) => {
+			conversations[token] = { ...conversations[token], isArchived: !isArchived }
+		})
+		conversationsSelectionStore.setSelected(['token1', 'token2'])
+
+		const result = await conversationsSelectionStore.runBulkAction(BULK_ACTION.ARCHIVE)
+
+		expect(store.dispatch).toHaveBeenCalledTimes(2)
+		expect(store.dispatch).toHaveBeenCalledWith('toggleArchive', { token: 'token1', isArchived: false })
+		expect(result).toEqual({ succeeded: ['token1', 'token2'], failed: [] })
+		expect(conversationsSelectionStore.selectedTokens).toEqual([])
+		expect(conversationsSelectionStore.isRunning).toBe(false)
+	})
+
+	it('reports the conversations, which could not be updated', async () => {
+		// The action logs the error, so the conversation is not changed
+		store.dispatch.mockResolvedValue()
+		conversationsSelectionStore.setSelected(['token1', 'token2'])
+
+		const result = await conversationsSelectionStore.runBulkAction(BULK_ACTION.ARCHIVE)
+
+		expect(result).toEqual({ succeeded: [], failed: ['Customers', 'Team'] })
+		expect(conversationsSelectionStore.selectedTokens).toEqual(['token1', 'token2'])
+	})
+
+	it('only deletes the conversations, which can be deleted', async () => {
+		store.dispatch.mockImplementation((action, { token }) => {
+			delete conversations[token]
+		})
+		conversationsSelectionStore.setSelected(['token1', 'token2'])
+
+		const result = await conversationsSelectionStore.runBulkAction(BULK_ACTION.DELETE)
+
+		expect(store.dispatch).toHaveBeenCalledTimes(1)
+		expect(store.dispatch).toHaveBeenCalledWith('deleteConversationFromServer', { token: 'token1' })
+		expect(result).toEqual({ succeeded: ['token1'], failed: ['Team'] })
+	})
+
+	it('continues with the other conversations when leaving fails', async () => {
+		store.dispatch.mockRejectedValueOnce(new Error('Bad request'))
+		conversationsSelectionStore.setSelected(['token1', 'token2'])
+
+		const result = await conversationsSelectionStore.runBulkAction(BULK_ACTION.LEAVE)
+
+		expect(store.dispatch).toHaveBeenCalledWith('removeCurrentUserFromConversation', { token: 'token2' })
+		expect(result).toEqual({ succeeded: ['token2'], failed: ['Customers'] })
+	})
+})
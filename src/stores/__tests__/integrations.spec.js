@@ -43,4 +43,21 @@ describe('integrationsStore', () => {
 			expect(integrationsStore.participantSearchActions).toStrictEqual([action])
 		})
 	})
+
+	describe('slash commands', () => {
+		it('adds and replaces slash commands by name', () => {
+			// Arrange
+			const command = { name: 'deck', description: 'Create a card', callback: jest.fn() }
+			const otherCommand = { name: 'forms', description: 'Create a form', callback: jest.fn() }
+			const updatedCommand = { name: 'deck', description: 'Create a Deck card', params: '<title>', callback: jest.fn() }
+
+			// Act
+			integrationsStore.addSlashCommand(command)
+			integrationsStore.addSlashCommand(otherCommand)
+			integrationsStore.addSlashCommand(updatedCommand)
+
+			// Assert
+			expect(integrationsStore.slashCommands).toStrictEqual([updatedCommand, otherCommand])
+		})
+	})
 })
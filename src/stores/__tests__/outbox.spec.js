@@ -0,0 +1,247 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import {
+	getOutboxEntries,
+	putOutboxEntries,
+	removeOutboxEntry,
+} from '../../services/messagesCache.ts'
+import store from '../../store/index.js'
+import { useChatEncryptionStore } from '../chatEncryption.ts'
+import { useOutboxStore } from '../outbox.ts'
+
+jest.mock('../../services/messagesCache', () => ({
+	getOutboxEntries: jest.fn(),
+	putOutboxEntries: jest.fn(),
+	removeOutboxEntry: jest.fn(),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	commit: jest.fn(),
+	dispatch: jest.fn(),
+}))
+
+jest.mock('../chatEncryption.ts', () => {
+	const chatEncryptionStore = {
+		encryptTemporaryMessage: jest.fn((token, message) => message),
+		decryptTemporaryMessage: jest.fn(async (token, message) => message),
+	}
+	return { useChatEncryptionStore: () => chatEncryptionStore }
+})
+
+describe('outboxStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	let outboxStore
+	let onLineSpy
+
+	const message1 = { id: 'temp-1', token: TOKEN, message: 'first', timestamp: 0 }
+	const message2 = { id: 'temp-2', token: TOKEN, message: 'second', timestamp: 0 }
+	const networkError = { isAxiosError: true, message: 'Network Error' }
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		outboxStore = useOutboxStore()
+		onLineSpy = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false)
+	})
+
+	afterEach(() => {
+		clearTimeout(outboxStore.retryTimeout)
+		jest.clearAllMocks()
+		onLineSpy.mockRestore()
+	})
+
+	test('queues message once and persists it', async () => {
+		// Act
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+
+		// Assert
+		expect(outboxStore.entries).toHaveLength(1)
+		expect(outboxStore.isQueued('temp-1')).toBeTruthy()
+		expect(outboxStore.hasQueuedMessages(TOKEN)).toBeTruthy()
+		expect(outboxStore.hasQueuedMessages('OTHER')).toBeFalsy()
+		expect(putOutboxEntries).toHaveBeenCalledTimes(1)
+		expect(putOutboxEntries).toHaveBeenCalledWith([expect.objectContaining({ id: 'temp-1', token: TOKEN, options: null })])
+	})
+
+	test('stores the text of end-to-end encrypted messages encrypted', async () => {
+		// Arrange
+		const encryptedMessage = { ...message1, message: 'encrypted' }
+		useChatEncryptionStore().encryptTemporaryMessage.mockReturnValueOnce(encryptedMessage)
+
+		// Act
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+
+		// Assert
+		expect(useChatEncryptionStore().encryptTemporaryMessage).toHaveBeenCalledWith(TOKEN, message1)
+		expect(putOutboxEntries).toHaveBeenCalledWith([expect.objectContaining({ temporaryMessage: encryptedMessage })])
+		expect(store.dispatch).toHaveBeenCalledWith('addTemporaryMessage', { token: TOKEN, message: message1 })
+	})
+
+	test('does not process outbox while offline', async () => {
+		// Arrange
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		store.dispatch.mockClear()
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(store.dispatch).not.toHaveBeenCalled()
+		expect(outboxStore.entries).toHaveLength(1)
+	})
+
+	test('sends queued messages in order when back online', async () => {
+		// Arrange
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message2, options: { silent: true } })
+		store.dispatch.mockClear()
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(store.dispatch).toHaveBeenNthCalledWith(1, 'postNewMessage', {
+			token: TOKEN,
+			temporaryMessage: expect.objectContaining({ id: 'temp-1' }),
+			options: null,
+			fromOutbox: true,
+		})
+		expect(store.dispatch).toHaveBeenNthCalledWith(2, 'postNewMessage', {
+			token: TOKEN,
+			temporaryMessage: expect.objectContaining({ id: 'temp-2' }),
+			options: { silent: true },
+			fromOutbox: true,
+		})
+		expect(removeOutboxEntry).toHaveBeenCalledTimes(2)
+		expect(outboxStore.entries).toHaveLength(0)
+	})
+
+	test('stops processing and keeps messages on network error', async () => {
+		// Arrange
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message2 })
+		store.dispatch.mockClear()
+		store.dispatch.mockRejectedValueOnce(networkError)
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(store.dispatch).toHaveBeenCalledTimes(1)
+		expect(removeOutboxEntry).not.toHaveBeenCalled()
+		expect(outboxStore.entries.map(entry => entry.id)).toEqual(['temp-1', 'temp-2'])
+	})
+
+	test('drops message from outbox on other errors', async () => {
+		// Arrange
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		store.dispatch.mockClear()
+		store.dispatch.mockRejectedValueOnce({ isAxiosError: true, response: { status: 403 } })
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(removeOutboxEntry).toHaveBeenCalledWith('temp-1')
+		expect(outboxStore.entries).toHaveLength(0)
+	})
+
+	test('uploads queued files of the same upload together', async () => {
+		// Arrange
+		const upload = { uploadId: 'upload-1', file: {} }
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1, upload: { ...upload, index: '0', caption: null } })
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message2, upload: { ...upload, index: '1', caption: 'caption' } })
+		store.dispatch.mockClear()
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(store.dispatch).toHaveBeenCalledTimes(1)
+		expect(store.dispatch).toHaveBeenCalledWith('uploadFiles', {
+			token: TOKEN,
+			uploadId: 'upload-1',
+			caption: 'caption',
+			options: null,
+			fromOutbox: true,
+		})
+		expect(removeOutboxEntry).toHaveBeenCalledTimes(2)
+		expect(outboxStore.entries).toHaveLength(0)
+	})
+
+	test('keeps queued files on network error during upload', async () => {
+		// Arrange
+		const upload = { uploadId: 'upload-1', file: {}, index: '0', caption: null }
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1, upload })
+		store.dispatch.mockClear()
+		store.dispatch.mockRejectedValueOnce(networkError)
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+
+		// Assert
+		expect(removeOutboxEntry).not.toHaveBeenCalled()
+		expect(outboxStore.isQueued('temp-1')).toBeTruthy()
+	})
+
+	test('retries with growing delay while server is not reachable', async () => {
+		// Arrange
+		jest.useFakeTimers()
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+		store.dispatch.mockClear()
+		store.dispatch.mockRejectedValueOnce(networkError).mockRejectedValueOnce(networkError)
+		onLineSpy.mockReturnValue(true)
+
+		// Act
+		await outboxStore.processOutbox()
+		await jest.advanceTimersByTimeAsync(5000)
+
+		// Assert
+		expect(store.dispatch).toHaveBeenCalledTimes(2)
+		await jest.advanceTimersByTimeAsync(5000)
+		expect(store.dispatch).toHaveBeenCalledTimes(2)
+		await jest.advanceTimersByTimeAsync(5000)
+		expect(store.dispatch).toHaveBeenCalledTimes(3)
+		expect(outboxStore.entries).toHaveLength(0)
+
+		jest.useRealTimers()
+	})
+
+	test('cancels queued message', async () => {
+		// Arrange
+		await outboxStore.queueMessage({ token: TOKEN, temporaryMessage: message1 })
+
+		// Act
+		await outboxStore.cancelQueuedMessage('temp-1')
+
+		// Assert
+		expect(outboxStore.isQueued('temp-1')).toBeFalsy()
+		expect(removeOutboxEntry).toHaveBeenCalledWith('temp-1')
+		expect(store.dispatch).toHaveBeenCalledWith('removeTemporaryMessageFromStore', { token: TOKEN, id: 'temp-1' })
+	})
+
+	test('restores orphaned messages from the outbox', async () => {
+		// Arrange
+		getOutboxEntries.mockResolvedValue([
+			{ id: 'temp-1', token: TOKEN, createdAt: 1, ownerTabId: 'closed-tab', temporaryMessage: message1, options: null },
+		])
+
+		// Act
+		await outboxStore.restoreOutbox()
+
+		// Assert
+		expect(outboxStore.isQueued('temp-1')).toBeTruthy()
+		expect(putOutboxEntries).toHaveBeenCalledWith([expect.objectContaining({ id: 'temp-1' })])
+		expect(useChatEncryptionStore().decryptTemporaryMessage).toHaveBeenCalledWith(TOKEN, message1)
+		expect(store.dispatch).toHaveBeenCalledWith('addTemporaryMessage', { token: TOKEN, message: message1 })
+	})
+})
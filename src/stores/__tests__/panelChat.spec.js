@@ -0,0 +1,44 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { usePanelChatStore } from '../panelChat.ts'
+
+describe('panelChatStore', () => {
+	let panelChatStore
+
+	beforeEach(() => {
+		jest.useFakeTimers().setSystemTime(new Date('2025-03-01 10:00:00'))
+		setActivePinia(createPinia())
+		panelChatStore = usePanelChatStore()
+	})
+
+	afterEach(() => {
+		jest.useRealTimers()
+	})
+
+	it('adds messages in the order they are received', () => {
+		panelChatStore.addMessage('peer-alice', 'Alice', 'Hello')
+		panelChatStore.addMessage('peer-bob', 'Bob', 'Hi there')
+
+		expect(panelChatStore.messages).toEqual([
+			{ senderId: 'peer-alice', senderName: 'Alice', message: 'Hello', timestamp: Date.now() },
+			{ senderId: 'peer-bob', senderName: 'Bob', message: 'Hi there', timestamp: Date.now() },
+		])
+	})
+
+	it('ignores empty messages', () => {
+		panelChatStore.addMessage('peer-alice', 'Alice', '  ')
+
+		expect(panelChatStore.messages).toEqual([])
+	})
+
+	it('removes all messages on reset', () => {
+		panelChatStore.addMessage('peer-alice', 'Alice', 'Hello')
+		panelChatStore.reset()
+
+		expect(panelChatStore.messages).toEqual([])
+	})
+})
@@ -0,0 +1,176 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { showError } from '@nextcloud/dialogs'
+
+import { PARTICIPANT } from '../../constants.ts'
+import {
+	getPinnedMessages,
+	pinMessage,
+	unpinMessage,
+} from '../../services/messagesService.ts'
+import store from '../../store/index.js'
+import { generateOCSErrorResponse, generateOCSResponse } from '../../test-helpers.js'
+import { usePinnedMessagesStore } from '../pinnedMessages.ts'
+
+jest.mock('../../services/messagesService', () => ({
+	getPinnedMessages: jest.fn(),
+	pinMessage: jest.fn(),
+	unpinMessage: jest.fn(),
+}))
+
+jest.mock('../../services/CapabilitiesManager', () => ({
+	hasTalkFeature: jest.fn(() => true),
+}))
+
+jest.mock('@nextcloud/dialogs', () => ({
+	showError: jest.fn(),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		conversation: jest.fn(),
+	},
+}))
+
+describe('pinnedMessagesStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	let pinnedMessagesStore
+
+	const message1 = { id: 1, token: TOKEN, message: 'Meeting link', messageParameters: {} }
+	const message2 = { id: 2, token: TOKEN, message: 'Agreed decision', messageParameters: {} }
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		pinnedMessagesStore = usePinnedMessagesStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	test('fetches pinned messages of a conversation', async () => {
+		// Arrange
+		getPinnedMessages.mockResolvedValue(generateOCSResponse({ payload: [message2, message1] }))
+
+		// Act
+		await pinnedMessagesStore.fetchPinnedMessages(TOKEN)
+
+		// Assert
+		expect(getPinnedMessages).toHaveBeenCalledWith(TOKEN)
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message2, message1])
+		expect(pinnedMessagesStore.isPinned(TOKEN, 1)).toBeTruthy()
+		expect(pinnedMessagesStore.getPinnedMessages('OTHER')).toEqual([])
+	})
+
+	test('pins a message on top of the list', async () => {
+		// Arrange
+		pinnedMessagesStore.setPinnedMessages(TOKEN, [message1])
+		pinMessage.mockResolvedValue(generateOCSResponse({ payload: message2 }))
+
+		// Act
+		await pinnedMessagesStore.pinMessage(TOKEN, 2)
+
+		// Assert
+		expect(pinMessage).toHaveBeenCalledWith({ token: TOKEN, messageId: 2 })
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message2, message1])
+	})
+
+	test('shows an error when pinning fails', async () => {
+		// Arrange
+		console.error = jest.fn()
+		pinMessage.mockRejectedValue(generateOCSErrorResponse({ payload: null, status: 403 }))
+
+		// Act
+		await pinnedMessagesStore.pinMessage(TOKEN, 2)
+
+		// Assert
+		expect(showError).toHaveBeenCalled()
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([])
+	})
+
+	test('unpins a message', async () => {
+		// Arrange
+		pinnedMessagesStore.setPinnedMessages(TOKEN, [message2, message1])
+		unpinMessage.mockResolvedValue(generateOCSResponse({ payload: null }))
+
+		// Act
+		await pinnedMessagesStore.unpinMessage(TOKEN, 2)
+
+		// Assert
+		expect(unpinMessage).toHaveBeenCalledWith({ token: TOKEN, messageId: 2 })
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message1])
+	})
+
+	test('processes pin and unpin system messages', () => {
+		// Act
+		pinnedMessagesStore.processPinSystemMessage(TOKEN, { systemMessage: 'message_pinned', parent: message1 })
+		pinnedMessagesStore.processPinSystemMessage(TOKEN, { systemMessage: 'message_pinned', parent: message2 })
+		pinnedMessagesStore.processPinSystemMessage(TOKEN, { systemMessage: 'message_unpinned', parent: message1 })
+
+		// Assert
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message2])
+	})
+
+	test('updates edited pinned message in place', () => {
+		// Arrange
+		pinnedMessagesStore.setPinnedMessages(TOKEN, [message2, message1])
+		const editedMessage = { ...message1, message: 'New meeting link' }
+
+		// Act
+		pinnedMessagesStore.updatePinnedMessage(TOKEN, editedMessage)
+		pinnedMessagesStore.updatePinnedMessage(TOKEN, { id: 3, message: 'Not pinned' })
+
+		// Assert
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message2, editedMessage])
+	})
+
+	test('removes deleted pinned message', () => {
+		// Arrange
+		pinnedMessagesStore.setPinnedMessages(TOKEN, [message2, message1])
+
+		// Act
+		pinnedMessagesStore.updatePinnedMessage(TOKEN, { ...message1, message: 'Message deleted by you', deleted: true })
+
+		// Assert
+		expect(pinnedMessagesStore.getPinnedMessages(TOKEN)).toEqual([message2])
+	})
+
+	test.each([
+		[PARTICIPANT.TYPE.OWNER, true],
+		[PARTICIPANT.TYPE.MODERATOR, true],
+		[PARTICIPANT.TYPE.GUEST_MODERATOR, true],
+		[PARTICIPANT.TYPE.USER, false],
+		[PARTICIPANT.TYPE.GUEST, false],
+	])('allows participant type %s to pin messages: %s', (participantType, expected) => {
+		// Arrange
+		store.getters.conversation.mockReturnValue({ token: TOKEN, participantType, readOnly: 0 })
+
+		// Assert
+		expect(pinnedMessagesStore.canPinMessages(TOKEN)).toBe(expected)
+	})
+
+	test('does not allow to pin messages in read-only conversations', () => {
+		// Arrange
+		store.getters.conversation.mockReturnValue({ token: TOKEN, participantType: PARTICIPANT.TYPE.OWNER, readOnly: 1 })
+
+		// Assert
+		expect(pinnedMessagesStore.canPinMessages(TOKEN)).toBe(false)
+	})
+
+	test('does not support pinned messages in federated conversations', async () => {
+		// Arrange
+		store.getters.conversation.mockReturnValue({ token: TOKEN, participantType: PARTICIPANT.TYPE.OWNER, readOnly: 0, remoteServer: 'https://remote.tld' })
+
+		// Act
+		await pinnedMessagesStore.fetchPinnedMessages(TOKEN)
+
+		// Assert
+		expect(pinnedMessagesStore.supportsPinnedMessages(TOKEN)).toBe(false)
+		expect(pinnedMessagesStore.canPinMessages(TOKEN)).toBe(false)
+		expect(getPinnedMessages).not.toHaveBeenCalled()
+	})
+})
@@ -0,0 +1,154 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { showError } from '@nextcloud/dialogs'
+
+import { hasTalkFeature } from '../../services/CapabilitiesManager.ts'
+import {
+	deleteScheduledMessage,
+	editScheduledMessage,
+	getScheduledMessages,
+	scheduleMessage,
+} from '../../services/messagesService.ts'
+import store from '../../store/index.js'
+import { generateOCSErrorResponse, generateOCSResponse } from '../../test-helpers.js'
+import { useScheduledMessagesStore } from '../scheduledMessages.ts'
+
+jest.mock('../../services/messagesService', () => ({
+	getScheduledMessages: jest.fn(),
+	scheduleMessage: jest.fn(),
+	editScheduledMessage: jest.fn(),
+	deleteScheduledMessage: jest.fn(),
+}))
+
+jest.mock('../../services/CapabilitiesManager', () => ({
+	hasTalkFeature: jest.fn(() => true),
+}))
+
+jest.mock('@nextcloud/dialogs', () => ({
+	showError: jest.fn(),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		getActorType: jest.fn(() => 'users'),
+		conversation: jest.fn(() => ({ token: 'XXTOKENXX' })),
+	},
+}))
+
+describe('scheduledMessagesStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	let scheduledMessagesStore
+
+	const message1 = { id: 1, token: TOKEN, message: 'Good morning', sendAt: 1736931600, silent: false }
+	const message2 = { id: 2, token: TOKEN, message: 'Weekly report', sendAt: 1736845200, silent: true }
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		scheduledMessagesStore = useScheduledMessagesStore()
+	})
+
+	afterEach(() => {
+		jest.clearAllMocks()
+	})
+
+	test('fetches scheduled messages sorted by send time', async () => {
+		// Arrange
+		getScheduledMessages.mockResolvedValue(generateOCSResponse({ payload: [message1, message2] }))
+
+		// Act
+		await scheduledMessagesStore.fetchScheduledMessages(TOKEN)
+
+		// Assert
+		expect(getScheduledMessages).toHaveBeenCalledWith(TOKEN)
+		expect(scheduledMessagesStore.getScheduledMessages(TOKEN)).toEqual([message2, message1])
+		expect(scheduledMessagesStore.getScheduledMessages('OTHER')).toEqual([])
+	})
+
+	test('does not fetch scheduled messages without server support', async () => {
+		// Arrange
+		hasTalkFeature.mockReturnValueOnce(false)
+
+		// Act
+		await scheduledMessagesStore.fetchScheduledMessages(TOKEN)
+
+		// Assert
+		expect(getScheduledMessages).not.toHaveBeenCalled()
+	})
+
+	test('does not support scheduled messages for guests and in federated conversations', async () => {
+		// Arrange
+		store.getters.getActorType.mockReturnValueOnce('guests')
+
+		// Assert
+		expect(scheduledMessagesStore.supportsScheduledMessages(TOKEN)).toBe(false)
+
+		// Arrange
+		store.getters.conversation.mockReturnValueOnce({ token: TOKEN, remoteServer: 'https://remote.tld' })
+
+		// Act
+		await scheduledMessagesStore.fetchScheduledMessages(TOKEN)
+
+		// Assert
+		expect(getScheduledMessages).not.toHaveBeenCalled()
+	})
+
+	test('schedules a message', async () => {
+		// Arrange
+		scheduledMessagesStore.setScheduledMessages(TOKEN, [message1])
+		scheduleMessage.mockResolvedValue(generateOCSResponse({ payload: message2 }))
+		const parent = { id: 100 }
+
+		// Act
+		const result = await scheduledMessagesStore.scheduleMessage({ token: TOKEN, message: 'Weekly report', sendAt: 1736845200, parent, silent: true })
+
+		// Assert
+		expect(result).toBe(true)
+		expect(scheduleMessage).toHaveBeenCalledWith({ token: TOKEN, message: 'Weekly report', sendAt: 1736845200, parent, silent: true, threadId: undefined })
+		expect(scheduledMessagesStore.getScheduledMessages(TOKEN)).toEqual([message2, message1])
+	})
+
+	test('shows an error when scheduling fails', async () => {
+		// Arrange
+		console.error = jest.fn()
+		scheduleMessage.mockRejectedValue(generateOCSErrorResponse({ payload: null, status: 400 }))
+
+		// Act
+		const result = await scheduledMessagesStore.scheduleMessage({ token: TOKEN, message: 'Too late', sendAt: 1 })
+
+		// Assert
+		expect(result).toBe(false)
+		expect(showError).toHaveBeenCalled()
+		expect(scheduledMessagesStore.getScheduledMessages(TOKEN)).toEqual([])
+	})
+
+	test('edits a scheduled message and keeps the list sorted', async () => {
+		// Arrange
+		scheduledMessagesStore.setScheduledMessages(TOKEN, [message1, message2])
+		const editedMessage = { ...message2, message: 'Monthly report', sendAt: 1737018000 }
+		editScheduledMessage.mockResolvedValue(generateOCSResponse({ payload: editedMessage }))
+
+		// Act
+		await scheduledMessagesStore.editScheduledMessage({ token: TOKEN, messageId: 2, message: 'Monthly report', sendAt: 1737018000, silent: true })
+
+		// Assert
+		expect(editScheduledMessage).toHaveBeenCalledWith({ token: TOKEN, messageId: 2, message: 'Monthly report', sendAt: 1737018000, silent: true })
+		expect(scheduledMessagesStore.getScheduledMessages(TOKEN)).toEqual([message1, editedMessage])
+	})
+
+	test('cancels a scheduled message', async () => {
+		// Arrange
+		scheduledMessagesStore.setScheduledMessages(TOKEN, [message1, message2])
+		deleteScheduledMessage.mockResolvedValue(generateOCSResponse({ payload: null }))
+
+		// Act
+		await scheduledMessagesStore.cancelScheduledMessage(TOKEN, 2)
+
+		// Assert
+		expect(deleteScheduledMessage).toHaveBeenCalledWith({ token: TOKEN, messageId: 2 })
+		expect(scheduledMessagesStore.getScheduledMessages(TOKEN)).toEqual([message1])
+	})
+})
@@ -60,7 +60,8 @@ describe('settingsStore', () => {
 
 	describe('media settings dialog', () => {
 		// FIXME: BrowserStorage.getItem('cachedConversations') is always called whenever capabilitiesManager.ts is imported
-		const EXTRA_CALLS = 3
+		// The store also reads the stored picture-in-picture preference when created
+		const EXTRA_CALLS = 4
 		it('shows correct stored values for conversations', () => {
 			// Arrange
 			settingsStore.showMediaSettings['token-1'] = true
@@ -114,4 +115,18 @@ describe('settingsStore', () => {
 			expect(BrowserStorage.setItem).toHaveBeenNthCalledWith(2, 'showMediaSettings_token-2', 'true')
 		})
 	})
+
+	describe('picture-in-picture', () => {
+		it('stores whether the call is shown in picture-in-picture when hidden', () => {
+			// Assert
+			expect(settingsStore.autoPictureInPicture).toBe(false)
+
+			// Act
+			settingsStore.setAutoPictureInPicture(true)
+
+			// Assert
+			expect(settingsStore.autoPictureInPicture).toBe(true)
+			expect(BrowserStorage.setItem).toHaveBeenCalledWith('autoPictureInPicture', 'true')
+		})
+	})
 })
@@ -0,0 +1,154 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { setActivePinia, createPinia } from 'pinia'
+
+import { showError } from '@nextcloud/dialogs'
+
+import { ATTENDEE } from '../../constants.ts'
+import BrowserStorage from '../../services/BrowserStorage.js'
+import { getThreadMessages } from '../../services/messagesService.ts'
+import store from '../../store/index.js'
+import { generateOCSErrorResponse, generateOCSResponse } from '../../test-helpers.js'
+import { useSidebarStore } from '../sidebar.ts'
+import { useThreadsStore } from '../threads.ts'
+
+jest.mock('../../services/messagesService', () => ({
+	getThreadMessages: jest.fn(),
+}))
+
+jest.mock('@nextcloud/dialogs', () => ({
+	showError: jest.fn(),
+}))
+
+jest.mock('../../store/index.js', () => ({
+	getters: {
+		getActorId: jest.fn(() => 'me'),
+		getActorType: jest.fn(() => 'users'),
+		conversation: jest.fn(),
+	},
+}))
+
+describe('threadsStore', () => {
+	const TOKEN = 'XXTOKENXX'
+	let threadsStore
+
+	const rootMessage = { id: 10, token: TOKEN, message: 'Release planning', actorId: 'alice', actorType: ATTENDEE.ACTOR_TYPE.USERS }
+	const reply1 = { id: 12, token: TOKEN, message: 'Friday?', actorId: 'bob', actorType: ATTENDEE.ACTOR_TYPE.USERS, threadId: 10, timestamp: 1000 }
+	const reply2 = { id: 15, token: TOKEN, message: 'Works for me', actorId: 'me', actorType: ATTENDEE.ACTOR_TYPE.USERS, threadId: 10, timestamp: 2000 }
+
+	beforeEach(() => {
+		setActivePinia(createPinia())
+		threadsStore = useThreadsStore()
+	})
+
+	afterEach(() => {
+		BrowserStorage.removeItem('threadsReadMarkers')
+		jest.clearAllMocks()
+	})
+
+	test('fetches the root message and replies of a thread', async () => {
+		// Arrange
+		getThreadMessages.mockResolvedValue(generateOCSResponse({ payload: [rootMessage, reply2, reply1] }))
+
+		// Act
+		await threadsStore.fetchThreadMessages(TOKEN, 10)
+
+		// Assert
+		expect(getThreadMessages).toHaveBeenCalledWith({ token: TOKEN, threadId: 10, lastKnownMessageId: 0 })
+		expect(threadsStore.getThreadMessages(TOKEN, 10)).toEqual([{ ...rootMessage, threadId: 10 }, reply1, reply2])
+		expect(threadsStore.getThreadSummary(TOKEN, 10)).toEqual({ numReplies: 2, lastReply: reply2 })
+	})
+
+	test('shows an error when fetching a thread fails', async () => {
+		// Arrange
+		console.error = jest.fn()
+		getThreadMessages.mockRejectedValue(generateOCSErrorResponse({ payload: null, status: 404 }))
+
+		// Act
+		await threadsStore.fetchThreadMessages(TOKEN, 10)
+
+		// Assert
+		expect(showError).toHaveBeenCalled()
+		expect(threadsStore.loading).toBe(false)
+		expect(threadsStore.getThreadSummary(TOKEN, 10)).toBeNull()
+	})
+
+	test('updates an existing message of a thread', () => {
+		// Arrange
+		threadsStore.addThreadMessage(TOKEN, reply1)
+		const editedReply = { ...reply1, message: 'Friday morning?' }
+
+		// Act
+		threadsStore.addThreadMessage(TOKEN, editedReply)
+		threadsStore.addThreadMessage(TOKEN, { id: 20, message: 'Not in a thread' })
+
+		// Assert
+		expect(threadsStore.getThreadMessages(TOKEN, 10)).toEqual([editedReply])
+	})
+
+	test('counts unread replies of other participants only', () => {
+		// Arrange
+		threadsStore.addThreadMessage(TOKEN, reply1)
+		threadsStore.addThreadMessage(TOKEN, reply2)
+
+		// Assert
+		expect(threadsStore.getUnreadCount(TOKEN, 10)).toBe(1)
+
+		// Act
+		threadsStore.markThreadAsRead(TOKEN, 10)
+
+		// Assert
+		expect(threadsStore.getUnreadCount(TOKEN, 10)).toBe(0)
+		expect(JSON.parse(BrowserStorage.getItem('threadsReadMarkers'))).toEqual({ [`${TOKEN}:10`]: 15 })
+	})
+
+	test('opens a thread in the sidebar and marks it as read', async () => {
+		// Arrange
+		const sidebarStore = useSidebarStore()
+		jest.spyOn(sidebarStore, 'showSidebar').mockImplementation(() => {})
+		getThreadMessages.mockResolvedValue(generateOCSResponse({ payload: [rootMessage, reply1] }))
+
+		// Act
+		await threadsStore.openThread(TOKEN, 10)
+
+		// Assert
+		expect(sidebarStore.showSidebar).toHaveBeenCalledWith({ activeTab: 'thread' })
+		expect(threadsStore.isThreadOpen(TOKEN, 10)).toBe(true)
+		expect(threadsStore.getUnreadCount(TOKEN, 10)).toBe(0)
+
+		// Act
+		threadsStore.addThreadMessage(TOKEN, { ...reply1, id: 16 })
+
+		// Assert
+		expect(threadsStore.getUnreadCount(TOKEN, 10)).toBe(0)
+	})
+
+	test('purges threads of a conversation', () => {
+		// Arrange
+		threadsStore.addThreadMessage(TOKEN, reply1)
+		threadsStore.activeThread = { token: TOKEN, threadId: 10 }
+
+		// Act
+		threadsStore.purgeThreadsStore(TOKEN)
+
+		// Assert
+		expect(threadsStore.getThreadMessages(TOKEN, 10)).toEqual([])
+		expect(threadsStore.activeThread).toBeNull()
+	})
+
+	test('supports threads only in local conversations', () => {
+		// Arrange
+		store.getters.conversation.mockReturnValue({ token: TOKEN })
+
+		// Assert
+		expect(threadsStore.supportsThreads(TOKEN)).toBe(true)
+
+		// Arrange
+		store.getters.conversation.mockReturnValue({ token: TOKEN, remoteServer: 'https://remote.tld' })
+
+		// Assert
+		expect(threadsStore.supportsThreads(TOKEN)).toBe(false)
+	})
+})
@@ -0,0 +1,85 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import { useGroupwareStore } from './groupware.ts'
+import { getEventData } from '../services/groupwareService.ts'
+import { getICalendarDescription, parseAgenda } from '../utils/agenda.ts'
+import type { AgendaItem } from '../utils/agenda.ts'
+
+type State = {
+	items: AgendaItem[],
+	// null if the agenda was not started yet or already ended
+	currentIndex: number | null,
+	// Local time when the current item started
+	itemStartedAt: number | null,
+}
+
+// The agenda is set by moderators and shared through the signaling server, so
+// it only exists while the call is running.
+export const useAgendaStore = defineStore('agenda', {
+	state: (): State => ({
+		items: [],
+		currentIndex: null,
+		itemStartedAt: null,
+	}),
+
+	getters: {
+		currentItem: (state): AgendaItem | undefined => state.currentIndex !== null ? state.items[state.currentIndex] : undefined,
+
+		nextItem: (state): AgendaItem | undefined => state.currentIndex !== null ? state.items[state.currentIndex + 1] : undefined,
+	},
+
+	actions: {
+		/**
+		 * Set the agenda as shared by a moderator
+		 *
+		 * The elapsed time is used instead of the start time of the current
+		 * item, as the clocks of the participants may differ.
+		 *
+		 * @param items the items of the agenda
+		 * @param currentIndex the index of the current item, if any
+		 * @param elapsed the milliseconds elapsed since the current item started
+		 */
+		setAgenda(items: AgendaItem[], currentIndex: number | null, elapsed: number | null) {
+			this.items = items
+			this.currentIndex = currentIndex !== null && items[currentIndex] ? currentIndex : null
+			this.itemStartedAt = this.currentIndex !== null ? Date.now() - (elapsed ?? 0) : null
+		},
+
+		/**
+		 * Get the milliseconds elapsed since the current item started
+		 */
+		getElapsed(): number | null {
+			return this.itemStartedAt !== null ? Date.now() - this.itemStartedAt : null
+		},
+
+		resetAgenda() {
+			this.items = []
+			this.currentIndex = null
+			this.itemStartedAt = null
+		},
+
+		/**
+		 * Get the agenda from the description of the next calendar event of
+		 * the conversation
+		 *
+		 * @param token the conversation token
+		 */
+		async getCalendarEventAgenda(token: string): Promise<AgendaItem[]> {
+			const groupwareStore = useGroupwareStore()
+			await groupwareStore.getUpcomingEvents(token)
+
+			const event = groupwareStore.getNextEvent(token)
+			if (!event) {
+				return []
+			}
+
+			const response = await getEventData(event.calendarUri, event.uri)
+			return parseAgenda(getICalendarDescription(response.data))
+		},
+	},
+})
@@ -0,0 +1,197 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { CALL_ENCRYPTION } from '../constants.ts'
+
+export type CallEncryptionState = typeof CALL_ENCRYPTION.STATE[keyof typeof CALL_ENCRYPTION.STATE]
+export type CallEncryptionStatus = typeof CALL_ENCRYPTION.STATUS[keyof typeof CALL_ENCRYPTION.STATUS]
+type CallEncryptionSession = {
+	state: CallEncryptionState,
+	// Curve25519 identity key of the remote session, once known
+	identityKey: string | null,
+	error: string | null,
+}
+// Identity keys indexed by session id
+type SessionIdentityKeys = Record<string, string>
+type State = {
+	// null if calls are not end-to-end encrypted
+	localIdentityKey: string | null,
+	sessions: Record<string, CallEncryptionSession>,
+	verifiedSessions: SessionIdentityKeys,
+	requireVerification: boolean,
+	moderatorVerifiedSessions: SessionIdentityKeys,
+}
+
+// The identity keys are created again on every connection to the signaling
+// server, so the verifications are only valid while connected.
+export const useCallEncryptionStore = defineStore('callEncryption', {
+	state: (): State => ({
+		localIdentityKey: null,
+		sessions: {},
+		verifiedSessions: {},
+		requireVerification: false,
+		moderatorVerifiedSessions: {},
+	}),
+
+	getters: {
+		isEncryptionEnabled: (state): boolean => state.localIdentityKey !== null,
+
+		getSession: (state) => (sessionId: string): CallEncryptionSession | undefined => state.sessions[sessionId],
+
+		/**
+		 * A session is verified if its current identity key was verified by
+		 * the local participant or by a moderator
+		 *
+		 * @param state the state
+		 */
+		isSessionVerified: (state) => (sessionId: string): boolean => {
+			const identityKey = state.sessions[sessionId]?.identityKey
+			return !!identityKey && (state.verifiedSessions[sessionId] === identityKey
+				|| state.moderatorVerifiedSessions[sessionId] === identityKey)
+		},
+
+		isSessionAllowed(): (sessionId: string) => boolean {
+			return (sessionId: string) => !this.requireVerification || this.isSessionVerified(sessionId)
+		},
+
+		isLocalSessionVerifiedByModerator: (state): boolean => !!state.localIdentityKey
+			&& Object.values(state.moderatorVerifiedSessions).includes(state.localIdentityKey),
+
+		getSessionStatus(): (sessionId: string) => CallEncryptionStatus {
+			return (sessionId: string) => {
+				const session = this.sessions[sessionId]
+				if (!session || session.state === CALL_ENCRYPTION.STATE.FAILED) {
+					return CALL_ENCRYPTION.STATUS.FAILED
+				}
+				if (!this.isSessionAllowed(sessionId)) {
+					return CALL_ENCRYPTION.STATUS.REFUSED
+				}
+				if (session.state === CALL_ENCRYPTION.STATE.NEGOTIATING) {
+					return CALL_ENCRYPTION.STATUS.NEGOTIATING
+				}
+
+				return this.isSessionVerified(sessionId) ? CALL_ENCRYPTION.STATUS.VERIFIED : CALL_ENCRYPTION.STATUS.ENCRYPTED
+			}
+		},
+
+		/**
+		 * The status of the call is the worst status of its participants
+		 */
+		getCallStatus(): (sessionIds: string[]) => CallEncryptionStatus {
+			return (sessionIds: string[]) => {
+				const statuses = sessionIds.map((sessionId) => this.getSessionStatus(sessionId))
+				return [
+					CALL_ENCRYPTION.STATUS.FAILED,
+					CALL_ENCRYPTION.STATUS.REFUSED,
+					CALL_ENCRYPTION.STATUS.NEGOTIATING,
+					CALL_ENCRYPTION.STATUS.ENCRYPTED,
+				].find((status) => statuses.includes(status)) ?? CALL_ENCRYPTION.STATUS.VERIFIED
+			}
+		},
+	},
+
+	actions: {
+		/**
+		 * Set the identity key of the local session, or clear all the
+		 * encryption data if the end-to-end encryption was stopped
+		 *
+		 * @param identityKey the Curve25519 identity key of the local session
+		 */
+		setLocalIdentityKey(identityKey: string | null) {
+			this.localIdentityKey = identityKey
+			this.sessions = {}
+			this.verifiedSessions = {}
+		},
+
+		/**
+		 * @param sessionId the signaling session id of the remote session
+		 * @param state the state of the encryption with the remote session
+		 * @param identityKey the identity key of the remote session, if known
+		 */
+		setSessionState(sessionId: string, state: CallEncryptionState, identityKey?: string) {
+			Vue.set(this.sessions, sessionId, {
+				state,
+				identityKey: identityKey ?? this.sessions[sessionId]?.identityKey ?? null,
+				error: null,
+			})
+		},
+
+		/**
+		 * @param sessionId the signaling session id of the remote session
+		 * @param error the error that made the encryption fail
+		 */
+		setSessionError(sessionId: string, error: string) {
+			Vue.set(this.sessions, sessionId, {
+				state: CALL_ENCRYPTION.STATE.FAILED,
+				identityKey: this.sessions[sessionId]?.identityKey ?? null,
+				error,
+			})
+		},
+
+		/**
+		 * @param sessionId the signaling session id of the remote session
+		 */
+		removeSession(sessionId: string) {
+			Vue.delete(this.sessions, sessionId)
+			Vue.delete(this.verifiedSessions, sessionId)
+		},
+
+		/**
+		 * Mark the current identity key of a session as verified, after
+		 * comparing the safety number with the other participant
+		 *
+		 * @param sessionId the signaling session id of the remote session
+		 */
+		verifySession(sessionId: string) {
+			const identityKey = this.sessions[sessionId]?.identityKey
+			if (!identityKey) {
+				return
+			}
+
+			Vue.set(this.verifiedSessions, sessionId, identityKey)
+		},
+
+		/**
+		 * @param sessionId the signaling session id of the remote session
+		 */
+		unverifySession(sessionId: string) {
+			Vue.delete(this.verifiedSessions, sessionId)
+		},
+
+		/**
+		 * Set whether a moderator requires the participants to be verified,
+		 * together with the sessions verified by the moderators
+		 *
+		 * @param requireVerification whether only verified sessions are allowed
+		 * @param moderatorVerifiedSessions the identity keys verified by the moderators
+		 */
+		setVerificationRequirement(requireVerification: boolean, moderatorVerifiedSessions: SessionIdentityKeys) {
+			this.requireVerification = requireVerification
+			this.moderatorVerifiedSessions = requireVerification ? moderatorVerifiedSessions : {}
+		},
+
+		/**
+		 * Get the identity keys to share when the local participant is a
+		 * moderator, which include the local session and the sessions verified
+		 * by the local participant and by other moderators
+		 *
+		 * @param localSessionId the signaling session id of the local session
+		 */
+		getSessionsVerifiedAsModerator(localSessionId: string): SessionIdentityKeys {
+			const sessions: SessionIdentityKeys = {
+				...this.moderatorVerifiedSessions,
+				...this.verifiedSessions,
+			}
+			if (this.localIdentityKey) {
+				sessions[localSessionId] = this.localIdentityKey
+			}
+
+			return sessions
+		},
+	},
+})
@@ -0,0 +1,39 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import type { CallQualityReport } from '../utils/callQualityReport.ts'
+
+type State = {
+	reports: Record<string, CallQualityReport>
+}
+
+/**
+ * Quality reports of the last call in each conversation, kept until the page
+ * is reloaded so they can be downloaded once the call ended.
+ */
+export const useCallQualityReportsStore = defineStore('callQualityReports', {
+	state: (): State => ({
+		reports: {},
+	}),
+
+	actions: {
+		getReport(token: string): CallQualityReport | undefined {
+			return this.reports[token]
+		},
+
+		/**
+		 * Save the report of a call, replacing the report of the previous call
+		 * in the same conversation
+		 *
+		 * @param report the report to save
+		 */
+		addReport(report: CallQualityReport) {
+			Vue.set(this.reports, report.token, report)
+		},
+	},
+})
@@ -0,0 +1,198 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import { showError } from '@nextcloud/dialogs'
+import { n, t } from '@nextcloud/l10n'
+
+import { CALL_QUESTION } from '../constants.ts'
+import BrowserStorage from '../services/BrowserStorage.js'
+import { getTalkConfig } from '../services/CapabilitiesManager.ts'
+import store from '../store/index.js'
+import { prepareTemporaryTextMessage } from '../utils/prepareTemporaryMessage.ts'
+
+type CallQuestionState = typeof CALL_QUESTION.STATE[keyof typeof CALL_QUESTION.STATE]
+type CallQuestion = {
+	id: string,
+	text: string,
+	// null if the author chose to hide the name in the list; the signaling
+	// session of the author is still known to the other participants
+	authorName: string | null,
+	timestamp: number,
+	// Signaling session ids of the participants that upvoted the question
+	votes: string[],
+	state: CallQuestionState,
+}
+type State = {
+	questions: CallQuestion[],
+	highlightedQuestionId: string | null,
+	postQuestionsOnCallEnd: boolean,
+}
+
+// Questions are shared through the signaling server and are not stored in the
+// server, so they are lost once everybody leaves the call.
+export const useCallQuestionsStore = defineStore('callQuestions', {
+	state: (): State => ({
+		questions: [],
+		highlightedQuestionId: null,
+		postQuestionsOnCallEnd: BrowserStorage.getItem('callQuestionsPostOnCallEnd') === 'true',
+	}),
+
+	getters: {
+		// Open questions with the most votes first, followed by the answered ones
+		sortedQuestions: (state): CallQuestion[] => {
+			return state.questions
+				.filter((question) => question.state !== CALL_QUESTION.STATE.DISMISSED)
+				.sort((a, b) => {
+					if (a.state !== b.state) {
+						return a.state === CALL_QUESTION.STATE.OPEN ? -1 : 1
+					}
+					return (b.votes.length - a.votes.length) || (a.timestamp - b.timestamp)
+				})
+		},
+
+		getQuestion: (state) => (id: string): CallQuestion | undefined => state.questions.find((question) => question.id === id),
+
+		highlightedQuestion(): CallQuestion | undefined {
+			return this.highlightedQuestionId ? this.getQuestion(this.highlightedQuestionId) : undefined
+		},
+
+		// The questions as plain text, one per line
+		questionsSummary(): string[] {
+			return this.sortedQuestions.map(({ text, authorName, votes, state }) => {
+				const author = authorName ?? t('spreed', 'Anonymous')
+				const answered = state === CALL_QUESTION.STATE.ANSWERED ? ' ' + t('spreed', '(answered)') : ''
+				return `- ${text} (${author}, ${n('spreed', '%n vote', '%n votes', votes.length)})${answered}`
+			})
+		},
+
+		hasVoted() {
+			return (id: string, peerId: string): boolean => !!this.getQuestion(id)?.votes.includes(peerId)
+		},
+	},
+
+	actions: {
+		/**
+		 * Add a question submitted by the local participant or received from
+		 * another participant
+		 *
+		 * @param id the unique id of the question, generated by its author
+		 * @param text the text of the question
+		 * @param authorName the name of the author, or null if anonymous
+		 */
+		addQuestion(id: string, text: string, authorName: string | null) {
+			if (!text.trim() || this.getQuestion(id)) {
+				return
+			}
+
+			this.questions.push({
+				id,
+				text: text.trim(),
+				authorName,
+				timestamp: Date.now(),
+				votes: [],
+				state: CALL_QUESTION.STATE.OPEN,
+			})
+		},
+
+		/**
+		 * Each participant has a single vote per question, so the voter must
+		 * be the sender of the signaling message and never be read from its
+		 * payload
+		 *
+		 * @param id the id of the question
+		 * @param senderId the signaling session id of the sender of the vote
+		 * @param voted whether the question is upvoted or the vote is withdrawn
+		 */
+		setVote(id: string, senderId: string, voted: boolean) {
+			const question = this.getQuestion(id)
+			if (!question || question.votes.includes(senderId) === voted) {
+				return
+			}
+
+			if (voted) {
+				question.votes.push(senderId)
+			} else {
+				question.votes.splice(question.votes.indexOf(senderId), 1)
+			}
+		},
+
+		setQuestionState(id: string, state: CallQuestionState) {
+			const question = this.getQuestion(id)
+			if (!question) {
+				return
+			}
+
+			question.state = state
+			if (state === CALL_QUESTION.STATE.DISMISSED && this.highlightedQuestionId === id) {
+				this.highlightedQuestionId = null
+			}
+		},
+
+		setHighlightedQuestionId(id: string | null) {
+			this.highlightedQuestionId = id && this.getQuestion(id) ? id : null
+		},
+
+		/**
+		 * Replace the questions with the ones known by a moderator, which is
+		 * needed when joining a call in which questions were already asked
+		 *
+		 * @param questions the questions
+		 * @param highlightedQuestionId the id of the highlighted question
+		 */
+		restoreQuestions(questions: CallQuestion[], highlightedQuestionId: string | null) {
+			this.questions = questions
+			this.setHighlightedQuestionId(highlightedQuestionId)
+		},
+
+		setPostQuestionsOnCallEnd(value: boolean) {
+			this.postQuestionsOnCallEnd = value
+			BrowserStorage.setItem('callQuestionsPostOnCallEnd', value.toString())
+		},
+
+		resetQuestions() {
+			this.questions = []
+			this.highlightedQuestionId = null
+		},
+
+		/**
+		 * Post the questions to the chat, split into several messages if too long
+		 *
+		 * @param token the conversation token
+		 */
+		async postQuestions(token: string) {
+			if (!this.sortedQuestions.length) {
+				return
+			}
+			const maxLength = getTalkConfig(token, 'chat', 'max-length') || 32000
+
+			const messages = [t('spreed', 'Questions from the call')]
+			this.questionsSummary.forEach((line) => {
+				if (messages.at(-1)!.length + line.length + 1 > maxLength) {
+					messages.push(line)
+				} else {
+					messages[messages.length - 1] += '\n' + line
+				}
+			})
+
+			try {
+				for (const message of messages) {
+					const temporaryMessage = prepareTemporaryTextMessage({
+						message,
+						token,
+						actorId: store.getters.getActorId(),
+						actorType: store.getters.getActorType(),
+						actorDisplayName: store.getters.getDisplayName(),
+					})
+					await store.dispatch('postNewMessage', { token, temporaryMessage, options: { silent: true } })
+				}
+			} catch (error) {
+				console.error(error)
+				showError(t('spreed', 'The questions could not be posted'))
+			}
+		},
+	},
+})
@@ -5,13 +5,28 @@
 
 import { defineStore } from 'pinia'
 
-import { CONVERSATION } from '../constants.ts'
+import { CALL_LAYOUT, CONVERSATION, LOW_BANDWIDTH } from '../constants.ts'
 import BrowserStorage from '../services/BrowserStorage.js'
 import type { Conversation } from '../types/index.ts'
 
+type LowBandwidthMode = typeof LOW_BANDWIDTH.MODE[keyof typeof LOW_BANDWIDTH.MODE]
+type LowBandwidthLevel = typeof LOW_BANDWIDTH.LEVEL[keyof typeof LOW_BANDWIDTH.LEVEL]
+type CallLayoutPreset = typeof CALL_LAYOUT.PRESET[keyof typeof CALL_LAYOUT.PRESET]
+
+// Layout options remembered for each conversation, besides the grid mode
+type CallLayout = {
+	// Max number of videos in each page of the grid, 0 for no limit
+	tilesPerPage: number,
+	// Whether a shared screen is shown next to the speaker instead of above
+	isSideBySide: boolean,
+	hideVideolessTiles: boolean,
+	hideSelfView: boolean,
+}
+
 type State = {
 	forceCallView: boolean,
 	isViewerOverlay: boolean,
+	isPictureInPicture: boolean,
 	isGrid: boolean,
 	isStripeOpen: boolean,
 	isEmptyCallView: boolean,
@@ -19,8 +34,12 @@ type State = {
 	lastIsStripeOpen: boolean | null,
 	presentationStarted: boolean,
 	selectedVideoPeerId: string | null,
+	spotlightPeerId: string | null,
+	pinnedPeerIds: string[],
 	callEndedTimeout: NodeJS.Timeout | number | undefined,
-}
+	lowBandwidthMode: LowBandwidthMode,
+	lowBandwidthLevel: LowBandwidthLevel,
+} & CallLayout
 
 type CallViewModePayload = {
 	token: string,
@@ -33,6 +52,7 @@ export const useCallViewStore = defineStore('callView', {
 	state: (): State => ({
 		forceCallView: false,
 		isViewerOverlay: false,
+		isPictureInPicture: false,
 		isGrid: false,
 		isStripeOpen: true,
 		isEmptyCallView: true,
@@ -40,11 +60,27 @@ export const useCallViewStore = defineStore('callView', {
 		lastIsStripeOpen: null,
 		presentationStarted: false,
 		selectedVideoPeerId: null,
+		spotlightPeerId: null,
+		pinnedPeerIds: [],
 		callEndedTimeout: undefined,
+		lowBandwidthMode: BrowserStorage.getItem('lowBandwidthMode') as LowBandwidthMode ?? LOW_BANDWIDTH.MODE.AUTO,
+		lowBandwidthLevel: LOW_BANDWIDTH.LEVEL.NONE,
+		tilesPerPage: 0,
+		isSideBySide: false,
+		hideVideolessTiles: false,
+		hideSelfView: false,
 	}),
 
 	getters: {
 		callHasJustEnded: (state) => !!state.callEndedTimeout,
+		isLowBandwidthModeActive: (state) => state.lowBandwidthLevel !== LOW_BANDWIDTH.LEVEL.NONE,
+		isVideoPinned: (state) => (peerId: string) => state.pinnedPeerIds.includes(peerId),
+		callLayoutPreset: (state): CallLayoutPreset => {
+			if (state.isGrid) {
+				return CALL_LAYOUT.PRESET.GRID
+			}
+			return state.isSideBySide ? CALL_LAYOUT.PRESET.SIDE_BY_SIDE : CALL_LAYOUT.PRESET.SPEAKER
+		},
 	},
 
 	actions: {
@@ -56,6 +92,10 @@ export const useCallViewStore = defineStore('callView', {
 			this.isViewerOverlay = value
 		},
 
+		setIsPictureInPicture(value: boolean) {
+			this.isPictureInPicture = value
+		},
+
 		setIsEmptyCallView(value: boolean) {
 			this.isEmptyCallView = value
 		},
@@ -64,6 +104,43 @@ export const useCallViewStore = defineStore('callView', {
 			this.selectedVideoPeerId = value
 		},
 
+		/**
+		 * Sets the participant shown in the main view of everyone in the call,
+		 * as requested by a moderator.
+		 *
+		 * @param peerId the peer id of the participant, or null to go back to
+		 *        the speaker view
+		 */
+		setSpotlightPeerId(peerId: string | null) {
+			this.spotlightPeerId = peerId
+		},
+
+		/**
+		 * Pins a video in the grid, so it is shown before the others.
+		 * Several videos can be pinned; the last one is shown first.
+		 *
+		 * @param peerId the peer id of the participant
+		 */
+		pinVideo(peerId: string) {
+			if (this.pinnedPeerIds.includes(peerId)) {
+				return
+			}
+			this.pinnedPeerIds.unshift(peerId)
+		},
+
+		unpinVideo(peerId: string) {
+			this.pinnedPeerIds = this.pinnedPeerIds.filter(pinnedPeerId => pinnedPeerId !== peerId)
+		},
+
+		/**
+		 * Clears the spotlight and the pinned videos, as the peer ids are no
+		 * longer valid once the call is left.
+		 */
+		resetSpotlightAndPinnedVideos() {
+			this.spotlightPeerId = null
+			this.pinnedPeerIds = []
+		},
+
 		handleJoinCall(conversation: Conversation) {
 			if (!conversation) {
 				return
@@ -74,6 +151,54 @@ export const useCallViewStore = defineStore('callView', {
 				? [CONVERSATION.TYPE.GROUP, CONVERSATION.TYPE.PUBLIC].includes(conversation.type)
 				: gridPreference === 'true'
 			this.setCallViewMode({ token: conversation.token, isGrid, isStripeOpen: true })
+			this.restoreCallLayout(conversation.token)
+		},
+
+		/**
+		 * Restores the layout options saved in preferences for the given
+		 * conversation, or the defaults if none were saved.
+		 *
+		 * @param token the conversation token
+		 */
+		restoreCallLayout(token: string) {
+			const layout = JSON.parse(BrowserStorage.getItem(`callprefs-${token}-layout`) || '{}') as Partial<CallLayout>
+
+			this.tilesPerPage = layout.tilesPerPage ?? 0
+			this.isSideBySide = layout.isSideBySide ?? false
+			this.hideVideolessTiles = layout.hideVideolessTiles ?? false
+			this.hideSelfView = layout.hideSelfView ?? false
+		},
+
+		/**
+		 * Sets some of the layout options and saves them in preferences for
+		 * the given conversation.
+		 *
+		 * @param token the conversation token
+		 * @param layout the layout options to change
+		 */
+		setCallLayout(token: string, layout: Partial<CallLayout>) {
+			this.tilesPerPage = layout.tilesPerPage ?? this.tilesPerPage
+			this.isSideBySide = layout.isSideBySide ?? this.isSideBySide
+			this.hideVideolessTiles = layout.hideVideolessTiles ?? this.hideVideolessTiles
+			this.hideSelfView = layout.hideSelfView ?? this.hideSelfView
+
+			BrowserStorage.setItem(`callprefs-${token}-layout`, JSON.stringify({
+				tilesPerPage: this.tilesPerPage,
+				isSideBySide: this.isSideBySide,
+				hideVideolessTiles: this.hideVideolessTiles,
+				hideSelfView: this.hideSelfView,
+			}))
+		},
+
+		/**
+		 * Switches to the given layout preset and saves it in preferences.
+		 *
+		 * @param token the conversation token
+		 * @param preset one of CALL_LAYOUT.PRESET
+		 */
+		setCallLayoutPreset(token: string, preset: CallLayoutPreset) {
+			this.setCallViewMode({ token, isGrid: preset === CALL_LAYOUT.PRESET.GRID, clearLast: false })
+			this.setCallLayout(token, { isSideBySide: preset === CALL_LAYOUT.PRESET.SIDE_BY_SIDE })
 		},
 
 		/**
@@ -163,6 +288,28 @@ export const useCallViewStore = defineStore('callView', {
 		resetCallHasJustEnded() {
 			clearTimeout(this.callEndedTimeout)
 			this.callEndedTimeout = undefined
-		}
+		},
+
+		/**
+		 * Sets whether the low bandwidth mode is automatically enabled based
+		 * on the connection quality, always enabled or never enabled, and
+		 * saves it in preferences.
+		 *
+		 * @param mode one of LOW_BANDWIDTH.MODE
+		 */
+		setLowBandwidthMode(mode: LowBandwidthMode) {
+			BrowserStorage.setItem('lowBandwidthMode', mode)
+			this.lowBandwidthMode = mode
+		},
+
+		/**
+		 * Sets the restrictions currently applied in the call to save
+		 * bandwidth.
+		 *
+		 * @param level one of LOW_BANDWIDTH.LEVEL
+		 */
+		setLowBandwidthLevel(level: LowBandwidthLevel) {
+			this.lowBandwidthLevel = level
+		},
 	},
 })
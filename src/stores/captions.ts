@@ -0,0 +1,150 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
+import moment from '@nextcloud/moment'
+
+import BrowserStorage from '../services/BrowserStorage.js'
+import { getTalkConfig } from '../services/CapabilitiesManager.ts'
+import store from '../store/index.js'
+import { prepareTemporaryTextMessage } from '../utils/prepareTemporaryMessage.ts'
+import { getCaptionsProviders } from '../utils/webrtc/captions/providers.ts'
+import type { CaptionsProvider, CaptionsResult } from '../utils/webrtc/captions/providers.ts'
+
+type Speaker = { id: string, name: string }
+type Caption = {
+	speakerId: string,
+	speakerName: string,
+	text: string,
+	isFinal: boolean,
+	timestamp: number,
+}
+type State = {
+	enabled: boolean,
+	postTranscriptOnCallEnd: boolean,
+	liveCaptions: Record<string, Caption>,
+	transcript: Caption[],
+	hideTimeouts: Record<string, NodeJS.Timeout | number>,
+}
+
+// Time to keep the last caption of the speaker visible
+const CAPTION_TIMEOUT = 5000
+
+export const useCaptionsStore = defineStore('captions', {
+	state: (): State => ({
+		enabled: BrowserStorage.getItem('captionsEnabled') === 'true',
+		postTranscriptOnCallEnd: BrowserStorage.getItem('captionsPostTranscript') === 'true',
+		liveCaptions: {},
+		transcript: [],
+		hideTimeouts: {},
+	}),
+
+	getters: {
+		// Speech recognition of the browser (if supported) and providers registered by other apps
+		providers: (): CaptionsProvider[] => getCaptionsProviders(),
+
+		// Providers of other apps are registered after the built-in one and take precedence
+		provider(): CaptionsProvider | undefined {
+			return this.providers.at(-1)
+		},
+
+		getLiveCaption: (state) => (speakerId: string): Caption | undefined => state.liveCaptions[speakerId],
+
+		// Captions which are still being recognized
+		interimCaptions: (state): Caption[] => Object.values(state.liveCaptions).filter((caption) => !caption.isFinal),
+	},
+
+	actions: {
+		setEnabled(value: boolean) {
+			this.enabled = value
+			BrowserStorage.setItem('captionsEnabled', value.toString())
+		},
+
+		setPostTranscriptOnCallEnd(value: boolean) {
+			this.postTranscriptOnCallEnd = value
+			BrowserStorage.setItem('captionsPostTranscript', value.toString())
+		},
+
+		/**
+		 * Show recognized text of the speaker and add final results to the transcript
+		 *
+		 * @param speaker the speaker
+		 * @param result the recognized text
+		 */
+		addCaptionsResult(speaker: Speaker, result: CaptionsResult) {
+			if (!result.text.trim()) {
+				return
+			}
+			const caption = {
+				speakerId: speaker.id,
+				speakerName: speaker.name,
+				text: result.text.trim(),
+				isFinal: result.isFinal,
+				timestamp: Date.now(),
+			}
+			Vue.set(this.liveCaptions, speaker.id, caption)
+			if (result.isFinal) {
+				this.transcript.push(caption)
+			}
+
+			clearTimeout(this.hideTimeouts[speaker.id])
+			this.hideTimeouts[speaker.id] = setTimeout(() => {
+				Vue.delete(this.liveCaptions, speaker.id)
+				delete this.hideTimeouts[speaker.id]
+			}, CAPTION_TIMEOUT)
+		},
+
+		clearCaptions() {
+			Object.values(this.hideTimeouts).forEach((timeout) => clearTimeout(timeout))
+			this.hideTimeouts = {}
+			this.liveCaptions = {}
+			this.transcript = []
+		},
+
+		/**
+		 * Post the transcript to the chat, split into several messages if too long
+		 *
+		 * @param token the conversation token
+		 */
+		async postTranscript(token: string) {
+			if (!this.transcript.length) {
+				return
+			}
+			const maxLength = getTalkConfig(token, 'chat', 'max-length') || 32000
+			const lines = this.transcript.map(({ speakerName, text, timestamp }) => {
+				return `[${moment(timestamp).format('LT')}] ${speakerName}: ${text}`
+			})
+
+			const messages = [t('spreed', 'Call transcript')]
+			lines.forEach((line) => {
+				if (messages.at(-1)!.length + line.length + 1 > maxLength) {
+					messages.push(line)
+				} else {
+					messages[messages.length - 1] += '\n' + line
+				}
+			})
+
+			try {
+				for (const message of messages) {
+					const temporaryMessage = prepareTemporaryTextMessage({
+						message,
+						token,
+						actorId: store.getters.getActorId(),
+						actorType: store.getters.getActorType(),
+						actorDisplayName: store.getters.getDisplayName(),
+					})
+					await store.dispatch('postNewMessage', { token, temporaryMessage, options: { silent: true } })
+				}
+			} catch (error) {
+				console.error(error)
+				showError(t('spreed', 'The call transcript could not be posted'))
+			}
+		},
+	},
+})
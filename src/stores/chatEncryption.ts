@@ -0,0 +1,397 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { getCurrentUser } from '@nextcloud/auth'
+import { getBuilder } from '@nextcloud/browser-storage'
+import { t } from '@nextcloud/l10n'
+
+import { ATTENDEE, CHAT_ENCRYPTION, CONVERSATION } from '../constants.ts'
+import { postNewMessage } from '../services/messagesService.ts'
+import store from '../store/index.js'
+import type { ChatMessage } from '../types/index.ts'
+import ChatEncryption, { ENVELOPE_TYPE, isEncryptedText, parseEnvelope } from '../utils/e2ee/chatEncryption.js'
+
+type DeviceStatus = typeof CHAT_ENCRYPTION.DEVICE_STATUS[keyof typeof CHAT_ENCRYPTION.DEVICE_STATUS]
+type Device = {
+	actorType: string,
+	actorId: string,
+	identityKey: string,
+	fallbackKey: string,
+	status: DeviceStatus,
+}
+export type EncryptedChatMessage = ChatMessage & {
+	isEncrypted?: boolean,
+	// The original text is kept to try again once the key is known
+	isUndecryptable?: boolean,
+	encryptedMessage?: string,
+}
+type State = {
+	// Identity key of this device, null until the encryption is loaded
+	identityKey: string | null,
+	enabledTokens: string[],
+	// Known devices of the other participant, indexed by token and identity key
+	devices: Record<string, Record<string, Device>>,
+}
+
+const STORAGE_KEY_ENABLED = 'e2eeChatEnabled'
+const STORAGE_KEY_DEVICES = 'e2eeChatDevices'
+
+// The state of each user is stored separately, and removed on logout
+const encryptionStorage = getBuilder('talk').persist().clearOnLogout().build()
+
+let chatEncryption: ChatEncryption | null = null
+let initializing: Promise<void> | null = null
+
+/**
+ * @param key the key of the stored item
+ */
+function getStorageKey(key: string): string {
+	return key + '_' + getCurrentUser()?.uid
+}
+
+/**
+ * Only the other participant of a one-to-one conversation can own devices,
+ * the name of the conversation is their user id
+ *
+ * @param token the conversation token
+ * @param actorType actor type of the device owner
+ * @param actorId actor id of the device owner
+ */
+function isPeerActor(token: string, actorType: string, actorId: string): boolean {
+	const conversation = store.getters.conversation(token)
+	return conversation?.type === CONVERSATION.TYPE.ONE_TO_ONE
+		&& actorType === ATTENDEE.ACTOR_TYPE.USERS
+		&& actorId === conversation.name
+}
+
+export const useChatEncryptionStore = defineStore('chatEncryption', {
+	state: (): State => ({
+		identityKey: null,
+		enabledTokens: JSON.parse(encryptionStorage.getItem(getStorageKey(STORAGE_KEY_ENABLED)) || '[]') as string[],
+		devices: JSON.parse(encryptionStorage.getItem(getStorageKey(STORAGE_KEY_DEVICES)) || '{}') as State['devices'],
+	}),
+
+	getters: {
+		isReady: (state): boolean => state.identityKey !== null,
+
+		isEncryptionEnabled: (state) => (token: string): boolean => state.enabledTokens.includes(token),
+
+		/**
+		 * Devices of the other participant, which have enabled the encryption
+		 * and were not rejected
+		 *
+		 * @param state the state
+		 */
+		getPeerDevices: (state) => (token: string): Device[] => Object.values(state.devices[token] ?? {})
+			.filter((device) => isPeerActor(token, device.actorType, device.actorId)
+				&& device.status !== CHAT_ENCRYPTION.DEVICE_STATUS.REJECTED),
+
+		/**
+		 * New or changed devices of the other participant, which were not verified yet
+		 */
+		getPendingDevices(): (token: string) => Device[] {
+			return (token: string) => this.getPeerDevices(token)
+				.filter((device) => device.status !== CHAT_ENCRYPTION.DEVICE_STATUS.ACCEPTED)
+		},
+
+		/**
+		 * Devices of the other participant, which the messages are encrypted for
+		 */
+		getAcceptedDevices(): (token: string) => Device[] {
+			return (token: string) => this.getPeerDevices(token)
+				.filter((device) => device.status === CHAT_ENCRYPTION.DEVICE_STATUS.ACCEPTED)
+		},
+
+		/**
+		 * Messages can be sent encrypted once a device of the other participant is accepted
+		 */
+		canEncrypt(): (token: string) => boolean {
+			return (token: string) => this.isEncryptionEnabled(token) && this.getAcceptedDevices(token).length > 0
+		},
+
+		/**
+		 * The other participant enabled the encryption, but this device did not
+		 */
+		isEncryptionRequested(): (token: string) => boolean {
+			return (token: string) => !this.isEncryptionEnabled(token) && this.getPeerDevices(token).length > 0
+		},
+
+		/**
+		 * Get the text of a message to show in the conversation list.
+		 * Messages are not decrypted here, only the text of already decrypted
+		 * messages in the chat is shown.
+		 */
+		getMessagePreview: () => (token: string, message: Pick<ChatMessage, 'message'> & Partial<Pick<ChatMessage, 'id'>>): string => {
+			const envelope = parseEnvelope(message.message)
+			if (!envelope) {
+				return message.message
+			}
+			if (envelope.type === ENVELOPE_TYPE.DEVICE) {
+				return t('spreed', 'Enabled end-to-end encryption')
+			}
+
+			const decryptedMessage = message.id ? store.getters.message(token, message.id) as EncryptedChatMessage | undefined : undefined
+			return decryptedMessage?.isEncrypted && !decryptedMessage.isUndecryptable
+				? decryptedMessage.message
+				: t('spreed', 'Encrypted message')
+		},
+	},
+
+	actions: {
+		/**
+		 * Load the encryption keys of this device
+		 */
+		async initialize() {
+			const userId = getCurrentUser()?.uid
+			if (!userId) {
+				throw new Error('End-to-end encryption is only available to users')
+			}
+
+			if (!initializing) {
+				initializing = ChatEncryption.create(userId).then((instance) => {
+					chatEncryption = instance
+					this.identityKey = instance.getDevice().identityKey
+					this.retryDecryption()
+				}).catch((error) => {
+					initializing = null
+					throw error
+				})
+			}
+			await initializing
+			this.identityKey = chatEncryption!.getDevice().identityKey
+		},
+
+		/**
+		 * Enable the encryption of the messages sent from this device, and
+		 * announce the device to the other participant
+		 *
+		 * @param token The conversation token
+		 */
+		async enableEncryption(token: string) {
+			await this.initialize()
+
+			// The device announcement is never a reply
+			await postNewMessage({
+				token,
+				message: chatEncryption!.createDeviceAnnouncement(),
+				actorDisplayName: store.getters.getDisplayName(),
+				referenceId: '',
+			} as Parameters<typeof postNewMessage>[0], { silent: true })
+
+			if (!this.enabledTokens.includes(token)) {
+				this.enabledTokens.push(token)
+				encryptionStorage.setItem(getStorageKey(STORAGE_KEY_ENABLED), JSON.stringify(this.enabledTokens))
+			}
+		},
+
+		/**
+		 * Send the next messages unencrypted. Already encrypted messages can still be read.
+		 *
+		 * @param token The conversation token
+		 */
+		disableEncryption(token: string) {
+			this.enabledTokens = this.enabledTokens.filter((item) => item !== token)
+			encryptionStorage.setItem(getStorageKey(STORAGE_KEY_ENABLED), JSON.stringify(this.enabledTokens))
+		},
+
+		/**
+		 * Remember a device of the other participant announced in a message.
+		 * New devices need to be accepted before messages are encrypted for them.
+		 *
+		 * @param token The conversation token
+		 * @param message The message with the device
+		 * @param device The announced device
+		 * @param device.identityKey The identity key of the device
+		 * @param device.fallbackKey The fallback key of the device
+		 */
+		addDevice(token: string, message: ChatMessage, { identityKey, fallbackKey }: Pick<Device, 'identityKey' | 'fallbackKey'>) {
+			if (identityKey === this.identityKey || !isPeerActor(token, message.actorType, message.actorId)) {
+				return
+			}
+
+			const knownDevice = this.devices[token]?.[identityKey]
+			if (knownDevice?.actorId === message.actorId && knownDevice.fallbackKey === fallbackKey) {
+				return
+			}
+
+			if (!this.devices[token]) {
+				Vue.set(this.devices, token, {})
+			}
+			// The fallback key is rotated by the device, only the identity key is verified
+			Vue.set(this.devices[token], identityKey, {
+				actorType: message.actorType,
+				actorId: message.actorId,
+				identityKey,
+				fallbackKey,
+				status: knownDevice?.actorId === message.actorId ? knownDevice.status : CHAT_ENCRYPTION.DEVICE_STATUS.PENDING,
+			})
+			encryptionStorage.setItem(getStorageKey(STORAGE_KEY_DEVICES), JSON.stringify(this.devices))
+		},
+
+		/**
+		 * Accept or reject a device of the other participant after comparing the safety number
+		 *
+		 * @param token The conversation token
+		 * @param identityKey The identity key of the device
+		 * @param status The new status of the device
+		 */
+		setDeviceStatus(token: string, identityKey: string, status: DeviceStatus) {
+			const device = this.devices[token]?.[identityKey]
+			if (!device) {
+				return
+			}
+
+			// The device knows the key of the current session
+			if (device.status === CHAT_ENCRYPTION.DEVICE_STATUS.ACCEPTED && status !== CHAT_ENCRYPTION.DEVICE_STATUS.ACCEPTED) {
+				chatEncryption?.discardOutboundSession(token)
+			}
+
+			Vue.set(device, 'status', status)
+			encryptionStorage.setItem(getStorageKey(STORAGE_KEY_DEVICES), JSON.stringify(this.devices))
+		},
+
+		/**
+		 * Decrypt a message received from the server (and its parent).
+		 * Messages which can not be decrypted are replaced by a placeholder.
+		 *
+		 * @param token The conversation token
+		 * @param message The message
+		 * @return The decrypted message, or null if the message should not be shown
+		 */
+		processMessage(token: string, message: EncryptedChatMessage): EncryptedChatMessage | null {
+			if (message.parent && 'message' in message.parent) {
+				message = { ...message, parent: this.processMessage(token, message.parent) ?? message.parent }
+			}
+
+			const encryptedMessage = message.encryptedMessage ?? message.message
+			const envelope = parseEnvelope(encryptedMessage)
+			if (!envelope) {
+				return message
+			}
+
+			this.addDevice(token, message, envelope.device)
+			if (envelope.type === ENVELOPE_TYPE.DEVICE) {
+				return null
+			}
+
+			if (!chatEncryption) {
+				// Messages are processed again once the encryption is loaded
+				this.initialize().catch((error) => console.error('Error while loading the end-to-end encryption', error))
+			} else {
+				try {
+					const { encryptedMessage: _encryptedMessage, isUndecryptable: _isUndecryptable, ...decryptedMessage } = message
+					return {
+						...decryptedMessage,
+						message: chatEncryption.decryptMessage(token, envelope),
+						isEncrypted: true,
+					}
+				} catch (error) {
+					console.debug('Could not decrypt message %d', message.id, error)
+				}
+			}
+
+			return {
+				...message,
+				message: t('spreed', 'This message is end-to-end encrypted and can not be decrypted on this device'),
+				isEncrypted: true,
+				isUndecryptable: true,
+				encryptedMessage,
+			}
+		},
+
+		/**
+		 * Encrypt the text of a message for the accepted devices of the other participant
+		 *
+		 * @param token The conversation token
+		 * @param text The text to encrypt
+		 * @throws {Error} If no device of the other participant was accepted yet
+		 */
+		encryptMessage(token: string, text: string): string {
+			if (!chatEncryption || !this.canEncrypt(token)) {
+				throw new Error(t('spreed', 'The message can not be encrypted, as no verified device of the other participant is known'))
+			}
+
+			return chatEncryption.encryptMessage(token, text, this.getAcceptedDevices(token))
+		},
+
+		/**
+		 * Encrypt the text of a temporary message (and of its encrypted
+		 * parent), so it is not stored unencrypted while waiting to be sent
+		 *
+		 * @param token The conversation token
+		 * @param message The temporary message
+		 * @throws {Error} If no device of the other participant was accepted yet
+		 */
+		encryptTemporaryMessage(token: string, message: ChatMessage): ChatMessage {
+			if (!this.isEncryptionEnabled(token) || isEncryptedText(message.message)) {
+				return message
+			}
+
+			let parent = message.parent
+			if (parent && 'message' in parent && (parent as EncryptedChatMessage).isEncrypted) {
+				parent = { ...parent, message: (parent as EncryptedChatMessage).encryptedMessage ?? this.encryptMessage(token, parent.message) }
+			}
+
+			return { ...message, message: this.encryptMessage(token, message.message), parent }
+		},
+
+		/**
+		 * Decrypt the text of a temporary message, which was stored encrypted
+		 *
+		 * @param token The conversation token
+		 * @param message The temporary message
+		 */
+		async decryptTemporaryMessage(token: string, message: ChatMessage): Promise<ChatMessage> {
+			if (!isEncryptedText(message.message)) {
+				return message
+			}
+
+			try {
+				await this.initialize()
+			} catch (error) {
+				console.error('Error while loading the end-to-end encryption', error)
+			}
+			return this.processMessage(token, message) ?? message
+		},
+
+		/**
+		 * Decrypt again the messages, which could not be decrypted before
+		 */
+		retryDecryption() {
+			Object.entries(store.state.messagesStore.messages as Record<string, Record<number, EncryptedChatMessage>>).forEach(([token, messages]) => {
+				Object.values(messages)
+					.filter((message) => message.isUndecryptable || (message.parent as EncryptedChatMessage)?.isUndecryptable)
+					.forEach((message) => store.dispatch('processMessage', { token, message }))
+			})
+		},
+
+		/**
+		 * Export the keys to decrypt the messages, protected by a passphrase
+		 *
+		 * @param passphrase The passphrase protecting the backup
+		 */
+		async exportKeys(passphrase: string): Promise<string> {
+			await this.initialize()
+			return chatEncryption!.exportKeys(passphrase)
+		},
+
+		/**
+		 * Import the keys to decrypt the messages from a backup
+		 *
+		 * @param backup The backup
+		 * @param passphrase The passphrase protecting the backup
+		 * @return The number of imported keys
+		 */
+		async importKeys(backup: string, passphrase: string): Promise<number> {
+			await this.initialize()
+			const count = await chatEncryption!.importKeys(backup, passphrase)
+			this.retryDecryption()
+			return count
+		},
+	},
+})
@@ -0,0 +1,98 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import BrowserStorage from '../services/BrowserStorage.js'
+import type { ConversationFilterGroup, ConversationFilterPreset } from '../types/index.ts'
+
+type ActiveFilter = {
+	filter: ConversationFilterGroup,
+	// Set when the filter was applied from a saved preset
+	presetId: string | null,
+}
+type State = {
+	presets: ConversationFilterPreset[],
+	activeFilter: ActiveFilter | null,
+}
+
+const STORAGE_KEY_PRESETS = 'conversationFilterPresets'
+const STORAGE_KEY_ACTIVE = 'conversationFilterActive'
+
+export const useConversationFiltersStore = defineStore('conversationFilters', {
+	state: (): State => ({
+		presets: JSON.parse(BrowserStorage.getItem(STORAGE_KEY_PRESETS) || '[]') as ConversationFilterPreset[],
+		activeFilter: JSON.parse(BrowserStorage.getItem(STORAGE_KEY_ACTIVE) || 'null') as ActiveFilter | null,
+	}),
+
+	getters: {
+		getPreset: (state) => (id: string): ConversationFilterPreset | undefined => state.presets.find((preset) => preset.id === id),
+
+		isPresetActive: (state) => (id: string): boolean => state.activeFilter?.presetId === id,
+	},
+
+	actions: {
+		/**
+		 * @param filter the filter to apply to the conversations list
+		 * @param presetId the id of the preset, which the filter was applied from
+		 */
+		applyFilter(filter: ConversationFilterGroup, presetId: string | null = null) {
+			if (filter.conditions.length === 0) {
+				this.clearFilter()
+				return
+			}
+
+			this.activeFilter = { filter, presetId }
+			BrowserStorage.setItem(STORAGE_KEY_ACTIVE, JSON.stringify(this.activeFilter))
+		},
+
+		clearFilter() {
+			this.activeFilter = null
+			BrowserStorage.removeItem(STORAGE_KEY_ACTIVE)
+		},
+
+		/**
+		 * Apply the preset, or clear the filter when the preset is already applied
+		 *
+		 * @param id the id of the preset
+		 */
+		togglePreset(id: string) {
+			const preset = this.getPreset(id)
+			if (!preset || this.isPresetActive(id)) {
+				this.clearFilter()
+				return
+			}
+
+			this.applyFilter(preset.filter, id)
+		},
+
+		/**
+		 * Save the filter under the given name and apply it
+		 *
+		 * @param name the name of the preset
+		 * @param filter the filter to save
+		 * @return the id of the saved preset
+		 */
+		savePreset(name: string, filter: ConversationFilterGroup): string {
+			const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+			this.presets = [...this.presets, { id, name: name.trim(), filter }]
+			BrowserStorage.setItem(STORAGE_KEY_PRESETS, JSON.stringify(this.presets))
+			this.applyFilter(filter, id)
+			return id
+		},
+
+		/**
+		 * @param id the id of the preset
+		 */
+		deletePreset(id: string) {
+			if (this.isPresetActive(id)) {
+				this.clearFilter()
+			}
+
+			this.presets = this.presets.filter((preset) => preset.id !== id)
+			BrowserStorage.setItem(STORAGE_KEY_PRESETS, JSON.stringify(this.presets))
+		},
+	},
+})
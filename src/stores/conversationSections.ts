@@ -0,0 +1,160 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import { loadState } from '@nextcloud/initial-state'
+
+import BrowserStorage from '../services/BrowserStorage.js'
+import { setConversationSections } from '../services/settingsService.ts'
+import type { ConversationSection, ConversationSectionsConfig } from '../types/index.ts'
+
+type State = ConversationSectionsConfig & {
+	// Collapsed sections are only remembered on this device
+	collapsed: string[],
+}
+
+const STORAGE_KEY_COLLAPSED = 'conversationSectionsCollapsed'
+
+// Pseudo section of the conversations, which are not assigned to a section
+export const OTHER_CONVERSATIONS_SECTION_ID = 'other'
+// Data type of conversations dragged to a section header
+export const CONVERSATION_DRAG_TYPE = 'application/x-talk-conversation'
+
+/**
+ * @param name the name entered by the user
+ */
+function normalizeName(name: string): string {
+	return name.trim().slice(0, 64)
+}
+
+export const useConversationSectionsStore = defineStore('conversationSections', {
+	state: (): State => {
+		const config = loadState<ConversationSectionsConfig | undefined>('spreed', 'conversation_sections', undefined)
+		return {
+			sections: config?.sections ?? [],
+			// An empty object is encoded as an array by the server
+			assignments: { ...config?.assignments },
+			collapsed: JSON.parse(BrowserStorage.getItem(STORAGE_KEY_COLLAPSED) || '[]') as string[],
+		}
+	},
+
+	getters: {
+		hasSections: (state): boolean => state.sections.length > 0,
+
+		getSection: (state) => (id: string): ConversationSection | undefined => state.sections.find((section) => section.id === id),
+
+		/**
+		 * Section of the conversation, or null when it is not assigned to an existing section
+		 *
+		 * @param state the state
+		 */
+		getSectionId: (state) => (token: string): string | null => {
+			const sectionId = state.assignments[token]
+			return state.sections.some((section) => section.id === sectionId) ? sectionId : null
+		},
+
+		isCollapsed: (state) => (id: string): boolean => state.collapsed.includes(id),
+	},
+
+	actions: {
+		/**
+		 * Store the sections and assignments in the user config, so they are the same on every device
+		 *
+		 * @param config the new sections and assignments
+		 */
+		async saveConfig(config: ConversationSectionsConfig) {
+			await setConversationSections(config)
+			this.sections = config.sections
+			this.assignments = config.assignments
+		},
+
+		/**
+		 * @param name the name of the new section
+		 * @return the id of the created section
+		 */
+		async createSection(name: string): Promise<string> {
+			const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+			await this.saveConfig({
+				sections: [...this.sections, { id, name: normalizeName(name) }],
+				assignments: this.assignments,
+			})
+			return id
+		},
+
+		/**
+		 * @param id the id of the section
+		 * @param name the new name of the section
+		 */
+		async renameSection(id: string, name: string) {
+			await this.saveConfig({
+				sections: this.sections.map((section) => section.id === id ? { id, name: normalizeName(name) } : section),
+				assignments: this.assignments,
+			})
+		},
+
+		/**
+		 * Delete the section, the conversations of it are moved back to the other conversations
+		 *
+		 * @param id the id of the section
+		 */
+		async deleteSection(id: string) {
+			await this.saveConfig({
+				sections: this.sections.filter((section) => section.id !== id),
+				assignments: Object.fromEntries(Object.entries(this.assignments).filter(([, sectionId]) => sectionId !== id)),
+			})
+			this.setCollapsed(id, false)
+		},
+
+		/**
+		 * @param id the id of the section
+		 * @param offset the number of positions to move the section down, or up if negative
+		 */
+		async moveSection(id: string, offset: number) {
+			const index = this.sections.findIndex((section) => section.id === id)
+			const newIndex = index + offset
+			if (index === -1 || newIndex < 0 || newIndex >= this.sections.length) {
+				return
+			}
+
+			const sections = this.sections.slice()
+			sections.splice(newIndex, 0, ...sections.splice(index, 1))
+			await this.saveConfig({ sections, assignments: this.assignments })
+		},
+
+		/**
+		 * @param token the token of the conversation
+		 * @param sectionId the id of the section, or null to remove the conversation from its section
+		 */
+		async assignConversation(token: string, sectionId: string | null) {
+			if (this.getSectionId(token) === sectionId) {
+				return
+			}
+
+			const assignments = { ...this.assignments }
+			if (sectionId) {
+				assignments[token] = sectionId
+			} else {
+				delete assignments[token]
+			}
+			await this.saveConfig({ sections: this.sections, assignments })
+		},
+
+		/**
+		 * @param id the id of the section
+		 * @param value whether the conversations of the section are hidden
+		 */
+		setCollapsed(id: string, value: boolean) {
+			this.collapsed = value
+				? [...new Set([...this.collapsed, id])]
+				: this.collapsed.filter((collapsedId) => collapsedId !== id)
+			BrowserStorage.setItem(STORAGE_KEY_COLLAPSED, JSON.stringify(this.collapsed))
+		},
+
+		toggleCollapsed(id: string) {
+			this.setCollapsed(id, !this.isCollapsed(id))
+		},
+	},
+})
@@ -0,0 +1,183 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
+import store from '../store/index.js'
+import type { Conversation } from '../types/index.ts'
+
+export const BULK_ACTION = {
+	MARK_READ: 'mark-read',
+	ARCHIVE: 'archive',
+	UNARCHIVE: 'unarchive',
+	ADD_FAVORITE: 'add-favorite',
+	REMOVE_FAVORITE: 'remove-favorite',
+	NOTIFICATION_LEVEL: 'notification-level',
+	LEAVE: 'leave',
+	DELETE: 'delete',
+} as const
+
+type BulkAction = typeof BULK_ACTION[keyof typeof BULK_ACTION]
+type BulkActionOptions = {
+	notificationLevel?: number,
+}
+export type BulkActionResult = {
+	succeeded: string[],
+	// Display names of the conversations, which could not be updated
+	failed: string[],
+}
+type State = {
+	isSelecting: boolean,
+	selectedTokens: string[],
+	// Number of processed and selected conversations while a bulk action is running
+	progress: { done: number, total: number } | null,
+}
+
+/**
+ * Run the action for a single conversation
+ *
+ * Most of the store actions log errors instead of throwing them,
+ * so the result is checked in the store afterwards.
+ *
+ * @param conversation the conversation
+ * @param action the bulk action
+ * @param options the options of the action
+ * @return whether the conversation was updated
+ */
+async function runAction(conversation: Conversation, action: BulkAction, options: BulkActionOptions): Promise<boolean> {
+	const token = conversation.token
+	switch (action) {
+	case BULK_ACTION.MARK_READ: {
+		if (!conversation.unreadMessages) {
+			return true
+		}
+		// federated conversations don't proxy lastMessage id
+		const id = hasTalkFeature(token, 'chat-read-last')
+			? null
+			: (conversation.lastMessage && 'id' in conversation.lastMessage ? conversation.lastMessage.id : undefined)
+		if (id === undefined) {
+			return false
+		}
+		await store.dispatch('updateLastReadMessage', { token, id })
+		return true
+	}
+	case BULK_ACTION.ARCHIVE:
+	case BULK_ACTION.UNARCHIVE: {
+		const isArchived = action === BULK_ACTION.ARCHIVE
+		if (conversation.isArchived !== isArchived) {
+			await store.dispatch('toggleArchive', { token, isArchived: conversation.isArchived })
+		}
+		return store.getters.conversation(token)?.isArchived === isArchived
+	}
+	case BULK_ACTION.ADD_FAVORITE:
+	case BULK_ACTION.REMOVE_FAVORITE: {
+		const isFavorite = action === BULK_ACTION.ADD_FAVORITE
+		if (conversation.isFavorite !== isFavorite) {
+			await store.dispatch('toggleFavorite', { token, isFavorite: conversation.isFavorite })
+		}
+		return store.getters.conversation(token)?.isFavorite === isFavorite
+	}
+	case BULK_ACTION.NOTIFICATION_LEVEL: {
+		await store.dispatch('setNotificationLevel', { token, notificationLevel: options.notificationLevel })
+		return store.getters.conversation(token)?.notificationLevel === options.notificationLevel
+	}
+	case BULK_ACTION.LEAVE: {
+		if (!conversation.canLeaveConversation) {
+			return false
+		}
+		await store.dispatch('removeCurrentUserFromConversation', { token })
+		return true
+	}
+	case BULK_ACTION.DELETE: {
+		if (!conversation.canDeleteConversation) {
+			return false
+		}
+		await store.dispatch('deleteConversationFromServer', { token })
+		return !store.getters.conversation(token)
+	}
+	}
+}
+
+export const useConversationsSelectionStore = defineStore('conversationsSelection', {
+	state: (): State => ({
+		isSelecting: false,
+		selectedTokens: [],
+		progress: null,
+	}),
+
+	getters: {
+		isSelected: (state) => (token: string): boolean => state.selectedTokens.includes(token),
+
+		isRunning: (state): boolean => state.progress !== null,
+	},
+
+	actions: {
+		/**
+		 * @param token the token of the first selected conversation
+		 */
+		startSelection(token?: string) {
+			this.isSelecting = true
+			this.selectedTokens = token ? [token] : []
+		},
+
+		stopSelection() {
+			this.isSelecting = false
+			this.selectedTokens = []
+		},
+
+		/**
+		 * @param token the token of the conversation
+		 */
+		toggleSelected(token: string) {
+			this.selectedTokens = this.isSelected(token)
+				? this.selectedTokens.filter((selectedToken) => selectedToken !== token)
+				: [...this.selectedTokens, token]
+		},
+
+		/**
+		 * @param tokens the tokens of the conversations to select
+		 */
+		setSelected(tokens: string[]) {
+			this.selectedTokens = tokens
+		},
+
+		/**
+		 * Run the action for the selected conversations, one after another
+		 *
+		 * @param action the bulk action
+		 * @param options the options of the action
+		 * @return the updated tokens and the names of the conversations, which could not be updated
+		 */
+		async runBulkAction(action: BulkAction, options: BulkActionOptions = {}): Promise<BulkActionResult> {
+			const result: BulkActionResult = { succeeded: [], failed: [] }
+			const conversations: Conversation[] = this.selectedTokens
+				.map((token) => store.getters.conversation(token))
+				.filter(Boolean)
+
+			this.progress = { done: 0, total: conversations.length }
+			for (const conversation of conversations) {
+				let isSucceeded = false
+				try {
+					isSucceeded = await runAction(conversation, action, options)
+				} catch (error) {
+					console.error(`Error while running the bulk action ${action} for ${conversation.token}`, error)
+				}
+
+				if (isSucceeded) {
+					result.succeeded.push(conversation.token)
+				} else {
+					result.failed.push(conversation.displayName)
+				}
+				this.progress = { done: result.succeeded.length + result.failed.length, total: conversations.length }
+			}
+			this.progress = null
+
+			// Keep the conversations selected, which could not be updated, to try again
+			this.selectedTokens = this.selectedTokens.filter((token) => !result.succeeded.includes(token))
+			return result
+		},
+	},
+})
@@ -20,10 +20,19 @@ import { defineStore } from 'pinia'
  * @property {string} label -The visible label of action
  */
 
+/**
+ * @typedef {object} SlashCommand
+ * @property {string} name - The command name, without leading slash
+ * @property {string} description - The visible description of command
+ * @property {string} [params] - The hint for command arguments, e.g. "<text>"
+ * @property {Function} callback - The command callback, may return (or resolve with) a message text to post
+ */
+
 /**
  * @typedef {object} State
  * @property {MessageAction[]} messageActions - Message actions from other apps integrations (Deck, e.t.c).
  * @property {ParticipantSearchAction[]} participantSearchActions - Participant search actions from other apps integrations (Guests, e.t.c).
+ * @property {SlashCommand[]} slashCommands - Chat composer commands from other apps integrations.
  */
 
 /**
@@ -36,6 +45,7 @@ export const useIntegrationsStore = defineStore('integrations', {
 	state: () => ({
 		messageActions: [],
 		participantSearchActions: [],
+		slashCommands: [],
 	}),
 
 	actions: {
@@ -55,5 +65,18 @@ export const useIntegrationsStore = defineStore('integrations', {
 		addParticipantSearchAction(action) {
 			this.participantSearchActions.push(action)
 		},
+		/**
+		 * Add a command to the slashCommands array (replaces a command with the same name)
+		 *
+		 * @param {SlashCommand} command command object
+		 */
+		addSlashCommand(command) {
+			const index = this.slashCommands.findIndex((slashCommand) => slashCommand.name === command.name)
+			if (index !== -1) {
+				this.slashCommands.splice(index, 1, command)
+			} else {
+				this.slashCommands.push(command)
+			}
+		},
 	},
 })
@@ -0,0 +1,257 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+import axios from '@nextcloud/axios'
+import type { AxiosError } from '@nextcloud/axios'
+
+import { useChatEncryptionStore } from './chatEncryption.ts'
+import {
+	getOutboxEntries,
+	putOutboxEntries,
+	removeOutboxEntry,
+} from '../services/messagesCache.ts'
+import type { OutboxEntry } from '../services/messagesCache.ts'
+import store from '../store/index.js'
+import type { ChatMessage } from '../types/index.ts'
+
+type State = {
+	entries: OutboxEntry[],
+	isProcessing: boolean,
+	retryTimeout: NodeJS.Timeout | number | undefined,
+	retryDelay: number,
+}
+type QueueMessagePayload = {
+	token: string,
+	temporaryMessage: ChatMessage,
+	options?: OutboxEntry['options'],
+	upload?: OutboxEntry['upload'],
+}
+
+// Delay before the next attempt to send, if the server is not reachable while the browser is online
+const RETRY_DELAY_MIN = 5 * 1000
+const RETRY_DELAY_MAX = 5 * 60 * 1000
+
+// Identifies the current tab, so messages queued by other open tabs are not sent twice
+const tabId = Math.random().toString(36).slice(2)
+if (typeof navigator !== 'undefined' && navigator.locks) {
+	// The lock is held until the tab is closed or reloaded
+	navigator.locks.request(`talk:outbox:${tabId}`, () => new Promise(() => {}))
+}
+
+/**
+ * Check whether the tab, which has queued a message, is still open
+ *
+ * @param ownerTabId id of the tab
+ */
+async function isOwnerTabOpen(ownerTabId: string): Promise<boolean> {
+	if (!navigator.locks) {
+		return false
+	}
+	const { held } = await navigator.locks.query()
+	return held?.some((lock) => lock.name === `talk:outbox:${ownerTabId}`) ?? false
+}
+
+/**
+ * Check whether the request has failed because of missing connection
+ *
+ * @param error the error thrown by the request
+ */
+function isNetworkError(error: unknown): boolean {
+	return !!(error as AxiosError)?.isAxiosError && !(error as AxiosError).response && !axios.isCancel(error)
+}
+
+export const useOutboxStore = defineStore('outbox', {
+	state: (): State => ({
+		entries: [],
+		isProcessing: false,
+		retryTimeout: undefined,
+		retryDelay: RETRY_DELAY_MIN,
+	}),
+
+	getters: {
+		isQueued: (state) => (id: ChatMessage['id']) => state.entries.some((entry) => entry.id === id),
+
+		hasQueuedMessages: (state) => (token: string) => state.entries.some((entry) => entry.token === token),
+	},
+
+	actions: {
+		/**
+		 * Add a message to the outbox, to be sent when the connection is back
+		 *
+		 * @param payload The payload
+		 * @param payload.token The conversation token
+		 * @param payload.temporaryMessage The temporary message
+		 * @param payload.options Options of the message (e.g. silent)
+		 * @param payload.upload Attached file, if message is a file share
+		 */
+		async queueMessage({ token, temporaryMessage, options = null, upload }: QueueMessagePayload) {
+			if (this.isQueued(temporaryMessage.id)) {
+				return
+			}
+
+			const entry: OutboxEntry = {
+				id: temporaryMessage.id,
+				token,
+				createdAt: Date.now(),
+				ownerTabId: tabId,
+				// The text of end-to-end encrypted messages is stored encrypted
+				temporaryMessage: upload ? temporaryMessage : useChatEncryptionStore().encryptTemporaryMessage(token, temporaryMessage),
+				options,
+				upload,
+			}
+			this.entries.push(entry)
+			store.dispatch('addTemporaryMessage', { token, message: temporaryMessage })
+			await putOutboxEntries([entry])
+		},
+
+		/**
+		 * Remove a message from the outbox (it was sent, or user doesn't want to send it anymore)
+		 *
+		 * @param id The id of the temporary message
+		 */
+		async removeQueuedMessage(id: ChatMessage['id']) {
+			this.entries = this.entries.filter((entry) => entry.id !== id)
+			await removeOutboxEntry(id)
+		},
+
+		/**
+		 * Remove a message from the outbox and from the messages list
+		 *
+		 * @param id The id of the temporary message
+		 */
+		async cancelQueuedMessage(id: ChatMessage['id']) {
+			const entry = this.entries.find((entry) => entry.id === id)
+			if (!entry) {
+				return
+			}
+			await this.removeQueuedMessage(id)
+			store.dispatch('removeTemporaryMessageFromStore', { token: entry.token, id })
+			if (entry.upload) {
+				store.dispatch('discardUpload', entry.upload.uploadId)
+			}
+		},
+
+		/**
+		 * Take over messages, which were queued by closed (or reloaded) tabs, and send them
+		 */
+		async restoreOutbox() {
+			const restore = async () => {
+				const orphanedEntries: OutboxEntry[] = []
+				for (const entry of await getOutboxEntries()) {
+					if (!this.isQueued(entry.id) && !(await isOwnerTabOpen(entry.ownerTabId))) {
+						orphanedEntries.push({ ...entry, ownerTabId: tabId })
+					}
+				}
+				await putOutboxEntries(orphanedEntries)
+
+				for (const entry of orphanedEntries) {
+					if (entry.upload) {
+						const { file, uploadId, index } = entry.upload
+						// Previous object URL is revoked with the closed tab
+						const localUrl = entry.temporaryMessage.messageParameters?.file ? URL.createObjectURL(file) : undefined
+						store.commit('addFileToBeUploaded', { file, temporaryMessage: entry.temporaryMessage, localUrl, token: entry.token })
+						store.commit('markFileAsInitializedUpload', { uploadId, index })
+					}
+					this.entries.push(entry)
+					store.dispatch('addTemporaryMessage', {
+						token: entry.token,
+						message: await useChatEncryptionStore().decryptTemporaryMessage(entry.token, entry.temporaryMessage),
+					})
+				}
+			}
+
+			if (navigator.locks) {
+				// Prevent simultaneously opened tabs from taking over the same messages
+				await navigator.locks.request('talk:outbox', restore)
+			} else {
+				await restore()
+			}
+
+			await this.processOutbox()
+		},
+
+		/**
+		 * Send queued messages one by one in the original order, until the connection is lost again
+		 */
+		async processOutbox() {
+			if (this.isProcessing || !navigator.onLine) {
+				return
+			}
+
+			this.isProcessing = true
+			try {
+				while (this.entries.length && navigator.onLine) {
+					const entry = this.entries[0]
+
+					if (entry.upload) {
+						// Files, selected together, are shared together
+						const uploadId = entry.upload.uploadId
+						const uploadEntries = this.entries.filter((item) => item.upload?.uploadId === uploadId)
+						try {
+							await store.dispatch('uploadFiles', {
+								token: entry.token,
+								uploadId,
+								caption: uploadEntries.at(-1)!.upload!.caption,
+								options: entry.options,
+								fromOutbox: true,
+							})
+						} catch (error) {
+							if (isNetworkError(error)) {
+								// Keep the files and the order, try again later
+								this.scheduleRetry()
+								break
+							}
+						}
+						for (const item of uploadEntries) {
+							await this.removeQueuedMessage(item.id)
+						}
+						continue
+					}
+
+					try {
+						await store.dispatch('postNewMessage', {
+							token: entry.token,
+							temporaryMessage: entry.temporaryMessage,
+							options: entry.options,
+							fromOutbox: true,
+						})
+					} catch (error) {
+						if (isNetworkError(error)) {
+							// Keep the message and the order, try again later
+							this.scheduleRetry()
+							break
+						}
+					}
+					await this.removeQueuedMessage(entry.id)
+				}
+
+				if (!this.entries.length) {
+					this.retryDelay = RETRY_DELAY_MIN
+				}
+			} finally {
+				this.isProcessing = false
+			}
+		},
+
+		/**
+		 * Try to send queued messages again after a delay, growing with every failed attempt.
+		 * Needed when the server is not reachable, while the browser still reports to be online
+		 */
+		scheduleRetry() {
+			if (this.retryTimeout) {
+				return
+			}
+			this.retryTimeout = setTimeout(() => {
+				this.retryTimeout = undefined
+				this.processOutbox()
+			}, this.retryDelay)
+			this.retryDelay = Math.min(this.retryDelay * 2, RETRY_DELAY_MAX)
+		},
+	},
+})
+
+export { isNetworkError }
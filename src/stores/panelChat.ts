@@ -0,0 +1,51 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+
+type PanelChatMessage = {
+	senderId: string,
+	senderName: string,
+	message: string,
+	timestamp: number,
+}
+type State = {
+	messages: PanelChatMessage[],
+}
+
+// Messages are only sent to the participants on stage of a webinar and are
+// not stored in the server, so they are lost when leaving the call.
+export const usePanelChatStore = defineStore('panelChat', {
+	state: (): State => ({
+		messages: [],
+	}),
+
+	actions: {
+		/**
+		 * Add a message sent by the local participant or received from another
+		 * participant on stage
+		 *
+		 * @param senderId the peer id of the sender
+		 * @param senderName the display name of the sender
+		 * @param message the text of the message
+		 */
+		addMessage(senderId: string, senderName: string, message: string) {
+			if (!message.trim()) {
+				return
+			}
+
+			this.messages.push({
+				senderId,
+				senderName,
+				message,
+				timestamp: Date.now(),
+			})
+		},
+
+		reset() {
+			this.messages = []
+		},
+	},
+})
@@ -0,0 +1,196 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
+
+import { CONVERSATION, PARTICIPANT } from '../constants.ts'
+import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
+import {
+	getPinnedMessages,
+	pinMessage,
+	unpinMessage,
+} from '../services/messagesService.ts'
+import store from '../store/index.js'
+import type { ChatMessage } from '../types/index.ts'
+
+type State = {
+	pinnedMessages: Record<string, ChatMessage[]>
+}
+
+const PINNING_PARTICIPANT_TYPES: number[] = [
+	PARTICIPANT.TYPE.OWNER,
+	PARTICIPANT.TYPE.MODERATOR,
+	PARTICIPANT.TYPE.GUEST_MODERATOR,
+]
+
+export const usePinnedMessagesStore = defineStore('pinnedMessages', {
+	state: (): State => ({
+		pinnedMessages: {},
+	}),
+
+	getters: {
+		getPinnedMessages: (state) => (token: string): ChatMessage[] => {
+			return state.pinnedMessages[token] ?? []
+		},
+
+		isPinned: (state) => (token: string, messageId: number): boolean => {
+			return state.pinnedMessages[token]?.some((message) => message.id === messageId) ?? false
+		},
+
+		/**
+		 * Pinned messages are not available in federated conversations
+		 */
+		supportsPinnedMessages: () => (token: string): boolean => {
+			return hasTalkFeature(token, 'pinned-messages') && !store.getters.conversation(token)?.remoteServer
+		},
+
+		/**
+		 * Only moderators are allowed to pin and unpin messages
+		 */
+		canPinMessages: () => (token: string): boolean => {
+			const conversation = store.getters.conversation(token)
+			if (!conversation || !hasTalkFeature(token, 'pinned-messages') || conversation.remoteServer
+				|| conversation.readOnly === CONVERSATION.STATE.READ_ONLY) {
+				return false
+			}
+			return PINNING_PARTICIPANT_TYPES.includes(conversation.participantType)
+		},
+	},
+
+	actions: {
+		/**
+		 * Set the pinned messages of a conversation, the most recently pinned first
+		 *
+		 * @param token The conversation token
+		 * @param messages The pinned messages
+		 */
+		setPinnedMessages(token: string, messages: ChatMessage[]) {
+			Vue.set(this.pinnedMessages, token, messages)
+		},
+
+		/**
+		 * Add a pinned message on top of the list (or update it, if already present)
+		 *
+		 * @param token The conversation token
+		 * @param message The pinned message
+		 */
+		addPinnedMessage(token: string, message: ChatMessage) {
+			const index = this.getPinnedMessages(token).findIndex((pinnedMessage) => pinnedMessage.id === message.id)
+			if (index !== -1) {
+				this.pinnedMessages[token].splice(index, 1, message)
+				return
+			}
+			this.setPinnedMessages(token, [message, ...this.getPinnedMessages(token)])
+		},
+
+		/**
+		 * Remove a message from the pinned messages list
+		 *
+		 * @param token The conversation token
+		 * @param messageId The id of the unpinned message
+		 */
+		removePinnedMessage(token: string, messageId: number) {
+			if (!this.pinnedMessages[token]) {
+				return
+			}
+			this.setPinnedMessages(token, this.pinnedMessages[token].filter((message) => message.id !== messageId))
+		},
+
+		/**
+		 * Update the pinned copy of a message, if it was edited, or remove it, if it was deleted
+		 *
+		 * @param token The conversation token
+		 * @param message The updated message
+		 */
+		updatePinnedMessage(token: string, message: ChatMessage) {
+			if (message.deleted) {
+				// Deleted messages are unpinned by the server
+				this.removePinnedMessage(token, message.id)
+			} else if (this.isPinned(token, message.id)) {
+				this.addPinnedMessage(token, message)
+			}
+		},
+
+		/**
+		 * Process system messages, when a message was pinned or unpinned by someone else
+		 *
+		 * @param token The conversation token
+		 * @param message The system message
+		 */
+		processPinSystemMessage(token: string, message: ChatMessage) {
+			if (!message.parent) {
+				return
+			}
+			if (message.systemMessage === 'message_pinned') {
+				this.addPinnedMessage(token, message.parent as ChatMessage)
+			} else if (message.systemMessage === 'message_unpinned') {
+				this.removePinnedMessage(token, message.parent.id)
+			}
+		},
+
+		/**
+		 * Purge the pinned messages of a conversation (e.g. when it was deleted)
+		 *
+		 * @param token The conversation token
+		 */
+		purgePinnedMessagesStore(token: string) {
+			Vue.delete(this.pinnedMessages, token)
+		},
+
+		/**
+		 * Fetch pinned messages of a conversation
+		 *
+		 * @param token The conversation token
+		 */
+		async fetchPinnedMessages(token: string) {
+			if (!this.supportsPinnedMessages(token)) {
+				return
+			}
+
+			try {
+				const response = await getPinnedMessages(token)
+				this.setPinnedMessages(token, response.data.ocs.data)
+			} catch (error) {
+				console.error('Error while fetching pinned messages: ', error)
+			}
+		},
+
+		/**
+		 * Pin a message to the top of the conversation
+		 *
+		 * @param token The conversation token
+		 * @param messageId The id of the message to pin
+		 */
+		async pinMessage(token: string, messageId: number) {
+			try {
+				const response = await pinMessage({ token, messageId })
+				this.addPinnedMessage(token, response.data.ocs.data)
+			} catch (error) {
+				console.error('Error while pinning a message: ', error)
+				showError(t('spreed', 'Could not pin the message'))
+			}
+		},
+
+		/**
+		 * Unpin a message from the top of the conversation
+		 *
+		 * @param token The conversation token
+		 * @param messageId The id of the message to unpin
+		 */
+		async unpinMessage(token: string, messageId: number) {
+			try {
+				await unpinMessage({ token, messageId })
+				this.removePinnedMessage(token, messageId)
+			} catch (error) {
+				console.error('Error while unpinning a message: ', error)
+				showError(t('spreed', 'Could not unpin the message'))
+			}
+		},
+	},
+})
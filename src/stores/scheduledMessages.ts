@@ -0,0 +1,193 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
+
+import { ATTENDEE } from '../constants.ts'
+import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
+import {
+	deleteScheduledMessage,
+	editScheduledMessage,
+	getScheduledMessages,
+	scheduleMessage,
+} from '../services/messagesService.ts'
+import store from '../store/index.js'
+import type { ChatMessage, ScheduledMessage } from '../types/index.ts'
+
+type State = {
+	scheduledMessages: Record<string, ScheduledMessage[]>
+}
+type SchedulePayload = {
+	token: string,
+	message: string,
+	sendAt: number,
+	parent?: ChatMessage,
+	silent?: boolean,
+	threadId?: number,
+}
+type EditSchedulePayload = Omit<SchedulePayload, 'parent' | 'threadId'> & { messageId: number }
+
+/**
+ * Sort scheduled messages by the time they will be posted at
+ *
+ * @param messages The scheduled messages
+ */
+function sortBySendAt(messages: ScheduledMessage[]): ScheduledMessage[] {
+	return messages.sort((message1, message2) => message1.sendAt - message2.sendAt)
+}
+
+export const useScheduledMessagesStore = defineStore('scheduledMessages', {
+	state: (): State => ({
+		scheduledMessages: {},
+	}),
+
+	getters: {
+		/**
+		 * Scheduled messages are posted by the server in the name of a user,
+		 * so they are not available for guests and in federated conversations
+		 */
+		supportsScheduledMessages: () => (token: string): boolean => {
+			return hasTalkFeature(token, 'scheduled-messages')
+				&& store.getters.getActorType() === ATTENDEE.ACTOR_TYPE.USERS
+				&& !store.getters.conversation(token)?.remoteServer
+		},
+
+		getScheduledMessages: (state) => (token: string): ScheduledMessage[] => {
+			return state.scheduledMessages[token] ?? []
+		},
+	},
+
+	actions: {
+		/**
+		 * Set the scheduled messages of a conversation, the next to be posted first
+		 *
+		 * @param token The conversation token
+		 * @param messages The scheduled messages
+		 */
+		setScheduledMessages(token: string, messages: ScheduledMessage[]) {
+			Vue.set(this.scheduledMessages, token, sortBySendAt([...messages]))
+		},
+
+		/**
+		 * Add a scheduled message to the list (or update it, if already present)
+		 *
+		 * @param token The conversation token
+		 * @param message The scheduled message
+		 */
+		addScheduledMessage(token: string, message: ScheduledMessage) {
+			this.setScheduledMessages(token, [
+				...this.getScheduledMessages(token).filter((scheduledMessage) => scheduledMessage.id !== message.id),
+				message,
+			])
+		},
+
+		/**
+		 * Remove a message from the scheduled messages list
+		 *
+		 * @param token The conversation token
+		 * @param messageId The id of the scheduled message
+		 */
+		removeScheduledMessage(token: string, messageId: number) {
+			if (!this.scheduledMessages[token]) {
+				return
+			}
+			this.setScheduledMessages(token, this.scheduledMessages[token].filter((message) => message.id !== messageId))
+		},
+
+		/**
+		 * Purge the scheduled messages of a conversation (e.g. when it was deleted)
+		 *
+		 * @param token The conversation token
+		 */
+		purgeScheduledMessagesStore(token: string) {
+			Vue.delete(this.scheduledMessages, token)
+		},
+
+		/**
+		 * Fetch messages of the current user scheduled in a conversation
+		 *
+		 * @param token The conversation token
+		 */
+		async fetchScheduledMessages(token: string) {
+			if (!this.supportsScheduledMessages(token)) {
+				return
+			}
+
+			try {
+				const response = await getScheduledMessages(token)
+				this.setScheduledMessages(token, response.data.ocs.data)
+			} catch (error) {
+				console.error('Error while fetching scheduled messages: ', error)
+			}
+		},
+
+		/**
+		 * Schedule a message to be posted later
+		 *
+		 * @param payload The payload
+		 * @param payload.token The conversation token
+		 * @param payload.message The message text
+		 * @param payload.sendAt The time to post the message at (unix timestamp)
+		 * @param payload.parent The message to be replied to
+		 * @param payload.silent Whether the message should be posted without notification
+		 * @param payload.threadId The id of the thread root message
+		 * @return Whether the message was scheduled
+		 */
+		async scheduleMessage({ token, message, sendAt, parent, silent = false, threadId }: SchedulePayload): Promise<boolean> {
+			try {
+				const response = await scheduleMessage({ token, message, sendAt, parent, silent, threadId })
+				this.addScheduledMessage(token, response.data.ocs.data)
+				return true
+			} catch (error) {
+				console.error('Error while scheduling a message: ', error)
+				showError(t('spreed', 'Could not schedule the message'))
+				return false
+			}
+		},
+
+		/**
+		 * Change text or time of a scheduled message
+		 *
+		 * @param payload The payload
+		 * @param payload.token The conversation token
+		 * @param payload.messageId The id of the scheduled message
+		 * @param payload.message The message text
+		 * @param payload.sendAt The time to post the message at (unix timestamp)
+		 * @param payload.silent Whether the message should be posted without notification
+		 * @return Whether the message was updated
+		 */
+		async editScheduledMessage({ token, messageId, message, sendAt, silent = false }: EditSchedulePayload): Promise<boolean> {
+			try {
+				const response = await editScheduledMessage({ token, messageId, message, sendAt, silent })
+				this.addScheduledMessage(token, response.data.ocs.data)
+				return true
+			} catch (error) {
+				console.error('Error while editing a scheduled message: ', error)
+				showError(t('spreed', 'Could not update the scheduled message'))
+				return false
+			}
+		},
+
+		/**
+		 * Cancel a scheduled message
+		 *
+		 * @param token The conversation token
+		 * @param messageId The id of the scheduled message
+		 */
+		async cancelScheduledMessage(token: string, messageId: number) {
+			try {
+				await deleteScheduledMessage({ token, messageId })
+				this.removeScheduledMessage(token, messageId)
+			} catch (error) {
+				console.error('Error while cancelling a scheduled message: ', error)
+				showError(t('spreed', 'Could not cancel the scheduled message'))
+			}
+		},
+	},
+})
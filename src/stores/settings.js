@@ -44,6 +44,7 @@ export const useSettingsStore = defineStore('settings', {
 		startWithoutMedia: getTalkConfig('local', 'call', 'start-without-media'),
 		blurVirtualBackgroundEnabled: getTalkConfig('local', 'call', 'blur-virtual-background'),
 		conversationsListStyle: getTalkConfig('local', 'conversations', 'list-style'),
+		autoPictureInPicture: BrowserStorage.getItem('autoPictureInPicture') === 'true',
 	}),
 
 	getters: {
@@ -121,5 +122,17 @@ export const useSettingsStore = defineStore('settings', {
 			await setConversationsListStyle(value)
 			this.conversationsListStyle = value
 		},
+
+		/**
+		 * Update whether the call is shown in a picture-in-picture window when
+		 * the page is hidden. Stored only in the browser, as the support for
+		 * it depends on the browser.
+		 *
+		 * @param {boolean} value The new value
+		 */
+		setAutoPictureInPicture(value) {
+			BrowserStorage.setItem('autoPictureInPicture', value.toString())
+			this.autoPictureInPicture = value
+		},
 	},
 })
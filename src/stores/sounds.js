@@ -34,11 +34,13 @@ export const useSoundsStore = defineStore('sounds', {
 			join: null,
 			leave: null,
 			wait: null,
+			raisedHand: null,
 		},
 		audioObjectsPromises: {
 			join: null,
 			leave: null,
 			wait: null,
+			raisedHand: null,
 		},
 	}),
 
@@ -94,7 +96,7 @@ export const useSoundsStore = defineStore('sounds', {
 		},
 
 		/**
-		 * If not already created, this creates audio objects for join, leave and wait sounds
+		 * If not already created, this creates audio objects for join, leave, wait and raised hand sounds
 		 */
 		initAudioObjects() {
 			if (this.audioObjectsCreated) {
@@ -104,6 +106,8 @@ export const useSoundsStore = defineStore('sounds', {
 			this.createAudioObject('join', 'join_call', 0.75)
 			this.createAudioObject('leave', 'leave_call', 0.75)
 			this.createAudioObject('wait', 'LibremPhoneCall', 0.5)
+			// There is no specific sound, so the join one is played quieter
+			this.createAudioObject('raisedHand', 'join_call', 0.4)
 			this.audioObjectsCreated = true
 		},
 	}
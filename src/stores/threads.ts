@@ -0,0 +1,172 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import Vue from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
+
+import { useSidebarStore } from './sidebar.ts'
+import BrowserStorage from '../services/BrowserStorage.js'
+import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
+import { getThreadMessages } from '../services/messagesService.ts'
+import store from '../store/index.js'
+import type { ChatMessage } from '../types/index.ts'
+
+type ActiveThread = { token: string, threadId: number }
+type ThreadSummary = { numReplies: number, lastReply: ChatMessage }
+type State = {
+	threads: Record<string, Record<number, ChatMessage[]>>,
+	readMarkers: Record<string, number>,
+	activeThread: ActiveThread | null,
+	loading: boolean,
+}
+
+/**
+ * Get the key of the thread in the read markers map
+ *
+ * @param token The conversation token
+ * @param threadId The id of the thread root message
+ */
+function getThreadKey(token: string, threadId: number): string {
+	return `${token}:${threadId}`
+}
+
+export const useThreadsStore = defineStore('threads', {
+	state: (): State => ({
+		threads: {},
+		readMarkers: JSON.parse(BrowserStorage.getItem('threadsReadMarkers') || '{}') as Record<string, number>,
+		activeThread: null,
+		loading: false,
+	}),
+
+	getters: {
+		/**
+		 * Threads are not available in federated conversations
+		 */
+		supportsThreads: () => (token: string): boolean => {
+			return hasTalkFeature(token, 'threads') && !store.getters.conversation(token)?.remoteServer
+		},
+
+		getThreadMessages: (state) => (token: string, threadId: number): ChatMessage[] => {
+			return state.threads[token]?.[threadId] ?? []
+		},
+
+		// Number of known replies and the latest of them, null if message has no replies
+		getThreadSummary: (state) => (token: string, threadId: number): ThreadSummary | null => {
+			const replies = (state.threads[token]?.[threadId] ?? []).filter((message) => message.id !== threadId)
+			if (!replies.length) {
+				return null
+			}
+			return { numReplies: replies.length, lastReply: replies.at(-1)! }
+		},
+
+		getUnreadCount: (state) => (token: string, threadId: number): number => {
+			const readMarker = state.readMarkers[getThreadKey(token, threadId)] ?? 0
+			return (state.threads[token]?.[threadId] ?? []).filter((message) => message.id > readMarker
+				&& message.id !== threadId
+				&& !(message.actorId === store.getters.getActorId() && message.actorType === store.getters.getActorType()))
+				.length
+		},
+
+		isThreadOpen: (state) => (token: string, threadId: number): boolean => {
+			return state.activeThread?.token === token && state.activeThread.threadId === threadId
+		},
+	},
+
+	actions: {
+		/**
+		 * Add or update a message of a thread, keeping messages sorted by id
+		 *
+		 * @param token The conversation token
+		 * @param message The message with a thread id
+		 */
+		addThreadMessage(token: string, message: ChatMessage) {
+			const threadId = message.threadId
+			if (!threadId) {
+				return
+			}
+			if (!this.threads[token]) {
+				Vue.set(this.threads, token, {})
+			}
+			const messages = (this.threads[token][threadId] ?? []).filter((item) => item.id !== message.id)
+			messages.push(message)
+			Vue.set(this.threads[token], threadId, messages.sort((message1, message2) => message1.id - message2.id))
+
+			if (this.isThreadOpen(token, threadId)) {
+				this.markThreadAsRead(token, threadId)
+			}
+		},
+
+		/**
+		 * Remember the last read reply of a thread (stored in the browser)
+		 *
+		 * @param token The conversation token
+		 * @param threadId The id of the thread root message
+		 */
+		markThreadAsRead(token: string, threadId: number) {
+			const lastMessage = this.getThreadMessages(token, threadId).at(-1)
+			if (!lastMessage || this.readMarkers[getThreadKey(token, threadId)] >= lastMessage.id) {
+				return
+			}
+			Vue.set(this.readMarkers, getThreadKey(token, threadId), lastMessage.id)
+			BrowserStorage.setItem('threadsReadMarkers', JSON.stringify(this.readMarkers))
+		},
+
+		/**
+		 * Purge the threads of a conversation (e.g. when it was deleted)
+		 *
+		 * @param token The conversation token
+		 */
+		purgeThreadsStore(token: string) {
+			Vue.delete(this.threads, token)
+			if (this.activeThread?.token === token) {
+				this.activeThread = null
+			}
+		},
+
+		/**
+		 * Fetch the thread root message and all its replies
+		 *
+		 * @param token The conversation token
+		 * @param threadId The id of the thread root message
+		 */
+		async fetchThreadMessages(token: string, threadId: number) {
+			this.loading = true
+			try {
+				const lastKnownMessageId = this.getThreadMessages(token, threadId).at(-1)?.id ?? 0
+				const response = await getThreadMessages({ token, threadId, lastKnownMessageId })
+				response.data.ocs.data.forEach((message) => {
+					this.addThreadMessage(token, { ...message, threadId })
+				})
+			} catch (error) {
+				console.error('Error while fetching thread messages: ', error)
+				showError(t('spreed', 'Could not load the thread'))
+			} finally {
+				this.loading = false
+			}
+		},
+
+		/**
+		 * Open the thread in the right sidebar
+		 *
+		 * @param token The conversation token
+		 * @param threadId The id of the thread root message
+		 */
+		async openThread(token: string, threadId: number) {
+			this.activeThread = { token, threadId }
+			const sidebarStore = useSidebarStore()
+			sidebarStore.showSidebar({ activeTab: 'thread' })
+
+			await this.fetchThreadMessages(token, threadId)
+			this.markThreadAsRead(token, threadId)
+		},
+
+		closeThread() {
+			this.activeThread = null
+		},
+	},
+})
@@ -149,6 +149,8 @@ export type setConversationListableParams = Required<operations['room-set-listab
 export type setConversationListableResponse = ApiResponse<operations['room-set-listable']['responses'][200]['content']['application/json']>
 export type setConversationMentionsPermissionsParams = Required<operations['room-set-mention-permissions']>['requestBody']['content']['application/json']
 export type setConversationMentionsPermissionsResponse = ApiResponse<operations['room-set-mention-permissions']['responses'][200]['content']['application/json']>
+export type setConversationWebinarModeParams = Required<operations['room-set-webinar-mode']>['requestBody']['content']['application/json']
+export type setConversationWebinarModeResponse = ApiResponse<operations['room-set-webinar-mode']['responses'][200]['content']['application/json']>
 export type setConversationPermissionsParams = Required<operations['room-set-permissions']>['requestBody']['content']['application/json']
 export type setConversationPermissionsResponse = ApiResponse<operations['room-set-permissions']['responses'][200]['content']['application/json']>
 export type setConversationMessageExpirationParams = Required<operations['room-set-message-expiration']>['requestBody']['content']['application/json']
@@ -201,6 +203,18 @@ export type markUnreadResponse = ApiResponse<operations['chat-mark-unread']['res
 export type summarizeChatParams = operations['chat-summarize-chat']['requestBody']['content']['application/json']
 export type summarizeChatResponse = ApiResponse<operations['chat-summarize-chat']['responses'][201]['content']['application/json']>
 export type SummarizeChatTask = operations['chat-summarize-chat']['responses'][201]['content']['application/json']['ocs']['data']
+export type getThreadMessagesParams = operations['chat-get-thread-messages']['parameters']['query']
+export type getThreadMessagesResponse = ApiResponse<operations['chat-get-thread-messages']['responses'][200]['content']['application/json']>
+export type getPinnedMessagesResponse = ApiResponse<operations['chat-get-pinned-messages']['responses'][200]['content']['application/json']>
+export type pinMessageResponse = ApiResponse<operations['chat-pin-message']['responses'][200]['content']['application/json']>
+export type unpinMessageResponse = ApiResponse<operations['chat-unpin-message']['responses'][200]['content']['application/json']>
+export type ScheduledMessage = components['schemas']['ScheduledMessage']
+export type getScheduledMessagesResponse = ApiResponse<operations['chat-get-scheduled-messages']['responses'][200]['content']['application/json']>
+export type scheduleMessageParams = Required<operations['chat-schedule-message']>['requestBody']['content']['application/json']
+export type scheduleMessageResponse = ApiResponse<operations['chat-schedule-message']['responses'][201]['content']['application/json']>
+export type editScheduledMessageParams = Required<operations['chat-edit-scheduled-message']>['requestBody']['content']['application/json']
+export type editScheduledMessageResponse = ApiResponse<operations['chat-edit-scheduled-message']['responses'][200]['content']['application/json']>
+export type deleteScheduledMessageResponse = ApiResponse<operations['chat-delete-scheduled-message']['responses'][200]['content']['application/json']>
 
 // Avatars
 export type setFileAvatarResponse = ApiResponse<operations['avatar-upload-avatar']['responses'][200]['content']['application/json']>
@@ -334,6 +348,32 @@ export type {
 	UserPreferencesResponse,
 } from './openapi/core/index.ts'
 
+// User defined sections of the conversations list, synchronised with the user config
+export type ConversationSection = {
+	id: string,
+	name: string,
+}
+export type ConversationSectionsConfig = {
+	sections: ConversationSection[],
+	// Section id by conversation token
+	assignments: Record<string, string>,
+}
+
+// Filters of the conversations list, see utils/conversation.js
+export type ConversationFilterCondition = {
+	type: string,
+	value?: Array<number | string> | number,
+}
+export type ConversationFilterGroup = {
+	operator: string,
+	conditions: Array<ConversationFilterCondition | ConversationFilterGroup>,
+}
+export type ConversationFilterPreset = {
+	id: string,
+	name: string,
+	filter: ConversationFilterGroup,
+}
+
 // Settings
 export type setSipSettingsParams = Required<operationsAdmin['settings-setsip-settings']>['requestBody']['content']['application/json']
 export type setSipSettingsResponse = ApiResponse<operationsAdmin['settings-setsip-settings']['responses'][200]['content']['application/json']>
@@ -91,6 +91,12 @@ type MessageSearchResultAttributes = {
 	actorType: string,
 	actorId: string,
 	timestamp: string,
+	message: string,
+	messageType: string,
+	// JSON encoded
+	messageParameters: string,
+	// JSON encoded
+	reactions: string,
 }
 export type SearchMessagePayload = operationsCore['unified_search-search']['parameters']['query'] & {
 	person?: string,
@@ -211,6 +211,8 @@ export type components = {
             /** Format: int64 */
             lastEditTimestamp?: number;
             silent?: boolean;
+            /** Format: int64 */
+            threadId?: number;
         };
         ChatProxyMessage: components["schemas"]["BaseMessage"];
         OCSMeta: {
@@ -355,6 +357,12 @@ export type components = {
             isArchived: boolean;
             /** @description Required capability: `important-conversations` */
             isImportant: boolean;
+            /**
+             * Format: int64
+             * @description Required capability: `webinar-mode`
+             * @enum {integer}
+             */
+            webinarMode: 0 | 1;
         };
         RoomLastMessage: components["schemas"]["ChatMessage"] | components["schemas"]["ChatProxyMessage"];
     };
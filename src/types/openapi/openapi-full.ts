@@ -436,6 +436,118 @@ export type paths = {
         patch?: never;
         trace?: never;
     };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/schedule": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * Get the messages the current user scheduled in the conversation
+         * @description Required capability: `scheduled-messages`
+         */
+        get: operations["chat-get-scheduled-messages"];
+        put?: never;
+        /**
+         * Schedule a message to be posted later
+         * @description Required capability: `scheduled-messages`
+         */
+        post: operations["chat-schedule-message"];
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/schedule/{messageId}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        /**
+         * Change the text or the time of a scheduled message
+         * @description Required capability: `scheduled-messages`
+         */
+        put: operations["chat-edit-scheduled-message"];
+        post?: never;
+        /**
+         * Cancel a scheduled message
+         * @description Required capability: `scheduled-messages`
+         */
+        delete: operations["chat-delete-scheduled-message"];
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/threads/{threadId}": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * Get the root message of a thread and the replies posted in it
+         * @description Required capability: `threads`
+         */
+        get: operations["chat-get-thread-messages"];
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/pin": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        /**
+         * Get the pinned messages of the conversation
+         * @description Required capability: `pinned-messages`
+         */
+        get: operations["chat-get-pinned-messages"];
+        put?: never;
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/{messageId}/pin": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        put?: never;
+        /**
+         * Pin a message to the top of the conversation
+         * @description Required capability: `pinned-messages`
+         */
+        post: operations["chat-pin-message"];
+        /**
+         * Unpin a message from the top of the conversation
+         * @description Required capability: `pinned-messages`
+         */
+        delete: operations["chat-unpin-message"];
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
     "/ocs/v2.php/apps/spreed/api/{apiVersion}/chat/{token}/{messageId}/reminder": {
         parameters: {
             query?: never;
@@ -1354,6 +1466,26 @@ export type paths = {
         patch?: never;
         trace?: never;
     };
+    "/ocs/v2.php/apps/spreed/api/{apiVersion}/room/{token}/webinar-mode": {
+        parameters: {
+            query?: never;
+            header?: never;
+            path?: never;
+            cookie?: never;
+        };
+        get?: never;
+        /**
+         * Update the webinar mode of a room
+         * @description In webinar mode participants join calls as audience, only moderators and participants that can publish audio or video are shown in the call. The permissions of the audience are not changed by the mode.
+         */
+        put: operations["room-set-webinar-mode"];
+        post?: never;
+        delete?: never;
+        options?: never;
+        head?: never;
+        patch?: never;
+        trace?: never;
+    };
     "/ocs/v2.php/apps/spreed/api/{apiVersion}/room/{token}/archive": {
         parameters: {
             query?: never;
@@ -2140,6 +2272,8 @@ export type components = {
             /** Format: int64 */
             lastEditTimestamp?: number;
             silent?: boolean;
+            /** Format: int64 */
+            threadId?: number;
         };
         ChatMessageWithParent: components["schemas"]["ChatMessage"] & {
             parent?: components["schemas"]["ChatMessage"] | components["schemas"]["DeletedChatMessage"];
@@ -2411,11 +2545,31 @@ export type components = {
             isArchived: boolean;
             /** @description Required capability: `important-conversations` */
             isImportant: boolean;
+            /**
+             * Format: int64
+             * @description Required capability: `webinar-mode`
+             * @enum {integer}
+             */
+            webinarMode: 0 | 1;
         };
         RoomLastMessage: components["schemas"]["ChatMessage"] | components["schemas"]["ChatProxyMessage"];
         RoomWithInvalidInvitations: components["schemas"]["Room"] & {
             invalidParticipants: components["schemas"]["InvitationList"];
         };
+        ScheduledMessage: {
+            /** Format: int64 */
+            id: number;
+            token: string;
+            actorType: string;
+            actorId: string;
+            message: string;
+            /** Format: int64 */
+            sendAt: number;
+            silent: boolean;
+            parent?: components["schemas"]["ChatMessage"];
+            /** Format: int64 */
+            threadId?: number;
+        };
         SignalingFederationSettings: {
             server: string;
             nextcloudServer: string;
@@ -4179,6 +4333,12 @@ export interface operations {
                      * @default false
                      */
                     silent?: boolean;
+                    /**
+                     * Format: int64
+                     * @description ID of the thread root message the message is posted in (Only available with `threads` capability)
+                     * @default 0
+                     */
+                    threadId?: number;
                 };
             };
         };
@@ -4343,14 +4503,436 @@ export interface operations {
                 "application/json": {
                     /**
                      * Format: int64
-                     * @description Offset from where on the summary should be generated
+                     * @description Offset from where on the summary should be generated
+                     */
+                    fromMessageId: number;
+                };
+            };
+        };
+        responses: {
+            /** @description Summary was scheduled, use the returned taskId to get the status information and output from the TaskProcessing API: [OCS TaskProcessing API](https://docs.nextcloud.com/server/latest/developer_manual/client_apis/OCS/ocs-taskprocessing-api.html#fetch-a-task-by-id). If the response data contains nextOffset, not all messages could be handled in a single request. After receiving the response a second summary should be requested with the provided nextOffset. */
+            201: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                /** Format: int64 */
+                                taskId: number;
+                                /** Format: int64 */
+                                nextOffset?: number;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description No messages found to summarize */
+            204: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content?: never;
+            };
+            /** @description No AI provider available or summarizing failed */
+            400: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                /** @enum {string} */
+                                error: "ai-no-provider" | "ai-error";
+                            };
+                        };
+                    };
+                };
+            };
+            500: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "text/plain": string;
+                };
+            };
+        };
+    };
+    "chat-edit-message": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description ID of the message */
+                messageId: number;
+            };
+            cookie?: never;
+        };
+        requestBody: {
+            content: {
+                "application/json": {
+                    /** @description the message to send */
+                    message: string;
+                };
+            };
+        };
+        responses: {
+            /** @description Message edited successfully */
+            200: {
+                headers: {
+                    "X-Chat-Last-Common-Read"?: string;
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ChatMessageWithParent"];
+                        };
+                    };
+                };
+            };
+            /** @description Message edited successfully, but a bot or Matterbridge is configured, so the information can be replicated to other services */
+            202: {
+                headers: {
+                    "X-Chat-Last-Common-Read"?: string;
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ChatMessageWithParent"];
+                        };
+                    };
+                };
+            };
+            /** @description Editing message is not possible, e.g. when the new message is empty or the message is too old */
+            400: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Missing permissions to edit message */
+            403: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Message not found */
+            404: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Editing this message type is not allowed */
+            405: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Message too long */
+            413: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+        };
+    };
+    "chat-delete-message": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description ID of the message */
+                messageId: number;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description Message deleted successfully */
+            200: {
+                headers: {
+                    "X-Chat-Last-Common-Read"?: string;
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ChatMessageWithParent"];
+                        };
+                    };
+                };
+            };
+            /** @description Message deleted successfully, but a bot or Matterbridge is configured, so the information can be replicated elsewhere */
+            202: {
+                headers: {
+                    "X-Chat-Last-Common-Read"?: string;
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ChatMessageWithParent"];
+                        };
+                    };
+                };
+            };
+            /** @description Deleting message is not possible */
+            400: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Missing permissions to delete message */
+            403: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Message not found */
+            404: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+            /** @description Deleting this message type is not allowed */
+            405: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
+            };
+        };
+    };
+    "chat-get-message-context": {
+        parameters: {
+            query?: {
+                /** @description Number of chat messages to receive in both directions (50 by default, 100 at most, might return 201 messages) */
+                limit?: number;
+            };
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description The focused message which should be in the "middle" of the returned context */
+                messageId: number;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description Message context returned */
+            200: {
+                headers: {
+                    "X-Chat-Last-Common-Read"?: string;
+                    "X-Chat-Last-Given"?: string;
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ChatMessageWithParent"][];
+                        };
+                    };
+                };
+            };
+            /** @description No messages */
+            304: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content?: never;
+            };
+        };
+    };
+    "chat-get-scheduled-messages": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description List of scheduled messages returned, the next message to be posted first */
+            200: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["ScheduledMessage"][];
+                        };
+                    };
+                };
+            };
+        };
+    };
+    "chat-schedule-message": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+            };
+            cookie?: never;
+        };
+        requestBody: {
+            content: {
+                "application/json": {
+                    /** @description The message to post */
+                    message: string;
+                    /**
+                     * Format: int64
+                     * @description Timestamp when the message should be posted
+                     */
+                    sendAt: number;
+                    /**
+                     * Format: int64
+                     * @description Parent id which this message is a reply to
+                     * @default 0
+                     */
+                    replyTo?: number;
+                    /**
+                     * @description If sent silent the chat message will not create any notifications
+                     * @default false
+                     */
+                    silent?: boolean;
+                    /**
+                     * Format: int64
+                     * @description ID of the thread root message the message is posted in (Only available with `threads` capability)
+                     * @default 0
                      */
-                    fromMessageId: number;
+                    threadId?: number;
                 };
             };
         };
         responses: {
-            /** @description Summary was scheduled, use the returned taskId to get the status information and output from the TaskProcessing API: [OCS TaskProcessing API](https://docs.nextcloud.com/server/latest/developer_manual/client_apis/OCS/ocs-taskprocessing-api.html#fetch-a-task-by-id). If the response data contains nextOffset, not all messages could be handled in a single request. After receiving the response a second summary should be requested with the provided nextOffset. */
+            /** @description Message scheduled successfully */
             201: {
                 headers: {
                     [name: string]: unknown;
@@ -4359,24 +4941,12 @@ export interface operations {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: {
-                                /** Format: int64 */
-                                taskId: number;
-                                /** Format: int64 */
-                                nextOffset?: number;
-                            };
+                            data: components["schemas"]["ScheduledMessage"];
                         };
                     };
                 };
             };
-            /** @description No messages found to summarize */
-            204: {
-                headers: {
-                    [name: string]: unknown;
-                };
-                content?: never;
-            };
-            /** @description No AI provider available or summarizing failed */
+            /** @description Scheduling the message is not possible */
             400: {
                 headers: {
                     [name: string]: unknown;
@@ -4386,24 +4956,31 @@ export interface operations {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
                             data: {
-                                /** @enum {string} */
-                                error: "ai-no-provider" | "ai-error";
+                                error: string;
                             };
                         };
                     };
                 };
             };
-            500: {
+            /** @description Message too long */
+            413: {
                 headers: {
                     [name: string]: unknown;
                 };
                 content: {
-                    "text/plain": string;
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
                 };
             };
         };
     };
-    "chat-edit-message": {
+    "chat-edit-scheduled-message": {
         parameters: {
             query?: never;
             header: {
@@ -4413,7 +4990,7 @@ export interface operations {
             path: {
                 apiVersion: "v1";
                 token: string;
-                /** @description ID of the message */
+                /** @description ID of the scheduled message */
                 messageId: number;
             };
             cookie?: never;
@@ -4421,44 +4998,54 @@ export interface operations {
         requestBody: {
             content: {
                 "application/json": {
-                    /** @description the message to send */
+                    /** @description The message to post */
                     message: string;
+                    /**
+                     * Format: int64
+                     * @description Timestamp when the message should be posted
+                     */
+                    sendAt: number;
+                    /**
+                     * @description If sent silent the chat message will not create any notifications
+                     * @default false
+                     */
+                    silent?: boolean;
                 };
             };
         };
         responses: {
-            /** @description Message edited successfully */
+            /** @description Scheduled message updated successfully */
             200: {
                 headers: {
-                    "X-Chat-Last-Common-Read"?: string;
                     [name: string]: unknown;
                 };
                 content: {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: components["schemas"]["ChatMessageWithParent"];
+                            data: components["schemas"]["ScheduledMessage"];
                         };
                     };
                 };
             };
-            /** @description Message edited successfully, but a bot or Matterbridge is configured, so the information can be replicated to other services */
-            202: {
+            /** @description Updating the scheduled message is not possible */
+            400: {
                 headers: {
-                    "X-Chat-Last-Common-Read"?: string;
                     [name: string]: unknown;
                 };
                 content: {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: components["schemas"]["ChatMessageWithParent"];
+                            data: {
+                                error: string;
+                            };
                         };
                     };
                 };
             };
-            /** @description Editing message is not possible, e.g. when the new message is empty or the message is too old */
-            400: {
+            /** @description Scheduled message not found */
+            404: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4473,8 +5060,8 @@ export interface operations {
                     };
                 };
             };
-            /** @description Missing permissions to edit message */
-            403: {
+            /** @description Message too long */
+            413: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4489,7 +5076,40 @@ export interface operations {
                     };
                 };
             };
-            /** @description Message not found */
+        };
+    };
+    "chat-delete-scheduled-message": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description ID of the scheduled message */
+                messageId: number;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description Scheduled message cancelled successfully */
+            200: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: unknown;
+                        };
+                    };
+                };
+            };
+            /** @description Scheduled message not found */
             404: {
                 headers: {
                     [name: string]: unknown;
@@ -4505,8 +5125,32 @@ export interface operations {
                     };
                 };
             };
-            /** @description Editing this message type is not allowed */
-            405: {
+        };
+    };
+    "chat-get-thread-messages": {
+        parameters: {
+            query?: {
+                /** @description Only return replies that are newer than this message, the root message is only returned without it */
+                lastKnownMessageId?: number;
+                /** @description Number of replies to return (1-200) */
+                limit?: number;
+            };
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description ID of the thread root message */
+                threadId: number;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description Messages of the thread returned, the oldest message first */
+            200: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4514,15 +5158,13 @@ export interface operations {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: {
-                                error: string;
-                            };
+                            data: components["schemas"]["ChatMessage"][];
                         };
                     };
                 };
             };
-            /** @description Message too long */
-            413: {
+            /** @description Thread root message not found */
+            404: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4539,7 +5181,7 @@ export interface operations {
             };
         };
     };
-    "chat-delete-message": {
+    "chat-get-pinned-messages": {
         parameters: {
             query?: never;
             header: {
@@ -4549,45 +5191,46 @@ export interface operations {
             path: {
                 apiVersion: "v1";
                 token: string;
-                /** @description ID of the message */
-                messageId: number;
             };
             cookie?: never;
         };
         requestBody?: never;
         responses: {
-            /** @description Message deleted successfully */
+            /** @description List of pinned messages returned, the most recently pinned message first */
             200: {
                 headers: {
-                    "X-Chat-Last-Common-Read"?: string;
                     [name: string]: unknown;
                 };
                 content: {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: components["schemas"]["ChatMessageWithParent"];
+                            data: components["schemas"]["ChatMessage"][];
                         };
                     };
                 };
             };
-            /** @description Message deleted successfully, but a bot or Matterbridge is configured, so the information can be replicated elsewhere */
-            202: {
-                headers: {
-                    "X-Chat-Last-Common-Read"?: string;
-                    [name: string]: unknown;
-                };
-                content: {
-                    "application/json": {
-                        ocs: {
-                            meta: components["schemas"]["OCSMeta"];
-                            data: components["schemas"]["ChatMessageWithParent"];
-                        };
-                    };
-                };
+        };
+    };
+    "chat-pin-message": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
             };
-            /** @description Deleting message is not possible */
-            400: {
+            path: {
+                apiVersion: "v1";
+                token: string;
+                /** @description ID of the message */
+                messageId: number;
+            };
+            cookie?: never;
+        };
+        requestBody?: never;
+        responses: {
+            /** @description Message pinned successfully */
+            200: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4595,15 +5238,13 @@ export interface operations {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: {
-                                error: string;
-                            };
+                            data: components["schemas"]["ChatMessage"];
                         };
                     };
                 };
             };
-            /** @description Missing permissions to delete message */
-            403: {
+            /** @description Message is already pinned */
+            400: {
                 headers: {
                     [name: string]: unknown;
                 };
@@ -4634,7 +5275,7 @@ export interface operations {
                     };
                 };
             };
-            /** @description Deleting this message type is not allowed */
+            /** @description Pinning this message type is not allowed */
             405: {
                 headers: {
                     [name: string]: unknown;
@@ -4652,12 +5293,9 @@ export interface operations {
             };
         };
     };
-    "chat-get-message-context": {
+    "chat-unpin-message": {
         parameters: {
-            query?: {
-                /** @description Number of chat messages to receive in both directions (50 by default, 100 at most, might return 201 messages) */
-                limit?: number;
-            };
+            query?: never;
             header: {
                 /** @description Required to be true for the API request to pass */
                 "OCS-APIRequest": boolean;
@@ -4665,35 +5303,42 @@ export interface operations {
             path: {
                 apiVersion: "v1";
                 token: string;
-                /** @description The focused message which should be in the "middle" of the returned context */
+                /** @description ID of the message */
                 messageId: number;
             };
             cookie?: never;
         };
         requestBody?: never;
         responses: {
-            /** @description Message context returned */
+            /** @description Message unpinned successfully */
             200: {
                 headers: {
-                    "X-Chat-Last-Common-Read"?: string;
-                    "X-Chat-Last-Given"?: string;
                     [name: string]: unknown;
                 };
                 content: {
                     "application/json": {
                         ocs: {
                             meta: components["schemas"]["OCSMeta"];
-                            data: components["schemas"]["ChatMessageWithParent"][];
+                            data: unknown;
                         };
                     };
                 };
             };
-            /** @description No messages */
-            304: {
+            /** @description Message not found or not pinned */
+            404: {
                 headers: {
                     [name: string]: unknown;
                 };
-                content?: never;
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                error: string;
+                            };
+                        };
+                    };
+                };
             };
         };
     };
@@ -8967,6 +9612,65 @@ export interface operations {
             };
         };
     };
+    "room-set-webinar-mode": {
+        parameters: {
+            query?: never;
+            header: {
+                /** @description Required to be true for the API request to pass */
+                "OCS-APIRequest": boolean;
+            };
+            path: {
+                apiVersion: "v4";
+                token: string;
+            };
+            cookie?: never;
+        };
+        requestBody: {
+            content: {
+                "application/json": {
+                    /**
+                     * Format: int64
+                     * @description New webinar mode
+                     * @enum {integer}
+                     */
+                    webinarMode: 0 | 1;
+                };
+            };
+        };
+        responses: {
+            /** @description Webinar mode updated successfully */
+            200: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: components["schemas"]["Room"];
+                        };
+                    };
+                };
+            };
+            /** @description Updating webinar mode is not possible */
+            400: {
+                headers: {
+                    [name: string]: unknown;
+                };
+                content: {
+                    "application/json": {
+                        ocs: {
+                            meta: components["schemas"]["OCSMeta"];
+                            data: {
+                                /** @enum {string} */
+                                error: "breakout-room" | "type" | "value";
+                            };
+                        };
+                    };
+                };
+            };
+        };
+    };
     "room-archive-conversation": {
         parameters: {
             query?: never;
@@ -0,0 +1,73 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { AGENDA } from '../../constants.ts'
+import { formatAgenda, formatCountdown, getICalendarDescription, parseAgenda } from '../agenda.ts'
+
+describe('agenda', () => {
+	describe('parseAgenda', () => {
+		it('should parse list items with their time boxes', () => {
+			const text = 'Weekly meeting\n'
+				+ '- Introduction - 5 min\n'
+				+ '* Roadmap (20 minutes)\n'
+				+ '1. Demo: 1h\n'
+				+ '2) Questions 7\'\n'
+				+ '• Wrap-up 1,5 mins'
+
+			expect(parseAgenda(text)).toEqual([
+				{ title: 'Introduction', duration: 300 },
+				{ title: 'Roadmap', duration: 1200 },
+				{ title: 'Demo', duration: 3600 },
+				{ title: 'Questions', duration: 420 },
+				{ title: 'Wrap-up', duration: 90 },
+			])
+		})
+
+		it('should use the default duration for items without time box', () => {
+			expect(parseAgenda('- Review 5 meetings\n- Q3 planning')).toEqual([
+				{ title: 'Review 5 meetings', duration: AGENDA.DEFAULT_ITEM_DURATION },
+				{ title: 'Q3 planning', duration: AGENDA.DEFAULT_ITEM_DURATION },
+			])
+		})
+
+		it('should ignore text without list items', () => {
+			expect(parseAgenda('Meeting room for the team\n\nSee you at 10 min past')).toEqual([])
+			expect(parseAgenda('- 5 min\n-\n- Valid')).toEqual([
+				{ title: 'Valid', duration: AGENDA.DEFAULT_ITEM_DURATION },
+			])
+		})
+
+		it('should parse again the formatted agenda', () => {
+			const items = [{ title: 'Introduction', duration: 300 }, { title: 'Demo', duration: 600 }]
+
+			expect(parseAgenda(formatAgenda(items))).toEqual(items)
+		})
+	})
+
+	describe('formatCountdown', () => {
+		it('should format the remaining time and the overtime', () => {
+			expect(formatCountdown(605)).toBe('10:05')
+			expect(formatCountdown(0)).toBe('00:00')
+			expect(formatCountdown(-65)).toBe('+01:05')
+		})
+	})
+
+	describe('getICalendarDescription', () => {
+		it('should unfold and unescape the description', () => {
+			const data = 'BEGIN:VCALENDAR\r\n'
+				+ 'BEGIN:VEVENT\r\n'
+				+ 'SUMMARY:Weekly\r\n'
+				+ 'DESCRIPTION;LANGUAGE=en:Agenda\\n- Intro\\, welcome - 5 min\\n- Roadmap (2\r\n'
+				+ ' 0 minutes)\r\n'
+				+ 'END:VEVENT\r\n'
+				+ 'END:VCALENDAR\r\n'
+
+			expect(getICalendarDescription(data)).toBe('Agenda\n- Intro, welcome - 5 min\n- Roadmap (20 minutes)')
+		})
+
+		it('should return an empty description if there is none', () => {
+			expect(getICalendarDescription('BEGIN:VEVENT\r\nSUMMARY:Weekly\r\nEND:VEVENT')).toBe('')
+		})
+	})
+})
@@ -0,0 +1,64 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { convertCallQualityReportToCsv } from '../callQualityReport.ts'
+
+describe('callQualityReport', () => {
+	const durations = { unknown: 1, good: 2, medium: 0, bad: 0, veryBad: 0, noTransmittedData: 0 }
+
+	const report = {
+		token: 'TOKEN',
+		startedAt: '2025-01-01T10:00:00.000Z',
+		endedAt: '2025-01-01T10:00:03.000Z',
+		duration: 3,
+		userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/128.0',
+		connectionQuality: {
+			audio: durations,
+			video: durations,
+			screen: durations,
+		},
+		mediaToggles: {
+			audio: { enabled: 1, disabled: 2 },
+			video: { enabled: 0, disabled: 0 },
+			screen: { started: 0, stopped: 0 },
+		},
+		participants: [{
+			peerId: 'peer1',
+			actorType: 'guests',
+			actorId: 'guest',
+			name: 'Alice "the guest", from afar',
+			joinedAt: '2025-01-01T10:00:00.000Z',
+			leftAt: null,
+			connectedTime: 2.5,
+			disconnections: 1,
+			failures: 0,
+			reconnections: 1,
+		}],
+	}
+
+	describe('convertCallQualityReportToCsv', () => {
+		test('converts each metric to a row', () => {
+			const rows = convertCallQualityReportToCsv(report).split('\r\n')
+
+			expect(rows[0]).toBe('section,item,metric,value')
+			expect(rows).toContain('call,TOKEN,duration,3')
+			expect(rows).toContain('call,TOKEN,userAgent,Mozilla/5.0 (X11; Linux x86_64) Gecko/20100101 Firefox/128.0')
+			expect(rows).toContain('connectionQuality,video,good,2')
+			expect(rows).toContain('mediaToggles,audio,disabled,2')
+			expect(rows).toContain('participant,peer1,connectedTime,2.5')
+			expect(rows).toContain('participant,peer1,reconnections,1')
+			expect(rows.at(-1)).toBe('')
+			// 1 header + 4 call + 18 connection quality + 6 media toggles + 9 participant + trailing
+			expect(rows.length).toBe(39)
+		})
+
+		test('escapes fields and leaves missing values empty', () => {
+			const rows = convertCallQualityReportToCsv(report).split('\r\n')
+
+			expect(rows).toContain('participant,peer1,name,"Alice ""the guest"", from afar"')
+			expect(rows).toContain('participant,peer1,leftAt,')
+		})
+	})
+})
@@ -0,0 +1,128 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { CONVERSATION, PARTICIPANT } from '../../constants.ts'
+import {
+	CONVERSATION_FILTER,
+	CONVERSATION_FILTER_OPERATOR,
+	filterConversation,
+	matchesConversationFilter,
+} from '../conversation.js'
+
+describe('conversation', () => {
+	const NOW = new Date('2025-06-15T12:00:00Z').getTime()
+	const DAY = 24 * 60 * 60
+
+	const conversations = {
+		oneToOne: {
+			type: CONVERSATION.TYPE.ONE_TO_ONE,
+			name: 'alice',
+			unreadMessages: 2,
+			notificationLevel: PARTICIPANT.NOTIFY.ALWAYS,
+			lastActivity: NOW / 1000 - DAY,
+			lastMessage: { actorId: 'alice' },
+		},
+		group: {
+			type: CONVERSATION.TYPE.GROUP,
+			name: 'Team',
+			unreadMessages: 3,
+			unreadMention: true,
+			hasCall: true,
+			notificationLevel: PARTICIPANT.NOTIFY.MENTION,
+			lastActivity: NOW / 1000 - DAY,
+			lastMessage: { actorId: 'bob' },
+		},
+		federated: {
+			type: CONVERSATION.TYPE.GROUP,
+			name: 'Partners',
+			remoteServer: 'https://nextcloud.example.com',
+			unreadMessages: 0,
+			notificationLevel: PARTICIPANT.NOTIFY.NEVER,
+			lastActivity: NOW / 1000 - 40 * DAY,
+			lastMessage: { actorId: 'alice' },
+		},
+		public: {
+			type: CONVERSATION.TYPE.PUBLIC,
+			name: 'Webinar',
+			unreadMessages: 1,
+			notificationLevel: PARTICIPANT.NOTIFY.NEVER,
+			lastActivity: NOW / 1000 - 10 * DAY,
+			lastMessage: { actorId: 'alice' },
+		},
+	}
+
+	/**
+	 * @param {object} filter the filter condition or group
+	 * @return {string[]} keys of the matching conversations
+	 */
+	function getMatching(filter) {
+		return Object.keys(conversations).filter((key) => matchesConversationFilter(conversations[key], filter))
+	}
+
+	beforeEach(() => {
+		jest.spyOn(Date, 'now').mockReturnValue(NOW)
+	})
+
+	afterEach(() => {
+		jest.restoreAllMocks()
+	})
+
+	describe('filterConversation', () => {
+		it('should match all conversations without filters', () => {
+			expect(Object.values(conversations).every((conversation) => filterConversation(conversation, []))).toBe(true)
+		})
+
+		it('should combine the quick filters', () => {
+			expect(Object.keys(conversations).filter((key) => filterConversation(conversations[key], ['unread']))).toEqual(['oneToOne', 'group', 'public'])
+			expect(Object.keys(conversations).filter((key) => filterConversation(conversations[key], ['unread', 'mentions']))).toEqual(['oneToOne', 'group'])
+		})
+	})
+
+	describe('matchesConversationFilter', () => {
+		it('should match the conversation type', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.TYPE, value: [CONVERSATION.TYPE.GROUP] })).toEqual(['group', 'federated'])
+		})
+
+		it('should match conversations with a call', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.CALL })).toEqual(['group'])
+		})
+
+		it('should match federated conversations', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.FEDERATED })).toEqual(['federated'])
+		})
+
+		it('should match unread messages from specific people', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.UNREAD_FROM, value: ['alice'] })).toEqual(['oneToOne', 'public'])
+			expect(getMatching({ type: CONVERSATION_FILTER.UNREAD_FROM, value: ['bob'] })).toEqual(['group'])
+		})
+
+		it('should match the notification level', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.NOTIFICATION_LEVEL, value: [PARTICIPANT.NOTIFY.NEVER] })).toEqual(['federated', 'public'])
+		})
+
+		it('should match conversations without activity for the number of days', () => {
+			expect(getMatching({ type: CONVERSATION_FILTER.INACTIVE_DAYS, value: 7 })).toEqual(['federated', 'public'])
+			expect(getMatching({ type: CONVERSATION_FILTER.INACTIVE_DAYS, value: 30 })).toEqual(['federated'])
+		})
+
+		it('should combine the conditions with AND and OR', () => {
+			const muted = { type: CONVERSATION_FILTER.NOTIFICATION_LEVEL, value: [PARTICIPANT.NOTIFY.NEVER] }
+			const unread = { type: CONVERSATION_FILTER.UNREAD }
+
+			expect(getMatching({ operator: CONVERSATION_FILTER_OPERATOR.AND, conditions: [muted, unread] })).toEqual(['public'])
+			expect(getMatching({ operator: CONVERSATION_FILTER_OPERATOR.OR, conditions: [muted, unread] })).toEqual(['oneToOne', 'group', 'federated', 'public'])
+			expect(getMatching({
+				operator: CONVERSATION_FILTER_OPERATOR.AND,
+				conditions: [
+					{ type: CONVERSATION_FILTER.TYPE, value: [CONVERSATION.TYPE.GROUP, CONVERSATION.TYPE.PUBLIC] },
+					{ operator: CONVERSATION_FILTER_OPERATOR.OR, conditions: [{ type: CONVERSATION_FILTER.CALL }, { type: CONVERSATION_FILTER.FEDERATED }] },
+				],
+			})).toEqual(['group', 'federated'])
+		})
+
+		it('should ignore unknown filters', () => {
+			expect(getMatching({ type: 'unknown' })).toEqual(Object.keys(conversations))
+		})
+	})
+})
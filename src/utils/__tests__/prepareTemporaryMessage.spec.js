@@ -3,7 +3,7 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 import { ATTENDEE } from '../../constants.ts'
-import { prepareTemporaryMessage } from '../prepareTemporaryMessage.ts'
+import { prepareTemporaryMessage, prepareTemporaryTextMessage } from '../prepareTemporaryMessage.ts'
 
 describe('prepareTemporaryMessage', () => {
 	const TOKEN = 'XXTOKENXX'
@@ -122,4 +122,10 @@ describe('prepareTemporaryMessage', () => {
 		const temporaryMessage = prepareTemporaryMessage(payload)
 		expect(temporaryMessage).toStrictEqual(result)
 	})
+
+	it.only('prepares a text message without attachments and parent', () => {
+		const { parent, ...result } = defaultResult
+		const temporaryMessage = prepareTemporaryTextMessage(defaultPayload)
+		expect(temporaryMessage).toStrictEqual(result)
+	})
 })
@@ -0,0 +1,77 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { ATTENDEE } from '../../constants.ts'
+import { MESSAGE_TYPE_FILTER, hasMessageFilters, matchesMessageFilters } from '../searchMessageFilters.ts'
+
+describe('searchMessageFilters', () => {
+	const noFilters = { messageType: null, hasReactions: false, mentionsMe: false }
+	const user = { actorType: ATTENDEE.ACTOR_TYPE.USERS, actorId: 'alice', groupIds: ['admin'], teamIds: ['team1'] }
+	const guest = { actorType: ATTENDEE.ACTOR_TYPE.GUESTS, actorId: 'abcdef' }
+
+	const messages = {
+		text: { messageType: 'comment', message: 'simple message', messageParameters: {} },
+		link: { messageType: 'comment', message: 'see https://nextcloud.com', messageParameters: {} },
+		file: { messageType: 'comment', message: '{file}', messageParameters: { file: { mimetype: 'text/markdown' } } },
+		image: { messageType: 'comment', message: '{file}', messageParameters: { file: { mimetype: 'image/jpg' } } },
+		poll: { messageType: 'comment', message: '{object}', messageParameters: { object: { type: 'talk-poll' } } },
+		voice: { messageType: 'voice-message', message: '{file}', messageParameters: { file: { mimetype: 'audio/mp3' } } },
+		reactions: { messageType: 'comment', message: 'liked', messageParameters: {}, reactions: { '👍': 1 } },
+		mentionUser: { messageType: 'comment', message: 'hi {mention-user1}', messageParameters: { 'mention-user1': { type: 'user', id: 'alice' } } },
+		mentionOther: { messageType: 'comment', message: 'hi {mention-user1}', messageParameters: { 'mention-user1': { type: 'user', id: 'bob' } } },
+		mentionGuest: { messageType: 'comment', message: 'hi {mention-guest1}', messageParameters: { 'mention-guest1': { type: 'guest', id: 'guest/abcdef' } } },
+		mentionAll: { messageType: 'comment', message: 'hi {mention-call1}', messageParameters: { 'mention-call1': { type: 'call', id: 'token' } } },
+		mentionGroup: { messageType: 'comment', message: 'hi {mention-user-group1}', messageParameters: { 'mention-user-group1': { type: 'user-group', id: 'admin' } } },
+		mentionOtherGroup: { messageType: 'comment', message: 'hi {mention-user-group1}', messageParameters: { 'mention-user-group1': { type: 'user-group', id: 'sales' } } },
+		mentionTeam: { messageType: 'comment', message: 'hi {mention-circle1}', messageParameters: { 'mention-circle1': { type: 'circle', id: 'team1' } } },
+	}
+
+	/**
+	 * @param {object} filters the message filters
+	 * @param {object} actor the current actor
+	 * @return {string[]} keys of the matching messages
+	 */
+	function getMatching(filters, actor = user) {
+		return Object.keys(messages).filter((key) => matchesMessageFilters(messages[key], { ...noFilters, ...filters }, actor))
+	}
+
+	it('should detect whether any filter is set', () => {
+		expect(hasMessageFilters(noFilters)).toBe(false)
+		expect(hasMessageFilters({ ...noFilters, messageType: MESSAGE_TYPE_FILTER.FILES })).toBe(true)
+		expect(hasMessageFilters({ ...noFilters, hasReactions: true })).toBe(true)
+		expect(hasMessageFilters({ ...noFilters, mentionsMe: true })).toBe(true)
+	})
+
+	it('should match all messages without filters', () => {
+		expect(getMatching({})).toEqual(Object.keys(messages))
+	})
+
+	it('should filter by message type', () => {
+		expect(getMatching({ messageType: MESSAGE_TYPE_FILTER.FILES })).toEqual(['file', 'image'])
+		expect(getMatching({ messageType: MESSAGE_TYPE_FILTER.LINKS })).toEqual(['link'])
+		expect(getMatching({ messageType: MESSAGE_TYPE_FILTER.POLLS })).toEqual(['poll'])
+		expect(getMatching({ messageType: MESSAGE_TYPE_FILTER.VOICE })).toEqual(['voice'])
+	})
+
+	it('should filter messages with reactions', () => {
+		expect(getMatching({ hasReactions: true })).toEqual(['reactions'])
+	})
+
+	it('should filter messages mentioning the current user or everyone', () => {
+		expect(getMatching({ mentionsMe: true })).toEqual(['mentionUser', 'mentionAll', 'mentionGroup', 'mentionTeam'])
+	})
+
+	it('should filter messages mentioning a group or team of the current user', () => {
+		expect(getMatching({ mentionsMe: true }, { ...user, teamIds: [] })).toEqual(['mentionUser', 'mentionAll', 'mentionGroup'])
+		expect(getMatching({ mentionsMe: true }, { ...user, groupIds: [], teamIds: [] })).toEqual(['mentionUser', 'mentionAll'])
+	})
+
+	it('should filter messages mentioning the current guest or everyone', () => {
+		expect(getMatching({ mentionsMe: true }, guest)).toEqual(['mentionGuest', 'mentionAll'])
+	})
+
+	it('should combine the filters', () => {
+		expect(getMatching({ messageType: MESSAGE_TYPE_FILTER.LINKS, hasReactions: true })).toEqual([])
+	})
+})
@@ -0,0 +1,47 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import {
+	getTimeOptions,
+	getTimestampInTimezone,
+} from '../timeOptions.ts'
+
+describe('getTimeOptions', () => {
+	it('should return all presets on a weekday morning', () => {
+		// Wednesday, 10:00
+		const options = getTimeOptions(new Date(2025, 0, 15, 10, 0))
+
+		expect(options.map(option => option.key)).toEqual(['laterToday', 'tomorrow', 'thisWeekend', 'nextWeek'])
+		expect(options.map(option => option.timestamp)).toEqual([
+			new Date(2025, 0, 15, 18, 0).valueOf(),
+			new Date(2025, 0, 16, 8, 0).valueOf(),
+			new Date(2025, 0, 18, 8, 0).valueOf(),
+			new Date(2025, 0, 20, 8, 0).valueOf(),
+		])
+	})
+
+	it('should skip presets which are not meaningful for the current date', () => {
+		// Friday, 18:00
+		expect(getTimeOptions(new Date(2025, 0, 17, 18, 0)).map(option => option.key)).toEqual(['tomorrow', 'nextWeek'])
+		// Sunday, 10:00
+		expect(getTimeOptions(new Date(2025, 0, 19, 10, 0)).map(option => option.key)).toEqual(['laterToday', 'tomorrow'])
+	})
+})
+
+describe('getTimestampInTimezone', () => {
+	it('should interpret the wall-clock time in the given timezone', () => {
+		const date = new Date(2025, 0, 15, 9, 0)
+
+		expect(getTimestampInTimezone(date, 'UTC')).toBe(Date.UTC(2025, 0, 15, 9, 0))
+		expect(getTimestampInTimezone(date, 'Asia/Tokyo')).toBe(Date.UTC(2025, 0, 15, 0, 0))
+		expect(getTimestampInTimezone(date, 'America/New_York')).toBe(Date.UTC(2025, 0, 15, 14, 0))
+	})
+
+	it('should respect daylight saving time of the given timezone', () => {
+		const date = new Date(2025, 6, 15, 9, 0)
+
+		expect(getTimestampInTimezone(date, 'America/New_York')).toBe(Date.UTC(2025, 6, 15, 13, 0))
+		expect(getTimestampInTimezone(date, 'Europe/Berlin')).toBe(Date.UTC(2025, 6, 15, 7, 0))
+	})
+})
@@ -0,0 +1,43 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { CONVERSATION, PARTICIPANT, WEBINAR } from '../../constants.ts'
+import { isOnStage, isWebinar } from '../webinar.ts'
+
+describe('webinar', () => {
+	describe('isWebinar', () => {
+		it('should detect the webinar mode of the conversation', () => {
+			expect(isWebinar({ type: CONVERSATION.TYPE.GROUP, webinarMode: CONVERSATION.WEBINAR_MODE.ENABLED })).toBeTruthy()
+			expect(isWebinar({ type: CONVERSATION.TYPE.PUBLIC, webinarMode: CONVERSATION.WEBINAR_MODE.ENABLED })).toBeTruthy()
+		})
+
+		it('should not detect the webinar mode when disabled', () => {
+			expect(isWebinar({ type: CONVERSATION.TYPE.GROUP, webinarMode: CONVERSATION.WEBINAR_MODE.DISABLED })).toBeFalsy()
+			expect(isWebinar({ type: CONVERSATION.TYPE.PUBLIC, webinarMode: CONVERSATION.WEBINAR_MODE.DISABLED })).toBeFalsy()
+			// Server without webinar mode support
+			expect(isWebinar({ type: CONVERSATION.TYPE.GROUP })).toBeFalsy()
+		})
+
+		it('should ignore one-to-one conversations', () => {
+			expect(isWebinar({ type: CONVERSATION.TYPE.ONE_TO_ONE, webinarMode: CONVERSATION.WEBINAR_MODE.ENABLED })).toBeFalsy()
+		})
+	})
+
+	describe('isOnStage', () => {
+		it('should put moderators on stage', () => {
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.OWNER, permissions: WEBINAR.AUDIENCE_PERMISSIONS })).toBeTruthy()
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.GUEST_MODERATOR, permissions: WEBINAR.AUDIENCE_PERMISSIONS })).toBeTruthy()
+		})
+
+		it('should put participants that can publish on stage', () => {
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.USER, permissions: WEBINAR.STAGE_PERMISSIONS })).toBeTruthy()
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.GUEST, permissions: PARTICIPANT.PERMISSIONS.PUBLISH_AUDIO })).toBeTruthy()
+		})
+
+		it('should keep the audience off stage', () => {
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.USER, permissions: WEBINAR.AUDIENCE_PERMISSIONS })).toBeFalsy()
+			expect(isOnStage({ participantType: PARTICIPANT.TYPE.GUEST, permissions: PARTICIPANT.PERMISSIONS.CUSTOM | PARTICIPANT.PERMISSIONS.PUBLISH_SCREEN })).toBeFalsy()
+		})
+	})
+})
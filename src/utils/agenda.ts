@@ -0,0 +1,96 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { AGENDA } from '../constants.ts'
+
+type AgendaItem = {
+	title: string,
+	// Time box of the item, in seconds
+	duration: number,
+}
+
+// "- Item", "* Item", "• Item", "1. Item" or "1) Item"
+const LIST_ITEM_REGEXP = /^\s*(?:[-*•]|\d+[.)])\s+/
+// "5 min", "(10 minutes)", "1h", "1.5 hours" or "15'"
+const DURATION_REGEXP = /\(?(\d+(?:[.,]\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m|')(?![a-z])\)?/i
+// Separators left between the title and the removed duration
+const SEPARATORS_REGEXP = /^[\s\-–—:|,]+|[\s\-–—:|,]+$/g
+
+/**
+ * Parse an agenda from a text with one item per list line, like the
+ * description of the conversation or of a calendar event.
+ * The time box of each item is taken from the line ("Introduction - 5 min"),
+ * falling back to the default duration. Lines that are not list items are
+ * ignored.
+ *
+ * @param text The text to parse
+ */
+function parseAgenda(text: string): AgendaItem[] {
+	return text.split('\n')
+		.filter((line) => LIST_ITEM_REGEXP.test(line))
+		.map((line) => {
+			let title = line.replace(LIST_ITEM_REGEXP, '')
+			let duration: number = AGENDA.DEFAULT_ITEM_DURATION
+
+			const match = title.match(DURATION_REGEXP)
+			if (match) {
+				const value = parseFloat(match[1].replace(',', '.'))
+				duration = Math.round(match[2].toLowerCase().startsWith('h') ? value * 3600 : value * 60)
+				title = title.replace(match[0], '')
+			}
+
+			return { title: title.replace(SEPARATORS_REGEXP, ''), duration }
+		})
+		.filter((item) => item.title && item.duration > 0)
+}
+
+/**
+ * Convert the agenda back to the text format understood by parseAgenda
+ *
+ * @param items The items of the agenda
+ */
+function formatAgenda(items: AgendaItem[]): string {
+	return items.map(({ title, duration }) => `- ${title} (${Math.round(duration / 60)} min)`).join('\n')
+}
+
+/**
+ * Format the remaining time of an agenda item as "mm:ss", or as "+mm:ss" once
+ * the time is over
+ *
+ * @param seconds The remaining time, negative when the time is over
+ */
+function formatCountdown(seconds: number): string {
+	const absolute = Math.abs(Math.round(seconds))
+	const minutes = Math.floor(absolute / 60).toString().padStart(2, '0')
+	const remainder = (absolute % 60).toString().padStart(2, '0')
+
+	return (seconds < 0 ? '+' : '') + `${minutes}:${remainder}`
+}
+
+/**
+ * Get the description of an event from its iCalendar data
+ *
+ * @param data The iCalendar data of the event
+ */
+function getICalendarDescription(data: string): string {
+	// Long lines are folded by starting the continuation with a whitespace
+	const unfolded = data.replace(/\r?\n[ \t]/g, '')
+	const match = unfolded.match(/^DESCRIPTION(?:;[^:\r\n]*)?:(.*)$/m)
+	if (!match) {
+		return ''
+	}
+
+	return match[1].trim().replace(/\\([nN,;\\])/g, (escaped, character) => {
+		return character.toLowerCase() === 'n' ? '\n' : character
+	})
+}
+
+export {
+	formatAgenda,
+	formatCountdown,
+	getICalendarDescription,
+	parseAgenda,
+}
+export type { AgendaItem }
@@ -0,0 +1,97 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+type ConnectionQualityDurations = {
+	unknown: number,
+	good: number,
+	medium: number,
+	bad: number,
+	veryBad: number,
+	noTransmittedData: number,
+}
+
+type CallQualityReportParticipant = {
+	peerId: string,
+	actorType: string | null,
+	actorId: string | null,
+	name: string | null,
+	joinedAt: string,
+	leftAt: string | null,
+	connectedTime: number,
+	disconnections: number,
+	failures: number,
+	reconnections: number,
+}
+
+export type CallQualityReport = {
+	token: string,
+	startedAt: string,
+	endedAt: string | null,
+	duration: number,
+	userAgent: string,
+	connectionQuality: {
+		audio: ConnectionQualityDurations,
+		video: ConnectionQualityDurations,
+		screen: ConnectionQualityDurations,
+	},
+	mediaToggles: {
+		audio: { enabled: number, disabled: number },
+		video: { enabled: number, disabled: number },
+		screen: { started: number, stopped: number },
+	},
+	participants: CallQualityReportParticipant[],
+}
+
+/**
+ * Escape a value to be used as a CSV field (RFC 4180)
+ *
+ * @param value the value to escape
+ */
+function escapeCsvField(value: string | number | null): string {
+	const field = value === null ? '' : String(value)
+	if (/[",\r\n]/.test(field)) {
+		return '"' + field.replaceAll('"', '""') + '"'
+	}
+	return field
+}
+
+/**
+ * Convert a call quality report to CSV, with one row per metric
+ *
+ * Durations are given in seconds, as in the report.
+ *
+ * @param report the report to convert
+ */
+export function convertCallQualityReportToCsv(report: CallQualityReport): string {
+	const rows: (string | number | null)[][] = [
+		['section', 'item', 'metric', 'value'],
+		['call', report.token, 'startedAt', report.startedAt],
+		['call', report.token, 'endedAt', report.endedAt],
+		['call', report.token, 'duration', report.duration],
+		['call', report.token, 'userAgent', report.userAgent],
+	]
+
+	for (const [kind, durations] of Object.entries(report.connectionQuality)) {
+		for (const [quality, duration] of Object.entries(durations)) {
+			rows.push(['connectionQuality', kind, quality, duration])
+		}
+	}
+
+	for (const [kind, toggles] of Object.entries(report.mediaToggles)) {
+		for (const [toggle, count] of Object.entries(toggles)) {
+			rows.push(['mediaToggles', kind, toggle, count])
+		}
+	}
+
+	for (const participant of report.participants) {
+		for (const [metric, value] of Object.entries(participant)) {
+			if (metric !== 'peerId') {
+				rows.push(['participant', participant.peerId, metric, value])
+			}
+		}
+	}
+
+	return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n'
+}
@@ -7,6 +7,35 @@ import { hasTalkFeature } from '../services/CapabilitiesManager.ts'
 
 const supportsArchive = hasTalkFeature('local', 'archived-conversations-v2')
 
+export const CONVERSATION_FILTER = {
+	UNREAD: 'unread',
+	MENTIONS: 'mentions',
+	TYPE: 'type',
+	CALL: 'call',
+	FEDERATED: 'federated',
+	UNREAD_FROM: 'unread-from',
+	NOTIFICATION_LEVEL: 'notification-level',
+	INACTIVE_DAYS: 'inactive-days',
+}
+
+export const CONVERSATION_FILTER_OPERATOR = {
+	AND: 'and',
+	OR: 'or',
+}
+
+/**
+ * @typedef {object} ConversationFilterCondition
+ * @property {string} type one of CONVERSATION_FILTER
+ * @property {Array<number|string>|number} [value] conversation types, actor ids,
+ * notification levels or number of days, depending on the type
+ */
+
+/**
+ * @typedef {object} ConversationFilterGroup
+ * @property {string} operator one of CONVERSATION_FILTER_OPERATOR
+ * @property {Array<ConversationFilterCondition|ConversationFilterGroup>} conditions the combined conditions
+ */
+
 /**
  * check if the conversation has unread messages
  *
@@ -52,13 +81,96 @@ export function shouldIncludeArchived(conversation, showArchived) {
 }
 
 /**
- * apply the active filter
+ * check if the conversation has unread messages from one of the given actors
+ *
+ * Only the author of the last message is known in group conversations,
+ * one-to-one conversations match the other participant
+ *
+ * @param {object} conversation conversation object
+ * @param {Array<string>} actorIds ids of the actors
+ * @return {boolean}
+ */
+export function hasUnreadMessagesFrom(conversation, actorIds) {
+	if (!hasUnreadMessages(conversation)) {
+		return false
+	}
+	if (conversation.type === CONVERSATION.TYPE.ONE_TO_ONE) {
+		return actorIds.includes(conversation.name)
+	}
+	return actorIds.includes(conversation.lastMessage?.actorId)
+}
+
+/**
+ * check if there was no activity in the conversation for the given number of days
+ *
+ * @param {object} conversation conversation object
+ * @param {number} days number of days
+ * @return {boolean}
+ */
+export function isInactiveFor(conversation, days) {
+	return conversation.lastActivity * 1000 < Date.now() - days * 24 * 60 * 60 * 1000
+}
+
+/**
+ * check if the conversation matches a single filter condition
+ *
+ * @param {object} conversation conversation object
+ * @param {ConversationFilterCondition} condition the filter condition
+ * @return {boolean}
+ */
+function matchesCondition(conversation, condition) {
+	switch (condition.type) {
+	case CONVERSATION_FILTER.UNREAD:
+		return hasUnreadMessages(conversation)
+	case CONVERSATION_FILTER.MENTIONS:
+		return hasUnreadMentions(conversation)
+	case CONVERSATION_FILTER.TYPE:
+		return condition.value.includes(conversation.type)
+	case CONVERSATION_FILTER.CALL:
+		return !!conversation.hasCall
+	case CONVERSATION_FILTER.FEDERATED:
+		return !!conversation.remoteServer
+	case CONVERSATION_FILTER.UNREAD_FROM:
+		return hasUnreadMessagesFrom(conversation, condition.value)
+	case CONVERSATION_FILTER.NOTIFICATION_LEVEL:
+		return condition.value.includes(conversation.notificationLevel)
+	case CONVERSATION_FILTER.INACTIVE_DAYS:
+		return isInactiveFor(conversation, condition.value)
+	default:
+		// Unknown filters, e.g. stored by a newer version, are ignored
+		return true
+	}
+}
+
+/**
+ * check if the conversation matches the filter condition, or the group of combined conditions
+ *
+ * @param {object} conversation conversation object
+ * @param {ConversationFilterCondition|ConversationFilterGroup} filter the filter
+ * @return {boolean}
+ */
+export function matchesConversationFilter(conversation, filter) {
+	if (!filter.conditions) {
+		return matchesCondition(conversation, filter)
+	}
+	if (filter.conditions.length === 0) {
+		return true
+	}
+	return filter.operator === CONVERSATION_FILTER_OPERATOR.OR
+		? filter.conditions.some((condition) => matchesConversationFilter(conversation, condition))
+		: filter.conditions.every((condition) => matchesConversationFilter(conversation, condition))
+}
+
+/**
+ * apply the active filters, all of them have to match
  *
  * @param {object} conversation conversation object
- * @param {Array} filters the filter option
+ * @param {Array<string|ConversationFilterCondition|ConversationFilterGroup>} filters the filter options
+ * @return {boolean}
  */
 export function filterConversation(conversation, filters) {
-	return filters.length === 0
-		|| ((!filters.includes('unread') || hasUnreadMessages(conversation))
-		&& (!filters.includes('mentions') || hasUnreadMentions(conversation)))
+	return matchesConversationFilter(conversation, {
+		operator: CONVERSATION_FILTER_OPERATOR.AND,
+		conditions: filters.map((filter) => typeof filter === 'string' ? { type: filter } : filter),
+	})
 }
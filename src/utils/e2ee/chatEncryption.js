@@ -0,0 +1,485 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import Olm from '@matrix-org/olm'
+import base64js from 'base64-js'
+
+import { getBuilder } from '@nextcloud/browser-storage'
+import { t } from '@nextcloud/l10n'
+
+import initializeOlm from './olm.js'
+import { getPickleKey } from './pickleKeyStorage.js'
+
+// Encrypted messages are sent as regular chat messages. The first line is
+// shown by clients not supporting them, the payload is in the second line.
+const ENVELOPE_PREFIX = 'talk-e2ee:v1:'
+
+export const ENVELOPE_TYPE = {
+	// Announces the device of the sender, sent when enabling the encryption
+	DEVICE: 'device',
+	MESSAGE: 'message',
+}
+
+const STORAGE_KEY_ACCOUNT = 'e2eeChatAccount'
+const STORAGE_KEY_SESSIONS = 'e2eeChatSessions'
+
+// The pickles of each user are stored separately, and removed on logout
+const keyStorage = getBuilder('talk').persist().clearOnLogout().build()
+
+const BACKUP_VERSION = 1
+const BACKUP_ITERATIONS = 600000
+
+/**
+ * @param {string} text the text to encode
+ * @return {string}
+ */
+function encodeText(text) {
+	return base64js.fromByteArray(new TextEncoder().encode(text))
+}
+
+/**
+ * @param {string} encoded the base64 encoded text
+ * @return {string}
+ */
+function decodeText(encoded) {
+	return new TextDecoder().decode(base64js.toByteArray(encoded))
+}
+
+/**
+ * Check whether the text of a chat message is encrypted, without parsing it.
+ *
+ * @param {string} text The text of the chat message.
+ * @return {boolean}
+ */
+export function isEncryptedText(text) {
+	return !!text?.includes('\n' + ENVELOPE_PREFIX)
+}
+
+/**
+ * Extract the encrypted payload of a chat message, if any.
+ *
+ * @param {string} text The text of the chat message.
+ * @return {{type: string, device: {identityKey: string, fallbackKey: string}}|null} The payload, or null if the message is not encrypted.
+ */
+export function parseEnvelope(text) {
+	const line = text?.split('\n').find((line) => line.startsWith(ENVELOPE_PREFIX))
+	if (!line) {
+		return null
+	}
+
+	try {
+		const envelope = JSON.parse(decodeText(line.slice(ENVELOPE_PREFIX.length)))
+		if (!Object.values(ENVELOPE_TYPE).includes(envelope.type) || !envelope.device?.identityKey) {
+			return null
+		}
+		return envelope
+	} catch (error) {
+		console.debug('Invalid encrypted message', error)
+		return null
+	}
+}
+
+/**
+ * @param {object} envelope The payload of the chat message.
+ * @return {string} The text of the chat message.
+ */
+function createEnvelope(envelope) {
+	const notice = envelope.type === ENVELOPE_TYPE.DEVICE
+		? t('spreed', '🔒 Enabled end-to-end encryption')
+		: t('spreed', '🔒 End-to-end encrypted message')
+
+	return notice + '\n' + ENVELOPE_PREFIX + encodeText(JSON.stringify(envelope))
+}
+
+/**
+ * @param {string} passphrase The passphrase of the backup.
+ * @param {Uint8Array} salt The salt of the key.
+ * @param {number} iterations The iterations to derive the key.
+ * @return {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(passphrase, salt, iterations) {
+	const material = await window.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+
+	return window.crypto.subtle.deriveKey(
+		{ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+		material,
+		{ name: 'AES-GCM', length: 256 },
+		false,
+		['encrypt', 'decrypt'],
+	)
+}
+
+/**
+ * Encrypt the data of a key backup with a passphrase.
+ *
+ * @param {object} data The data to back up.
+ * @param {string} passphrase The passphrase protecting the backup.
+ * @return {Promise<string>} The backup.
+ */
+export async function encryptBackup(data, passphrase) {
+	const salt = window.crypto.getRandomValues(new Uint8Array(16))
+	const iv = window.crypto.getRandomValues(new Uint8Array(12))
+	const key = await deriveBackupKey(passphrase, salt, BACKUP_ITERATIONS)
+	const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)))
+
+	return JSON.stringify({
+		version: BACKUP_VERSION,
+		iterations: BACKUP_ITERATIONS,
+		salt: base64js.fromByteArray(salt),
+		iv: base64js.fromByteArray(iv),
+		ciphertext: base64js.fromByteArray(new Uint8Array(ciphertext)),
+	})
+}
+
+/**
+ * Decrypt a key backup with its passphrase.
+ *
+ * @param {string} backup The backup.
+ * @param {string} passphrase The passphrase protecting the backup.
+ * @return {Promise<object>} The backed up data.
+ * @throws {Error} If the backup is invalid or the passphrase is wrong.
+ */
+export async function decryptBackup(backup, passphrase) {
+	let parsed
+	try {
+		parsed = JSON.parse(backup)
+	} catch (error) {
+		throw new Error(t('spreed', 'The file is not a valid key backup'))
+	}
+	if (parsed?.version !== BACKUP_VERSION) {
+		throw new Error(t('spreed', 'The file is not a valid key backup'))
+	}
+
+	try {
+		const key = await deriveBackupKey(passphrase, base64js.toByteArray(parsed.salt), parsed.iterations)
+		const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64js.toByteArray(parsed.iv) }, key, base64js.toByteArray(parsed.ciphertext))
+		return JSON.parse(new TextDecoder().decode(plaintext))
+	} catch (error) {
+		throw new Error(t('spreed', 'The passphrase is wrong or the key backup is damaged'))
+	}
+}
+
+/**
+ * End-to-end encryption of chat messages.
+ *
+ * Each device has a persistent Olm account. The messages of a conversation
+ * are encrypted with a Megolm session, which key is shared with the other
+ * devices through Olm sessions inside every message. Devices are announced
+ * with their identity and fallback keys, which allows to create the Olm
+ * sessions without any server-side key distribution.
+ */
+class ChatEncryption {
+
+	/**
+	 * Load the Olm library and create the encryption for this device.
+	 *
+	 * @param {string} userId The id of the current user.
+	 * @return {Promise<ChatEncryption>}
+	 */
+	static async create(userId) {
+		await initializeOlm()
+		const pickleKey = await getPickleKey(userId)
+		return new ChatEncryption(userId, pickleKey)
+	}
+
+	/**
+	 * @param {string} userId The id of the current user.
+	 * @param {string} pickleKey The key to pickle the Olm objects.
+	 */
+	constructor(userId, pickleKey) {
+		this._userId = userId
+		this._pickleKey = pickleKey
+
+		this._account = new Olm.Account()
+		const account = JSON.parse(keyStorage.getItem(this._storageKey(STORAGE_KEY_ACCOUNT)) || 'null')
+		if (account) {
+			this._account.unpickle(this._pickleKey, account.pickle)
+			this._fallbackKey = account.fallbackKey
+		} else {
+			this._account.create()
+			this._account.generate_fallback_key()
+			this._fallbackKey = Object.values(JSON.parse(this._account.unpublished_fallback_key()).curve25519)[0]
+			this._account.mark_keys_as_published()
+			keyStorage.setItem(this._storageKey(STORAGE_KEY_ACCOUNT), JSON.stringify({
+				pickle: this._account.pickle(this._pickleKey),
+				fallbackKey: this._fallbackKey,
+			}))
+		}
+		this._identityKey = JSON.parse(this._account.identity_keys()).curve25519
+
+		this._sessions = {
+			// Olm sessions to send to other devices, by identity key
+			outbound: {},
+			// Olm sessions to receive from other devices, by identity key
+			inbound: {},
+			// Megolm sessions to send messages, by conversation token
+			outboundGroup: {},
+			// Megolm sessions to receive messages, by session id
+			inboundGroup: {},
+			...JSON.parse(keyStorage.getItem(this._storageKey(STORAGE_KEY_SESSIONS)) || '{}'),
+		}
+		this._inboundGroupSessions = new Map()
+	}
+
+	/**
+	 * @return {{identityKey: string, fallbackKey: string}} The keys of this device.
+	 */
+	getDevice() {
+		return {
+			identityKey: this._identityKey,
+			fallbackKey: this._fallbackKey,
+		}
+	}
+
+	/**
+	 * @return {string} The text of the chat message announcing this device.
+	 */
+	createDeviceAnnouncement() {
+		return createEnvelope({
+			type: ENVELOPE_TYPE.DEVICE,
+			device: this.getDevice(),
+		})
+	}
+
+	/**
+	 * Encrypt a chat message for the given devices.
+	 *
+	 * @param {string} token The conversation token.
+	 * @param {string} text The text of the message.
+	 * @param {Array<{identityKey: string, fallbackKey: string}>} devices The devices to encrypt the message for.
+	 * @return {string} The text of the encrypted chat message.
+	 */
+	encryptMessage(token, text, devices) {
+		const session = new Olm.OutboundGroupSession()
+		if (this._sessions.outboundGroup[token]) {
+			session.unpickle(this._pickleKey, this._sessions.outboundGroup[token])
+		} else {
+			session.create()
+			// Own messages have to be decrypted as well
+			this._addInboundGroupSession(token, session.session_id(), session.session_key())
+		}
+
+		const sessionId = session.session_id()
+		// The key is shared in every message, as there is no guarantee that a
+		// previous message was received (or not deleted) by the other devices.
+		const keyShare = JSON.stringify({ token, sessionId, sessionKey: session.session_key() })
+		const keys = {}
+		devices.filter((device) => device.identityKey !== this._identityKey).forEach((device) => {
+			keys[device.identityKey] = this._encryptForDevice(device, keyShare)
+		})
+
+		const ciphertext = session.encrypt(JSON.stringify({ token, text }))
+		this._sessions.outboundGroup[token] = session.pickle(this._pickleKey)
+		session.free()
+		this._saveSessions()
+
+		return createEnvelope({
+			type: ENVELOPE_TYPE.MESSAGE,
+			device: this.getDevice(),
+			sessionId,
+			ciphertext,
+			keys,
+		})
+	}
+
+	/**
+	 * Start a new session for the next message, so devices which received the
+	 * key of the current session can not decrypt the next messages.
+	 *
+	 * @param {string} token The conversation token.
+	 */
+	discardOutboundSession(token) {
+		delete this._sessions.outboundGroup[token]
+		this._saveSessions()
+	}
+
+	/**
+	 * Decrypt the payload of an encrypted chat message.
+	 *
+	 * @param {string} token The conversation token.
+	 * @param {object} envelope The payload of the chat message.
+	 * @return {string} The text of the message.
+	 * @throws {Error} If the message can not be decrypted.
+	 */
+	decryptMessage(token, envelope) {
+		let session = this._getInboundGroupSession(token, envelope.sessionId)
+		if (!session && envelope.keys?.[this._identityKey]) {
+			const keyShare = JSON.parse(this._decryptFromDevice(envelope.device.identityKey, envelope.keys[this._identityKey]))
+			if (keyShare.token === token && keyShare.sessionId === envelope.sessionId) {
+				session = this._addInboundGroupSession(token, keyShare.sessionId, keyShare.sessionKey)
+			}
+		}
+		if (!session) {
+			throw new Error('The key of the message is not known')
+		}
+
+		const message = JSON.parse(session.decrypt(envelope.ciphertext).plaintext)
+		// Prevent replaying the message in a different conversation
+		if (message.token !== token) {
+			throw new Error('The message belongs to a different conversation')
+		}
+
+		return message.text
+	}
+
+	/**
+	 * Export the keys to decrypt the messages, protected by a passphrase.
+	 *
+	 * @param {string} passphrase The passphrase protecting the backup.
+	 * @return {Promise<string>} The backup.
+	 */
+	async exportKeys(passphrase) {
+		const sessions = Object.entries(this._sessions.inboundGroup).map(([sessionId, { token }]) => {
+			const session = this._getInboundGroupSession(token, sessionId)
+			return {
+				token,
+				sessionId,
+				sessionKey: session.export_session(session.first_known_index()),
+			}
+		})
+
+		return encryptBackup({ sessions }, passphrase)
+	}
+
+	/**
+	 * Import the keys to decrypt the messages from a backup.
+	 *
+	 * @param {string} backup The backup.
+	 * @param {string} passphrase The passphrase protecting the backup.
+	 * @return {Promise<number>} The number of imported keys.
+	 */
+	async importKeys(backup, passphrase) {
+		const { sessions } = await decryptBackup(backup, passphrase)
+
+		const importedSessions = sessions.filter(({ sessionId }) => !this._sessions.inboundGroup[sessionId])
+		importedSessions.forEach(({ token, sessionId, sessionKey }) => {
+			this._addInboundGroupSession(token, sessionId, sessionKey, true)
+		})
+
+		return importedSessions.length
+	}
+
+	/**
+	 * @param {{identityKey: string, fallbackKey: string}} device The device to encrypt for.
+	 * @param {string} plaintext The text to encrypt.
+	 * @return {{type: number, body: string}} The Olm message.
+	 */
+	_encryptForDevice(device, plaintext) {
+		const session = new Olm.Session()
+		if (this._sessions.outbound[device.identityKey]) {
+			session.unpickle(this._pickleKey, this._sessions.outbound[device.identityKey])
+		} else {
+			session.create_outbound(this._account, device.identityKey, device.fallbackKey)
+		}
+
+		const message = session.encrypt(plaintext)
+		this._sessions.outbound[device.identityKey] = session.pickle(this._pickleKey)
+		session.free()
+
+		return message
+	}
+
+	/**
+	 * @param {string} identityKey The identity key of the sending device.
+	 * @param {{type: number, body: string}} message The Olm message.
+	 * @return {string} The decrypted text.
+	 */
+	_decryptFromDevice(identityKey, message) {
+		const pickles = this._sessions.inbound[identityKey] ?? []
+
+		for (const [index, pickle] of pickles.entries()) {
+			const session = new Olm.Session()
+			session.unpickle(this._pickleKey, pickle)
+			try {
+				if (message.type === 0 && !session.matches_inbound_from(identityKey, message.body)) {
+					continue
+				}
+				const plaintext = session.decrypt(message.type, message.body)
+				pickles[index] = session.pickle(this._pickleKey)
+				this._saveSessions()
+				return plaintext
+			} catch (error) {
+				console.debug('Could not decrypt with existing session', error)
+			} finally {
+				session.free()
+			}
+		}
+
+		if (message.type !== 0) {
+			throw new Error('No session to decrypt the message')
+		}
+
+		const session = new Olm.Session()
+		try {
+			session.create_inbound_from(this._account, identityKey, message.body)
+			const plaintext = session.decrypt(message.type, message.body)
+			this._sessions.inbound[identityKey] = [...pickles, session.pickle(this._pickleKey)]
+			this._saveSessions()
+			return plaintext
+		} finally {
+			session.free()
+		}
+	}
+
+	/**
+	 * @param {string} token The conversation token.
+	 * @param {string} sessionId The Megolm session id.
+	 * @param {string} sessionKey The Megolm session key.
+	 * @param {boolean} exported Whether the key was exported from another session.
+	 * @return {Olm.InboundGroupSession}
+	 */
+	_addInboundGroupSession(token, sessionId, sessionKey, exported = false) {
+		const session = new Olm.InboundGroupSession()
+		if (exported) {
+			session.import_session(sessionKey)
+		} else {
+			session.create(sessionKey)
+		}
+
+		this._inboundGroupSessions.set(sessionId, session)
+		this._sessions.inboundGroup[sessionId] = {
+			token,
+			pickle: session.pickle(this._pickleKey),
+		}
+		this._saveSessions()
+
+		return session
+	}
+
+	/**
+	 * @param {string} token The conversation token.
+	 * @param {string} sessionId The Megolm session id.
+	 * @return {Olm.InboundGroupSession|null}
+	 */
+	_getInboundGroupSession(token, sessionId) {
+		const stored = this._sessions.inboundGroup[sessionId]
+		if (!stored || stored.token !== token) {
+			return null
+		}
+
+		if (!this._inboundGroupSessions.has(sessionId)) {
+			const session = new Olm.InboundGroupSession()
+			session.unpickle(this._pickleKey, stored.pickle)
+			this._inboundGroupSessions.set(sessionId, session)
+		}
+
+		return this._inboundGroupSessions.get(sessionId)
+	}
+
+	/**
+	 * @param {string} key The key of the stored item.
+	 * @return {string} The key of the item of the current user.
+	 */
+	_storageKey(key) {
+		return key + '_' + this._userId
+	}
+
+	_saveSessions() {
+		keyStorage.setItem(this._storageKey(STORAGE_KEY_SESSIONS), JSON.stringify(this._sessions))
+	}
+
+}
+
+export default ChatEncryption
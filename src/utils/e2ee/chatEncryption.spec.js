@@ -0,0 +1,94 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { webcrypto } from 'crypto'
+import { TextDecoder, TextEncoder } from 'util'
+
+import ChatEncryption, { ENVELOPE_TYPE, decryptBackup, encryptBackup, parseEnvelope } from './chatEncryption.js'
+
+// The WebAssembly file is loaded from the package instead of the server
+jest.mock('./olm.js', () => () => jest.requireActual('@matrix-org/olm').init())
+// IndexedDB is not provided by jsdom
+jest.mock('./pickleKeyStorage.js', () => ({
+	getPickleKey: jest.fn(async (userId) => 'pickleKey-' + userId),
+}))
+
+describe('chatEncryption', () => {
+	const originalCrypto = window.crypto
+	const originalTextEncoder = global.TextEncoder
+	const originalTextDecoder = global.TextDecoder
+
+	let alice
+	let bob
+
+	beforeAll(async () => {
+		// Not provided by jsdom
+		Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true })
+		global.TextEncoder = TextEncoder
+		global.TextDecoder = TextDecoder
+
+		// Each device has its own browser storage
+		alice = await ChatEncryption.create('alice')
+		localStorage.clear()
+		bob = await ChatEncryption.create('bob')
+	})
+
+	afterAll(() => {
+		Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true })
+		global.TextEncoder = originalTextEncoder
+		global.TextDecoder = originalTextDecoder
+		localStorage.clear()
+	})
+
+	test('announces the device in a chat message', () => {
+		const envelope = parseEnvelope(alice.createDeviceAnnouncement())
+
+		expect(envelope).toEqual({
+			type: ENVELOPE_TYPE.DEVICE,
+			device: alice.getDevice(),
+		})
+	})
+
+	test('ignores messages which are not encrypted', () => {
+		expect(parseEnvelope('Hello')).toBe(null)
+		expect(parseEnvelope('talk-e2ee:v1:invalid')).toBe(null)
+	})
+
+	test('decrypts the messages on the devices of both participants', () => {
+		const text = alice.encryptMessage('token', 'Hello Bob', [bob.getDevice()])
+		const envelope = parseEnvelope(text)
+
+		expect(text).not.toContain('Hello Bob')
+		expect(bob.decryptMessage('token', envelope)).toBe('Hello Bob')
+		expect(alice.decryptMessage('token', envelope)).toBe('Hello Bob')
+
+		const reply = parseEnvelope(bob.encryptMessage('token', 'Hello Alice', [alice.getDevice()]))
+
+		expect(alice.decryptMessage('token', reply)).toBe('Hello Alice')
+	})
+
+	test('does not decrypt messages in a different conversation', () => {
+		const envelope = parseEnvelope(alice.encryptMessage('token', 'Hello Bob', [bob.getDevice()]))
+
+		expect(() => bob.decryptMessage('anotherToken', envelope)).toThrow()
+	})
+
+	test('imports the keys from a backup protected by a passphrase', async () => {
+		const envelope = parseEnvelope(alice.encryptMessage('backupToken', 'Hello', []))
+		const backup = await alice.exportKeys('passphrase')
+
+		expect(() => bob.decryptMessage('backupToken', envelope)).toThrow()
+		await expect(bob.importKeys(backup, 'wrong passphrase')).rejects.toThrow()
+		expect(await bob.importKeys(backup, 'passphrase')).toBeGreaterThan(0)
+		expect(bob.decryptMessage('backupToken', envelope)).toBe('Hello')
+	})
+
+	test('encrypts the backup with the passphrase', async () => {
+		const backup = await encryptBackup({ sessions: [] }, 'passphrase')
+
+		expect(backup).not.toContain('sessions')
+		expect(await decryptBackup(backup, 'passphrase')).toEqual({ sessions: [] })
+	})
+})
@@ -8,15 +8,23 @@ import base64js from 'base64-js'
 import debounce from 'debounce'
 import { isEqual } from 'lodash'
 import { v4 as uuidv4 } from 'uuid'
+import { watch } from 'vue'
+
+import { showError } from '@nextcloud/dialogs'
+import { t } from '@nextcloud/l10n'
 
 import { importKey, ratchet } from './crypto-utils.js'
 import Deferred from './JitsiDeferred.js'
 import E2EEcontext from './JitsiE2EEContext.js'
 import initializeOlm from './olm.js'
+import { CALL_ENCRYPTION, PARTICIPANT } from '../../constants.ts'
 import { hasTalkFeature, getTalkConfig } from '../../services/CapabilitiesManager.ts'
+import store from '../../store/index.js'
+import { useCallEncryptionStore } from '../../stores/callEncryption.ts'
 import Signaling from '../signaling.js'
 import Peer from '../webrtc/simplewebrtc/peer.js'
 import SimpleWebRTC from '../webrtc/simplewebrtc/simplewebrtc.js'
+import { isModeratorSession } from '../webrtc/webrtc.js'
 
 const supportsTransform
 	// Firefox
@@ -35,6 +43,9 @@ const TYPE_ENCRYPTION_FINISH = 'encryption.finish'
 const TYPE_ENCRYPTION_SET_KEY = 'encryption.setkey'
 const TYPE_ENCRYPTION_GOT_KEY = 'encryption.gotkey'
 const TYPE_ENCRYPTION_ERROR = 'encryption.error'
+const TYPE_ENCRYPTION_VERIFICATION = 'encryption.verification'
+
+const MODERATOR_TYPES = [PARTICIPANT.TYPE.OWNER, PARTICIPANT.TYPE.MODERATOR, PARTICIPANT.TYPE.GUEST_MODERATOR]
 
 class Encryption {
 
@@ -87,6 +98,16 @@ class Encryption {
 
 		this.context = new E2EEcontext()
 
+		this._callEncryptionStore = useCallEncryptionStore()
+		this._callEncryptionStore.setLocalIdentityKey(this._keys.curve25519)
+
+		// Keys are exchanged only with the allowed sessions, which change
+		// when a moderator requires the participants to be verified.
+		this._unwatchAllowedSessions = watch(
+			() => Object.keys(this._callEncryptionStore.sessions).filter((sessionId) => this._isSessionAllowed(sessionId)),
+			this._handleAllowedSessionsChanged.bind(this),
+		)
+
 		this._handleSessionIdBound = this._handleSessionId.bind(this)
 		this.signaling.on('sessionId', this._handleSessionIdBound)
 		this._handleUsersJoinedBound = this._handleUsersJoined.bind(this)
@@ -127,6 +148,7 @@ class Encryption {
 		this.signaling.off('usersJoined', this._handleUsersJoinedBound)
 		this.signaling.off('usersLeft', this._handleUsersLeftBound)
 		this.signaling.off('message', this._handleMessageBound)
+		this._unwatchAllowedSessions()
 		if (this._webrtc) {
 			this._webrtc.off('createdPeer', this._handlePeerCreatedBound)
 			this._webrtc = null
@@ -137,6 +159,7 @@ class Encryption {
 			this._account = null
 		}
 		this.context.cleanupAll()
+		this._callEncryptionStore.setLocalIdentityKey(null)
 	}
 
 	/**
@@ -181,6 +204,7 @@ class Encryption {
 		sessionIds.forEach((sessionId) => {
 			delete this._sessions[sessionId]
 			this.context.cleanup(sessionId)
+			this._callEncryptionStore.removeSession(sessionId)
 		})
 
 		// Generate new key so previously joined users won't be able to decrypt
@@ -212,6 +236,9 @@ class Encryption {
 		case TYPE_ENCRYPTION_ERROR:
 			this._processError(sender, message)
 			break
+		case TYPE_ENCRYPTION_VERIFICATION:
+			this._processVerification(sender, message)
+			break
 		}
 	}
 
@@ -255,6 +282,7 @@ class Encryption {
 		}
 
 		this._account.mark_keys_as_published()
+		this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.NEGOTIATING)
 		const msgId = uuidv4()
 		const message = {
 			type: 'message',
@@ -275,6 +303,9 @@ class Encryption {
 			console.debug('Starting e2e session failed', sessionId, e)
 			this._requests.delete(msgId)
 			delete sessionData.startMsgId
+			if (!sessionData.session && this._sessions[sessionId]) {
+				this._callEncryptionStore.setSessionError(sessionId, e?.message ?? 'Session could not be started')
+			}
 		})
 		this._requests.set(msgId, d)
 
@@ -357,7 +388,9 @@ class Encryption {
 
 		Object.entries(this._sessions).forEach((entry) => {
 			const [sessionId, sessionData] = entry
-			promises.push(this._sendKey(sessionId, sessionData))
+			if (this._isSessionAllowed(sessionId)) {
+				promises.push(this._sendKey(sessionId, sessionData))
+			}
 		})
 
 		await Promise.allSettled(promises)
@@ -380,14 +413,17 @@ class Encryption {
 	/**
 	 * Encrypt the current local key for the given session.
 	 *
+	 * The key is not included if the session is not allowed.
+	 *
+	 * @param {string} sessionId The session id to encrypt the key for.
 	 * @param {Olm.Session} session The Olm session to encrypt the key for.
 	 * @return {object} The encrypted key data.
 	 * @private
 	 */
-	_encryptKey(session) {
+	_encryptKey(sessionId, session) {
 		const data = {}
 
-		if (this._key !== undefined) {
+		if (this._key !== undefined && this._isSessionAllowed(sessionId)) {
 			data.key = this._key ? base64js.fromByteArray(this._key) : false
 			data.index = this._keyIndex
 		}
@@ -415,16 +451,21 @@ class Encryption {
 		const session = new Olm.Session()
 		session.create_outbound(this._account, payload.identity, payload.key)
 		sessionData.session = session
+		this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.NEGOTIATING, payload.identity)
 		const response = {
 			type: 'message',
 			to: sessionId,
 			payload: {
 				id: payload.id,
 				type: TYPE_ENCRYPTION_FINISH,
-				key: this._encryptKey(session),
+				// Sent so the identity can be verified by the participants
+				identity: this._keys.curve25519,
+				key: this._encryptKey(sessionId, session),
 			},
 		}
 		this.signaling.sendCallMessage(response)
+
+		this._sendCurrentVerification(sessionId, sessionData)
 	}
 
 	/**
@@ -451,7 +492,13 @@ class Encryption {
 
 		console.debug('Finished e2s session with', sessionId)
 		const session = new Olm.Session()
-		session.create_inbound(this._account, payload.key.body)
+		if (payload.identity) {
+			// Fails if the message was not sent by the given identity.
+			session.create_inbound_from(this._account, payload.identity, payload.key.body)
+			this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.NEGOTIATING, payload.identity)
+		} else {
+			session.create_inbound(this._account, payload.key.body)
+		}
 		this._account.remove_one_time_keys(session)
 
 		// Get current key (if present).
@@ -468,15 +515,16 @@ class Encryption {
 			const key = base64js.toByteArray(decoded.key)
 			const index = decoded.index
 
-			sessionData.lastKey = key
 			console.debug('Key updated', sessionId, index, decoded.key)
-			this.context.setKey(sessionId, key, index)
+			this._setRemoteKey(sessionId, sessionData, key, index)
 		}
 
-		if (this._key !== undefined) {
+		if (this._key !== undefined && this._isSessionAllowed(sessionId)) {
 			// Notify remote session about local key.
 			this._sendKey(sessionId, sessionData)
 		}
+
+		this._sendCurrentVerification(sessionId, sessionData)
 	}
 
 	/**
@@ -503,9 +551,8 @@ class Encryption {
 			const index = decoded.index
 
 			if (!isEqual(sessionData.lastKey, key)) {
-				sessionData.lastKey = key
 				console.debug('Key updated', sessionId, index, decoded.key)
-				this.context.setKey(sessionId, key, index)
+				this._setRemoteKey(sessionId, sessionData, key, index)
 			}
 
 			// Confirm that we have received the key.
@@ -515,7 +562,7 @@ class Encryption {
 				payload: {
 					id: payload.id,
 					type: TYPE_ENCRYPTION_GOT_KEY,
-					key: this._encryptKey(sessionData.session),
+					key: this._encryptKey(sessionId, sessionData.session),
 				},
 			}
 			this.signaling.sendCallMessage(response)
@@ -546,9 +593,8 @@ class Encryption {
 			const index = decoded.index
 
 			if (!isEqual(sessionData.lastKey, key)) {
-				sessionData.lastKey = key
 				console.debug('Key updated', sessionId, index, decoded.key)
-				this.context.setKey(sessionId, key, index)
+				this._setRemoteKey(sessionId, sessionData, key, index)
 			}
 		}
 
@@ -566,6 +612,12 @@ class Encryption {
 	 */
 	_processError(sessionId, message) {
 		console.error('Received error', sessionId, message.payload.error)
+
+		const error = typeof message.payload.error === 'string' ? message.payload.error : JSON.stringify(message.payload.error)
+		if (this._callEncryptionStore.getSession(sessionId)?.state !== CALL_ENCRYPTION.STATE.FAILED) {
+			showError(t('spreed', 'The end-to-end encryption with a participant failed'))
+		}
+		this._callEncryptionStore.setSessionError(sessionId, error)
 	}
 
 	/**
@@ -586,6 +638,172 @@ class Encryption {
 		this.signaling.sendCallMessage(message)
 	}
 
+	/**
+	 * Process the verification requirement sent by a moderator.
+	 *
+	 * The requirement is only accepted through the encrypted session with the
+	 * sender, so it can not be forged by other participants, and only if the
+	 * sender is a moderator.
+	 *
+	 * @param {string} sessionId The session id that sent the requirement.
+	 * @param {object} message The received message.
+	 * @private
+	 */
+	_processVerification(sessionId, message) {
+		const sessionData = this._sessionData(sessionId)
+		if (!sessionData.session) {
+			console.warn('No session found', sessionId)
+			this._sendError(sessionId, 'No session for verification')
+			return
+		}
+
+		const payload = message.payload
+		const data = sessionData.session.decrypt(payload.data.type, payload.data.body)
+
+		if (!isModeratorSession(sessionId)) {
+			console.warn('Encryption verification received from a participant that is not a moderator', sessionId)
+			return
+		}
+
+		const { requireVerification, verifiedSessions } = JSON.parse(data)
+		this._callEncryptionStore.setVerificationRequirement(!!requireVerification, verifiedSessions ?? {})
+	}
+
+	/**
+	 * Set whether only verified participants are allowed, and send it together
+	 * with the given verified sessions to every session with an encrypted
+	 * session.
+	 *
+	 * Only moderators are expected to call this; the other participants ignore
+	 * the requirement otherwise.
+	 *
+	 * @param {boolean} requireVerification Whether only verified participants are allowed.
+	 * @param {object} verifiedSessions The identity keys verified by the moderators, indexed by session id.
+	 */
+	sendVerificationRequirement(requireVerification, verifiedSessions) {
+		this._callEncryptionStore.setVerificationRequirement(requireVerification, verifiedSessions)
+
+		Object.entries(this._sessions).forEach(([sessionId, sessionData]) => {
+			this._sendVerification(sessionId, sessionData, requireVerification, verifiedSessions)
+		})
+	}
+
+	/**
+	 * Send the current verification requirement to a session that was just
+	 * encrypted, if it was set by the local participant as a moderator.
+	 *
+	 * @param {string} sessionId The session id to send the requirement to.
+	 * @param {object} sessionData The data for the session.
+	 * @private
+	 */
+	_sendCurrentVerification(sessionId, sessionData) {
+		const conversation = store.getters.conversation(store.getters.getToken())
+		if (!this._callEncryptionStore.requireVerification || !MODERATOR_TYPES.includes(conversation?.participantType)) {
+			return
+		}
+
+		this._sendVerification(sessionId, sessionData, true, this._callEncryptionStore.getSessionsVerifiedAsModerator(this._sessionId))
+	}
+
+	/**
+	 * Send the verification requirement to the given session.
+	 *
+	 * @param {string} sessionId The session id to send the requirement to.
+	 * @param {object} sessionData The data for the session.
+	 * @param {boolean} requireVerification Whether only verified participants are allowed.
+	 * @param {object} verifiedSessions The identity keys verified by the moderators, indexed by session id.
+	 * @private
+	 */
+	_sendVerification(sessionId, sessionData, requireVerification, verifiedSessions) {
+		if (!sessionData.session) {
+			return
+		}
+
+		const message = {
+			type: 'message',
+			to: sessionId,
+			payload: {
+				id: uuidv4(),
+				type: TYPE_ENCRYPTION_VERIFICATION,
+				data: sessionData.session.encrypt(JSON.stringify({ requireVerification, verifiedSessions })),
+			},
+		}
+		this.signaling.sendCallMessage(message)
+	}
+
+	/**
+	 * Returns whether keys can be exchanged with the given session.
+	 *
+	 * @param {string} sessionId The remote session id.
+	 * @return {boolean} True if the session is allowed, false otherwise.
+	 * @private
+	 */
+	_isSessionAllowed(sessionId) {
+		return this._callEncryptionStore.isSessionAllowed(sessionId)
+	}
+
+	/**
+	 * Store the key received from the given session, and use it to decrypt the
+	 * media of that session if it is allowed.
+	 *
+	 * @param {string} sessionId The session id that sent the key.
+	 * @param {object} sessionData The data for the session.
+	 * @param {Uint8Array} key The received key.
+	 * @param {number} index The index of the received key.
+	 * @private
+	 */
+	_setRemoteKey(sessionId, sessionData, key, index) {
+		sessionData.lastKey = key
+		sessionData.lastIndex = index
+
+		if (this._isSessionAllowed(sessionId)) {
+			this.context.setKey(sessionId, key, index)
+			this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.ENCRYPTED)
+		}
+	}
+
+	/**
+	 * Handle a change in the sessions allowed to exchange keys.
+	 *
+	 * Newly allowed sessions get the local key and their media is decrypted
+	 * with their last key. Media of sessions no longer allowed is no longer
+	 * decrypted, and the local key is rotated so they can not decrypt the
+	 * future media.
+	 *
+	 * @private
+	 */
+	_handleAllowedSessionsChanged() {
+		let refused = false
+
+		Object.entries(this._sessions).forEach(([sessionId, sessionData]) => {
+			const allowed = this._isSessionAllowed(sessionId)
+			const previousAllowed = sessionData.allowed
+			sessionData.allowed = allowed
+			if (previousAllowed === undefined || previousAllowed === allowed || !sessionData.session) {
+				return
+			}
+
+			if (!allowed) {
+				this.context.setKey(sessionId, false, sessionData.lastIndex ?? 0)
+				this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.NEGOTIATING)
+				refused = true
+				return
+			}
+
+			if (sessionData.lastKey) {
+				this.context.setKey(sessionId, sessionData.lastKey, sessionData.lastIndex)
+				this._callEncryptionStore.setSessionState(sessionId, CALL_ENCRYPTION.STATE.ENCRYPTED)
+			}
+			if (this._key !== undefined) {
+				this._sendKey(sessionId, sessionData).catch(() => {})
+			}
+		})
+
+		if (refused) {
+			this._rotateKey()
+		}
+	}
+
 	/**
 	 * Send the current encryption key to the given peer.
 	 *
@@ -610,7 +828,7 @@ class Encryption {
 			payload: {
 				id: msgId,
 				type: TYPE_ENCRYPTION_SET_KEY,
-				key: this._encryptKey(sessionData.session),
+				key: this._encryptKey(sessionId, sessionData.session),
 			},
 		}
 
@@ -0,0 +1,91 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import base64js from 'base64-js'
+
+import { getBuilder } from '@nextcloud/browser-storage'
+
+const DATABASE_NAME = 'nextcloud:talk:e2ee'
+const DATABASE_VERSION = 1
+const KEYS_STORE = 'pickleKeys'
+
+/**
+ * Note: same as in messagesCache.ts this storage is cleared on logout, so a
+ * missing owner means that the user has logged out since the keys were
+ * written, and they have to be purged.
+ */
+const keysOwnerStorage = getBuilder('talk').persist().clearOnLogout().build()
+
+/**
+ * Wrap an IndexedDB request into a promise
+ *
+ * @param {IDBRequest} request IndexedDB request
+ * @return {Promise<any>}
+ */
+function promisifyRequest(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result)
+		request.onerror = () => reject(request.error)
+	})
+}
+
+/**
+ * Open the database of the given user, purge it first if it doesn't belong to the user session
+ *
+ * @param {string} userId The id of the user
+ * @return {Promise<IDBDatabase>}
+ */
+async function openDatabase(userId) {
+	if (typeof indexedDB === 'undefined') {
+		throw new Error('IndexedDB is not available')
+	}
+
+	if (keysOwnerStorage.getItem('e2eeChatKeysOwner') !== userId) {
+		await promisifyRequest(indexedDB.deleteDatabase(DATABASE_NAME))
+		keysOwnerStorage.setItem('e2eeChatKeysOwner', userId)
+	}
+
+	const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+	request.onupgradeneeded = () => {
+		request.result.createObjectStore(KEYS_STORE, { keyPath: 'userId' })
+	}
+	return promisifyRequest(request)
+}
+
+/**
+ * Get the key to pickle the Olm objects of the given user, creating it if needed.
+ *
+ * The pickle key is kept in IndexedDB encrypted with a non-extractable
+ * WebCrypto key, so it is never stored next to the pickles in plain text.
+ *
+ * @param {string} userId The id of the user
+ * @return {Promise<string>} The pickle key
+ */
+export async function getPickleKey(userId) {
+	const database = await openDatabase(userId)
+
+	try {
+		const stored = await promisifyRequest(database.transaction(KEYS_STORE, 'readonly').objectStore(KEYS_STORE).get(userId))
+		if (stored) {
+			const pickleKey = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: stored.iv }, stored.key, stored.pickleKey)
+			return new TextDecoder().decode(pickleKey)
+		}
+
+		const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+		const iv = window.crypto.getRandomValues(new Uint8Array(12))
+		const pickleKey = base64js.fromByteArray(window.crypto.getRandomValues(new Uint8Array(32)))
+		const encryptedPickleKey = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(pickleKey))
+		await promisifyRequest(database.transaction(KEYS_STORE, 'readwrite').objectStore(KEYS_STORE).add({
+			userId,
+			key,
+			iv,
+			pickleKey: encryptedPickleKey,
+		}))
+
+		return pickleKey
+	} finally {
+		database.close()
+	}
+}
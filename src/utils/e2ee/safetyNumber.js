@@ -0,0 +1,125 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { t } from '@nextcloud/l10n'
+
+const DIGIT_GROUPS = 12
+const EMOJI_COUNT = 7
+
+/**
+ * Returns the emoji used in the safety numbers, which are the same as in the
+ * short authentication strings of Matrix so they are easy to tell apart.
+ *
+ * @return {Array<{emoji: string, name: string}>} The 64 emoji with their names.
+ */
+function getEmojiList() {
+	return [
+		{ emoji: '🐶', name: t('spreed', 'Dog') },
+		{ emoji: '🐱', name: t('spreed', 'Cat') },
+		{ emoji: '🦁', name: t('spreed', 'Lion') },
+		{ emoji: '🐎', name: t('spreed', 'Horse') },
+		{ emoji: '🦄', name: t('spreed', 'Unicorn') },
+		{ emoji: '🐷', name: t('spreed', 'Pig') },
+		{ emoji: '🐘', name: t('spreed', 'Elephant') },
+		{ emoji: '🐰', name: t('spreed', 'Rabbit') },
+		{ emoji: '🐼', name: t('spreed', 'Panda') },
+		{ emoji: '🐓', name: t('spreed', 'Rooster') },
+		{ emoji: '🐧', name: t('spreed', 'Penguin') },
+		{ emoji: '🐢', name: t('spreed', 'Turtle') },
+		{ emoji: '🐟', name: t('spreed', 'Fish') },
+		{ emoji: '🐙', name: t('spreed', 'Octopus') },
+		{ emoji: '🦋', name: t('spreed', 'Butterfly') },
+		{ emoji: '🌷', name: t('spreed', 'Flower') },
+		{ emoji: '🌳', name: t('spreed', 'Tree') },
+		{ emoji: '🌵', name: t('spreed', 'Cactus') },
+		{ emoji: '🍄', name: t('spreed', 'Mushroom') },
+		{ emoji: '🌏', name: t('spreed', 'Globe') },
+		{ emoji: '🌙', name: t('spreed', 'Moon') },
+		{ emoji: '☁️', name: t('spreed', 'Cloud') },
+		{ emoji: '🔥', name: t('spreed', 'Fire') },
+		{ emoji: '🍌', name: t('spreed', 'Banana') },
+		{ emoji: '🍎', name: t('spreed', 'Apple') },
+		{ emoji: '🍓', name: t('spreed', 'Strawberry') },
+		{ emoji: '🌽', name: t('spreed', 'Corn') },
+		{ emoji: '🍕', name: t('spreed', 'Pizza') },
+		{ emoji: '🎂', name: t('spreed', 'Cake') },
+		{ emoji: '❤️', name: t('spreed', 'Heart') },
+		{ emoji: '😀', name: t('spreed', 'Smiley') },
+		{ emoji: '🤖', name: t('spreed', 'Robot') },
+		{ emoji: '🎩', name: t('spreed', 'Hat') },
+		{ emoji: '👓', name: t('spreed', 'Glasses') },
+		{ emoji: '🔧', name: t('spreed', 'Spanner') },
+		{ emoji: '🎅', name: t('spreed', 'Santa') },
+		{ emoji: '👍', name: t('spreed', 'Thumbs up') },
+		{ emoji: '☂️', name: t('spreed', 'Umbrella') },
+		{ emoji: '⌛', name: t('spreed', 'Hourglass') },
+		{ emoji: '⏰', name: t('spreed', 'Clock') },
+		{ emoji: '🎁', name: t('spreed', 'Gift') },
+		{ emoji: '💡', name: t('spreed', 'Light bulb') },
+		{ emoji: '📕', name: t('spreed', 'Book') },
+		{ emoji: '✏️', name: t('spreed', 'Pencil') },
+		{ emoji: '📎', name: t('spreed', 'Paperclip') },
+		{ emoji: '✂️', name: t('spreed', 'Scissors') },
+		{ emoji: '🔒', name: t('spreed', 'Lock') },
+		{ emoji: '🔑', name: t('spreed', 'Key') },
+		{ emoji: '🔨', name: t('spreed', 'Hammer') },
+		{ emoji: '☎️', name: t('spreed', 'Telephone') },
+		{ emoji: '🏁', name: t('spreed', 'Flag') },
+		{ emoji: '🚂', name: t('spreed', 'Train') },
+		{ emoji: '🚲', name: t('spreed', 'Bicycle') },
+		{ emoji: '✈️', name: t('spreed', 'Aeroplane') },
+		{ emoji: '🚀', name: t('spreed', 'Rocket') },
+		{ emoji: '🏆', name: t('spreed', 'Trophy') },
+		{ emoji: '⚽', name: t('spreed', 'Ball') },
+		{ emoji: '🎸', name: t('spreed', 'Guitar') },
+		{ emoji: '🎺', name: t('spreed', 'Trumpet') },
+		{ emoji: '🔔', name: t('spreed', 'Bell') },
+		{ emoji: '⚓', name: t('spreed', 'Anchor') },
+		{ emoji: '🎧', name: t('spreed', 'Headphones') },
+		{ emoji: '📁', name: t('spreed', 'Folder') },
+		{ emoji: '📌', name: t('spreed', 'Pin') },
+	]
+}
+
+/**
+ * Derive the safety number of the encrypted session between two participants
+ * from their identity keys.
+ *
+ * The keys are sorted before hashing them, so both participants get the same
+ * safety number and can compare it through another channel. The number is
+ * provided both as groups of digits and as emoji, which are easier to compare
+ * when talking.
+ *
+ * @param {string} localIdentityKey The Curve25519 identity key of the local session.
+ * @param {string} remoteIdentityKey The Curve25519 identity key of the remote session.
+ * @return {Promise<{digits: Array<string>, emoji: Array<{emoji: string, name: string}>}>} The safety number.
+ * @async
+ */
+export async function getSafetyNumber(localIdentityKey, remoteIdentityKey) {
+	const data = new TextEncoder().encode([localIdentityKey, remoteIdentityKey].sort().join('|'))
+	const hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', data))
+
+	// Each group of 5 digits is derived from 5 bytes (40 bits) of the hash.
+	const digits = []
+	for (let group = 0; group < DIGIT_GROUPS; group++) {
+		let value = 0
+		for (let i = 0; i < 5; i++) {
+			value = value * 256 + hash[group * 5 + i]
+		}
+		digits.push((value % 100000).toString().padStart(5, '0'))
+	}
+
+	// Each emoji is derived from 6 bits of the hash.
+	const emojiList = getEmojiList()
+	const emoji = []
+	for (let i = 0; i < EMOJI_COUNT; i++) {
+		const bit = i * 6
+		const byte = Math.floor(bit / 8)
+		const index = (((hash[byte] << 8) | hash[byte + 1]) >> (10 - bit % 8)) & 0x3f
+		emoji.push(emojiList[index])
+	}
+
+	return { digits, emoji }
+}
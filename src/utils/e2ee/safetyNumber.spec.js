@@ -0,0 +1,46 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { webcrypto } from 'crypto'
+import { TextEncoder } from 'util'
+
+import { getSafetyNumber } from './safetyNumber.js'
+
+describe('safetyNumber', () => {
+	const originalCrypto = window.crypto
+	const originalTextEncoder = global.TextEncoder
+
+	beforeAll(() => {
+		// Not provided by jsdom
+		Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true })
+		global.TextEncoder = TextEncoder
+	})
+
+	afterAll(() => {
+		Object.defineProperty(window, 'crypto', { value: originalCrypto, configurable: true })
+		global.TextEncoder = originalTextEncoder
+	})
+
+	test('returns the same safety number for both participants', async () => {
+		const safetyNumber = await getSafetyNumber('identityKeyA', 'identityKeyB')
+
+		expect(await getSafetyNumber('identityKeyB', 'identityKeyA')).toEqual(safetyNumber)
+	})
+
+	test('returns groups of digits and emoji', async () => {
+		const { digits, emoji } = await getSafetyNumber('identityKeyA', 'identityKeyB')
+
+		expect(digits).toHaveLength(12)
+		digits.forEach((group) => expect(group).toMatch(/^\d{5}$/))
+		expect(emoji).toHaveLength(7)
+		emoji.forEach((item) => expect(item).toEqual({ emoji: expect.any(String), name: expect.any(String) }))
+	})
+
+	test('returns a different safety number for a different identity key', async () => {
+		const safetyNumber = await getSafetyNumber('identityKeyA', 'identityKeyB')
+
+		expect(await getSafetyNumber('identityKeyA', 'identityKeyC')).not.toEqual(safetyNumber)
+	})
+})
@@ -0,0 +1,119 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import processorSource from './NoiseSuppressor.worklet.js?raw'
+import rnnoiseSource from './vendor/rnnoise/rnnoise.js?raw'
+import rnnoiseWasmUrl from './vendor/rnnoise/rnnoise.wasm'
+
+// RNNoise only works with audio sampled at 48 kHz
+const SAMPLE_RATE = 48000
+
+/**
+ * Effect to remove the background noise from an audio stream.
+ *
+ * The noise is removed with RNNoise, which runs in an AudioWorklet. "load()"
+ * must be called (and its promise resolved) before starting the effect.
+ */
+export default class NoiseSuppressionEffect {
+
+	constructor() {
+		this._audioContext = null
+		this._loadPromise = null
+		this._loadFailed = false
+
+		this._source = null
+		this._processor = null
+		this._destination = null
+	}
+
+	/**
+	 * Loads the AudioWorklet and the RNNoise WebAssembly module.
+	 *
+	 * Subsequent calls return the same promise.
+	 *
+	 * @return {Promise} a promise resolved once the effect is ready to be
+	 *         started, or rejected if it failed to load.
+	 */
+	load() {
+		if (!this._loadPromise) {
+			this._loadPromise = this._load().catch((error) => {
+				console.error('Failed to load noise suppression', error)
+
+				this._loadFailed = true
+
+				throw error
+			})
+		}
+
+		return this._loadPromise
+	}
+
+	async _load() {
+		const response = await fetch(rnnoiseWasmUrl)
+		if (!response.ok) {
+			throw new Error('Failed to download RNNoise module')
+		}
+		this._wasmBinary = await response.arrayBuffer()
+
+		this._audioContext = new AudioContext({ sampleRate: SAMPLE_RATE })
+
+		// The AudioWorklet global scope does not support imports from relative
+		// URLs, so the glue code and the processor are loaded together.
+		const blob = new Blob([rnnoiseSource, '\n', processorSource], { type: 'application/javascript' })
+		const processorUrl = URL.createObjectURL(blob)
+		try {
+			await this._audioContext.audioWorklet.addModule(processorUrl)
+		} finally {
+			URL.revokeObjectURL(processorUrl)
+		}
+	}
+
+	didLoadFail() {
+		return this._loadFailed
+	}
+
+	/**
+	 * Starts removing the noise from the given stream.
+	 *
+	 * @param {MediaStream} stream the stream with the audio track to process.
+	 * @return {MediaStream} a new stream with the processed audio track.
+	 */
+	startEffect(stream) {
+		// The context may have been created without user activation, in which
+		// case it would be suspended.
+		this._audioContext.resume()
+
+		this._source = this._audioContext.createMediaStreamSource(stream)
+		this._processor = new AudioWorkletNode(this._audioContext, 'noise-suppressor', {
+			channelCount: 1,
+			channelCountMode: 'explicit',
+			outputChannelCount: [1],
+			processorOptions: {
+				wasmBinary: this._wasmBinary,
+			},
+		})
+		this._destination = this._audioContext.createMediaStreamDestination()
+
+		this._source.connect(this._processor)
+		this._processor.connect(this._destination)
+
+		return this._destination.stream
+	}
+
+	stopEffect() {
+		if (!this._processor) {
+			return
+		}
+
+		this._source.disconnect()
+		this._processor.disconnect()
+		this._processor.port.postMessage('destroy')
+
+		this._source = null
+		this._processor = null
+		this._destination = null
+	}
+
+}
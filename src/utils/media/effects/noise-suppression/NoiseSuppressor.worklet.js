@@ -0,0 +1,134 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/* global AudioWorkletProcessor, createRNNWasmModule, registerProcessor */
+
+// This file is not bundled as a module; its source is loaded in the
+// AudioWorklet right after the source of the RNNoise glue code, which defines
+// "createRNNWasmModule".
+
+// RNNoise processes frames of 480 samples (10 ms at 48 kHz)
+const FRAME_SIZE = 480
+// Least common multiple of the AudioWorklet render quantum (128 samples) and
+// the RNNoise frame size, so neither a quantum nor a frame wrap in the buffer
+const BUFFER_SIZE = 1920
+// Silence output before the first processed samples; a frame is completed
+// every 3.75 render quantums, so the output would run dry without a margin
+const OUTPUT_DELAY = 512
+// RNNoise expects samples in the range of 16 bit PCM
+const PCM_SCALE = 32768
+
+/**
+ * AudioWorkletProcessor to remove the noise from a mono audio input.
+ *
+ * The input is buffered until a full RNNoise frame is available, so the
+ * output is delayed by a bit more than a frame. Until the RNNoise module is loaded, or if
+ * it fails to load, the input is just bypassed to the output.
+ */
+class NoiseSuppressorProcessor extends AudioWorkletProcessor {
+
+	constructor(options) {
+		super()
+
+		this._buffer = new Float32Array(BUFFER_SIZE)
+		this._inputIndex = 0
+		this._frameIndex = 0
+		this._outputIndex = BUFFER_SIZE - OUTPUT_DELAY
+		this._unprocessedLength = 0
+		this._processedLength = OUTPUT_DELAY
+
+		this._rnnoise = null
+		this._destroyed = false
+
+		this.port.onmessage = (event) => {
+			if (event.data === 'destroy') {
+				this._destroy()
+			}
+		}
+
+		createRNNWasmModule({ wasmBinary: options.processorOptions.wasmBinary }).then((module) => {
+			if (this._destroyed) {
+				return
+			}
+
+			this._rnnoise = module
+			this._state = module._rnnoise_create()
+			this._framePointer = module._malloc(FRAME_SIZE * Float32Array.BYTES_PER_ELEMENT)
+		}).catch((error) => {
+			console.error('Failed to load RNNoise, the audio will not be processed', error)
+		})
+	}
+
+	_destroy() {
+		this._destroyed = true
+
+		if (!this._rnnoise) {
+			return
+		}
+
+		this._rnnoise._rnnoise_destroy(this._state)
+		this._rnnoise._free(this._framePointer)
+		this._rnnoise = null
+	}
+
+	_processFrame() {
+		const frame = this._buffer.subarray(this._frameIndex, this._frameIndex + FRAME_SIZE)
+		// The heap may be replaced when the memory grows, so it must be got
+		// again for every frame.
+		const heapOffset = this._framePointer / Float32Array.BYTES_PER_ELEMENT
+		const heapFrame = this._rnnoise.HEAPF32.subarray(heapOffset, heapOffset + FRAME_SIZE)
+
+		for (let i = 0; i < FRAME_SIZE; i++) {
+			heapFrame[i] = frame[i] * PCM_SCALE
+		}
+
+		this._rnnoise._rnnoise_process_frame(this._state, this._framePointer, this._framePointer)
+
+		for (let i = 0; i < FRAME_SIZE; i++) {
+			frame[i] = this._rnnoise.HEAPF32[heapOffset + i] / PCM_SCALE
+		}
+	}
+
+	process(inputs, outputs) {
+		if (this._destroyed) {
+			return false
+		}
+
+		const input = inputs[0][0]
+		const output = outputs[0][0]
+
+		// No input connected (yet).
+		if (!input) {
+			return true
+		}
+
+		if (!this._rnnoise) {
+			output.set(input)
+
+			return true
+		}
+
+		this._buffer.set(input, this._inputIndex)
+		this._inputIndex = (this._inputIndex + input.length) % BUFFER_SIZE
+		this._unprocessedLength += input.length
+
+		while (this._unprocessedLength >= FRAME_SIZE) {
+			this._processFrame()
+
+			this._frameIndex = (this._frameIndex + FRAME_SIZE) % BUFFER_SIZE
+			this._unprocessedLength -= FRAME_SIZE
+			this._processedLength += FRAME_SIZE
+		}
+
+		output.set(this._buffer.subarray(this._outputIndex, this._outputIndex + output.length))
+		this._outputIndex = (this._outputIndex + output.length) % BUFFER_SIZE
+		this._processedLength -= output.length
+
+		return true
+	}
+
+}
+
+registerProcessor('noise-suppressor', NoiseSuppressorProcessor)
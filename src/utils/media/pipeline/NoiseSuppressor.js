@@ -0,0 +1,223 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import * as wasmCheck from 'wasm-check'
+
+import TrackSinkSource from './TrackSinkSource.js'
+import NoiseSuppressionEffect from '../effects/noise-suppression/NoiseSuppressionEffect.js'
+
+/**
+ * Processor node to remove the background noise from an audio track.
+ *
+ * A single input track slot with the default id is accepted. The input track
+ * must be an audio track. A single output track slot with the default id is
+ * provided. The output track will be an audio track.
+ *
+ * The noise suppressor node requires Web Assembly and AudioWorklets to be
+ * supported by the browser. Whether the noise suppressor is supported or not
+ * can be checked by calling "NoiseSuppressor.isSupported()". Besides that, it
+ * needs to download and compile a WebAssembly module, which is done the first
+ * time that the noise suppressor is enabled. Until the module has finished
+ * loading the input track is just bypassed to the output. If the module fails
+ * to load "loadFailed" is emitted and the noise suppressor is disabled. Whether
+ * the noise suppressor is available or not can be checked by calling
+ * "isAvailable()" on the object. If a noise suppressor node is tried to be used
+ * when it is not available its input will be just bypassed to its output.
+ *
+ * The noise suppressor is disabled by default. Once enabled it is
+ * automatically stopped and started again when the input track is disabled and
+ * enabled (which changes the output track), as there is no need to process a
+ * muted track.
+ *
+ *        -----------------
+ *       |                 |
+ *  ---> | NoiseSuppressor | --->
+ *       |                 |
+ *        -----------------
+ */
+export default class NoiseSuppressor extends TrackSinkSource {
+
+	static _supported
+
+	static isSupported() {
+		if (this._supported === undefined) {
+			this._supported = wasmCheck.support() && window.AudioContext !== undefined && window.AudioWorkletNode !== undefined
+
+			if (!this._supported) {
+				console.error('Looks like WebAssembly or AudioWorklets are disabled or not supported on this browser, noise suppression will not be available')
+			}
+		}
+
+		return this._supported
+	}
+
+	constructor() {
+		super()
+
+		this._addInputTrackSlot()
+		this._addOutputTrackSlot()
+
+		this._initNoiseSuppressionEffect()
+
+		// NoiseSuppressionEffect works with tracks internally, but requires
+		// and provides streams externally
+		this._inputStream = null
+		this._outputStream = null
+
+		this._enabled = false
+		this._loaded = false
+	}
+
+	_initNoiseSuppressionEffect() {
+		if (!NoiseSuppressor.isSupported()) {
+			return
+		}
+
+		this._noiseSuppressionEffect = new NoiseSuppressionEffect()
+	}
+
+	_loadNoiseSuppressionEffect() {
+		this._noiseSuppressionEffect.load().then(() => {
+			this._loaded = true
+
+			if (!this._enabled || !this.getInputTrack() || !this.getInputTrack().enabled) {
+				return
+			}
+
+			this._startEffect()
+		}).catch(() => {
+			this._trigger('loadFailed')
+
+			this.setEnabled(false)
+		})
+	}
+
+	isAvailable() {
+		if (!NoiseSuppressor.isSupported()) {
+			return false
+		}
+
+		// If NoiseSuppressor is supported it is assumed to be available unless
+		// the load has failed (so it is seen as available even when still
+		// loading or not loaded yet).
+		return !this._noiseSuppressionEffect.didLoadFail()
+	}
+
+	isEnabled() {
+		return this._enabled
+	}
+
+	setEnabled(enabled) {
+		if (!this.isAvailable()) {
+			enabled = false
+		}
+
+		if (this._enabled === enabled) {
+			return
+		}
+
+		this._enabled = enabled
+
+		if (!enabled) {
+			this._stopEffect()
+
+			// If not enabled the input track is just bypassed to the output.
+			if (this.getOutputTrack() !== this.getInputTrack()) {
+				this._setOutputTrack('default', this.getInputTrack())
+			}
+
+			return
+		}
+
+		if (!this._loaded) {
+			// The effect will be started, if needed, once loaded.
+			this._loadNoiseSuppressionEffect()
+
+			return
+		}
+
+		if (!this.getInputTrack() || !this.getInputTrack().enabled) {
+			return
+		}
+
+		this._startEffect()
+	}
+
+	_handleInputTrack(trackId, newTrack, oldTrack) {
+		// If not available, enabled or loaded the input track is just bypassed
+		// to the output.
+		if (!this.isAvailable() || !this._enabled || !this._loaded) {
+			this._setOutputTrack('default', newTrack)
+
+			return
+		}
+
+		if (newTrack === oldTrack && newTrack !== null && newTrack.enabled) {
+			return
+		}
+
+		this._stopEffect()
+
+		if (!newTrack || !newTrack.enabled) {
+			this._setOutputTrack('default', this.getInputTrack())
+
+			return
+		}
+
+		this._startEffect()
+	}
+
+	_handleInputTrackEnabled(trackId, enabled) {
+		// If not available, enabled or loaded the input track is just bypassed
+		// to the output.
+		if (!this.isAvailable() || !this._enabled || !this._loaded) {
+			this._setOutputTrackEnabled('default', enabled)
+
+			return
+		}
+
+		// Stop and resume the effect if the track is disabled and enabled, as
+		// there is no need to process (and consume CPU) a disabled track.
+		if (!enabled) {
+			this._stopEffect()
+
+			this._setOutputTrack('default', this.getInputTrack())
+
+			return
+		}
+
+		this._startEffect()
+	}
+
+	_startEffect() {
+		if (this._inputStream) {
+			return
+		}
+
+		this._inputStream = new MediaStream()
+		this._inputStream.addTrack(this.getInputTrack())
+
+		this._outputStream = this._noiseSuppressionEffect.startEffect(this._inputStream)
+
+		this._setOutputTrack('default', this._outputStream.getAudioTracks()[0])
+	}
+
+	_stopEffect() {
+		if (!this._outputStream) {
+			return
+		}
+
+		this._noiseSuppressionEffect.stopEffect()
+		this._outputStream.getTracks().forEach(track => {
+			this._disableRemoveTrackWhenEnded(track)
+
+			track.stop()
+		})
+
+		this._inputStream = null
+		this._outputStream = null
+	}
+
+}
@@ -0,0 +1,329 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import flushPromises from 'flush-promises'
+
+import NoiseSuppressor from './NoiseSuppressor.js'
+
+/**
+ * Helper function to create MediaStreamTrack mocks with just the attributes and
+ * methods used by NoiseSuppressor.
+ *
+ * @param {string} id the ID of the track
+ */
+function newMediaStreamTrackMock(id) {
+	/**
+	 * MediaStreamTrackMock constructor.
+	 */
+	function MediaStreamTrackMock() {
+		this._endedEventHandlers = []
+		this.id = id
+		this.enabled = true
+		this.addEventListener = jest.fn((eventName, eventHandler) => {
+			if (eventName !== 'ended') {
+				return
+			}
+
+			this._endedEventHandlers.push(eventHandler)
+		})
+		this.removeEventListener = jest.fn((eventName, eventHandler) => {
+			if (eventName !== 'ended') {
+				return
+			}
+
+			const index = this._endedEventHandlers.indexOf(eventHandler)
+			if (index !== -1) {
+				this._endedEventHandlers.splice(index, 1)
+			}
+		})
+		this.stop = jest.fn(() => {
+			for (let i = 0; i < this._endedEventHandlers.length; i++) {
+				const handler = this._endedEventHandlers[i]
+				handler.apply(handler)
+			}
+		})
+	}
+	return new MediaStreamTrackMock()
+}
+
+describe('NoiseSuppressor', () => {
+	let noiseSuppressor
+	let available
+	let loadResult
+	let effectOutputTrackCount
+	let effectOutputTrack
+
+	beforeAll(() => {
+		// MediaStream is used in NoiseSuppressor but not implemented in jsdom,
+		// so a stub is needed.
+		window.MediaStream = function() {
+			this.addTrack = jest.fn()
+		}
+
+		jest.spyOn(NoiseSuppressor.prototype, '_initNoiseSuppressionEffect').mockImplementation(function() {
+			this._noiseSuppressionEffect = {
+				load: jest.fn(() => {
+					return loadResult
+				}),
+				startEffect: jest.fn((inputStream) => {
+					effectOutputTrackCount++
+					const effectOutputTrackLocal = newMediaStreamTrackMock('output' + effectOutputTrackCount)
+					effectOutputTrack = effectOutputTrackLocal
+
+					return {
+						getAudioTracks: jest.fn(() => {
+							return [effectOutputTrackLocal]
+						}),
+						getTracks: jest.fn(() => {
+							return [effectOutputTrackLocal]
+						}),
+					}
+				}),
+				stopEffect: jest.fn(() => {
+				}),
+			}
+		})
+		jest.spyOn(NoiseSuppressor.prototype, 'isAvailable').mockImplementation(function() {
+			return available
+		})
+	})
+
+	beforeEach(() => {
+		available = true
+		loadResult = Promise.resolve()
+		effectOutputTrackCount = 0
+		effectOutputTrack = undefined
+
+		noiseSuppressor = new NoiseSuppressor()
+
+		jest.spyOn(noiseSuppressor, '_setOutputTrack')
+	})
+
+	afterAll(() => {
+		jest.restoreAllMocks()
+	})
+
+	test('is disabled by default', () => {
+		expect(noiseSuppressor.isEnabled()).toBe(false)
+	})
+
+	describe('enable/disable noise suppression', () => {
+		test('loads the effect when enabled for the first time', async () => {
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor.setEnabled(false)
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+
+			expect(noiseSuppressor.isEnabled()).toBe(true)
+			expect(noiseSuppressor._noiseSuppressionEffect.load).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(0)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('is disabled if enabled when not available', () => {
+			available = false
+			noiseSuppressor.setEnabled(true)
+
+			expect(noiseSuppressor.isEnabled()).toBe(false)
+			expect(noiseSuppressor._noiseSuppressionEffect.load).toHaveBeenCalledTimes(0)
+		})
+
+		test('is disabled if the effect fails to load', async () => {
+			const loadFailedHandler = jest.fn()
+			noiseSuppressor.on('loadFailed', loadFailedHandler)
+			loadResult = Promise.reject(new Error('Failed'))
+
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+
+			expect(noiseSuppressor.isEnabled()).toBe(false)
+			expect(loadFailedHandler).toHaveBeenCalledTimes(1)
+		})
+	})
+
+	describe('set input track', () => {
+		test('sets input track as its output track if not enabled when setting input track', () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('sets effect output track as its output track when setting input track', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor._setInputTrack('default', inputTrack)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', effectOutputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('sets input track as its output track if input track is not enabled when setting input track', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			inputTrack.enabled = false
+			noiseSuppressor._setInputTrack('default', inputTrack)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('sets new effect output track as its output track when setting another input track', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+			const inputTrack2 = newMediaStreamTrackMock('input2')
+
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			const firstEffectOutputTrack = effectOutputTrack
+			noiseSuppressor._setInputTrack('default', inputTrack2)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', firstEffectOutputTrack)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', effectOutputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(1)
+			expect(firstEffectOutputTrack.stop).toHaveBeenCalledTimes(1)
+		})
+	})
+
+	describe('enable/disable noise suppression after setting input track', () => {
+		test('sets input track as its output track until the effect is loaded', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor.setEnabled(true)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+
+			await flushPromises()
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', effectOutputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(1)
+		})
+
+		test('does not start the effect once loaded if disabled in the meantime', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor.setEnabled(true)
+			noiseSuppressor.setEnabled(false)
+			await flushPromises()
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('does not start the effect once loaded if input track is not enabled', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			inputTrack.enabled = false
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(0)
+		})
+
+		test('sets input track as its output track if disabled', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor.setEnabled(false)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(3)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', effectOutputTrack)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(3, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(1)
+			expect(effectOutputTrack.stop).toHaveBeenCalledTimes(1)
+		})
+
+		test('sets effect output track as its output track if enabled again', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor.setEnabled(false)
+			noiseSuppressor.setEnabled(true)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(4)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(4, 'default', effectOutputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.load).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(2)
+		})
+	})
+
+	describe('enable/disable input track', () => {
+		beforeEach(async () => {
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+		})
+
+		test('sets input track as its output track if input track is disabled', () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor._setInputTrackEnabled('default', false)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', effectOutputTrack)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', inputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(1)
+			expect(effectOutputTrack.stop).toHaveBeenCalledTimes(1)
+		})
+
+		test('sets effect output track as its output track if input track is enabled', () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			inputTrack.enabled = false
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor._setInputTrackEnabled('default', true)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', inputTrack)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', effectOutputTrack)
+			expect(noiseSuppressor._noiseSuppressionEffect.startEffect).toHaveBeenCalledTimes(1)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(0)
+		})
+	})
+
+	describe('remove input track', () => {
+		test('removes output track when removing input track', async () => {
+			const inputTrack = newMediaStreamTrackMock('input')
+
+			noiseSuppressor.setEnabled(true)
+			await flushPromises()
+			noiseSuppressor._setInputTrack('default', inputTrack)
+			noiseSuppressor._setInputTrack('default', null)
+
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenCalledTimes(2)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(1, 'default', effectOutputTrack)
+			expect(noiseSuppressor._setOutputTrack).toHaveBeenNthCalledWith(2, 'default', null)
+			expect(noiseSuppressor._noiseSuppressionEffect.stopEffect).toHaveBeenCalledTimes(1)
+			expect(effectOutputTrack.stop).toHaveBeenCalledTimes(1)
+		})
+	})
+})
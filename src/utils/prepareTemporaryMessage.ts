@@ -24,6 +24,14 @@ export type PrepareTemporaryMessagePayload = Pick<ChatMessage,
 	parent: Omit<ChatMessage, 'parent'>,
 }
 
+export type PrepareTemporaryTextMessagePayload = Pick<PrepareTemporaryMessagePayload,
+	| 'message'
+	| 'token'
+	| 'actorId'
+	| 'actorType'
+	| 'actorDisplayName'
+>
+
 /**
  * Creates a temporary message ready to be posted, based
  * on the message to be replied and the current actor
@@ -93,3 +101,43 @@ export function prepareTemporaryMessage({
 		actorDisplayName,
 	}
 }
+
+/**
+ * Creates a temporary text message without attachments and parent,
+ * e.g. for summaries posted on behalf of the current actor
+ *
+ * @param payload the wrapping object;
+ * @param payload.message message string;
+ * @param payload.token conversation token;
+ * @param payload.actorId actor id
+ * @param payload.actorType actor type
+ * @param payload.actorDisplayName actor displayed name
+ */
+export function prepareTemporaryTextMessage({
+	message,
+	token,
+	actorId,
+	actorType,
+	actorDisplayName,
+}: PrepareTemporaryTextMessagePayload): ChatMessage {
+	const tempId = 'temp-' + new Date().getTime()
+
+	return {
+		// @ts-expect-error: type 'string' is not assignable to type 'number'
+		id: tempId,
+		token,
+		timestamp: 0,
+		expirationTimestamp: 0,
+		systemMessage: '',
+		markdown: hasTalkFeature(token, 'markdown-messages'),
+		messageType: 'comment',
+		message,
+		messageParameters: {},
+		isReplyable: false,
+		reactions: {},
+		referenceId: Hex.stringify(SHA256(tempId)),
+		actorId,
+		actorType,
+		actorDisplayName,
+	}
+}
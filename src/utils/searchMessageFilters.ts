@@ -0,0 +1,116 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { getItemTypeFromMessage } from './getItemTypeFromMessage.ts'
+import { ATTENDEE, MENTION, SHARED_ITEM } from '../constants.ts'
+import type { ChatMessage } from '../types/index.ts'
+
+export const MESSAGE_TYPE_FILTER = {
+	FILES: 'files',
+	LINKS: 'links',
+	POLLS: 'polls',
+	VOICE: 'voice',
+} as const
+
+type MessageTypeFilter = typeof MESSAGE_TYPE_FILTER[keyof typeof MESSAGE_TYPE_FILTER]
+
+export type MessageFilters = {
+	messageType: MessageTypeFilter | null,
+	hasReactions: boolean,
+	mentionsMe: boolean,
+}
+
+type Actor = {
+	actorType: string,
+	actorId: string,
+	groupIds?: string[],
+	teamIds?: string[],
+}
+
+const FILE_ITEM_TYPES: string[] = [
+	SHARED_ITEM.TYPES.AUDIO,
+	SHARED_ITEM.TYPES.FILE,
+	SHARED_ITEM.TYPES.MEDIA,
+	SHARED_ITEM.TYPES.RECORDING,
+]
+
+const LINK_REGEX = /https?:\/\/\S+/i
+
+/**
+ * Whether any of the filters, which can not be applied by the search provider, is set
+ *
+ * @param filters the message filters
+ */
+export function hasMessageFilters(filters: MessageFilters): boolean {
+	return filters.messageType !== null || filters.hasReactions || filters.mentionsMe
+}
+
+/**
+ * Whether the message is of the given type
+ *
+ * @param message the chat message
+ * @param messageType the type to match
+ */
+function matchesMessageType(message: ChatMessage, messageType: MessageTypeFilter): boolean {
+	switch (messageType) {
+	case MESSAGE_TYPE_FILTER.FILES:
+		return FILE_ITEM_TYPES.includes(getItemTypeFromMessage(message))
+	case MESSAGE_TYPE_FILTER.LINKS:
+		return LINK_REGEX.test(message.message)
+	case MESSAGE_TYPE_FILTER.POLLS:
+		return getItemTypeFromMessage(message) === SHARED_ITEM.TYPES.POLL
+	case MESSAGE_TYPE_FILTER.VOICE:
+		return getItemTypeFromMessage(message) === SHARED_ITEM.TYPES.VOICE
+	}
+}
+
+/**
+ * Whether the given actor (or everyone, or a group or team of the actor) is
+ * mentioned in the message
+ *
+ * @param message the chat message
+ * @param actor the current actor
+ */
+function mentionsActor(message: ChatMessage, actor: Actor): boolean {
+	return Object.values(message.messageParameters ?? {}).some((parameter) => {
+		if (parameter.type === 'call') {
+			// Mention of all participants
+			return true
+		}
+		if ([MENTION.TYPE.USERGROUP, MENTION.TYPE.GROUP].includes(parameter.type)) {
+			return actor.groupIds?.includes(parameter.id) ?? false
+		}
+		if ([MENTION.TYPE.CIRCLE, MENTION.TYPE.TEAM].includes(parameter.type)) {
+			return actor.teamIds?.includes(parameter.id) ?? false
+		}
+		if (actor.actorType === ATTENDEE.ACTOR_TYPE.USERS) {
+			return parameter.type === 'user' && parameter.id === actor.actorId
+		}
+		if (actor.actorType === ATTENDEE.ACTOR_TYPE.GUESTS) {
+			return parameter.type === 'guest' && parameter.id === 'guest/' + actor.actorId
+		}
+		return false
+	})
+}
+
+/**
+ * Whether the message matches all the given filters
+ *
+ * @param message the chat message
+ * @param filters the message filters
+ * @param actor the current actor, to check for mentions
+ */
+export function matchesMessageFilters(message: ChatMessage, filters: MessageFilters, actor: Actor): boolean {
+	if (filters.messageType && !matchesMessageType(message, filters.messageType)) {
+		return false
+	}
+	if (filters.hasReactions && Object.keys(message.reactions ?? {}).length === 0) {
+		return false
+	}
+	if (filters.mentionsMe && !mentionsActor(message, actor)) {
+		return false
+	}
+	return true
+}
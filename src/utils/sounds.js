@@ -11,6 +11,7 @@ export const Sounds = {
 	isInCall: false,
 	lastPlayedJoin: 0,
 	lastPlayedLeave: 0,
+	lastPlayedRaisedHand: 0,
 	playedWaiting: 0,
 	backgroundInterval: null,
 
@@ -120,4 +121,21 @@ export const Sounds = {
 			this.playWaiting()
 		}
 	},
+	playRaisedHand() {
+		const soundsStore = useSoundsStore()
+		if (!soundsStore.shouldPlaySounds || !this.isInCall) {
+			return
+		}
+
+		const currentTime = (new Date()).getTime()
+		if (this.lastPlayedRaisedHand >= (currentTime - this.BLOCK_SOUND_TIMEOUT)) {
+			console.debug('Skipping raised hand sound because it was played %.2f seconds ago', currentTime - this.lastPlayedRaisedHand)
+			return
+		}
+
+		console.debug('Playing raised hand sound')
+		this.lastPlayedRaisedHand = currentTime
+
+		soundsStore.playAudio('raisedHand')
+	},
 }
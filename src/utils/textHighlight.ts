@@ -0,0 +1,72 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Name to style the highlight with `::highlight(talk-search-term)`
+const HIGHLIGHT_NAME = 'talk-search-term'
+
+// CSS Custom Highlight API is not part of the DOM types of TypeScript yet
+type HighlightRegistry = Map<string, unknown>
+type HighlightConstructor = new (...ranges: Range[]) => unknown
+type HighlightWindow = {
+	CSS?: { highlights?: HighlightRegistry },
+	Highlight?: HighlightConstructor,
+}
+
+/**
+ * Find all (case-insensitive) occurrences of the term in the text of the element
+ *
+ * @param element the element to search in
+ * @param term the text to find
+ */
+export function findTextRanges(element: Element, term: string): Range[] {
+	const ranges: Range[] = []
+	const needle = term.trim().toLocaleLowerCase()
+	if (!needle) {
+		return ranges
+	}
+
+	const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT)
+	let node = walker.nextNode()
+	while (node) {
+		const text = node.textContent!.toLocaleLowerCase()
+		let index = text.indexOf(needle)
+		while (index !== -1) {
+			const range = document.createRange()
+			range.setStart(node, index)
+			range.setEnd(node, index + needle.length)
+			ranges.push(range)
+			index = text.indexOf(needle, index + needle.length)
+		}
+		node = walker.nextNode()
+	}
+
+	return ranges
+}
+
+/**
+ * Highlight the occurrences of the term in the element, replacing any previous highlight.
+ * Text nodes are not modified, so it does not interfere with the rendering of the element.
+ *
+ * @param element the element to highlight the term in
+ * @param term the text to highlight
+ * @return whether the browser supports highlighting
+ */
+export function highlightTextInElement(element: Element, term: string): boolean {
+	const highlights = (window as HighlightWindow).CSS?.highlights
+	const Highlight = (window as HighlightWindow).Highlight
+	if (!highlights || !Highlight) {
+		return false
+	}
+
+	highlights.set(HIGHLIGHT_NAME, new Highlight(...findTextRanges(element, term)))
+	return true
+}
+
+/**
+ * Remove the highlight of the term
+ */
+export function clearTextHighlight() {
+	(window as HighlightWindow).CSS?.highlights?.delete(HIGHLIGHT_NAME)
+}
@@ -0,0 +1,115 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+import { t } from '@nextcloud/l10n'
+import moment from '@nextcloud/moment'
+
+export type TimeOption = {
+	key: 'laterToday' | 'tomorrow' | 'thisWeekend' | 'nextWeek',
+	timestamp: number,
+	label: string,
+}
+
+/**
+ * Returns quick presets for a future time (e.g. for reminders or scheduled messages),
+ * presets that are not meaningful for the current date are skipped
+ *
+ * @param currentDate the date to calculate presets from
+ */
+function getTimeOptions(currentDate: Date = new Date()): TimeOption[] {
+	const currentDayOfWeek = currentDate.getDay()
+
+	const nextDay = new Date(currentDate)
+	nextDay.setDate(currentDate.getDate() + 1)
+
+	const nextSaturday = new Date(currentDate)
+	nextSaturday.setDate(currentDate.getDate() + ((6 + 7 - currentDayOfWeek) % 7 || 7))
+
+	const nextMonday = new Date(currentDate)
+	nextMonday.setDate(currentDate.getDate() + ((1 + 7 - currentDayOfWeek) % 7 || 7))
+
+	// Same day 18:00 PM (hidden if after 17:00 PM now)
+	const laterTodayTime = (currentDate.getHours() < 17)
+		? new Date(currentDate).setHours(18, 0, 0, 0)
+		: null
+
+	// Tomorrow 08:00 AM
+	const tomorrowTime = nextDay.setHours(8, 0, 0, 0)
+
+	// Saturday 08:00 AM (hidden if Friday, Saturday or Sunday now)
+	const thisWeekendTime = (![0, 5, 6].includes(currentDayOfWeek))
+		? nextSaturday.setHours(8, 0, 0, 0)
+		: null
+
+	// Next Monday 08:00 AM (hidden if Sunday now)
+	// TODO: use getFirstDay from nextcloud/l10n
+	const nextWeekTime = (currentDayOfWeek !== 0)
+		? nextMonday.setHours(8, 0, 0, 0)
+		: null
+
+	return [
+		{
+			key: 'laterToday',
+			timestamp: laterTodayTime,
+			label: t('spreed', 'Later today – {timeLocale}', { timeLocale: moment(laterTodayTime).format('LT') }),
+		},
+		{
+			key: 'tomorrow',
+			timestamp: tomorrowTime,
+			label: t('spreed', 'Tomorrow – {timeLocale}', { timeLocale: moment(tomorrowTime).format('ddd LT') }),
+		},
+		{
+			key: 'thisWeekend',
+			timestamp: thisWeekendTime,
+			label: t('spreed', 'This weekend – {timeLocale}', { timeLocale: moment(thisWeekendTime).format('ddd LT') }),
+		},
+		{
+			key: 'nextWeek',
+			timestamp: nextWeekTime,
+			label: t('spreed', 'Next week – {timeLocale}', { timeLocale: moment(nextWeekTime).format('ddd LT') }),
+		},
+	].filter((option): option is TimeOption => option.timestamp !== null)
+}
+
+/**
+ * Returns the offset (in ms) of the given timezone from UTC at the given moment
+ *
+ * @param timestamp the moment in ms
+ * @param timeZone IANA timezone name, e.g. 'Europe/Berlin'
+ */
+function getTimezoneOffset(timestamp: number, timeZone: string): number {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: 'numeric',
+		day: 'numeric',
+		hour: 'numeric',
+		minute: 'numeric',
+		second: 'numeric',
+	}).formatToParts(timestamp)
+	const values = Object.fromEntries(parts.map(({ type, value }) => [type, +value]))
+	const wallClockAsUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second)
+
+	return wallClockAsUtc - (timestamp - timestamp % 1000)
+}
+
+/**
+ * Returns the timestamp (in ms) of the wall-clock date and time, as picked
+ * in a local date picker, interpreted in another timezone
+ *
+ * @param date date with the wall-clock time to interpret
+ * @param timeZone IANA timezone name, e.g. 'Europe/Berlin'
+ */
+function getTimestampInTimezone(date: Date, timeZone: string): number {
+	const wallClockAsUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes())
+	// Offset may differ on both sides of a DST change, so correct the guess once
+	const guess = wallClockAsUtc - getTimezoneOffset(wallClockAsUtc, timeZone)
+	return wallClockAsUtc - getTimezoneOffset(guess, timeZone)
+}
+
+export {
+	getTimeOptions,
+	getTimestampInTimezone,
+}
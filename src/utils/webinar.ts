@@ -0,0 +1,40 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { CONVERSATION, PARTICIPANT } from '../constants.ts'
+import type { Conversation, Participant } from '../types/index.ts'
+
+type StageCandidate = Pick<Participant, 'participantType' | 'permissions'>
+
+/**
+ * Whether the conversation is in webinar mode.
+ * A webinar is a group or public conversation where participants join as
+ * audience, so only moderators and participants brought on stage are shown
+ * in the call. Note that the audience is only hidden in the call view, what
+ * participants can publish is still defined by their permissions.
+ *
+ * @param conversation The conversation to check
+ */
+function isWebinar(conversation: Pick<Conversation, 'type' | 'webinarMode'>): boolean {
+	return [CONVERSATION.TYPE.GROUP, CONVERSATION.TYPE.PUBLIC].includes(conversation.type)
+		&& conversation.webinarMode === CONVERSATION.WEBINAR_MODE.ENABLED
+}
+
+/**
+ * Whether the participant is a panelist of a webinar, that is, a moderator or
+ * a participant that can publish audio or video.
+ * The current user can be checked by passing the conversation instead.
+ *
+ * @param participant The participant to check
+ */
+function isOnStage(participant: StageCandidate): boolean {
+	return [PARTICIPANT.TYPE.OWNER, PARTICIPANT.TYPE.MODERATOR, PARTICIPANT.TYPE.GUEST_MODERATOR].includes(participant.participantType)
+		|| (participant.permissions & (PARTICIPANT.PERMISSIONS.PUBLISH_AUDIO | PARTICIPANT.PERMISSIONS.PUBLISH_VIDEO)) !== 0
+}
+
+export {
+	isOnStage,
+	isWebinar,
+}
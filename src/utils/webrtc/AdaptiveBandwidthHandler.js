@@ -0,0 +1,357 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { watch } from 'vue'
+
+import { ParticipantAnalyzer } from './analyzers/ParticipantAnalyzer.js'
+import { CONNECTION_QUALITY } from './analyzers/PeerConnectionAnalyzer.js'
+import { QUALITY } from './VideoConstrainer.js'
+import { LOW_BANDWIDTH } from '../../constants.ts'
+import BrowserStorage from '../../services/BrowserStorage.js'
+
+const DEGRADED_CONNECTION_QUALITIES = [
+	CONNECTION_QUALITY.BAD,
+	CONNECTION_QUALITY.VERY_BAD,
+	CONNECTION_QUALITY.NO_TRANSMITTED_DATA,
+]
+
+// Time to wait for a restriction to have effect before applying the next one
+const STEP_DOWN_DELAY = 5000
+// Time with a good quality before lifting the last applied restriction
+const STEP_UP_DELAY = 30000
+
+/**
+ * Helper to reduce the bandwidth used in a call when the connection degrades.
+ *
+ * When the analyzers report a degraded quality of the sent audio or video the
+ * restrictions defined by LOW_BANDWIDTH.LEVEL are applied one after the other
+ * until the quality is no longer degraded; once the quality is good again the
+ * restrictions are lifted one after the other too.
+ *
+ * The sent video quality and the local video are directly handled by this
+ * class, while the current level is set in the call view store for the views
+ * to adjust the received videos as needed.
+ *
+ * The automatic mode can be overridden with the low bandwidth mode set in the
+ * store; when it is always on the restrictions up to pausing the videos of
+ * non speakers are applied, even if the quality is good.
+ *
+ * When an MCU is used the sent media is the same for all the participants, so
+ * the quality reported by the CallAnalyzer is used. Otherwise the media is sent
+ * to each participant in a different connection, so each one is analyzed and
+ * the worst quality of all of them is used instead.
+ */
+export default class AdaptiveBandwidthHandler {
+
+	// Constants, properties
+	#callViewStore
+	#callAnalyzer
+	#localMediaModel
+	#sentVideoQualityThrottler
+	#callParticipantCollection
+	#participantAnalyzers
+
+	#automaticLevel
+	#level
+	#videoDisabledByHandler
+	#stepDownTimeout
+	#stepUpTimeout
+	#unwatchLowBandwidthMode
+
+	// Methods (bound to have access to 'this')
+	#handleConnectionQualityChangeBound
+	#handleParticipantConnectionQualityAudioChangeBound
+	#handleParticipantConnectionQualityVideoChangeBound
+	#handleAddParticipantBound
+	#handleRemoveParticipantBound
+	#handleLocalVideoEnabledChangeBound
+	#stepDownBound
+	#stepUpBound
+
+	/**
+	 * @param {object} callViewStore the store to get the mode from and to set
+	 *        the current level in.
+	 * @param {object} callAnalyzer the analyzer for the call.
+	 * @param {object} localMediaModel the model for the local media.
+	 * @param {object} sentVideoQualityThrottler the throttler of the sent
+	 *        video.
+	 * @param {object} callParticipantCollection the collection for the remote
+	 *        participants to analyze the connection with each of them; null if
+	 *        an MCU is used.
+	 */
+	constructor(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler, callParticipantCollection = null) {
+		this.#callViewStore = callViewStore
+		this.#callAnalyzer = callAnalyzer
+		this.#localMediaModel = localMediaModel
+		this.#sentVideoQualityThrottler = sentVideoQualityThrottler
+		this.#callParticipantCollection = callParticipantCollection
+		this.#participantAnalyzers = new Map()
+
+		this.#automaticLevel = LOW_BANDWIDTH.LEVEL.NONE
+		this.#level = LOW_BANDWIDTH.LEVEL.NONE
+		this.#videoDisabledByHandler = false
+		this.#stepDownTimeout = null
+		this.#stepUpTimeout = null
+
+		this.#handleConnectionQualityChangeBound = this.#handleConnectionQualityChange.bind(this)
+		this.#handleParticipantConnectionQualityAudioChangeBound = this.#handleParticipantConnectionQualityAudioChange.bind(this)
+		this.#handleParticipantConnectionQualityVideoChangeBound = this.#handleParticipantConnectionQualityVideoChange.bind(this)
+		this.#handleAddParticipantBound = this.#handleAddParticipant.bind(this)
+		this.#handleRemoveParticipantBound = this.#handleRemoveParticipant.bind(this)
+		this.#handleLocalVideoEnabledChangeBound = this.#handleLocalVideoEnabledChange.bind(this)
+		this.#stepDownBound = this.#stepDown.bind(this)
+		this.#stepUpBound = this.#stepUp.bind(this)
+
+		if (this.#callParticipantCollection) {
+			this.#callParticipantCollection.on('add', this.#handleAddParticipantBound)
+			this.#callParticipantCollection.on('remove', this.#handleRemoveParticipantBound)
+
+			this.#callParticipantCollection.callParticipantModels.value.forEach(callParticipantModel => {
+				this.#handleAddParticipant(this.#callParticipantCollection, callParticipantModel)
+			})
+		} else {
+			this.#callAnalyzer.on('change:senderConnectionQualityAudio', this.#handleConnectionQualityChangeBound)
+			this.#callAnalyzer.on('change:senderConnectionQualityVideo', this.#handleConnectionQualityChangeBound)
+		}
+
+		this.#localMediaModel.on('change:videoEnabled', this.#handleLocalVideoEnabledChangeBound)
+
+		this.#unwatchLowBandwidthMode = watch(() => this.#callViewStore.lowBandwidthMode, () => {
+			this.#updateLevel()
+		})
+
+		this.#updateLevel()
+	}
+
+	/**
+	 * Destroy a handler, remove all listeners and lift the restrictions
+	 */
+	destroy() {
+		if (this.#callParticipantCollection) {
+			this.#callParticipantCollection.off('add', this.#handleAddParticipantBound)
+			this.#callParticipantCollection.off('remove', this.#handleRemoveParticipantBound)
+
+			this.#participantAnalyzers.forEach(({ participantAnalyzer }) => {
+				this.#destroyParticipantAnalyzer(participantAnalyzer)
+			})
+			this.#participantAnalyzers.clear()
+		} else {
+			this.#callAnalyzer.off('change:senderConnectionQualityAudio', this.#handleConnectionQualityChangeBound)
+			this.#callAnalyzer.off('change:senderConnectionQualityVideo', this.#handleConnectionQualityChangeBound)
+		}
+
+		this.#localMediaModel.off('change:videoEnabled', this.#handleLocalVideoEnabledChangeBound)
+
+		this.#unwatchLowBandwidthMode()
+
+		clearTimeout(this.#stepDownTimeout)
+		clearTimeout(this.#stepUpTimeout)
+
+		// The video was not disabled by the user, so it should not be
+		// remembered as disabled for the next call.
+		if (this.#videoDisabledByHandler) {
+			BrowserStorage.removeItem('videoDisabled_' + this.#localMediaModel.get('token'))
+		}
+
+		this.#callViewStore.setLowBandwidthLevel(LOW_BANDWIDTH.LEVEL.NONE)
+	}
+
+	/**
+	 * Analyze the connection with a participant joining the call
+	 *
+	 * @param {object} callParticipantCollection the collection of participants
+	 * @param {object} callParticipantModel the model of the added participant
+	 */
+	#handleAddParticipant(callParticipantCollection, callParticipantModel) {
+		const participantAnalyzer = new ParticipantAnalyzer()
+		participantAnalyzer.on('change:senderConnectionQualityAudio', this.#handleParticipantConnectionQualityAudioChangeBound)
+		participantAnalyzer.on('change:senderConnectionQualityVideo', this.#handleParticipantConnectionQualityVideoChangeBound)
+
+		this.#participantAnalyzers.set(callParticipantModel.get('peerId'), {
+			participantAnalyzer,
+			senderConnectionQualityAudio: null,
+			senderConnectionQualityVideo: null,
+		})
+
+		participantAnalyzer.setSenderReceiverParticipant(this.#localMediaModel, callParticipantModel)
+	}
+
+	/**
+	 * Stop analyzing the connection with a participant leaving the call
+	 *
+	 * @param {object} callParticipantCollection the collection of participants
+	 * @param {object} callParticipantModel the model of the removed participant
+	 */
+	#handleRemoveParticipant(callParticipantCollection, callParticipantModel) {
+		const peerId = callParticipantModel.get('peerId')
+
+		const { participantAnalyzer } = this.#participantAnalyzers.get(peerId) ?? {}
+		if (!participantAnalyzer) {
+			return
+		}
+
+		this.#destroyParticipantAnalyzer(participantAnalyzer)
+		this.#participantAnalyzers.delete(peerId)
+
+		// The removed participant may be the one with the worst quality.
+		this.#handleConnectionQualityChange()
+	}
+
+	#destroyParticipantAnalyzer(participantAnalyzer) {
+		participantAnalyzer.off('change:senderConnectionQualityAudio', this.#handleParticipantConnectionQualityAudioChangeBound)
+		participantAnalyzer.off('change:senderConnectionQualityVideo', this.#handleParticipantConnectionQualityVideoChangeBound)
+		participantAnalyzer.destroy()
+	}
+
+	#handleParticipantConnectionQualityAudioChange(participantAnalyzer, senderConnectionQualityAudio) {
+		this.#setParticipantConnectionQuality(participantAnalyzer, 'senderConnectionQualityAudio', senderConnectionQualityAudio)
+	}
+
+	#handleParticipantConnectionQualityVideoChange(participantAnalyzer, senderConnectionQualityVideo) {
+		this.#setParticipantConnectionQuality(participantAnalyzer, 'senderConnectionQualityVideo', senderConnectionQualityVideo)
+	}
+
+	#setParticipantConnectionQuality(participantAnalyzer, key, connectionQuality) {
+		for (const participant of this.#participantAnalyzers.values()) {
+			if (participant.participantAnalyzer === participantAnalyzer) {
+				participant[key] = connectionQuality
+				this.#handleConnectionQualityChange()
+
+				return
+			}
+		}
+	}
+
+	/**
+	 * Get the worst quality of the sent audio and video
+	 *
+	 * Without an MCU this is the worst quality of the connections with all the
+	 * participants.
+	 *
+	 * The video is ignored if disabled, as in that case its quality is not
+	 * updated.
+	 *
+	 * @return {number|null} the CONNECTION_QUALITY, or null if unknown
+	 */
+	#getConnectionQuality() {
+		const senders = this.#callParticipantCollection ? [...this.#participantAnalyzers.values()] : [this.#callAnalyzer.attributes]
+
+		const connectionQualities = senders.map(sender => sender.senderConnectionQualityAudio)
+		if (this.#localMediaModel.get('videoEnabled')) {
+			connectionQualities.push(...senders.map(sender => sender.senderConnectionQualityVideo))
+		}
+
+		const knownConnectionQualities = connectionQualities.filter(connectionQuality => connectionQuality !== null && connectionQuality !== CONNECTION_QUALITY.UNKNOWN)
+		if (!knownConnectionQualities.length) {
+			return null
+		}
+
+		return Math.max(...knownConnectionQualities)
+	}
+
+	/**
+	 * Schedule the next step down or up depending on the current quality
+	 *
+	 * A medium or unknown quality keeps the current level.
+	 */
+	#handleConnectionQualityChange() {
+		const connectionQuality = this.#getConnectionQuality()
+
+		if (DEGRADED_CONNECTION_QUALITIES.includes(connectionQuality)) {
+			clearTimeout(this.#stepUpTimeout)
+			this.#stepUpTimeout = null
+
+			if (!this.#stepDownTimeout && this.#automaticLevel < LOW_BANDWIDTH.LEVEL.AUDIO_ONLY) {
+				this.#stepDownTimeout = setTimeout(this.#stepDownBound, STEP_DOWN_DELAY)
+			}
+
+			return
+		}
+
+		clearTimeout(this.#stepDownTimeout)
+		this.#stepDownTimeout = null
+
+		if (connectionQuality !== CONNECTION_QUALITY.GOOD) {
+			clearTimeout(this.#stepUpTimeout)
+			this.#stepUpTimeout = null
+
+			return
+		}
+
+		if (!this.#stepUpTimeout && this.#automaticLevel > LOW_BANDWIDTH.LEVEL.NONE) {
+			this.#stepUpTimeout = setTimeout(this.#stepUpBound, STEP_UP_DELAY)
+		}
+	}
+
+	/**
+	 * Forget that the video was disabled by the handler if the user enables it
+	 * again, so it is not changed once the restrictions are lifted.
+	 *
+	 * @param {object} localMediaModel the local media model
+	 * @param {boolean} videoEnabled whether the video is enabled or not
+	 */
+	#handleLocalVideoEnabledChange(localMediaModel, videoEnabled) {
+		if (videoEnabled) {
+			this.#videoDisabledByHandler = false
+		}
+	}
+
+	#stepDown() {
+		this.#stepDownTimeout = null
+
+		this.#automaticLevel++
+		this.#updateLevel()
+
+		// The quality may not change again if the restriction had no effect,
+		// so the next step needs to be scheduled explicitly.
+		this.#handleConnectionQualityChange()
+	}
+
+	#stepUp() {
+		this.#stepUpTimeout = null
+
+		this.#automaticLevel--
+		this.#updateLevel()
+
+		this.#handleConnectionQualityChange()
+	}
+
+	/**
+	 * Apply the level for the current mode and automatic level
+	 */
+	#updateLevel() {
+		let level = this.#automaticLevel
+		if (this.#callViewStore.lowBandwidthMode === LOW_BANDWIDTH.MODE.OFF) {
+			level = LOW_BANDWIDTH.LEVEL.NONE
+		} else if (this.#callViewStore.lowBandwidthMode === LOW_BANDWIDTH.MODE.ON) {
+			level = Math.max(level, LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED)
+		}
+
+		if (level === this.#level) {
+			return
+		}
+
+		this.#level = level
+
+		if (level >= LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED) {
+			this.#sentVideoQualityThrottler.setMaximumQuality(QUALITY.VERY_LOW)
+		} else if (level >= LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO) {
+			this.#sentVideoQualityThrottler.setMaximumQuality(QUALITY.LOW)
+		} else {
+			this.#sentVideoQualityThrottler.setMaximumQuality(QUALITY.HIGH)
+		}
+
+		if (level === LOW_BANDWIDTH.LEVEL.AUDIO_ONLY && this.#localMediaModel.get('videoEnabled')) {
+			this.#videoDisabledByHandler = true
+			this.#localMediaModel.disableVideo()
+		} else if (level !== LOW_BANDWIDTH.LEVEL.AUDIO_ONLY && this.#videoDisabledByHandler) {
+			this.#videoDisabledByHandler = false
+			this.#localMediaModel.enableVideo()
+		}
+
+		this.#callViewStore.setLowBandwidthLevel(level)
+	}
+
+}
@@ -0,0 +1,289 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { createPinia, setActivePinia } from 'pinia'
+import { nextTick, ref } from 'vue'
+
+import AdaptiveBandwidthHandler from './AdaptiveBandwidthHandler.js'
+import { CONNECTION_QUALITY } from './analyzers/PeerConnectionAnalyzer.js'
+import { QUALITY } from './VideoConstrainer.js'
+import { LOW_BANDWIDTH } from '../../constants.ts'
+import { useCallViewStore } from '../../stores/callView.ts'
+import EmitterMixin from '../EmitterMixin.js'
+
+/**
+ * Stub of models with just the attributes and methods used by
+ * AdaptiveBandwidthHandler.
+ *
+ * @param {object} attributes the initial attributes
+ */
+function ModelStub(attributes) {
+	this._superEmitterMixin()
+
+	this.attributes = attributes
+
+	this.get = (key) => {
+		return this.attributes[key]
+	}
+
+	this.set = (key, value) => {
+		this.attributes[key] = value
+		this._trigger('change:' + key, [value])
+	}
+
+	this.disableVideo = jest.fn(() => {
+		this.set('videoEnabled', false)
+	})
+
+	this.enableVideo = jest.fn(() => {
+		this.set('videoEnabled', true)
+	})
+}
+EmitterMixin.apply(ModelStub.prototype)
+
+/**
+ * Stub of ParticipantAnalyzer to set the sender quality from the tests.
+ */
+function MockParticipantAnalyzer() {
+	this._superEmitterMixin()
+
+	this.callParticipantModel = null
+
+	this.setSenderReceiverParticipant = jest.fn((localMediaModel, callParticipantModel) => {
+		this.callParticipantModel = callParticipantModel
+	})
+
+	this.destroy = jest.fn()
+
+	this.setConnectionQuality = (connectionQuality) => {
+		this._trigger('change:senderConnectionQualityAudio', [connectionQuality])
+		this._trigger('change:senderConnectionQualityVideo', [connectionQuality])
+	}
+}
+EmitterMixin.apply(MockParticipantAnalyzer.prototype)
+
+const mockParticipantAnalyzers = []
+jest.mock('./analyzers/ParticipantAnalyzer.js', () => ({
+	ParticipantAnalyzer: jest.fn(() => {
+		const participantAnalyzer = new MockParticipantAnalyzer()
+		mockParticipantAnalyzers.push(participantAnalyzer)
+		return participantAnalyzer
+	}),
+}))
+
+describe('AdaptiveBandwidthHandler', () => {
+	let callViewStore
+	let callAnalyzer
+	let localMediaModel
+	let sentVideoQualityThrottler
+	let adaptiveBandwidthHandler
+
+	/**
+	 * Sets the quality reported by the analyzer for the sent audio and video.
+	 *
+	 * @param {number} connectionQuality the CONNECTION_QUALITY
+	 */
+	function setConnectionQuality(connectionQuality) {
+		callAnalyzer.set('senderConnectionQualityAudio', connectionQuality)
+		callAnalyzer.set('senderConnectionQualityVideo', connectionQuality)
+	}
+
+	beforeEach(() => {
+		jest.useFakeTimers()
+
+		setActivePinia(createPinia())
+		callViewStore = useCallViewStore()
+
+		callAnalyzer = new ModelStub({
+			senderConnectionQualityAudio: null,
+			senderConnectionQualityVideo: null,
+		})
+		localMediaModel = new ModelStub({ token: 'XXTOKENXX', videoEnabled: true })
+		sentVideoQualityThrottler = {
+			setMaximumQuality: jest.fn(),
+		}
+	})
+
+	afterEach(() => {
+		adaptiveBandwidthHandler.destroy()
+
+		mockParticipantAnalyzers.length = 0
+		jest.clearAllMocks()
+		jest.useRealTimers()
+	})
+
+	test('steps down while the quality is degraded', () => {
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+
+		jest.advanceTimersByTime(4999)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+
+		jest.advanceTimersByTime(1)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO)
+		expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.LOW)
+
+		jest.advanceTimersByTime(5000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.LOW_RECEIVED_VIDEO)
+
+		jest.advanceTimersByTime(5000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED)
+		expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.VERY_LOW)
+		expect(localMediaModel.disableVideo).not.toHaveBeenCalled()
+
+		jest.advanceTimersByTime(5000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+		expect(localMediaModel.disableVideo).toHaveBeenCalledTimes(1)
+
+		jest.advanceTimersByTime(60000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+	})
+
+	test('keeps the level while the quality is medium', () => {
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		setConnectionQuality(CONNECTION_QUALITY.BAD)
+		jest.advanceTimersByTime(5000)
+		setConnectionQuality(CONNECTION_QUALITY.MEDIUM)
+
+		jest.advanceTimersByTime(60000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO)
+	})
+
+	test('steps up after the quality is good for some time', () => {
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+		jest.advanceTimersByTime(20000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+
+		// Only the audio quality is taken into account once the video is
+		// disabled
+		callAnalyzer.set('senderConnectionQualityAudio', CONNECTION_QUALITY.GOOD)
+
+		jest.advanceTimersByTime(29999)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+
+		jest.advanceTimersByTime(1)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED)
+		expect(localMediaModel.enableVideo).toHaveBeenCalledTimes(1)
+
+		callAnalyzer.set('senderConnectionQualityVideo', CONNECTION_QUALITY.GOOD)
+
+		jest.advanceTimersByTime(90000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+		expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.HIGH)
+	})
+
+	test('does not enable the video again if enabled by the user in the meantime', () => {
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+		jest.advanceTimersByTime(20000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+
+		localMediaModel.set('videoEnabled', true)
+		localMediaModel.set('videoEnabled', false)
+
+		setConnectionQuality(CONNECTION_QUALITY.GOOD)
+		jest.advanceTimersByTime(30000)
+
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED)
+		expect(localMediaModel.enableVideo).not.toHaveBeenCalled()
+	})
+
+	test('applies the manual override', async () => {
+		callViewStore.setLowBandwidthMode(LOW_BANDWIDTH.MODE.ON)
+
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NON_SPEAKERS_VIDEO_PAUSED)
+
+		// Further restrictions are still automatically applied
+		setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+		jest.advanceTimersByTime(20000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+
+		callViewStore.setLowBandwidthMode(LOW_BANDWIDTH.MODE.OFF)
+		await nextTick()
+
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+		expect(localMediaModel.enableVideo).toHaveBeenCalledTimes(1)
+		expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.HIGH)
+
+		callViewStore.setLowBandwidthMode(LOW_BANDWIDTH.MODE.AUTO)
+		await nextTick()
+
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.AUDIO_ONLY)
+	})
+
+	test('lifts the restrictions when destroyed', () => {
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler)
+
+		setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+		jest.advanceTimersByTime(10000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.LOW_RECEIVED_VIDEO)
+
+		adaptiveBandwidthHandler.destroy()
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+
+		jest.advanceTimersByTime(10000)
+		expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+	})
+
+	describe('without an MCU', () => {
+		let callParticipantCollection
+
+		/**
+		 * Returns the analyzer of the given remote participant.
+		 *
+		 * @param {object} callParticipantModel the model of the participant
+		 */
+		function getParticipantAnalyzer(callParticipantModel) {
+			return mockParticipantAnalyzers.find(participantAnalyzer => participantAnalyzer.callParticipantModel === callParticipantModel)
+		}
+
+		beforeEach(() => {
+			callParticipantCollection = new ModelStub({})
+			callParticipantCollection.callParticipantModels = ref([
+				new ModelStub({ peerId: 'peer1' }),
+			])
+		})
+
+		test('steps down while the quality with any participant is degraded', () => {
+			adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(callViewStore, callAnalyzer, localMediaModel, sentVideoQualityThrottler, callParticipantCollection)
+
+			const callParticipantModel1 = callParticipantCollection.callParticipantModels.value[0]
+			const callParticipantModel2 = new ModelStub({ peerId: 'peer2' })
+			callParticipantCollection._trigger('add', [callParticipantModel2])
+
+			expect(getParticipantAnalyzer(callParticipantModel1).setSenderReceiverParticipant).toHaveBeenCalledWith(localMediaModel, callParticipantModel1)
+			expect(getParticipantAnalyzer(callParticipantModel2).setSenderReceiverParticipant).toHaveBeenCalledWith(localMediaModel, callParticipantModel2)
+
+			// The quality reported by the CallAnalyzer is ignored
+			setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+			jest.advanceTimersByTime(5000)
+			expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+
+			getParticipantAnalyzer(callParticipantModel1).setConnectionQuality(CONNECTION_QUALITY.GOOD)
+			getParticipantAnalyzer(callParticipantModel2).setConnectionQuality(CONNECTION_QUALITY.VERY_BAD)
+
+			jest.advanceTimersByTime(5000)
+			expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.REDUCED_SENT_VIDEO)
+			expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.LOW)
+
+			// Only the connections with the remaining participants are taken
+			// into account
+			const participantAnalyzer2 = getParticipantAnalyzer(callParticipantModel2)
+			callParticipantCollection._trigger('remove', [callParticipantModel2])
+			expect(participantAnalyzer2.destroy).toHaveBeenCalled()
+
+			jest.advanceTimersByTime(30000)
+			expect(callViewStore.lowBandwidthLevel).toBe(LOW_BANDWIDTH.LEVEL.NONE)
+			expect(sentVideoQualityThrottler.setMaximumQuality).toHaveBeenLastCalledWith(QUALITY.HIGH)
+		})
+	})
+})
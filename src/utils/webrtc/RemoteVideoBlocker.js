@@ -13,6 +13,9 @@
  * The remote video is not immediately hidden when no longer visible; a few
  * seconds are waited to avoid blocking and unblocking on layout changes.
  *
+ * Besides that, the remote video can be temporarily paused (for example, to save
+ * bandwidth), which blocks it even if visible and enabled by the local user.
+ *
  * "increaseVisibleCounter()" can be called several times by the same view, but
  * "decreaseVisibleCounter()" must have been called a corresponding number of
  * times once the view is destroyed.
@@ -43,6 +46,7 @@ export default function RemoteVideoBlocker(callParticipantModel) {
 	this._blocked = false
 
 	this._enabled = true
+	this._paused = false
 	this._visibleCounter = 1
 
 	this._blockVideoTimeout = null
@@ -70,16 +74,21 @@ RemoteVideoBlocker.prototype = {
 
 		this._enabled = enabled
 
-		const hadBlockVideoTimeout = this._blockVideoTimeout
+		this._updateVideoBlocked()
+	},
 
-		clearTimeout(this._blockVideoTimeout)
-		this._blockVideoTimeout = null
+	isVideoPaused() {
+		return this._paused
+	},
 
-		if (!this._visibleCounter && !hadBlockVideoTimeout) {
+	setVideoPaused(paused) {
+		if (this._destroyed || this._paused === paused) {
 			return
 		}
 
-		this._setVideoBlocked(!enabled)
+		this._paused = paused
+
+		this._updateVideoBlocked()
 	},
 
 	increaseVisibleCounter() {
@@ -92,7 +101,7 @@ RemoteVideoBlocker.prototype = {
 		clearTimeout(this._blockVideoTimeout)
 		this._blockVideoTimeout = null
 
-		if (!this._enabled) {
+		if (!this._isVideoWanted()) {
 			return
 		}
 
@@ -112,7 +121,7 @@ RemoteVideoBlocker.prototype = {
 
 		this._visibleCounter--
 
-		if (this._visibleCounter > 0 || !this._enabled) {
+		if (this._visibleCounter > 0 || !this._isVideoWanted()) {
 			return
 		}
 
@@ -125,6 +134,23 @@ RemoteVideoBlocker.prototype = {
 		}, 5000)
 	},
 
+	_isVideoWanted() {
+		return this._enabled && !this._paused
+	},
+
+	_updateVideoBlocked() {
+		const hadBlockVideoTimeout = this._blockVideoTimeout
+
+		clearTimeout(this._blockVideoTimeout)
+		this._blockVideoTimeout = null
+
+		if (!this._visibleCounter && !hadBlockVideoTimeout) {
+			return
+		}
+
+		this._setVideoBlocked(!this._isVideoWanted())
+	},
+
 	_setVideoBlocked(blocked) {
 		if (this._blocked === blocked) {
 			return
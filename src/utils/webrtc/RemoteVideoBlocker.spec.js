@@ -323,6 +323,73 @@ describe('RemoteVideoBlocker', () => {
 		})
 	})
 
+	describe('set video paused', () => {
+		test('immediately blocks the video if visible', () => {
+			remoteVideoBlocker.increaseVisibleCounter()
+
+			remoteVideoBlocker.setVideoPaused(true)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(1)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledWith(true)
+
+			expect(remoteVideoBlocker.isVideoPaused()).toBe(true)
+			expect(remoteVideoBlocker.isVideoEnabled()).toBe(true)
+		})
+
+		test('immediately unblocks the video if visible', () => {
+			remoteVideoBlocker.increaseVisibleCounter()
+
+			remoteVideoBlocker.setVideoPaused(true)
+			remoteVideoBlocker.setVideoPaused(false)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(2)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenNthCalledWith(2, false)
+
+			expect(remoteVideoBlocker.isVideoPaused()).toBe(false)
+		})
+
+		test('does nothing if shown when paused', () => {
+			remoteVideoBlocker.setVideoPaused(true)
+
+			jest.advanceTimersByTime(5000)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(1)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledWith(true)
+
+			remoteVideoBlocker.increaseVisibleCounter()
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(1)
+		})
+
+		test('does nothing if not changed', () => {
+			remoteVideoBlocker.increaseVisibleCounter()
+			remoteVideoBlocker.decreaseVisibleCounter()
+
+			remoteVideoBlocker.setVideoPaused(false)
+
+			jest.advanceTimersByTime(5000)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(1)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledWith(true)
+		})
+
+		test('keeps the video blocked if resumed when disabled', () => {
+			remoteVideoBlocker.increaseVisibleCounter()
+
+			remoteVideoBlocker.setVideoPaused(true)
+			remoteVideoBlocker.setVideoEnabled(false)
+			remoteVideoBlocker.setVideoPaused(false)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(1)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledWith(true)
+
+			remoteVideoBlocker.setVideoEnabled(true)
+
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenCalledTimes(2)
+			expect(callParticipantModel.setVideoBlocked).toHaveBeenNthCalledWith(2, false)
+		})
+	})
+
 	describe('destroy', () => {
 		test('prevents the video from being blocked by default if not shown in some seconds', () => {
 			jest.advanceTimersByTime(4000)
@@ -33,6 +33,8 @@ export default function SentVideoQualityThrottler(localMediaModel, callParticipa
 	this._gracePeriodAfterSpeakingTimeout = null
 	this._speakingOrInGracePeriodAfterSpeaking = false
 
+	this._maximumQuality = QUALITY.HIGH
+
 	this._availableVideosThreshold = {}
 	this._availableVideosThreshold[QUALITY.THUMBNAIL] = 15
 	this._availableVideosThreshold[QUALITY.VERY_LOW] = 10
@@ -68,6 +70,17 @@ SentVideoQualityThrottler.prototype = {
 		this._stopListeningToChanges()
 	},
 
+	/**
+	 * Sets the highest quality that can be used, no matter the call state.
+	 *
+	 * @param {number} maximumQuality the maximum quality, as a QUALITY value.
+	 */
+	setMaximumQuality(maximumQuality) {
+		this._maximumQuality = maximumQuality
+
+		this._adjustVideoQualityIfNeeded()
+	},
+
 	_handleLocalVideoAvailableChange(localMediaModel, videoAvailable) {
 		if (videoAvailable) {
 			this._startListeningToChanges()
@@ -160,7 +173,7 @@ SentVideoQualityThrottler.prototype = {
 			return
 		}
 
-		const quality = this._getQualityForState()
+		const quality = Math.min(this._getQualityForState(), this._maximumQuality)
 		this._videoConstrainer.applyConstraints(quality)
 	},
 
@@ -0,0 +1,294 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { CONNECTION_QUALITY } from './PeerConnectionAnalyzer.js'
+import { ConnectionState } from '../models/CallParticipantModel.js'
+
+const CONNECTION_QUALITY_NAMES = {
+	[CONNECTION_QUALITY.UNKNOWN]: 'unknown',
+	[CONNECTION_QUALITY.GOOD]: 'good',
+	[CONNECTION_QUALITY.MEDIUM]: 'medium',
+	[CONNECTION_QUALITY.BAD]: 'bad',
+	[CONNECTION_QUALITY.VERY_BAD]: 'veryBad',
+	[CONNECTION_QUALITY.NO_TRANSMITTED_DATA]: 'noTransmittedData',
+}
+
+const CONNECTED_STATES = [
+	ConnectionState.CONNECTED,
+	ConnectionState.COMPLETED,
+]
+
+const INTERRUPTED_STATES = [
+	ConnectionState.DISCONNECTED,
+	ConnectionState.DISCONNECTED_LONG,
+	ConnectionState.FAILED,
+	ConnectionState.FAILED_NO_RESTART,
+]
+
+/**
+ * Returns the milliseconds as seconds, rounded to one decimal.
+ *
+ * @param {number} milliseconds the milliseconds to convert
+ */
+function toSeconds(milliseconds) {
+	return Math.round(milliseconds / 100) / 10
+}
+
+/**
+ * Recorder of aggregated stats about the quality of a call.
+ *
+ * After a CallQualityRecorder is created it will automatically start recording
+ * the time spent in each quality state of the sent audio, video and screen
+ * (as reported by the CallAnalyzer), the media toggles of the local
+ * participant, and the disconnections, failures and reconnections of each
+ * remote participant (as reported by the connection state of their
+ * CallParticipantModel).
+ *
+ * Once the call ends "destroy()" must be called to stop recording; the report
+ * can be got with "getReport()" at any time, both during the call and after it
+ * ended.
+ *
+ * @param {string} token the token of the conversation.
+ * @param {object} callAnalyzer the analyzer for the call.
+ * @param {object} localMediaModel the model for the local media.
+ * @param {object} callParticipantCollection the collection
+ * for the remote participants.
+ */
+export default function CallQualityRecorder(token, callAnalyzer, localMediaModel, callParticipantCollection) {
+	this._token = token
+	this._callAnalyzer = callAnalyzer
+	this._localMediaModel = localMediaModel
+	this._callParticipantCollection = callParticipantCollection
+
+	this._startTime = Date.now()
+	this._endTime = null
+
+	this._connectionQuality = {}
+	for (const kind of ['audio', 'video', 'screen']) {
+		this._connectionQuality[kind] = {
+			quality: CONNECTION_QUALITY.UNKNOWN,
+			since: this._startTime,
+			durations: Object.fromEntries(Object.values(CONNECTION_QUALITY_NAMES).map((name) => [name, 0])),
+		}
+	}
+
+	this._mediaToggles = {
+		audio: { enabled: 0, disabled: 0 },
+		video: { enabled: 0, disabled: 0 },
+		screen: { started: 0, stopped: 0 },
+	}
+
+	this._participants = new Map()
+
+	this._handleSenderConnectionQualityAudioChangeBound = this._handleSenderConnectionQualityAudioChange.bind(this)
+	this._handleSenderConnectionQualityVideoChangeBound = this._handleSenderConnectionQualityVideoChange.bind(this)
+	this._handleSenderConnectionQualityScreenChangeBound = this._handleSenderConnectionQualityScreenChange.bind(this)
+	this._handleAudioEnabledChangeBound = this._handleAudioEnabledChange.bind(this)
+	this._handleVideoEnabledChangeBound = this._handleVideoEnabledChange.bind(this)
+	this._handleLocalScreenChangeBound = this._handleLocalScreenChange.bind(this)
+	this._handleAddParticipantBound = this._handleAddParticipant.bind(this)
+	this._handleRemoveParticipantBound = this._handleRemoveParticipant.bind(this)
+	this._handleConnectionStateChangeBound = this._handleConnectionStateChange.bind(this)
+
+	this._callAnalyzer.on('change:senderConnectionQualityAudio', this._handleSenderConnectionQualityAudioChangeBound)
+	this._callAnalyzer.on('change:senderConnectionQualityVideo', this._handleSenderConnectionQualityVideoChangeBound)
+	this._callAnalyzer.on('change:senderConnectionQualityScreen', this._handleSenderConnectionQualityScreenChangeBound)
+
+	this._localMediaModel.on('change:audioEnabled', this._handleAudioEnabledChangeBound)
+	this._localMediaModel.on('change:videoEnabled', this._handleVideoEnabledChangeBound)
+	this._localMediaModel.on('change:localScreen', this._handleLocalScreenChangeBound)
+
+	this._callParticipantCollection.on('add', this._handleAddParticipantBound)
+	this._callParticipantCollection.on('remove', this._handleRemoveParticipantBound)
+
+	this._callParticipantCollection.callParticipantModels.value.forEach(callParticipantModel => {
+		this._handleAddParticipant(this._callParticipantCollection, callParticipantModel)
+	})
+}
+CallQualityRecorder.prototype = {
+
+	destroy() {
+		if (this._endTime !== null) {
+			return
+		}
+
+		this._callAnalyzer.off('change:senderConnectionQualityAudio', this._handleSenderConnectionQualityAudioChangeBound)
+		this._callAnalyzer.off('change:senderConnectionQualityVideo', this._handleSenderConnectionQualityVideoChangeBound)
+		this._callAnalyzer.off('change:senderConnectionQualityScreen', this._handleSenderConnectionQualityScreenChangeBound)
+
+		this._localMediaModel.off('change:audioEnabled', this._handleAudioEnabledChangeBound)
+		this._localMediaModel.off('change:videoEnabled', this._handleVideoEnabledChangeBound)
+		this._localMediaModel.off('change:localScreen', this._handleLocalScreenChangeBound)
+
+		this._callParticipantCollection.off('add', this._handleAddParticipantBound)
+		this._callParticipantCollection.off('remove', this._handleRemoveParticipantBound)
+
+		this._participants.forEach(({ callParticipantModel }) => {
+			this._handleRemoveParticipant(this._callParticipantCollection, callParticipantModel)
+		})
+
+		this._endTime = Date.now()
+
+		for (const kind of ['audio', 'video', 'screen']) {
+			this._setConnectionQuality(kind, CONNECTION_QUALITY.UNKNOWN, this._endTime)
+		}
+	},
+
+	/**
+	 * Returns the aggregated stats of the call.
+	 *
+	 * All the durations are given in seconds. If the call has not ended yet
+	 * the current values are returned, and "endedAt" is null.
+	 *
+	 * @return {object} plain object that can be serialized as JSON
+	 */
+	getReport() {
+		const now = this._endTime ?? Date.now()
+
+		const connectionQuality = {}
+		for (const kind of ['audio', 'video', 'screen']) {
+			const { quality, since, durations } = this._connectionQuality[kind]
+			connectionQuality[kind] = {}
+			for (const [name, duration] of Object.entries(durations)) {
+				connectionQuality[kind][name] = toSeconds(duration + (CONNECTION_QUALITY_NAMES[quality] === name ? now - since : 0))
+			}
+		}
+
+		const participants = []
+		this._participants.forEach((participant) => {
+			participants.push({
+				peerId: participant.peerId,
+				actorType: participant.callParticipantModel.get('actorType') ?? null,
+				actorId: participant.callParticipantModel.get('actorId') ?? null,
+				name: participant.callParticipantModel.get('name') ?? null,
+				joinedAt: new Date(participant.joinTime).toISOString(),
+				leftAt: participant.leaveTime !== null ? new Date(participant.leaveTime).toISOString() : null,
+				connectedTime: toSeconds(participant.connectedTime + (participant.connectedSince !== null ? now - participant.connectedSince : 0)),
+				disconnections: participant.disconnections,
+				failures: participant.failures,
+				reconnections: participant.reconnections,
+			})
+		})
+
+		return {
+			token: this._token,
+			startedAt: new Date(this._startTime).toISOString(),
+			endedAt: this._endTime !== null ? new Date(this._endTime).toISOString() : null,
+			duration: toSeconds(now - this._startTime),
+			userAgent: navigator.userAgent,
+			connectionQuality,
+			mediaToggles: {
+				audio: { ...this._mediaToggles.audio },
+				video: { ...this._mediaToggles.video },
+				screen: { ...this._mediaToggles.screen },
+			},
+			participants,
+		}
+	},
+
+	_setConnectionQuality(kind, quality, now = Date.now()) {
+		const connectionQuality = this._connectionQuality[kind]
+
+		connectionQuality.durations[CONNECTION_QUALITY_NAMES[connectionQuality.quality]] += now - connectionQuality.since
+		connectionQuality.quality = quality
+		connectionQuality.since = now
+	},
+
+	_handleSenderConnectionQualityAudioChange(callAnalyzer, senderConnectionQualityAudio) {
+		this._setConnectionQuality('audio', senderConnectionQualityAudio ?? CONNECTION_QUALITY.UNKNOWN)
+	},
+
+	_handleSenderConnectionQualityVideoChange(callAnalyzer, senderConnectionQualityVideo) {
+		this._setConnectionQuality('video', senderConnectionQualityVideo ?? CONNECTION_QUALITY.UNKNOWN)
+	},
+
+	_handleSenderConnectionQualityScreenChange(callAnalyzer, senderConnectionQualityScreen) {
+		this._setConnectionQuality('screen', senderConnectionQualityScreen ?? CONNECTION_QUALITY.UNKNOWN)
+	},
+
+	_handleAudioEnabledChange(localMediaModel, audioEnabled) {
+		this._mediaToggles.audio[audioEnabled ? 'enabled' : 'disabled']++
+	},
+
+	_handleVideoEnabledChange(localMediaModel, videoEnabled) {
+		this._mediaToggles.video[videoEnabled ? 'enabled' : 'disabled']++
+	},
+
+	_handleLocalScreenChange(localMediaModel, localScreen) {
+		this._mediaToggles.screen[localScreen ? 'started' : 'stopped']++
+	},
+
+	_handleAddParticipant(callParticipantCollection, callParticipantModel) {
+		const peerId = callParticipantModel.get('peerId')
+
+		// A participant that left and joined again is recorded as a new
+		// participant (it will have a different peer id anyway).
+		this._participants.set(peerId, {
+			peerId,
+			callParticipantModel,
+			joinTime: Date.now(),
+			leaveTime: null,
+			connectedSince: null,
+			connectedTime: 0,
+			interrupted: false,
+			disconnections: 0,
+			failures: 0,
+			reconnections: 0,
+		})
+
+		callParticipantModel.on('change:connectionState', this._handleConnectionStateChangeBound)
+		this._handleConnectionStateChange(callParticipantModel, callParticipantModel.get('connectionState'))
+	},
+
+	_handleRemoveParticipant(callParticipantCollection, callParticipantModel) {
+		const participant = this._participants.get(callParticipantModel.get('peerId'))
+		if (!participant || participant.leaveTime !== null) {
+			return
+		}
+
+		callParticipantModel.off('change:connectionState', this._handleConnectionStateChangeBound)
+
+		participant.leaveTime = Date.now()
+		if (participant.connectedSince !== null) {
+			participant.connectedTime += participant.leaveTime - participant.connectedSince
+			participant.connectedSince = null
+		}
+	},
+
+	_handleConnectionStateChange(callParticipantModel, connectionState) {
+		const participant = this._participants.get(callParticipantModel.get('peerId'))
+		if (!participant) {
+			return
+		}
+
+		if (CONNECTED_STATES.includes(connectionState)) {
+			if (participant.connectedSince === null) {
+				participant.connectedSince = Date.now()
+			}
+			if (participant.interrupted) {
+				participant.reconnections++
+				participant.interrupted = false
+			}
+
+			return
+		}
+
+		if (participant.connectedSince !== null) {
+			participant.connectedTime += Date.now() - participant.connectedSince
+			participant.connectedSince = null
+		}
+
+		if (connectionState === ConnectionState.DISCONNECTED) {
+			participant.disconnections++
+		} else if (connectionState === ConnectionState.FAILED || connectionState === ConnectionState.FAILED_NO_RESTART) {
+			participant.failures++
+		}
+
+		if (INTERRUPTED_STATES.includes(connectionState)) {
+			participant.interrupted = true
+		}
+	},
+
+}
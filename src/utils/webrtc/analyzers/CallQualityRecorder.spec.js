@@ -0,0 +1,222 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { ref } from 'vue'
+
+import CallQualityRecorder from './CallQualityRecorder.js'
+import { CONNECTION_QUALITY } from './PeerConnectionAnalyzer.js'
+import EmitterMixin from '../../EmitterMixin.js'
+import { ConnectionState } from '../models/CallParticipantModel.js'
+
+/**
+ * Stub of models with just the attributes and methods used by
+ * CallQualityRecorder.
+ *
+ * @param {object} attributes the initial attributes
+ */
+function ModelStub(attributes) {
+	this._superEmitterMixin()
+
+	this.attributes = attributes
+
+	this.get = (key) => {
+		return this.attributes[key]
+	}
+
+	this.set = (key, value) => {
+		this.attributes[key] = value
+		this._trigger('change:' + key, [value])
+	}
+}
+EmitterMixin.apply(ModelStub.prototype)
+
+/**
+ * Stub of CallParticipantCollection with just the attributes and methods used
+ * by CallQualityRecorder.
+ */
+function CallParticipantCollectionStub() {
+	this._superEmitterMixin()
+
+	this.callParticipantModels = ref([])
+}
+EmitterMixin.apply(CallParticipantCollectionStub.prototype)
+
+describe('CallQualityRecorder', () => {
+
+	let callAnalyzer
+	let localMediaModel
+	let callParticipantCollection
+	let callQualityRecorder
+
+	/**
+	 * Adds a participant model to the collection.
+	 *
+	 * @param {object} callParticipantModel the model to add.
+	 */
+	function addCallParticipantModel(callParticipantModel) {
+		callParticipantCollection.callParticipantModels.value.push(callParticipantModel)
+		callParticipantCollection._trigger('add', [callParticipantModel])
+	}
+
+	/**
+	 * Removes a participant model from the collection.
+	 *
+	 * @param {object} callParticipantModel the model to remove.
+	 */
+	function removeCallParticipantModel(callParticipantModel) {
+		const index = callParticipantCollection.callParticipantModels.value.indexOf(callParticipantModel)
+		callParticipantCollection.callParticipantModels.value.splice(index, 1)
+		callParticipantCollection._trigger('remove', [callParticipantModel])
+	}
+
+	beforeEach(() => {
+		jest.useFakeTimers()
+		jest.setSystemTime(new Date('2025-01-01T10:00:00Z'))
+
+		callAnalyzer = new ModelStub({})
+		localMediaModel = new ModelStub({ audioEnabled: true, videoEnabled: false, localScreen: null })
+		callParticipantCollection = new CallParticipantCollectionStub()
+	})
+
+	afterEach(() => {
+		jest.useRealTimers()
+	})
+
+	test('records the duration of the call', () => {
+		callQualityRecorder = new CallQualityRecorder('theToken', callAnalyzer, localMediaModel, callParticipantCollection)
+
+		jest.advanceTimersByTime(5000)
+
+		expect(callQualityRecorder.getReport()).toMatchObject({
+			token: 'theToken',
+			startedAt: '2025-01-01T10:00:00.000Z',
+			endedAt: null,
+			duration: 5,
+		})
+
+		callQualityRecorder.destroy()
+		jest.advanceTimersByTime(5000)
+
+		expect(callQualityRecorder.getReport()).toMatchObject({
+			startedAt: '2025-01-01T10:00:00.000Z',
+			endedAt: '2025-01-01T10:00:05.000Z',
+			duration: 5,
+		})
+	})
+
+	test('records the time in each connection quality', () => {
+		callQualityRecorder = new CallQualityRecorder('theToken', callAnalyzer, localMediaModel, callParticipantCollection)
+
+		jest.advanceTimersByTime(2000)
+		callAnalyzer.set('senderConnectionQualityAudio', CONNECTION_QUALITY.GOOD)
+		jest.advanceTimersByTime(10000)
+		callAnalyzer.set('senderConnectionQualityAudio', CONNECTION_QUALITY.VERY_BAD)
+		callAnalyzer.set('senderConnectionQualityVideo', CONNECTION_QUALITY.MEDIUM)
+		jest.advanceTimersByTime(3000)
+		callAnalyzer.set('senderConnectionQualityAudio', CONNECTION_QUALITY.GOOD)
+		callAnalyzer.set('senderConnectionQualityVideo', null)
+		jest.advanceTimersByTime(1500)
+
+		callQualityRecorder.destroy()
+
+		// Changes after the call ended are ignored
+		callAnalyzer.set('senderConnectionQualityAudio', CONNECTION_QUALITY.BAD)
+		jest.advanceTimersByTime(5000)
+
+		const { connectionQuality } = callQualityRecorder.getReport()
+		expect(connectionQuality.audio).toEqual({
+			unknown: 2,
+			good: 11.5,
+			medium: 0,
+			bad: 0,
+			veryBad: 3,
+			noTransmittedData: 0,
+		})
+		expect(connectionQuality.video).toEqual({
+			unknown: 13.5,
+			good: 0,
+			medium: 3,
+			bad: 0,
+			veryBad: 0,
+			noTransmittedData: 0,
+		})
+		expect(connectionQuality.screen.unknown).toBe(16.5)
+	})
+
+	test('records media toggles', () => {
+		callQualityRecorder = new CallQualityRecorder('theToken', callAnalyzer, localMediaModel, callParticipantCollection)
+
+		localMediaModel.set('audioEnabled', false)
+		localMediaModel.set('audioEnabled', true)
+		localMediaModel.set('audioEnabled', false)
+		localMediaModel.set('videoEnabled', true)
+		localMediaModel.set('localScreen', {})
+		localMediaModel.set('localScreen', null)
+
+		callQualityRecorder.destroy()
+
+		localMediaModel.set('videoEnabled', false)
+
+		expect(callQualityRecorder.getReport().mediaToggles).toEqual({
+			audio: { enabled: 1, disabled: 2 },
+			video: { enabled: 1, disabled: 0 },
+			screen: { started: 1, stopped: 1 },
+		})
+	})
+
+	test('records disconnections, failures and reconnections of participants', () => {
+		const callParticipantModel1 = new ModelStub({ peerId: 'peer1', actorType: 'users', actorId: 'alice', name: 'Alice', connectionState: ConnectionState.NEW })
+		addCallParticipantModel(callParticipantModel1)
+
+		callQualityRecorder = new CallQualityRecorder('theToken', callAnalyzer, localMediaModel, callParticipantCollection)
+
+		jest.advanceTimersByTime(1000)
+		callParticipantModel1.set('connectionState', ConnectionState.CHECKING)
+		callParticipantModel1.set('connectionState', ConnectionState.CONNECTED)
+		jest.advanceTimersByTime(4000)
+		callParticipantModel1.set('connectionState', ConnectionState.DISCONNECTED)
+		jest.advanceTimersByTime(1000)
+		callParticipantModel1.set('connectionState', ConnectionState.CONNECTED)
+		jest.advanceTimersByTime(2000)
+		callParticipantModel1.set('connectionState', ConnectionState.DISCONNECTED)
+		callParticipantModel1.set('connectionState', ConnectionState.FAILED)
+		callParticipantModel1.set('connectionState', ConnectionState.CHECKING)
+		jest.advanceTimersByTime(1000)
+		callParticipantModel1.set('connectionState', ConnectionState.COMPLETED)
+
+		const callParticipantModel2 = new ModelStub({ peerId: 'peer2', actorType: 'guests', actorId: 'guest', name: '', connectionState: ConnectionState.CONNECTED })
+		addCallParticipantModel(callParticipantModel2)
+
+		jest.advanceTimersByTime(3000)
+		removeCallParticipantModel(callParticipantModel2)
+		jest.advanceTimersByTime(1000)
+
+		callQualityRecorder.destroy()
+
+		expect(callQualityRecorder.getReport().participants).toEqual([{
+			peerId: 'peer1',
+			actorType: 'users',
+			actorId: 'alice',
+			name: 'Alice',
+			joinedAt: '2025-01-01T10:00:00.000Z',
+			leftAt: '2025-01-01T10:00:13.000Z',
+			connectedTime: 10,
+			disconnections: 2,
+			failures: 1,
+			reconnections: 2,
+		}, {
+			peerId: 'peer2',
+			actorType: 'guests',
+			actorId: 'guest',
+			name: '',
+			joinedAt: '2025-01-01T10:00:09.000Z',
+			leftAt: '2025-01-01T10:00:12.000Z',
+			connectedTime: 3,
+			disconnections: 0,
+			failures: 0,
+			reconnections: 0,
+		}])
+	})
+})
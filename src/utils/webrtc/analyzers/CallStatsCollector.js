@@ -0,0 +1,214 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import Vue, { reactive } from 'vue'
+
+import { ParticipantAnalyzer } from './ParticipantAnalyzer.js'
+
+// One sample is added every second, so the history covers the last minute.
+const HISTORY_LENGTH = 60
+
+/**
+ * Collector of the stats of the media sent and received in a call.
+ *
+ * After a CallStatsCollector is created it will automatically start
+ * collecting the stats of the local participant and of each remote
+ * participant in the call, as well as of the participants joining later.
+ *
+ * The stats are got from the PeerConnectionAnalyzers of a ParticipantAnalyzer
+ * for each participant. When an HPB is used the sent media is the same for all
+ * the participants, so it is collected only once in "attributes.sender", and
+ * only the received media is collected for each participant. Otherwise
+ * "attributes.sender" is null, and both the sent and the received media are
+ * collected for each participant.
+ *
+ * The stats are kept as a history of the last samples (one per second) in the
+ * reactive "attributes" object, so they can be directly shown in the UI. Each
+ * sample is an object with "timestamp", "audio" and "video", where "audio" and
+ * "video" are in the format returned by "getMediaStats()" of
+ * PeerConnectionAnalyzer. The stats of each participant can be found in
+ * "attributes.participants[peerId]", which is an object with "sender" and
+ * "receiver" histories.
+ *
+ * As getting the stats has a cost the CallStatsCollector should be created
+ * only when the stats are needed, and once no longer needed "destroy()" must be
+ * called to stop collecting the stats.
+ *
+ * @param {object} localMediaModel the model for the local media.
+ * @param {object} localCallParticipantModel the model for
+ * the local participant; null if an MCU is not used.
+ * @param {object} callParticipantCollection the collection
+ * for the remote participants.
+ */
+export default function CallStatsCollector(localMediaModel, localCallParticipantModel, callParticipantCollection) {
+	this.attributes = reactive({
+		sender: localCallParticipantModel ? [] : null,
+		participants: {},
+	})
+
+	this._localMediaModel = localMediaModel
+	this._localCallParticipantModel = localCallParticipantModel
+	this._callParticipantCollection = callParticipantCollection
+
+	this._participantAnalyzers = new Map()
+
+	this._handleAddParticipantBound = this._handleAddParticipant.bind(this)
+	this._handleRemoveParticipantBound = this._handleRemoveParticipant.bind(this)
+	this._handleSenderMediaStatsChangeBound = this._handleSenderMediaStatsChange.bind(this)
+	this._handleReceiverMediaStatsChangeBound = this._handleReceiverMediaStatsChange.bind(this)
+
+	if (localCallParticipantModel) {
+		this._localParticipantAnalyzer = new ParticipantAnalyzer()
+		this._localParticipantAnalyzer.on('change:senderMediaStats', this._handleSenderMediaStatsChangeBound)
+		this._localParticipantAnalyzer.setSenderParticipant(localMediaModel, localCallParticipantModel)
+	}
+
+	this._callParticipantCollection.on('add', this._handleAddParticipantBound)
+	this._callParticipantCollection.on('remove', this._handleRemoveParticipantBound)
+
+	this._callParticipantCollection.callParticipantModels.value.forEach(callParticipantModel => {
+		this._handleAddParticipant(this._callParticipantCollection, callParticipantModel)
+	})
+}
+CallStatsCollector.prototype = {
+
+	destroy() {
+		this._callParticipantCollection.off('add', this._handleAddParticipantBound)
+		this._callParticipantCollection.off('remove', this._handleRemoveParticipantBound)
+
+		this._participantAnalyzers.forEach(({ callParticipantModel }) => {
+			this._handleRemoveParticipant(this._callParticipantCollection, callParticipantModel)
+		})
+
+		if (this._localParticipantAnalyzer) {
+			this._localParticipantAnalyzer.off('change:senderMediaStats', this._handleSenderMediaStatsChangeBound)
+			this._localParticipantAnalyzer.destroy()
+			this._localParticipantAnalyzer = null
+		}
+	},
+
+	/**
+	 * Returns a snapshot of the collected stats, meant to be attached to a
+	 * support request.
+	 *
+	 * @return {object} plain object that can be serialized as JSON
+	 */
+	getDebugReport() {
+		const participants = []
+		this._participantAnalyzers.forEach(({ callParticipantModel }, peerId) => {
+			const stats = this.attributes.participants[peerId]
+
+			participants.push({
+				peerId,
+				nextcloudSessionId: callParticipantModel.get('nextcloudSessionId'),
+				actorType: callParticipantModel.get('actorType'),
+				actorId: callParticipantModel.get('actorId'),
+				name: callParticipantModel.get('name'),
+				connectionState: callParticipantModel.get('connectionState'),
+				audioAvailable: callParticipantModel.get('audioAvailable'),
+				videoAvailable: callParticipantModel.get('videoAvailable'),
+				sender: stats.sender.slice(),
+				receiver: stats.receiver.slice(),
+			})
+		})
+
+		return {
+			date: new Date().toISOString(),
+			userAgent: navigator.userAgent,
+			mcu: this.attributes.sender !== null,
+			audioEnabled: this._localMediaModel.get('audioEnabled'),
+			videoEnabled: this._localMediaModel.get('videoEnabled'),
+			sender: this.attributes.sender?.slice() ?? null,
+			participants,
+		}
+	},
+
+	_handleAddParticipant(callParticipantCollection, callParticipantModel) {
+		const peerId = callParticipantModel.get('peerId')
+
+		const stats = {
+			sender: [],
+			receiver: [],
+		}
+		Vue.set(this.attributes.participants, peerId, stats)
+
+		const participantAnalyzer = new ParticipantAnalyzer()
+		participantAnalyzer.on('change:senderMediaStats', this._handleSenderMediaStatsChangeBound)
+		participantAnalyzer.on('change:receiverMediaStats', this._handleReceiverMediaStatsChangeBound)
+
+		this._participantAnalyzers.set(peerId, { participantAnalyzer, callParticipantModel })
+
+		if (this._localCallParticipantModel) {
+			participantAnalyzer.setReceiverParticipant(callParticipantModel)
+		} else {
+			participantAnalyzer.setSenderReceiverParticipant(this._localMediaModel, callParticipantModel)
+		}
+	},
+
+	_handleRemoveParticipant(callParticipantCollection, callParticipantModel) {
+		const peerId = callParticipantModel.get('peerId')
+
+		const { participantAnalyzer } = this._participantAnalyzers.get(peerId) ?? {}
+		if (!participantAnalyzer) {
+			return
+		}
+
+		participantAnalyzer.off('change:senderMediaStats', this._handleSenderMediaStatsChangeBound)
+		participantAnalyzer.off('change:receiverMediaStats', this._handleReceiverMediaStatsChangeBound)
+		participantAnalyzer.destroy()
+
+		this._participantAnalyzers.delete(peerId)
+		Vue.delete(this.attributes.participants, peerId)
+	},
+
+	_handleSenderMediaStatsChange(participantAnalyzer, mediaStats) {
+		if (participantAnalyzer === this._localParticipantAnalyzer) {
+			this._addSample(this.attributes.sender, mediaStats)
+
+			return
+		}
+
+		const stats = this._getParticipantStats(participantAnalyzer)
+		if (stats) {
+			this._addSample(stats.sender, mediaStats)
+		}
+	},
+
+	_handleReceiverMediaStatsChange(participantAnalyzer, mediaStats) {
+		const stats = this._getParticipantStats(participantAnalyzer)
+		if (stats) {
+			this._addSample(stats.receiver, mediaStats)
+		}
+	},
+
+	_getParticipantStats(participantAnalyzer) {
+		for (const [peerId, participant] of this._participantAnalyzers) {
+			if (participant.participantAnalyzer === participantAnalyzer) {
+				return this.attributes.participants[peerId]
+			}
+		}
+
+		return null
+	},
+
+	_addSample(history, mediaStats) {
+		// No media is sent or received (for example, when the connection is
+		// being established or was closed).
+		if (!mediaStats.audio && !mediaStats.video) {
+			return
+		}
+
+		history.push({
+			timestamp: Date.now(),
+			audio: mediaStats.audio,
+			video: mediaStats.video,
+		})
+
+		if (history.length > HISTORY_LENGTH) {
+			history.shift()
+		}
+	},
+
+}
@@ -0,0 +1,244 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { ref } from 'vue'
+
+import CallStatsCollector from './CallStatsCollector.js'
+import EmitterMixin from '../../EmitterMixin.js'
+
+const mockParticipantAnalyzers = []
+
+jest.mock('./ParticipantAnalyzer.js', () => {
+	const EmitterMixin = jest.requireActual('../../EmitterMixin.js').default
+
+	/**
+	 * Stub of ParticipantAnalyzer to trigger the media stats events manually.
+	 */
+	function ParticipantAnalyzer() {
+		this._superEmitterMixin()
+
+		this.destroy = jest.fn()
+		this.setSenderParticipant = jest.fn()
+		this.setReceiverParticipant = jest.fn()
+		this.setSenderReceiverParticipant = jest.fn()
+
+		mockParticipantAnalyzers.push(this)
+	}
+	EmitterMixin.apply(ParticipantAnalyzer.prototype)
+
+	return { ParticipantAnalyzer }
+})
+
+/**
+ * Stub of models with just the attributes and methods used by
+ * CallStatsCollector.
+ *
+ * @param {object} attributes the initial attributes
+ */
+function ModelStub(attributes) {
+	this._superEmitterMixin()
+
+	this.attributes = attributes
+
+	this.get = (key) => {
+		return this.attributes[key]
+	}
+}
+EmitterMixin.apply(ModelStub.prototype)
+
+/**
+ * Stub of CallParticipantCollection with just the attributes and methods used
+ * by CallStatsCollector.
+ */
+function CallParticipantCollectionStub() {
+	this._superEmitterMixin()
+
+	this.callParticipantModels = ref([])
+}
+EmitterMixin.apply(CallParticipantCollectionStub.prototype)
+
+describe('CallStatsCollector', () => {
+
+	const audioStats = { bitrate: 32000, codec: 'opus', jitter: 0.005, packetsLostRatio: 0, roundTripTime: 0.1 }
+	const videoStats = { bitrate: 1000000, codec: 'VP8', frameWidth: 640, frameHeight: 480, framesPerSecond: 30 }
+
+	let callParticipantCollection
+	let localMediaModel
+	let localCallParticipantModel
+	let callStatsCollector
+
+	/**
+	 * Adds a participant model to the collection.
+	 *
+	 * @param {object} callParticipantModel the model to add.
+	 */
+	function addCallParticipantModel(callParticipantModel) {
+		callParticipantCollection.callParticipantModels.value.push(callParticipantModel)
+		callParticipantCollection._trigger('add', [callParticipantModel])
+	}
+
+	beforeEach(() => {
+		mockParticipantAnalyzers.length = 0
+
+		callParticipantCollection = new CallParticipantCollectionStub()
+		localMediaModel = new ModelStub({ audioEnabled: true, videoEnabled: false })
+		localCallParticipantModel = new ModelStub({})
+	})
+
+	afterEach(() => {
+		callStatsCollector?.destroy()
+		callStatsCollector = null
+	})
+
+	test('collects sent media once with MCU', () => {
+		addCallParticipantModel(new ModelStub({ peerId: 'peer1', name: 'Alice' }))
+
+		callStatsCollector = new CallStatsCollector(localMediaModel, localCallParticipantModel, callParticipantCollection)
+
+		expect(mockParticipantAnalyzers.length).toBe(2)
+		const [localParticipantAnalyzer, participantAnalyzer] = mockParticipantAnalyzers
+		expect(localParticipantAnalyzer.setSenderParticipant).toHaveBeenCalledWith(localMediaModel, localCallParticipantModel)
+		expect(participantAnalyzer.setReceiverParticipant).toHaveBeenCalledWith(callParticipantCollection.callParticipantModels.value[0])
+
+		localParticipantAnalyzer._trigger('change:senderMediaStats', [{ audio: audioStats, video: null }])
+		participantAnalyzer._trigger('change:receiverMediaStats', [{ audio: audioStats, video: videoStats }])
+
+		expect(callStatsCollector.attributes.sender).toEqual([
+			{ timestamp: expect.any(Number), audio: audioStats, video: null },
+		])
+		expect(callStatsCollector.attributes.participants.peer1).toEqual({
+			sender: [],
+			receiver: [
+				{ timestamp: expect.any(Number), audio: audioStats, video: videoStats },
+			],
+		})
+	})
+
+	test('collects sent and received media for each participant without MCU', () => {
+		callStatsCollector = new CallStatsCollector(localMediaModel, null, callParticipantCollection)
+
+		expect(callStatsCollector.attributes.sender).toBe(null)
+		expect(mockParticipantAnalyzers.length).toBe(0)
+
+		const callParticipantModel = new ModelStub({ peerId: 'peer1', name: 'Alice' })
+		addCallParticipantModel(callParticipantModel)
+
+		expect(mockParticipantAnalyzers.length).toBe(1)
+		const [participantAnalyzer] = mockParticipantAnalyzers
+		expect(participantAnalyzer.setSenderReceiverParticipant).toHaveBeenCalledWith(localMediaModel, callParticipantModel)
+
+		participantAnalyzer._trigger('change:senderMediaStats', [{ audio: audioStats, video: null }])
+		participantAnalyzer._trigger('change:receiverMediaStats', [{ audio: null, video: videoStats }])
+		// Ignored, as there is no media
+		participantAnalyzer._trigger('change:receiverMediaStats', [{ audio: null, video: null }])
+
+		expect(callStatsCollector.attributes.participants.peer1).toEqual({
+			sender: [
+				{ timestamp: expect.any(Number), audio: audioStats, video: null },
+			],
+			receiver: [
+				{ timestamp: expect.any(Number), audio: null, video: videoStats },
+			],
+		})
+	})
+
+	test('keeps only the last minute of stats', () => {
+		callStatsCollector = new CallStatsCollector(localMediaModel, localCallParticipantModel, callParticipantCollection)
+
+		const [localParticipantAnalyzer] = mockParticipantAnalyzers
+		for (let i = 0; i < 65; i++) {
+			localParticipantAnalyzer._trigger('change:senderMediaStats', [{ audio: { ...audioStats, bitrate: i }, video: null }])
+		}
+
+		expect(callStatsCollector.attributes.sender.length).toBe(60)
+		expect(callStatsCollector.attributes.sender[0].audio.bitrate).toBe(5)
+		expect(callStatsCollector.attributes.sender[59].audio.bitrate).toBe(64)
+	})
+
+	test('stops collecting stats of removed participants', () => {
+		const callParticipantModel = new ModelStub({ peerId: 'peer1', name: 'Alice' })
+		addCallParticipantModel(callParticipantModel)
+
+		callStatsCollector = new CallStatsCollector(localMediaModel, null, callParticipantCollection)
+
+		const [participantAnalyzer] = mockParticipantAnalyzers
+
+		callParticipantCollection.callParticipantModels.value.splice(0, 1)
+		callParticipantCollection._trigger('remove', [callParticipantModel])
+
+		expect(participantAnalyzer.destroy).toHaveBeenCalledTimes(1)
+		expect(callStatsCollector.attributes.participants).toEqual({})
+
+		participantAnalyzer._trigger('change:receiverMediaStats', [{ audio: audioStats, video: null }])
+
+		expect(callStatsCollector.attributes.participants).toEqual({})
+	})
+
+	test('destroys all the analyzers', () => {
+		addCallParticipantModel(new ModelStub({ peerId: 'peer1', name: 'Alice' }))
+		addCallParticipantModel(new ModelStub({ peerId: 'peer2', name: 'Bob' }))
+
+		callStatsCollector = new CallStatsCollector(localMediaModel, localCallParticipantModel, callParticipantCollection)
+		callStatsCollector.destroy()
+
+		expect(mockParticipantAnalyzers.length).toBe(3)
+		mockParticipantAnalyzers.forEach((participantAnalyzer) => {
+			expect(participantAnalyzer.destroy).toHaveBeenCalledTimes(1)
+		})
+
+		addCallParticipantModel(new ModelStub({ peerId: 'peer3', name: 'Carol' }))
+
+		expect(mockParticipantAnalyzers.length).toBe(3)
+
+		callStatsCollector = null
+	})
+
+	test('creates a debug report', () => {
+		addCallParticipantModel(new ModelStub({
+			peerId: 'peer1',
+			nextcloudSessionId: 'session1',
+			actorType: 'users',
+			actorId: 'alice',
+			name: 'Alice',
+			connectionState: 'connected',
+			audioAvailable: true,
+			videoAvailable: false,
+		}))
+
+		callStatsCollector = new CallStatsCollector(localMediaModel, localCallParticipantModel, callParticipantCollection)
+
+		const [localParticipantAnalyzer, participantAnalyzer] = mockParticipantAnalyzers
+		localParticipantAnalyzer._trigger('change:senderMediaStats', [{ audio: audioStats, video: null }])
+		participantAnalyzer._trigger('change:receiverMediaStats', [{ audio: audioStats, video: null }])
+
+		const report = callStatsCollector.getDebugReport()
+
+		expect(report).toEqual({
+			date: expect.any(String),
+			userAgent: expect.any(String),
+			mcu: true,
+			audioEnabled: true,
+			videoEnabled: false,
+			sender: [
+				{ timestamp: expect.any(Number), audio: audioStats, video: null },
+			],
+			participants: [{
+				peerId: 'peer1',
+				nextcloudSessionId: 'session1',
+				actorType: 'users',
+				actorId: 'alice',
+				name: 'Alice',
+				connectionState: 'connected',
+				audioAvailable: true,
+				videoAvailable: false,
+				sender: [],
+				receiver: [
+					{ timestamp: expect.any(Number), audio: audioStats, video: null },
+				],
+			}],
+		})
+		expect(() => JSON.stringify(report)).not.toThrow()
+	})
+})
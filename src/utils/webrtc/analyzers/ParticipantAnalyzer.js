@@ -27,6 +27,11 @@ import EmitterMixin from '../../EmitterMixin.js'
  * The reported values are based on CONNECTION_QUALITY values of
  * PeerConnectionAnalyzer.
  *
+ * Besides the connection quality the stats of the sent and received audio and
+ * video (but not screen) are provided too, which are updated every second with
+ * 'change:senderMediaStats' and 'change:receiverMediaStats'. The format is the
+ * one returned by "getMediaStats()" of PeerConnectionAnalyzer.
+ *
  * Note that the connections will be analyzed only when the corresponding media
  * is enabled so, for example, if a sender participant has muted but still has
  * the video enabled only the video quality will be analyzed until the audio is
@@ -62,6 +67,7 @@ function ParticipantAnalyzer() {
 	this._handleConnectionQualityAudioChangeBound = this._handleConnectionQualityAudioChange.bind(this)
 	this._handleConnectionQualityVideoChangeBound = this._handleConnectionQualityVideoChange.bind(this)
 	this._handleConnectionQualityScreenChangeBound = this._handleConnectionQualityScreenChange.bind(this)
+	this._handleMediaStatsChangeBound = this._handleMediaStatsChange.bind(this)
 }
 ParticipantAnalyzer.prototype = {
 
@@ -92,6 +98,14 @@ ParticipantAnalyzer.prototype = {
 		this._receiverScreenPeerConnectionAnalyzer = null
 	},
 
+	getSenderMediaStats() {
+		return this._senderPeerConnectionAnalyzer?.getMediaStats() ?? null
+	},
+
+	getReceiverMediaStats() {
+		return this._receiverPeerConnectionAnalyzer?.getMediaStats() ?? null
+	},
+
 	setSenderParticipant(localMediaModel, localCallParticipantModel) {
 		this.destroy()
 
@@ -177,6 +191,7 @@ ParticipantAnalyzer.prototype = {
 
 			this._senderPeerConnectionAnalyzer.on('change:connectionQualityAudio', this._handleConnectionQualityAudioChangeBound)
 			this._senderPeerConnectionAnalyzer.on('change:connectionQualityVideo', this._handleConnectionQualityVideoChangeBound)
+			this._senderPeerConnectionAnalyzer.on('change:mediaStats', this._handleMediaStatsChangeBound)
 
 			this._localMediaModel.on('change:audioEnabled', this._handleSenderAudioEnabledChangeBound)
 			this._localMediaModel.on('change:videoEnabled', this._handleSenderVideoEnabledChangeBound)
@@ -190,6 +205,7 @@ ParticipantAnalyzer.prototype = {
 
 			this._receiverPeerConnectionAnalyzer.on('change:connectionQualityAudio', this._handleConnectionQualityAudioChangeBound)
 			this._receiverPeerConnectionAnalyzer.on('change:connectionQualityVideo', this._handleConnectionQualityVideoChangeBound)
+			this._receiverPeerConnectionAnalyzer.on('change:mediaStats', this._handleMediaStatsChangeBound)
 
 			this._callParticipantModel.on('change:audioAvailable', this._handleReceiverAudioAvailableChangeBound)
 			this._callParticipantModel.on('change:videoAvailable', this._handleReceiverVideoAvailableChangeBound)
@@ -225,6 +241,7 @@ ParticipantAnalyzer.prototype = {
 
 			this._senderPeerConnectionAnalyzer.off('change:connectionQualityAudio', this._handleConnectionQualityAudioChangeBound)
 			this._senderPeerConnectionAnalyzer.off('change:connectionQualityVideo', this._handleConnectionQualityVideoChangeBound)
+			this._senderPeerConnectionAnalyzer.off('change:mediaStats', this._handleMediaStatsChangeBound)
 
 			this._localMediaModel.off('change:audioEnabled', this._handleSenderAudioEnabledChangeBound)
 			this._localMediaModel.off('change:videoEnabled', this._handleSenderVideoEnabledChangeBound)
@@ -235,6 +252,7 @@ ParticipantAnalyzer.prototype = {
 
 			this._receiverPeerConnectionAnalyzer.off('change:connectionQualityAudio', this._handleConnectionQualityAudioChangeBound)
 			this._receiverPeerConnectionAnalyzer.off('change:connectionQualityVideo', this._handleConnectionQualityVideoChangeBound)
+			this._receiverPeerConnectionAnalyzer.off('change:mediaStats', this._handleMediaStatsChangeBound)
 
 			this._callParticipantModel.off('change:audioAvailable', this._handleReceiverAudioAvailableChangeBound)
 			this._callParticipantModel.off('change:videoAvailable', this._handleReceiverVideoAvailableChangeBound)
@@ -279,6 +297,14 @@ ParticipantAnalyzer.prototype = {
 		}
 	},
 
+	_handleMediaStatsChange(peerConnectionAnalyzer, mediaStats) {
+		if (peerConnectionAnalyzer === this._senderPeerConnectionAnalyzer) {
+			this._trigger('change:senderMediaStats', [mediaStats])
+		} else if (peerConnectionAnalyzer === this._receiverPeerConnectionAnalyzer) {
+			this._trigger('change:receiverMediaStats', [mediaStats])
+		}
+	},
+
 	_handleSenderAudioEnabledChange(localMediaModel, audioEnabled) {
 		this._senderPeerConnectionAnalyzer.setAnalysisEnabledAudio(audioEnabled)
 	},
@@ -20,6 +20,22 @@ const PEER_DIRECTION = {
 	RECEIVER: 1,
 }
 
+/**
+ * Returns the media stats of a kind with all the values unknown.
+ */
+function newMediaStats() {
+	return {
+		bitrate: null,
+		codec: null,
+		frameWidth: null,
+		frameHeight: null,
+		framesPerSecond: null,
+		jitter: null,
+		packetsLostRatio: null,
+		roundTripTime: null,
+	}
+}
+
 /**
  * Analyzer for the quality of the connection of an RTCPeerConnection.
  *
@@ -89,6 +105,16 @@ function PeerConnectionAnalyzer() {
 		audio: new AverageStatValue(5, STAT_VALUE_TYPE.CUMULATIVE),
 		video: new AverageStatValue(5, STAT_VALUE_TYPE.CUMULATIVE),
 	}
+	// Bytes and their timestamps are used only to calculate the bitrate shown
+	// in the media stats, so only the last relative value is needed.
+	this._bytes = {
+		audio: new AverageStatValue(2, STAT_VALUE_TYPE.CUMULATIVE),
+		video: new AverageStatValue(2, STAT_VALUE_TYPE.CUMULATIVE),
+	}
+	this._bytesTimestamps = {
+		audio: new AverageStatValue(2, STAT_VALUE_TYPE.CUMULATIVE),
+		video: new AverageStatValue(2, STAT_VALUE_TYPE.CUMULATIVE),
+	}
 
 	this._stagedPackets = {
 		audio: [],
@@ -125,6 +151,11 @@ function PeerConnectionAnalyzer() {
 		audio: CONNECTION_QUALITY.UNKNOWN,
 		video: CONNECTION_QUALITY.UNKNOWN,
 	}
+
+	this._mediaStats = {
+		audio: null,
+		video: null,
+	}
 }
 PeerConnectionAnalyzer.prototype = {
 
@@ -154,6 +185,31 @@ PeerConnectionAnalyzer.prototype = {
 		this._trigger('change:connectionQualityVideo', [connectionQualityVideo])
 	},
 
+	/**
+	 * Returns the last stats of the sent or received media.
+	 *
+	 * The stats are provided for audio and video, and each of them is either
+	 * null (if there is no media of that kind) or an object with "bitrate" (in
+	 * bits per second), "codec", "frameWidth", "frameHeight",
+	 * "framesPerSecond", "jitter" (in seconds), "packetsLostRatio" and
+	 * "roundTripTime" (in seconds). Any of those values can be null if not
+	 * known (or not applicable, like the frame values for audio).
+	 *
+	 * @return {object} the media stats
+	 */
+	getMediaStats() {
+		return this._mediaStats
+	},
+
+	_setMediaStats(mediaStats) {
+		if (this._mediaStats.audio === mediaStats.audio && this._mediaStats.video === mediaStats.video) {
+			return
+		}
+
+		this._mediaStats = mediaStats
+		this._trigger('change:mediaStats', [mediaStats])
+	},
+
 	setPeerConnection(peerConnection, peerDirection = null) {
 		if (this._peerConnection) {
 			this._peerConnection.removeEventListener('iceconnectionstatechange', this._handleIceConnectionStateChangedBound)
@@ -166,6 +222,7 @@ PeerConnectionAnalyzer.prototype = {
 
 		this._setConnectionQualityAudio(CONNECTION_QUALITY.UNKNOWN)
 		this._setConnectionQualityVideo(CONNECTION_QUALITY.UNKNOWN)
+		this._setMediaStats({ audio: null, video: null })
 
 		if (this._peerConnection) {
 			this._peerConnection.addEventListener('iceconnectionstatechange', this._handleIceConnectionStateChangedBound)
@@ -209,6 +266,8 @@ PeerConnectionAnalyzer.prototype = {
 		this._packetsPerSecond[kind].reset()
 		this._timestamps[kind].reset()
 		this._timestampsForLogs[kind].reset()
+		this._bytes[kind].reset()
+		this._bytesTimestamps[kind].reset()
 	},
 
 	_handleIceConnectionStateChanged() {
@@ -221,6 +280,7 @@ PeerConnectionAnalyzer.prototype = {
 		if (!this._peerConnection || (this._peerConnection.iceConnectionState !== 'connected' && this._peerConnection.iceConnectionState !== 'completed' && this._peerConnection.iceConnectionState !== 'disconnected') || this._peerConnection.connectionState === 'failed') {
 			this._setConnectionQualityAudio(CONNECTION_QUALITY.UNKNOWN)
 			this._setConnectionQualityVideo(CONNECTION_QUALITY.UNKNOWN)
+			this._setMediaStats({ audio: null, video: null })
 
 			this._stopGetStatsInterval()
 
@@ -288,6 +348,10 @@ PeerConnectionAnalyzer.prototype = {
 			this._processReceiverStats(stats)
 		}
 
+		if (this._peerDirection !== null) {
+			this._processMediaStats(stats)
+		}
+
 		if (this._analysisEnabled.audio) {
 			this._setConnectionQualityAudio(this._calculateConnectionQualityAudio())
 		}
@@ -472,6 +536,141 @@ PeerConnectionAnalyzer.prototype = {
 		}
 	},
 
+	/**
+	 * Collects the stats of the sent or received media.
+	 *
+	 * These stats are not used in the analysis, they are just provided to be
+	 * shown to the user, so they are updated on every report rather than
+	 * averaged. Nevertheless, the packets lost ratio is got from the analysis
+	 * (when enabled for the kind) to be consistent with the connection quality.
+	 *
+	 * In the case of simulcast several outbound RTP streams are sent for the
+	 * same track; the bitrate is the sum of all of them, while the frame stats
+	 * are those of the largest one.
+	 *
+	 * @param {object} stats the RTCStatsReport
+	 */
+	_processMediaStats(stats) {
+		const sender = this._peerDirection === PEER_DIRECTION.SENDER
+		const rtpType = sender ? 'outbound-rtp' : 'inbound-rtp'
+
+		const mediaStats = {
+			audio: null,
+			video: null,
+		}
+
+		const bytes = {
+			audio: -1,
+			video: -1,
+		}
+
+		const timestamp = {
+			audio: -1,
+			video: -1,
+		}
+
+		const codecIds = {
+			audio: null,
+			video: null,
+		}
+
+		const codecs = {}
+
+		let candidatePairRoundTripTime = null
+
+		for (const stat of stats.values()) {
+			if (stat.type === 'codec') {
+				codecs[stat.id] = stat.mimeType
+			} else if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+				candidatePairRoundTripTime = stat.currentRoundTripTime ?? null
+			}
+
+			if (stat.kind !== 'audio' && stat.kind !== 'video') {
+				continue
+			}
+
+			if (stat.type === rtpType) {
+				mediaStats[stat.kind] ??= newMediaStats()
+
+				const kindStats = mediaStats[stat.kind]
+
+				const statBytes = sender ? stat.bytesSent : stat.bytesReceived
+				if (statBytes !== undefined) {
+					bytes[stat.kind] = Math.max(bytes[stat.kind], 0) + statBytes
+				}
+				if (stat.timestamp !== undefined) {
+					timestamp[stat.kind] = Math.max(timestamp[stat.kind], stat.timestamp)
+				}
+				if (stat.frameWidth !== undefined && stat.frameWidth > (kindStats.frameWidth ?? -1)) {
+					kindStats.frameWidth = stat.frameWidth
+					kindStats.frameHeight = stat.frameHeight ?? null
+					kindStats.framesPerSecond = stat.framesPerSecond ?? null
+				}
+				if (stat.jitter !== undefined) {
+					kindStats.jitter = stat.jitter
+				}
+				if (stat.codecId) {
+					codecIds[stat.kind] ??= stat.codecId
+				}
+			} else if (sender && stat.type === 'remote-inbound-rtp') {
+				mediaStats[stat.kind] ??= newMediaStats()
+
+				const kindStats = mediaStats[stat.kind]
+
+				if (stat.jitter !== undefined) {
+					kindStats.jitter = Math.max(kindStats.jitter ?? 0, stat.jitter)
+				}
+				if (stat.roundTripTime !== undefined) {
+					kindStats.roundTripTime = Math.max(kindStats.roundTripTime ?? 0, stat.roundTripTime)
+				}
+			}
+		}
+
+		for (const kind of ['audio', 'video']) {
+			const kindStats = mediaStats[kind]
+			if (!kindStats) {
+				this._bytes[kind].reset()
+				this._bytesTimestamps[kind].reset()
+
+				continue
+			}
+
+			if (codecIds[kind] && codecs[codecIds[kind]]) {
+				// "audio/opus" -> "opus"
+				kindStats.codec = codecs[codecIds[kind]].replace(/^(audio|video)\//, '')
+			}
+
+			if (kindStats.roundTripTime === null) {
+				kindStats.roundTripTime = candidatePairRoundTripTime
+			}
+
+			if (bytes[kind] >= 0 && timestamp[kind] >= 0) {
+				// The stats are reset if the bytes regress (for example, when
+				// the simulcast layers change) to not show a negative bitrate.
+				if (bytes[kind] < this._bytes[kind].getLastRawValue()) {
+					this._bytes[kind].reset()
+					this._bytesTimestamps[kind].reset()
+				}
+
+				this._bytes[kind].add(bytes[kind])
+				this._bytesTimestamps[kind].add(timestamp[kind])
+
+				const elapsedSeconds = this._bytesTimestamps[kind].getLastRelativeValue() / 1000
+				if (elapsedSeconds > 0) {
+					kindStats.bitrate = this._bytes[kind].getLastRelativeValue() * 8 / elapsedSeconds
+				}
+			}
+
+			// The ratio is meaningless (and higher than 1) if no packets were
+			// transmitted.
+			if (this._analysisEnabled[kind] && this._packets[kind].getLastRelativeValue() > 0) {
+				kindStats.packetsLostRatio = this._packetsLostRatio[kind].getLastRawValue()
+			}
+		}
+
+		this._setMediaStats(mediaStats)
+	},
+
 	/**
 	 * Adds the stats reported by the browser to the average stats used to do
 	 * the analysis.
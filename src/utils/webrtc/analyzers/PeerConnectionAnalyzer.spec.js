@@ -3362,6 +3362,157 @@ describe('PeerConnectionAnalyzer', () => {
 		})
 	})
 
+	describe('media stats', () => {
+
+		let changeMediaStatsHandler
+
+		beforeEach(() => {
+			changeMediaStatsHandler = jest.fn()
+			peerConnectionAnalyzer.on('change:mediaStats', changeMediaStatsHandler)
+
+			peerConnection._setIceConnectionState('connected')
+			peerConnection._setConnectionState('connected')
+		})
+
+		test('sender stats', async () => {
+			peerConnection.getStats
+				.mockResolvedValueOnce(newRTCStatsReport([
+					{ type: 'codec', id: 'codec-video', mimeType: 'video/VP8' },
+					{ type: 'codec', id: 'codec-audio', mimeType: 'audio/opus' },
+					{ type: 'outbound-rtp', kind: 'video', packetsSent: 50, bytesSent: 50000, timestamp: 10000, frameWidth: 640, frameHeight: 480, framesPerSecond: 30, codecId: 'codec-video' },
+					{ type: 'outbound-rtp', kind: 'video', packetsSent: 20, bytesSent: 10000, timestamp: 10000, frameWidth: 320, frameHeight: 240, framesPerSecond: 15, codecId: 'codec-video' },
+					{ type: 'remote-inbound-rtp', kind: 'video', packetsReceived: 70, packetsLost: 0, timestamp: 10000, jitter: 0.01, roundTripTime: 0.1 },
+					{ type: 'outbound-rtp', kind: 'audio', packetsSent: 50, bytesSent: 4000, timestamp: 10000, codecId: 'codec-audio' },
+					{ type: 'remote-inbound-rtp', kind: 'audio', packetsReceived: 50, packetsLost: 0, timestamp: 10000, jitter: 0.005, roundTripTime: 0.1 },
+				]))
+				.mockResolvedValueOnce(newRTCStatsReport([
+					{ type: 'codec', id: 'codec-video', mimeType: 'video/VP8' },
+					{ type: 'codec', id: 'codec-audio', mimeType: 'audio/opus' },
+					{ type: 'outbound-rtp', kind: 'video', packetsSent: 100, bytesSent: 150000, timestamp: 11000, frameWidth: 640, frameHeight: 480, framesPerSecond: 30, codecId: 'codec-video' },
+					{ type: 'outbound-rtp', kind: 'video', packetsSent: 40, bytesSent: 35000, timestamp: 11000, frameWidth: 320, frameHeight: 240, framesPerSecond: 15, codecId: 'codec-video' },
+					{ type: 'remote-inbound-rtp', kind: 'video', packetsReceived: 126, packetsLost: 14, timestamp: 11000, jitter: 0.02, roundTripTime: 0.2 },
+					{ type: 'outbound-rtp', kind: 'audio', packetsSent: 100, bytesSent: 8000, timestamp: 11000, codecId: 'codec-audio' },
+					{ type: 'remote-inbound-rtp', kind: 'audio', packetsReceived: 100, packetsLost: 0, timestamp: 11000, jitter: 0.005, roundTripTime: 0.1 },
+				]))
+
+			peerConnectionAnalyzer.setPeerConnection(peerConnection, PEER_DIRECTION.SENDER)
+
+			jest.advanceTimersByTime(1000)
+			// Force the promises returning the stats to be executed.
+			await null
+
+			expect(changeMediaStatsHandler).toHaveBeenCalledTimes(1)
+			expect(peerConnectionAnalyzer.getMediaStats()).toEqual({
+				audio: {
+					bitrate: null,
+					codec: 'opus',
+					frameWidth: null,
+					frameHeight: null,
+					framesPerSecond: null,
+					jitter: 0.005,
+					packetsLostRatio: null,
+					roundTripTime: 0.1,
+				},
+				video: {
+					bitrate: null,
+					codec: 'VP8',
+					frameWidth: 640,
+					frameHeight: 480,
+					framesPerSecond: 30,
+					jitter: 0.01,
+					packetsLostRatio: null,
+					roundTripTime: 0.1,
+				},
+			})
+
+			jest.advanceTimersByTime(1000)
+			// Force the promises returning the stats to be executed.
+			await null
+
+			expect(changeMediaStatsHandler).toHaveBeenCalledTimes(2)
+			expect(changeMediaStatsHandler).toHaveBeenLastCalledWith(peerConnectionAnalyzer, peerConnectionAnalyzer.getMediaStats())
+			expect(peerConnectionAnalyzer.getMediaStats()).toEqual({
+				audio: {
+					bitrate: 32000,
+					codec: 'opus',
+					frameWidth: null,
+					frameHeight: null,
+					framesPerSecond: null,
+					jitter: 0.005,
+					packetsLostRatio: 0,
+					roundTripTime: 0.1,
+				},
+				video: {
+					bitrate: 1000000,
+					codec: 'VP8',
+					frameWidth: 640,
+					frameHeight: 480,
+					framesPerSecond: 30,
+					jitter: 0.02,
+					packetsLostRatio: 0.2,
+					roundTripTime: 0.2,
+				},
+			})
+		})
+
+		test('receiver stats', async () => {
+			peerConnection.getStats
+				.mockResolvedValueOnce(newRTCStatsReport([
+					{ type: 'codec', id: 'codec-audio', mimeType: 'audio/opus' },
+					{ type: 'candidate-pair', nominated: false, state: 'failed', currentRoundTripTime: 1 },
+					{ type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: 0.05 },
+					{ type: 'inbound-rtp', kind: 'audio', packetsReceived: 50, packetsLost: 0, bytesReceived: 4000, timestamp: 10000, jitter: 0.003, codecId: 'codec-audio' },
+				]))
+				.mockResolvedValueOnce(newRTCStatsReport([
+					{ type: 'codec', id: 'codec-audio', mimeType: 'audio/opus' },
+					{ type: 'candidate-pair', nominated: true, state: 'succeeded', currentRoundTripTime: 0.06 },
+					{ type: 'inbound-rtp', kind: 'audio', packetsReceived: 95, packetsLost: 5, bytesReceived: 10000, timestamp: 12000, jitter: 0.004, codecId: 'codec-audio' },
+				]))
+
+			peerConnectionAnalyzer.setPeerConnection(peerConnection, PEER_DIRECTION.RECEIVER)
+
+			jest.advanceTimersByTime(2000)
+			// Force the promises returning the stats to be executed.
+			await null
+
+			expect(changeMediaStatsHandler).toHaveBeenCalledTimes(2)
+			expect(peerConnectionAnalyzer.getMediaStats()).toEqual({
+				audio: {
+					bitrate: 24000,
+					codec: 'opus',
+					frameWidth: null,
+					frameHeight: null,
+					framesPerSecond: null,
+					jitter: 0.004,
+					packetsLostRatio: 0.1,
+					roundTripTime: 0.06,
+				},
+				video: null,
+			})
+		})
+
+		test('reset stats when the connection is stopped', async () => {
+			peerConnection.getStats
+				.mockResolvedValueOnce(newRTCStatsReport([
+					{ type: 'inbound-rtp', kind: 'video', packetsReceived: 50, packetsLost: 0, bytesReceived: 40000, timestamp: 10000, frameWidth: 1280, frameHeight: 720, framesPerSecond: 24 },
+				]))
+
+			peerConnectionAnalyzer.setPeerConnection(peerConnection, PEER_DIRECTION.RECEIVER)
+
+			jest.advanceTimersByTime(1000)
+			// Force the promises returning the stats to be executed.
+			await null
+
+			expect(changeMediaStatsHandler).toHaveBeenCalledTimes(1)
+			expect(peerConnectionAnalyzer.getMediaStats().video.frameWidth).toBe(1280)
+
+			peerConnectionAnalyzer.setPeerConnection(null)
+
+			expect(changeMediaStatsHandler).toHaveBeenCalledTimes(2)
+			expect(peerConnectionAnalyzer.getMediaStats()).toEqual({ audio: null, video: null })
+		})
+	})
+
 	describe('add stats', () => {
 		test.each([
 			['initial stats', 'audio'],
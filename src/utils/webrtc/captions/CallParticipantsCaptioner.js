@@ -0,0 +1,143 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+const LOCAL_SPEAKER_ID = 'local'
+
+/**
+ * Helper to feed the audio of call participants into a captions provider.
+ *
+ * The captioner keeps track of the participants added and removed to the
+ * CallParticipantCollection and of their streams, and runs a speech
+ * recognition session for each participant with available audio (including
+ * the local participant, or only the local participant if the provider does
+ * not support other streams). Recognized text is passed to "onResult" together
+ * with the speaker.
+ *
+ * Once the captioner is no longer needed "destroy()" must be called to stop
+ * all the sessions.
+ */
+export default class CallParticipantsCaptioner {
+
+	// Constants, properties
+	#callParticipantCollection
+	#localMediaModel
+	#provider
+	#language
+	#localName
+	#onResult
+	#sessions = new Map()
+
+	// Methods (bound to have access to 'this')
+	#handleAddParticipantBound
+	#handleRemoveParticipantBound
+	#handleParticipantAudioBound
+	#handleLocalAudioBound
+
+	/**
+	 * @param {object} callParticipantCollection the CallParticipantCollection.
+	 * @param {object} localMediaModel the LocalMediaModel.
+	 * @param {object} provider the captions provider.
+	 * @param {object} options the options.
+	 * @param {string} options.language the language of speech.
+	 * @param {string} options.localName the name of the local participant.
+	 * @param {Function} options.onResult called with (speaker, result) for each recognized text.
+	 */
+	constructor(callParticipantCollection, localMediaModel, provider, { language, localName, onResult }) {
+		this.#callParticipantCollection = callParticipantCollection
+		this.#localMediaModel = localMediaModel
+		this.#provider = provider
+		this.#language = language
+		this.#localName = localName
+		this.#onResult = onResult
+
+		this.#handleAddParticipantBound = this.#handleAddParticipant.bind(this)
+		this.#handleRemoveParticipantBound = this.#handleRemoveParticipant.bind(this)
+		this.#handleParticipantAudioBound = this.#handleParticipantAudio.bind(this)
+		this.#handleLocalAudioBound = this.#handleLocalAudio.bind(this)
+
+		this.#callParticipantCollection.on('add', this.#handleAddParticipantBound)
+		this.#callParticipantCollection.on('remove', this.#handleRemoveParticipantBound)
+		this.#localMediaModel.on('change:localStream', this.#handleLocalAudioBound)
+		this.#localMediaModel.on('change:audioEnabled', this.#handleLocalAudioBound)
+
+		this.#callParticipantCollection.callParticipantModels.value.forEach(callParticipantModel => {
+			this.#handleAddParticipant(this.#callParticipantCollection, callParticipantModel)
+		})
+		this.#handleLocalAudio()
+	}
+
+	destroy() {
+		this.#callParticipantCollection.off('add', this.#handleAddParticipantBound)
+		this.#callParticipantCollection.off('remove', this.#handleRemoveParticipantBound)
+		this.#localMediaModel.off('change:localStream', this.#handleLocalAudioBound)
+		this.#localMediaModel.off('change:audioEnabled', this.#handleLocalAudioBound)
+
+		this.#callParticipantCollection.callParticipantModels.value.forEach(callParticipantModel => {
+			this.#handleRemoveParticipant(this.#callParticipantCollection, callParticipantModel)
+		})
+		this.#setSession(LOCAL_SPEAKER_ID, null)
+	}
+
+	#handleAddParticipant(callParticipantCollection, callParticipantModel) {
+		callParticipantModel.on('change:stream', this.#handleParticipantAudioBound)
+		callParticipantModel.on('change:audioAvailable', this.#handleParticipantAudioBound)
+
+		this.#handleParticipantAudio(callParticipantModel)
+	}
+
+	#handleRemoveParticipant(callParticipantCollection, callParticipantModel) {
+		callParticipantModel.off('change:stream', this.#handleParticipantAudioBound)
+		callParticipantModel.off('change:audioAvailable', this.#handleParticipantAudioBound)
+
+		this.#setSession(callParticipantModel.get('peerId'), null)
+	}
+
+	#handleParticipantAudio(callParticipantModel) {
+		const stream = (callParticipantModel.get('audioAvailable') && !this.#provider.localAudioOnly) ? callParticipantModel.get('stream') : null
+		this.#setSession(callParticipantModel.get('peerId'), stream, () => ({
+			id: callParticipantModel.get('peerId'),
+			name: callParticipantModel.get('name') || callParticipantModel.get('userId') || '',
+		}))
+	}
+
+	#handleLocalAudio() {
+		const stream = this.#localMediaModel.get('audioEnabled') ? this.#localMediaModel.get('localStream') : null
+		this.#setSession(LOCAL_SPEAKER_ID, stream, () => ({
+			id: LOCAL_SPEAKER_ID,
+			name: this.#localName,
+		}))
+	}
+
+	/**
+	 * Replace the recognition session of the speaker
+	 *
+	 * @param {string} id the speaker ID.
+	 * @param {MediaStream|null} stream the stream to recognize, or null to only stop the session.
+	 * @param {Function} [getSpeaker] returns the current speaker data.
+	 */
+	#setSession(id, stream, getSpeaker) {
+		const session = this.#sessions.get(id)
+		if (session?.stream === stream) {
+			return
+		}
+		session?.stop()
+		this.#sessions.delete(id)
+
+		if (!stream || !stream.getAudioTracks().length) {
+			return
+		}
+
+		try {
+			const { stop } = this.#provider.start(stream, {
+				language: this.#language,
+				onResult: (result) => this.#onResult(getSpeaker(), result),
+			})
+			this.#sessions.set(id, { stream, stop })
+		} catch (exception) {
+			console.error('Failed to start captions for ' + id, exception)
+		}
+	}
+
+}
@@ -0,0 +1,192 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { ref } from 'vue'
+
+import CallParticipantsCaptioner from './CallParticipantsCaptioner.js'
+import EmitterMixin from '../../EmitterMixin.js'
+
+/**
+ * Stub of models with just the attributes and methods used by
+ * CallParticipantsCaptioner.
+ *
+ * @param {object} attributes the initial attributes
+ */
+function ModelStub(attributes) {
+	this._superEmitterMixin()
+
+	this.attributes = attributes
+
+	this.get = (key) => {
+		return this.attributes[key]
+	}
+
+	this.set = (key, value) => {
+		this.attributes[key] = value
+
+		this._trigger('change:' + key, [value])
+	}
+}
+EmitterMixin.apply(ModelStub.prototype)
+
+/**
+ * Stub of CallParticipantCollection with just the attributes and methods used
+ * by CallParticipantsCaptioner.
+ */
+function CallParticipantCollectionStub() {
+	this._superEmitterMixin()
+
+	this.callParticipantModels = ref([])
+}
+EmitterMixin.apply(CallParticipantCollectionStub.prototype)
+
+/**
+ * Mock of MediaStream with an audio track.
+ *
+ * @param {string} id the id for the stream.
+ */
+function MediaStreamMock(id) {
+	this.id = id
+	this.getAudioTracks = () => [{ kind: 'audio' }]
+}
+
+describe('CallParticipantsCaptioner', () => {
+
+	let callParticipantCollection
+	let localMediaModel
+	let provider
+	let sessions
+	let onResult
+	let captioner
+
+	/**
+	 * Adds a participant model to the collection.
+	 *
+	 * @param {object} callParticipantModel the model to add.
+	 */
+	function addCallParticipantModel(callParticipantModel) {
+		callParticipantCollection.callParticipantModels.value.push(callParticipantModel)
+		callParticipantCollection._trigger('add', [callParticipantModel])
+	}
+
+	/**
+	 * Removes a participant model from the collection.
+	 *
+	 * @param {object} callParticipantModel the model to remove.
+	 */
+	function removeCallParticipantModel(callParticipantModel) {
+		const index = callParticipantCollection.callParticipantModels.value.indexOf(callParticipantModel)
+		callParticipantCollection.callParticipantModels.value.splice(index, 1)
+		callParticipantCollection._trigger('remove', [callParticipantModel])
+	}
+
+	/**
+	 * Returns the streams of the sessions which were not stopped.
+	 */
+	function getActiveStreamIds() {
+		return sessions.filter((session) => !session.stop.mock.calls.length).map((session) => session.stream.id)
+	}
+
+	beforeEach(() => {
+		callParticipantCollection = new CallParticipantCollectionStub()
+		localMediaModel = new ModelStub({ localStream: null, audioEnabled: false })
+		sessions = []
+		provider = {
+			start: jest.fn((stream, { onResult }) => {
+				const session = { stream, onResult, stop: jest.fn() }
+				sessions.push(session)
+				return { stop: session.stop }
+			}),
+		}
+		onResult = jest.fn()
+	})
+
+	afterEach(() => {
+		captioner?.destroy()
+		captioner = null
+	})
+
+	test('starts sessions for participants with available audio', () => {
+		const alice = new ModelStub({ peerId: 'alice', name: 'Alice', stream: new MediaStreamMock('alice-stream'), audioAvailable: true })
+		const bob = new ModelStub({ peerId: 'bob', name: 'Bob', stream: new MediaStreamMock('bob-stream'), audioAvailable: false })
+		addCallParticipantModel(alice)
+
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+		addCallParticipantModel(bob)
+
+		expect(getActiveStreamIds()).toEqual(['alice-stream'])
+		expect(provider.start).toHaveBeenCalledWith(alice.get('stream'), expect.objectContaining({ language: 'en' }))
+
+		bob.set('audioAvailable', true)
+		alice.set('audioAvailable', false)
+
+		expect(getActiveStreamIds()).toEqual(['bob-stream'])
+	})
+
+	test('passes results with the speaker', () => {
+		const alice = new ModelStub({ peerId: 'alice', name: 'Alice', stream: new MediaStreamMock('alice-stream'), audioAvailable: true })
+		addCallParticipantModel(alice)
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+
+		alice.set('name', 'Alice Smith')
+		sessions[0].onResult({ text: 'Hello', isFinal: true })
+
+		expect(onResult).toHaveBeenCalledWith({ id: 'alice', name: 'Alice Smith' }, { text: 'Hello', isFinal: true })
+	})
+
+	test('restarts the session when the stream changes and stops it when removed', () => {
+		const alice = new ModelStub({ peerId: 'alice', name: 'Alice', stream: new MediaStreamMock('alice-stream'), audioAvailable: true })
+		addCallParticipantModel(alice)
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+
+		alice.set('stream', new MediaStreamMock('alice-stream-2'))
+		expect(getActiveStreamIds()).toEqual(['alice-stream-2'])
+
+		removeCallParticipantModel(alice)
+		expect(getActiveStreamIds()).toEqual([])
+	})
+
+	test('captions the local participant while the microphone is enabled', () => {
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+
+		localMediaModel.set('localStream', new MediaStreamMock('local-stream'))
+		expect(getActiveStreamIds()).toEqual([])
+
+		localMediaModel.set('audioEnabled', true)
+		expect(getActiveStreamIds()).toEqual(['local-stream'])
+		sessions[0].onResult({ text: 'Hi', isFinal: false })
+		expect(onResult).toHaveBeenCalledWith({ id: 'local', name: 'Me' }, { text: 'Hi', isFinal: false })
+
+		localMediaModel.set('audioEnabled', false)
+		expect(getActiveStreamIds()).toEqual([])
+	})
+
+	test('captions only the local participant if the provider does not support other streams', () => {
+		provider.localAudioOnly = true
+		const alice = new ModelStub({ peerId: 'alice', name: 'Alice', stream: new MediaStreamMock('alice-stream'), audioAvailable: true })
+		addCallParticipantModel(alice)
+		localMediaModel.set('localStream', new MediaStreamMock('local-stream'))
+		localMediaModel.set('audioEnabled', true)
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+
+		expect(getActiveStreamIds()).toEqual(['local-stream'])
+	})
+
+	test('stops all sessions when destroyed', () => {
+		const alice = new ModelStub({ peerId: 'alice', name: 'Alice', stream: new MediaStreamMock('alice-stream'), audioAvailable: true })
+		addCallParticipantModel(alice)
+		localMediaModel.set('localStream', new MediaStreamMock('local-stream'))
+		localMediaModel.set('audioEnabled', true)
+		captioner = new CallParticipantsCaptioner(callParticipantCollection, localMediaModel, provider, { language: 'en', localName: 'Me', onResult })
+		expect(getActiveStreamIds()).toEqual(['alice-stream', 'local-stream'])
+
+		captioner.destroy()
+		captioner = null
+
+		expect(getActiveStreamIds()).toEqual([])
+		alice.set('stream', new MediaStreamMock('alice-stream-2'))
+		expect(provider.start).toHaveBeenCalledTimes(2)
+	})
+})
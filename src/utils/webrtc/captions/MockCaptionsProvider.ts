@@ -0,0 +1,45 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { CaptionsProvider } from './providers.ts'
+
+const SAMPLE_SENTENCES = [
+	'Hello everyone, can you hear me?',
+	'Let us go through the agenda for today.',
+	'I will share my screen in a moment.',
+	'Does anyone have questions so far?',
+]
+
+export const WORD_INTERVAL = 500
+
+/**
+ * Captions provider for testing, which ignores the audio and "recognizes" sample sentences word by word
+ */
+export const MockCaptionsProvider: CaptionsProvider = {
+	id: 'mock',
+	name: 'Test captions',
+
+	start(stream, { onResult }) {
+		let sentenceIndex = 0
+		let wordIndex = 0
+
+		const interval = setInterval(() => {
+			const words = SAMPLE_SENTENCES[sentenceIndex].split(' ')
+			wordIndex++
+			onResult({
+				text: words.slice(0, wordIndex).join(' '),
+				isFinal: wordIndex === words.length,
+			})
+			if (wordIndex === words.length) {
+				sentenceIndex = (sentenceIndex + 1) % SAMPLE_SENTENCES.length
+				wordIndex = 0
+			}
+		}, WORD_INTERVAL)
+
+		return {
+			stop: () => clearInterval(interval),
+		}
+	},
+}
@@ -0,0 +1,102 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { t } from '@nextcloud/l10n'
+
+import type { CaptionsProvider } from './providers.ts'
+
+// Web Speech API is not part of the TypeScript DOM library, only the used subset is declared
+type SpeechRecognitionResultEvent = {
+	resultIndex: number
+	results: ArrayLike<{ isFinal: boolean } & ArrayLike<{ transcript: string }>>
+}
+type SpeechRecognitionErrorEvent = {
+	error: string
+}
+type SpeechRecognition = {
+	lang: string
+	continuous: boolean
+	interimResults: boolean
+	onresult: ((event: SpeechRecognitionResultEvent) => void) | null
+	onerror: ((event: SpeechRecognitionErrorEvent) => void) | null
+	onend: (() => void) | null
+	start: () => void
+	abort: () => void
+}
+type SpeechRecognitionConstructor = new () => SpeechRecognition
+
+// Errors after which restarting the recognition would fail again
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'language-not-supported']
+
+/**
+ * Get the SpeechRecognition implementation of the browser (prefixed in Chromium based browsers)
+ */
+function getSpeechRecognition(): SpeechRecognitionConstructor | undefined {
+	return (window as unknown as Record<string, SpeechRecognitionConstructor | undefined>).SpeechRecognition
+		?? (window as unknown as Record<string, SpeechRecognitionConstructor | undefined>).webkitSpeechRecognition
+}
+
+/**
+ * Whether the browser supports speech recognition with the Web Speech API
+ */
+export function isWebSpeechSupported(): boolean {
+	return getSpeechRecognition() !== undefined
+}
+
+/**
+ * Captions provider using the speech recognition of the browser.
+ *
+ * The Web Speech API recognizes the default microphone of the device instead
+ * of a given stream, so only the local participant can be captioned; the
+ * captions are sent to the other participants through the signaling.
+ */
+export const WebSpeechCaptionsProvider: CaptionsProvider = {
+	id: 'web-speech',
+	name: t('spreed', 'Browser speech recognition'),
+	localAudioOnly: true,
+	privacyNotice: t('spreed', 'Live captions use the speech recognition of your browser. Chromium based browsers, like Google Chrome and Microsoft Edge, upload the audio of your microphone to Google to recognize it. The recognized text is sent to the other participants of the call.'),
+
+	start(stream, { language, onResult }) {
+		const SpeechRecognition = getSpeechRecognition()
+		if (!SpeechRecognition) {
+			throw new Error('Speech recognition is not supported by the browser')
+		}
+
+		const recognition = new SpeechRecognition()
+		recognition.lang = language
+		recognition.continuous = true
+		recognition.interimResults = true
+
+		let stopped = false
+		recognition.onresult = (event) => {
+			for (let i = event.resultIndex; i < event.results.length; i++) {
+				onResult({
+					text: event.results[i][0].transcript,
+					isFinal: event.results[i].isFinal,
+				})
+			}
+		}
+		recognition.onerror = (event) => {
+			if (FATAL_ERRORS.includes(event.error)) {
+				console.error('Speech recognition failed: ' + event.error)
+				stopped = true
+			}
+		}
+		// Recognition ends by itself after some time of silence
+		recognition.onend = () => {
+			if (!stopped) {
+				recognition.start()
+			}
+		}
+		recognition.start()
+
+		return {
+			stop: () => {
+				stopped = true
+				recognition.abort()
+			},
+		}
+	},
+}
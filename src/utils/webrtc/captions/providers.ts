@@ -0,0 +1,82 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { ref, markRaw } from 'vue'
+import type { Ref } from 'vue'
+
+export type CaptionsResult = {
+	/**
+	 * Recognized text, interim results are replaced by following results
+	 */
+	text: string
+	/**
+	 * Whether the text is final and will not change anymore
+	 */
+	isFinal: boolean
+}
+
+export type CaptionsSession = {
+	/**
+	 * Stop recognizing speech and release the resources
+	 */
+	stop: () => void
+}
+
+export type CaptionsProvider = {
+	/**
+	 * Provider internal ID
+	 */
+	id: string
+	/**
+	 * Provider visible name
+	 */
+	name: string
+	/**
+	 * Whether the provider can only recognize the microphone of the current
+	 * device, so the audio of other participants is not passed to it
+	 */
+	localAudioOnly?: boolean
+	/**
+	 * Shown to the user before the captions are enabled, for example when the
+	 * audio is sent to an external service
+	 */
+	privacyNotice?: string
+	/**
+	 * Start recognizing speech from the audio of the stream
+	 */
+	start: (stream: MediaStream, options: { language: string, onResult: (result: CaptionsResult) => void }) => CaptionsSession
+}
+
+// TODO: use shallowReactive instead of ref + markRaw in Vue 3 (see SettingsAPI.ts)
+const captionsProviders: Ref<CaptionsProvider[]> = ref([])
+
+/**
+ * Register a speech-to-text provider for live captions
+ * @param provider - Captions provider
+ */
+export function registerCaptionsProvider(provider: CaptionsProvider) {
+	if (captionsProviders.value.some(({ id }) => id === provider.id)) {
+		throw new Error(`Captions provider "${provider.id}" is already registered`)
+	}
+	captionsProviders.value.push(markRaw(provider))
+}
+
+/**
+ * Unregister a speech-to-text provider
+ * @param id - Provider ID
+ */
+export function unregisterCaptionsProvider(id: string) {
+	const index = captionsProviders.value.findIndex((provider) => provider.id === id)
+	if (index !== -1) {
+		captionsProviders.value.splice(index, 1)
+	}
+}
+
+/**
+ * Get registered speech-to-text providers
+ */
+export function getCaptionsProviders(): CaptionsProvider[] {
+	return captionsProviders.value
+}
@@ -5,7 +5,10 @@
 
 import Axios from '@nextcloud/axios'
 
+import AdaptiveBandwidthHandler from './AdaptiveBandwidthHandler.js'
 import CallAnalyzer from './analyzers/CallAnalyzer.js'
+import CallQualityRecorder from './analyzers/CallQualityRecorder.js'
+import CallStatsCollector from './analyzers/CallStatsCollector.js'
 import CallParticipantsAudioPlayer from './CallParticipantsAudioPlayer.js'
 import MediaDevicesManager from './MediaDevicesManager.js'
 import CallParticipantCollection from './models/CallParticipantCollection.js'
@@ -21,6 +24,8 @@ import BrowserStorage from '../../services/BrowserStorage.js'
 import { getTalkConfig } from '../../services/CapabilitiesManager.ts'
 import { fetchSignalingSettings } from '../../services/signalingService.js'
 import store from '../../store/index.js'
+import { useCallQualityReportsStore } from '../../stores/callQualityReports.ts'
+import { useCallViewStore } from '../../stores/callView.ts'
 import { isSafari } from '../browserCheck.ts'
 import CancelableRequest from '../cancelableRequest.js'
 import Encryption from '../e2ee/encryption.js'
@@ -32,7 +37,9 @@ const callParticipantCollection = new CallParticipantCollection()
 const localCallParticipantModel = new LocalCallParticipantModel()
 const localMediaModel = new LocalMediaModel()
 const mediaDevicesManager = new MediaDevicesManager()
+let adaptiveBandwidthHandler = null
 let callAnalyzer = null
+let callQualityRecorder = null
 let callParticipantsAudioPlayer = null
 let sentVideoQualityThrottler = null
 let speakingStatusHandler = null
@@ -249,6 +256,9 @@ async function signalingJoinCall(token, flags, silent, recordingConsent) {
 			callAnalyzer = new CallAnalyzer(localMediaModel, null, callParticipantCollection)
 		}
 
+		callQualityRecorder = new CallQualityRecorder(token, callAnalyzer, localMediaModel, callParticipantCollection)
+		adaptiveBandwidthHandler = new AdaptiveBandwidthHandler(useCallViewStore(), callAnalyzer, localMediaModel, sentVideoQualityThrottler, signaling.hasFeature('mcu') ? null : callParticipantCollection)
+
 		const mixAudio = isSafari
 		callParticipantsAudioPlayer = new CallParticipantsAudioPlayer(callParticipantCollection, mixAudio)
 
@@ -266,6 +276,7 @@ async function signalingJoinCall(token, flags, silent, recordingConsent) {
 			const virtualBackgroundType = BrowserStorage.getItem('virtualBackgroundType_' + token)
 			const virtualBackgroundBlurStrength = BrowserStorage.getItem('virtualBackgroundBlurStrength_' + token)
 			const virtualBackgroundUrl = BrowserStorage.getItem('virtualBackgroundUrl_' + token)
+			const enableNoiseSuppression = !!BrowserStorage.getItem('noiseSuppressionEnabled')
 
 			localMediaModel.set('token', token)
 
@@ -291,6 +302,11 @@ async function signalingJoinCall(token, flags, silent, recordingConsent) {
 			} else {
 				localMediaModel.setVirtualBackgroundBlur(virtualBackgroundBlurStrength)
 			}
+			if (enableNoiseSuppression) {
+				localMediaModel.enableNoiseSuppression()
+			} else {
+				localMediaModel.disableNoiseSuppression()
+			}
 
 			const startCallOnceLocalMediaStarted = (configuration) => {
 				webRtc.off('localMediaStarted', startCallOnceLocalMediaStarted)
@@ -449,12 +465,20 @@ async function signalingJoinCallForRecording(token, settings, internalClientAuth
  * @return {Promise<void>}
  */
 async function signalingLeaveCall(token, all = false) {
+	adaptiveBandwidthHandler.destroy()
+	adaptiveBandwidthHandler = null
+
 	sentVideoQualityThrottler.destroy()
 	sentVideoQualityThrottler = null
 
 	speakingStatusHandler.destroy()
 	speakingStatusHandler = null
 
+	// The recorder listens to the analyzer, so it needs to be destroyed first
+	callQualityRecorder.destroy()
+	useCallQualityReportsStore().addReport(callQualityRecorder.getReport())
+	callQualityRecorder = null
+
 	callAnalyzer.destroy()
 	callAnalyzer = null
 
@@ -498,6 +522,36 @@ async function signalingSendCallMessage(data) {
 	await signaling.sendCallMessage(data)
 }
 
+/**
+ * Sends to everyone in the call whether only verified participants are
+ * allowed to exchange the end-to-end encryption keys.
+ *
+ * The requirement is sent through the encrypted sessions with each participant.
+ *
+ * @param {boolean} requireVerification whether only verified participants
+ *        are allowed
+ * @param {object} verifiedSessions the identity keys verified by the
+ *        moderators, indexed by signaling session id
+ */
+function sendEncryptionVerification(requireVerification, verifiedSessions) {
+	if (!encryption) {
+		throw new Error('Encryption not initialized')
+	}
+
+	encryption.sendVerificationRequirement(requireVerification, verifiedSessions)
+}
+
+/**
+ * Creates a collector for the stats of the media in the current call.
+ *
+ * The collector must be destroyed once no longer needed.
+ *
+ * @return {CallStatsCollector} the collector
+ */
+function createCallStatsCollector() {
+	return new CallStatsCollector(localMediaModel, signaling?.hasFeature('mcu') ? localCallParticipantModel : null, callParticipantCollection)
+}
+
 /**
  * Sets whether the current participant is typing.
  *
@@ -515,6 +569,8 @@ export {
 	mediaDevicesManager,
 
 	callAnalyzer,
+	createCallStatsCollector,
+	sendEncryptionVerification,
 
 	signalingGetSettingsForRecording,
 	signalingJoinConversation,
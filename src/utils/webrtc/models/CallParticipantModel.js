@@ -177,6 +177,35 @@ CallParticipantModel.prototype = {
 		this._handleMute({ id: this.get('peer').id })
 	},
 
+	/**
+	 * Asks the participant to lower the hand.
+	 *
+	 * The participant sends the new state of the hand once lowered, so it is
+	 * not changed locally.
+	 */
+	lowerHand() {
+		this._webRtc.sendToAll('control', {
+			action: 'lowerHand',
+			peerId: this.get('peerId'),
+		})
+	},
+
+	/**
+	 * Gives the floor to the participant, which also lowers the hand.
+	 *
+	 * The participant can not be unmuted without their consent, so if
+	 * requested the participant is asked to unmute instead.
+	 *
+	 * @param {boolean} askToUnmute whether to ask the participant to unmute
+	 */
+	callOn(askToUnmute) {
+		this._webRtc.sendToAll('control', {
+			action: 'callOn',
+			peerId: this.get('peerId'),
+			askToUnmute,
+		})
+	},
+
 	_handleUnmute(data) {
 		if (!this.get('peer') || this.get('peer').id !== data.id) {
 			return
@@ -23,9 +23,12 @@ export default function LocalCallParticipantModel() {
 		guestName: null,
 		peerNeeded: false,
 		connectionState: null,
+		spotlightedPeerId: null,
 	})
 
 	this._handleForcedMuteBound = this._handleForcedMute.bind(this)
+	this._handleForcedLowerHandBound = this._handleForcedLowerHand.bind(this)
+	this._handleCalledOnBound = this._handleCalledOn.bind(this)
 	this._handleExtendedIceConnectionStateChangeBound = this._handleExtendedIceConnectionStateChange.bind(this)
 
 }
@@ -49,6 +52,8 @@ LocalCallParticipantModel.prototype = {
 	setWebRtc(webRtc) {
 		if (this._webRtc) {
 			this._webRtc.off('forcedMute', this._handleForcedMuteBound)
+			this._webRtc.off('forcedLowerHand', this._handleForcedLowerHandBound)
+			this._webRtc.off('calledOn', this._handleCalledOnBound)
 			this._unwatchDisplayNameChange()
 		}
 
@@ -58,6 +63,8 @@ LocalCallParticipantModel.prototype = {
 		this.set('guestName', null)
 
 		this._webRtc.on('forcedMute', this._handleForcedMuteBound)
+		this._webRtc.on('forcedLowerHand', this._handleForcedLowerHandBound)
+		this._webRtc.on('calledOn', this._handleCalledOnBound)
 		this._unwatchDisplayNameChange = store.watch(state => state.actorStore.displayName, this.setGuestName.bind(this))
 	},
 
@@ -120,6 +127,14 @@ LocalCallParticipantModel.prototype = {
 		this._trigger('forcedMute')
 	},
 
+	_handleForcedLowerHand() {
+		this._trigger('forcedLowerHand')
+	},
+
+	_handleCalledOn(data) {
+		this._trigger('calledOn', [data.askToUnmute])
+	},
+
 	_handleExtendedIceConnectionStateChange(extendedIceConnectionState) {
 		switch (extendedIceConnectionState) {
 		case 'new':
@@ -162,6 +177,129 @@ LocalCallParticipantModel.prototype = {
 		})
 	},
 
+	/**
+	 * Shows the given participant in the main view of everyone in the call.
+	 *
+	 * The spotlight is remembered to send it also to the participants that
+	 * join the call later, until it is changed by another moderator.
+	 *
+	 * @param {string|null} peerId the peer id of the participant, or null to
+	 *        clear the spotlight
+	 */
+	setSpotlight(peerId) {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		this.set('spotlightedPeerId', peerId)
+
+		this._webRtc.sendToAll('control', {
+			action: 'spotlight',
+			peerId,
+		})
+
+		// Apply locally too, as even when sending to all the sender will not
+		// receive the message.
+		this._webRtc.emit('spotlight', { id: this.get('peerId'), peerId })
+	},
+
+	/**
+	 * Sends a change in the questions of the call to everyone in the call.
+	 *
+	 * The supported actions are "add" (with "id", "text" and "anonymous"),
+	 * "vote" (with "id" and "voted") and, for moderators, "setState" (with
+	 * "id" and "state") and "highlight" (with "id").
+	 *
+	 * The message is sent from the session of the local participant, so the
+	 * receivers take the name of the author from the sender of the message;
+	 * "anonymous" only hides the name in the list of questions. Votes are
+	 * counted for the sender of the message.
+	 *
+	 * @param {object} payload the action and its parameters
+	 */
+	sendCallQuestionsAction(payload) {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		this._webRtc.sendToAll('callQuestions', payload)
+
+		// Apply locally too, as even when sending to all the sender will not
+		// receive the message.
+		this._webRtc.emit('callQuestions', { id: this.get('peerId'), payload })
+	},
+
+	/**
+	 * Sends the captions of the local participant to everyone in the call.
+	 *
+	 * Used when the speech recognition can only caption the microphone of the
+	 * local device, so the other participants can not caption the local
+	 * participant by themselves.
+	 *
+	 * @param {string} text the recognized text
+	 * @param {boolean} isFinal whether the text will not change anymore
+	 */
+	sendCaption(text, isFinal) {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		this._webRtc.sendToAll('caption', { text, isFinal })
+	},
+
+	/**
+	 * Sends the agenda of the call to everyone in the call.
+	 *
+	 * The whole agenda is sent on every change, as it is small and this
+	 * avoids the participants getting out of sync.
+	 *
+	 * @param {Array<object>} items the items of the agenda, with "title" and
+	 *        "duration" in seconds
+	 * @param {number|null} currentIndex the index of the current item, or null
+	 *        if the agenda is not running
+	 * @param {number|null} elapsed the milliseconds elapsed since the current
+	 *        item started
+	 */
+	sendAgenda(items, currentIndex, elapsed) {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		const payload = { items, currentIndex, elapsed }
+
+		this._webRtc.sendToAll('agenda', payload)
+
+		// Apply locally too, as even when sending to all the sender will not
+		// receive the message.
+		this._webRtc.emit('agenda', { id: this.get('peerId'), payload })
+	},
+
+	/**
+	 * Sends a message of the panel chat of a webinar.
+	 *
+	 * The message is sent only to the given participants, which should be the
+	 * other participants on stage, so it is not seen by the audience.
+	 *
+	 * @param {string} message the text of the message
+	 * @param {Array<string>} peerIds the peer ids of the receivers
+	 */
+	sendPanelChatMessage(message, peerIds) {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		peerIds.forEach((peerId) => {
+			this._webRtc.connection.emit('message', {
+				to: peerId,
+				roomType: 'video',
+				type: 'panelChat',
+				payload: {
+					message,
+				},
+			})
+		})
+	},
+
 }
 
 EmitterMixin.apply(LocalCallParticipantModel.prototype)
@@ -33,6 +33,8 @@ export default function LocalMediaModel() {
 		virtualBackgroundType: null,
 		virtualBackgroundBlurStrength: null,
 		virtualBackgroundUrl: null,
+		noiseSuppressionAvailable: false,
+		noiseSuppressionEnabled: false,
 		localScreen: null,
 		token: '',
 		raisedHand: false,
@@ -56,6 +58,9 @@ export default function LocalMediaModel() {
 	this._handleVirtualBackgroundOnBound = this._handleVirtualBackgroundOn.bind(this)
 	this._handleVirtualBackgroundSetBound = this._handleVirtualBackgroundSet.bind(this)
 	this._handleVirtualBackgroundOffBound = this._handleVirtualBackgroundOff.bind(this)
+	this._handleNoiseSuppressionLoadFailedBound = this._handleNoiseSuppressionLoadFailed.bind(this)
+	this._handleNoiseSuppressionOnBound = this._handleNoiseSuppressionOn.bind(this)
+	this._handleNoiseSuppressionOffBound = this._handleNoiseSuppressionOff.bind(this)
 	this._handleLocalScreenBound = this._handleLocalScreen.bind(this)
 	this._handleLocalScreenStoppedBound = this._handleLocalScreenStopped.bind(this)
 
@@ -101,6 +106,9 @@ LocalMediaModel.prototype = {
 			this._webRtc.webrtc.off('virtualBackgroundOn', this._handleVirtualBackgroundOnBound)
 			this._webRtc.webrtc.off('virtualBackgroundSet', this._handleVirtualBackgroundSetBound)
 			this._webRtc.webrtc.off('virtualBackgroundOff', this._handleVirtualBackgroundOffBound)
+			this._webRtc.webrtc.off('noiseSuppressionLoadFailed', this._handleNoiseSuppressionLoadFailedBound)
+			this._webRtc.webrtc.off('noiseSuppressionOn', this._handleNoiseSuppressionOnBound)
+			this._webRtc.webrtc.off('noiseSuppressionOff', this._handleNoiseSuppressionOffBound)
 			this._webRtc.webrtc.off('localScreen', this._handleLocalScreenBound)
 			this._webRtc.webrtc.off('localScreenStopped', this._handleLocalScreenStoppedBound)
 		}
@@ -121,6 +129,8 @@ LocalMediaModel.prototype = {
 		if (this._webRtc.webrtc.isVirtualBackgroundAvailable()) {
 			this._setVirtualBackgroundTypeAndParameters(this._webRtc.webrtc.getVirtualBackground())
 		}
+		this.set('noiseSuppressionAvailable', this._webRtc.webrtc.isNoiseSuppressionAvailable())
+		this.set('noiseSuppressionEnabled', this._webRtc.webrtc.isNoiseSuppressionEnabled())
 		this.set('localScreen', null)
 
 		this._webRtc.webrtc.on('localStreamRequested', this._handleLocalStreamRequestedBound)
@@ -141,6 +151,9 @@ LocalMediaModel.prototype = {
 		this._webRtc.webrtc.on('virtualBackgroundOn', this._handleVirtualBackgroundOnBound)
 		this._webRtc.webrtc.on('virtualBackgroundSet', this._handleVirtualBackgroundSetBound)
 		this._webRtc.webrtc.on('virtualBackgroundOff', this._handleVirtualBackgroundOffBound)
+		this._webRtc.webrtc.on('noiseSuppressionLoadFailed', this._handleNoiseSuppressionLoadFailedBound)
+		this._webRtc.webrtc.on('noiseSuppressionOn', this._handleNoiseSuppressionOnBound)
+		this._webRtc.webrtc.on('noiseSuppressionOff', this._handleNoiseSuppressionOffBound)
 		this._webRtc.webrtc.on('localScreen', this._handleLocalScreenBound)
 		this._webRtc.webrtc.on('localScreenStopped', this._handleLocalScreenStoppedBound)
 	},
@@ -329,6 +342,18 @@ LocalMediaModel.prototype = {
 		this.set('virtualBackgroundEnabled', false)
 	},
 
+	_handleNoiseSuppressionLoadFailed() {
+		this.set('noiseSuppressionAvailable', false)
+	},
+
+	_handleNoiseSuppressionOn() {
+		this.set('noiseSuppressionEnabled', true)
+	},
+
+	_handleNoiseSuppressionOff() {
+		this.set('noiseSuppressionEnabled', false)
+	},
+
 	_handleLocalScreen(screen) {
 		this.set('localScreen', screen)
 	},
@@ -448,6 +473,26 @@ LocalMediaModel.prototype = {
 		this._webRtc.disableVirtualBackground()
 	},
 
+	enableNoiseSuppression() {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		BrowserStorage.setItem('noiseSuppressionEnabled', 'true')
+
+		this._webRtc.enableNoiseSuppression()
+	},
+
+	disableNoiseSuppression() {
+		if (!this._webRtc) {
+			throw new Error('WebRtc not initialized yet')
+		}
+
+		BrowserStorage.removeItem('noiseSuppressionEnabled')
+
+		this._webRtc.disableNoiseSuppression()
+	},
+
 	shareScreen(mode, callback) {
 		if (!this._webRtc) {
 			throw new Error('WebRtc not initialized yet')
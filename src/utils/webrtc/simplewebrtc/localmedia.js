@@ -13,6 +13,7 @@ import WildEmitter from 'wildemitter'
 import getScreenMedia from './getscreenmedia.js'
 import BlackVideoEnforcer from '../../media/pipeline/BlackVideoEnforcer.js'
 import MediaDevicesSource from '../../media/pipeline/MediaDevicesSource.js'
+import NoiseSuppressor from '../../media/pipeline/NoiseSuppressor.js'
 import SpeakingMonitor from '../../media/pipeline/SpeakingMonitor.js'
 import TrackConstrainer from '../../media/pipeline/TrackConstrainer.js'
 import TrackEnabler from '../../media/pipeline/TrackEnabler.js'
@@ -57,6 +58,11 @@ export default function LocalMedia(opts) {
 	this._audioTrackEnabler = new TrackEnabler()
 	this._videoTrackEnabler = new TrackEnabler()
 
+	this._noiseSuppressor = new NoiseSuppressor()
+	this._noiseSuppressor.on('loadFailed', () => {
+		this.emit('noiseSuppressionLoadFailed')
+	})
+
 	this._videoTrackConstrainer = new TrackConstrainer()
 
 	this._virtualBackground = new VirtualBackground()
@@ -102,8 +108,10 @@ export default function LocalMedia(opts) {
 	this._mediaDevicesSource.connectTrackSink('video', this._videoTrackEnabler)
 
 	this._audioTrackEnabler.connectTrackSink('default', this._speakingMonitor)
-	this._audioTrackEnabler.connectTrackSink('default', this._trackToStream, 'audio')
-	this._audioTrackEnabler.connectTrackSink('default', this._trackToSentStream, 'audio')
+	this._audioTrackEnabler.connectTrackSink('default', this._noiseSuppressor)
+
+	this._noiseSuppressor.connectTrackSink('default', this._trackToStream, 'audio')
+	this._noiseSuppressor.connectTrackSink('default', this._trackToSentStream, 'audio')
 
 	this._videoTrackEnabler.connectTrackSink('default', this._videoTrackConstrainer)
 
@@ -406,6 +414,16 @@ LocalMedia.prototype.disableVirtualBackground = function() {
 	this.emit('virtualBackgroundOff')
 }
 
+LocalMedia.prototype.enableNoiseSuppression = function() {
+	this._noiseSuppressor.setEnabled(true)
+	this.emit('noiseSuppressionOn')
+}
+
+LocalMedia.prototype.disableNoiseSuppression = function() {
+	this._noiseSuppressor.setEnabled(false)
+	this.emit('noiseSuppressionOff')
+}
+
 // Combined controls
 LocalMedia.prototype.pause = function() {
 	this.mute()
@@ -486,6 +504,14 @@ LocalMedia.prototype.getVirtualBackground = function() {
 	return this._virtualBackground.getVirtualBackground()
 }
 
+LocalMedia.prototype.isNoiseSuppressionAvailable = function() {
+	return this._noiseSuppressor.isAvailable()
+}
+
+LocalMedia.prototype.isNoiseSuppressionEnabled = function() {
+	return this._noiseSuppressor.isEnabled()
+}
+
 LocalMedia.prototype._removeStream = function(stream) {
 	let idx = this.localStreams.indexOf(stream)
 	if (idx > -1) {
@@ -116,6 +116,16 @@ export default function SimpleWebRTC(opts) {
 				} else {
 					self.emit('mute', { id: message.payload.peerId })
 				}
+			} else if (message.payload.action === 'spotlight') {
+				self.emit('spotlight', { id: message.from, peerId: message.payload.peerId })
+			} else if (message.payload.action === 'lowerHand') {
+				if (message.payload.peerId === self.connection.getSessionId()) {
+					self.emit('forcedLowerHand')
+				}
+			} else if (message.payload.action === 'callOn') {
+				if (message.payload.peerId === self.connection.getSessionId()) {
+					self.emit('calledOn', { askToUnmute: !!message.payload.askToUnmute })
+				}
 			}
 		} else if (message.type === 'nickChanged') {
 			// "nickChanged" can be received from a participant without a Peer
@@ -129,6 +139,22 @@ export default function SimpleWebRTC(opts) {
 			// "raisedHand" can be received from a participant without a Peer
 			// object if that participant is not sending audio nor video.
 			self.emit('raisedHand', { id: message.from, raised: message.payload })
+		} else if (message.type === 'panelChat') {
+			// "panelChat" can be received from a participant without a Peer
+			// object if that participant is not sending audio nor video.
+			self.emit('panelChat', { id: message.from, message: message.payload.message })
+		} else if (message.type === 'callQuestions') {
+			// "callQuestions" can be received from a participant without a
+			// Peer object if that participant is not sending audio nor video.
+			self.emit('callQuestions', { id: message.from, payload: message.payload })
+		} else if (message.type === 'caption') {
+			// "caption" can be received from a participant without a Peer
+			// object if that participant is not sending audio nor video.
+			self.emit('caption', { id: message.from, payload: message.payload })
+		} else if (message.type === 'agenda') {
+			// "agenda" can be received from a participant without a Peer
+			// object if that participant is not sending audio nor video.
+			self.emit('agenda', { id: message.from, payload: message.payload })
 		} else if (peers.length) {
 			peers.forEach(function(peer) {
 				if (message.sid && !self.connection.hasFeature('mcu')) {
@@ -155,7 +181,7 @@ export default function SimpleWebRTC(opts) {
 	this.webrtc = new WebRTC(opts);
 
 	// attach a few methods from underlying lib to simple.
-	['mute', 'unmute', 'pauseVideo', 'resumeVideo', 'enableVirtualBackground', 'setVirtualBackground', 'disableVirtualBackground', 'isVirtualBackgroundEnabled', 'getVirtualBackground', 'pause', 'resume', 'sendToAll', 'sendDirectlyToAll', 'getPeers', 'createPeer', 'removePeers'].forEach(function(method) {
+	['mute', 'unmute', 'pauseVideo', 'resumeVideo', 'enableVirtualBackground', 'setVirtualBackground', 'disableVirtualBackground', 'isVirtualBackgroundEnabled', 'getVirtualBackground', 'enableNoiseSuppression', 'disableNoiseSuppression', 'pause', 'resume', 'sendToAll', 'sendDirectlyToAll', 'getPeers', 'createPeer', 'removePeers'].forEach(function(method) {
 		self[method] = self.webrtc[method].bind(self.webrtc)
 	})
 
@@ -13,7 +13,16 @@ import { t } from '@nextcloud/l10n'
 import SimpleWebRTC from './simplewebrtc/simplewebrtc.js'
 import { PARTICIPANT } from '../../constants.ts'
 import store from '../../store/index.js'
+import { useAgendaStore } from '../../stores/agenda.ts'
+import { useCallEncryptionStore } from '../../stores/callEncryption.ts'
+import { useCallQuestionsStore } from '../../stores/callQuestions.ts'
+import { useCallViewStore } from '../../stores/callView.ts'
+import { useCaptionsStore } from '../../stores/captions.ts'
+import { usePanelChatStore } from '../../stores/panelChat.ts'
 import { Sounds } from '../sounds.js'
+import { isOnStage } from '../webinar.ts'
+
+const MODERATOR_TYPES = [PARTICIPANT.TYPE.OWNER, PARTICIPANT.TYPE.MODERATOR, PARTICIPANT.TYPE.GUEST_MODERATOR]
 
 let webrtc
 const spreedPeerConnectionTable = []
@@ -231,6 +240,109 @@ function sendCurrentStateWithRepetition(timeout) {
 	}, timeout)
 }
 
+/**
+ * Sends the spotlight set by the local participant to a participant that
+ * joined the call after it was set.
+ *
+ * @param {object} signaling The signaling object
+ * @param {string} sessionId the signaling session id of the participant
+ */
+function sendCurrentSpotlight(signaling, sessionId) {
+	const spotlightedPeerId = localCallParticipantModel.get('spotlightedPeerId')
+	if (!spotlightedPeerId) {
+		return
+	}
+
+	signaling.emit('message', {
+		to: sessionId,
+		roomType: 'video',
+		type: 'control',
+		payload: {
+			action: 'spotlight',
+			peerId: spotlightedPeerId,
+		},
+	})
+}
+
+/**
+ * Sends the questions of the call to a participant that joined the call after
+ * they were asked.
+ *
+ * Only moderators send them, as the questions received from a participant
+ * that is not a moderator are ignored.
+ *
+ * @param {object} signaling The signaling object
+ * @param {string} sessionId the signaling session id of the participant
+ */
+function sendCurrentCallQuestions(signaling, sessionId) {
+	const callQuestionsStore = useCallQuestionsStore()
+	const conversation = store.getters.conversation(store.getters.getToken())
+	if (!callQuestionsStore.questions.length || !MODERATOR_TYPES.includes(conversation?.participantType)) {
+		return
+	}
+
+	signaling.emit('message', {
+		to: sessionId,
+		roomType: 'video',
+		type: 'callQuestions',
+		payload: {
+			action: 'restore',
+			questions: callQuestionsStore.questions,
+			highlightedQuestionId: callQuestionsStore.highlightedQuestionId,
+		},
+	})
+}
+
+/**
+ * Sends the agenda of the call to a participant that joined the call after it
+ * was set.
+ *
+ * Like the questions, the agenda is only sent by moderators.
+ *
+ * @param {object} signaling The signaling object
+ * @param {string} sessionId the signaling session id of the participant
+ */
+function sendCurrentAgenda(signaling, sessionId) {
+	const agendaStore = useAgendaStore()
+	const conversation = store.getters.conversation(store.getters.getToken())
+	if (!agendaStore.items.length || !MODERATOR_TYPES.includes(conversation?.participantType)) {
+		return
+	}
+
+	signaling.emit('message', {
+		to: sessionId,
+		roomType: 'video',
+		type: 'agenda',
+		payload: {
+			items: agendaStore.items,
+			currentIndex: agendaStore.currentIndex,
+			elapsed: agendaStore.getElapsed(),
+		},
+	})
+}
+
+/**
+ * @param {string} sessionId the signaling session id of the participant
+ * @return {object|undefined} The participant in the current conversation
+ */
+function getParticipantBySignalingSessionId(sessionId) {
+	// When the internal signaling server is used the Nextcloud session id and
+	// the signaling session id are the same.
+	const nextcloudSessionId = callParticipantCollection?.get(sessionId)?.get('nextcloudSessionId') ?? sessionId
+
+	return store.getters.getParticipantBySessionId(store.getters.getToken(), nextcloudSessionId)
+}
+
+/**
+ * @param {string} sessionId the signaling session id of the participant
+ * @return {boolean} True if the participant is a moderator of the conversation
+ */
+export function isModeratorSession(sessionId) {
+	const participant = getParticipantBySignalingSessionId(sessionId)
+
+	return MODERATOR_TYPES.includes(participant?.participantType)
+}
+
 /**
  * @param {object} user The user to check
  * @return {boolean} True if the user has an audio or video stream
@@ -322,6 +434,10 @@ function usersChanged(signaling, newUsers, disconnectedSessionIds) {
 			}
 		}
 
+		sendCurrentSpotlight(signaling, sessionId)
+		sendCurrentCallQuestions(signaling, sessionId)
+		sendCurrentAgenda(signaling, sessionId)
+
 		playJoinSound = true
 
 		const createPeer = function() {
@@ -622,6 +738,12 @@ export default function initWebRtc(signaling, _callParticipantCollection, _local
 		usersChanged(signaling, [], previousUsersInRoom)
 		usersInCallMapping = {}
 
+		localCallParticipantModel.set('spotlightedPeerId', null)
+		useCallViewStore().resetSpotlightAndPinnedVideos()
+		usePanelChatStore().reset()
+		useAgendaStore().resetAgenda()
+		useCallEncryptionStore().setVerificationRequirement(false, {})
+
 		webrtc.leaveCall()
 	})
 
@@ -1660,6 +1782,104 @@ export default function initWebRtc(signaling, _callParticipantCollection, _local
 		webrtc.sendToAll('nickChanged', { name })
 	})
 
+	webrtc.on('spotlight', function(data) {
+		if (data.id !== signaling.getSessionId()) {
+			// The standalone signaling server only relays control messages
+			// from moderators, but the internal one relays them from anyone.
+			if (!isModeratorSession(data.id)) {
+				console.warn('Spotlight received from a participant that is not a moderator', data.id)
+
+				return
+			}
+
+			// The spotlight was changed by another moderator, so it should
+			// no longer be sent by the local participant.
+			localCallParticipantModel.set('spotlightedPeerId', null)
+		}
+
+		useCallViewStore().setSpotlightPeerId(data.peerId)
+	})
+
+	webrtc.on('callQuestions', function(data) {
+		const callQuestionsStore = useCallQuestionsStore()
+		const { action, id } = data.payload
+
+		if (action === 'add') {
+			// The name is the one of the sender, the payload only tells
+			// whether the author wants to hide it in the list
+			let authorName = null
+			if (!data.payload.anonymous) {
+				authorName = (data.id === signaling.getSessionId()
+					? store.getters.getDisplayName()
+					: getParticipantBySignalingSessionId(data.id)?.displayName || callParticipantCollection.get(data.id)?.get('name'))
+					|| t('spreed', 'Guest')
+			}
+			callQuestionsStore.addQuestion(id, String(data.payload.text ?? ''), authorName)
+		} else if (action === 'vote') {
+			// The voter is the sender of the message, to prevent voting on
+			// behalf of other participants
+			callQuestionsStore.setVote(id, data.id, !!data.payload.voted)
+		} else if (['setState', 'highlight', 'restore'].includes(action)) {
+			if (data.id !== signaling.getSessionId() && !isModeratorSession(data.id)) {
+				console.warn('Questions action received from a participant that is not a moderator', data.id, action)
+
+				return
+			}
+
+			if (action === 'setState') {
+				callQuestionsStore.setQuestionState(id, data.payload.state)
+			} else if (action === 'highlight') {
+				callQuestionsStore.setHighlightedQuestionId(id)
+			} else {
+				callQuestionsStore.restoreQuestions(data.payload.questions, data.payload.highlightedQuestionId)
+			}
+		}
+	})
+
+	webrtc.on('caption', function(data) {
+		const captionsStore = useCaptionsStore()
+		// A provider which recognizes the streams of the other participants
+		// already captions the sender
+		if (!captionsStore.enabled || (captionsStore.provider && !captionsStore.provider.localAudioOnly)) {
+			return
+		}
+
+		const callParticipantModel = callParticipantCollection.get(data.id)
+		if (!callParticipantModel || typeof data.payload?.text !== 'string') {
+			return
+		}
+
+		captionsStore.addCaptionsResult({
+			id: data.id,
+			name: callParticipantModel.get('name') || callParticipantModel.get('userId') || '',
+		}, {
+			text: data.payload.text,
+			isFinal: !!data.payload.isFinal,
+		})
+	})
+
+	webrtc.on('agenda', function(data) {
+		if (data.id !== signaling.getSessionId() && !isModeratorSession(data.id)) {
+			console.warn('Agenda received from a participant that is not a moderator', data.id)
+
+			return
+		}
+
+		const { items, currentIndex, elapsed } = data.payload
+		useAgendaStore().setAgenda(items ?? [], currentIndex ?? null, elapsed ?? null)
+	})
+
+	webrtc.on('panelChat', function(data) {
+		const participant = getParticipantBySignalingSessionId(data.id)
+		if (!participant || !isOnStage(participant)) {
+			console.warn('Panel chat message received from a participant that is not on stage', data.id)
+
+			return
+		}
+
+		usePanelChatStore().addMessage(data.id, participant.displayName || t('spreed', 'Guest'), data.message)
+	})
+
 	// Local screen added.
 	webrtc.on('localScreenAdded', function() {
 		const currentSessionId = signaling.getSessionId()
@@ -557,6 +557,9 @@ class FeatureContext implements Context, SnippetAcceptingContext {
 			if (isset($expectedRoom['mentionPermissions'])) {
 				$data['mentionPermissions'] = (int)$room['mentionPermissions'];
 			}
+			if (isset($expectedRoom['webinarMode'])) {
+				$data['webinarMode'] = (int)$room['webinarMode'];
+			}
 			if (isset($expectedRoom['participants'])) {
 				throw new \Exception('participants key needs to be checked via participants endpoint');
 			}
@@ -4288,6 +4291,18 @@ class FeatureContext implements Context, SnippetAcceptingContext {
 		$this->assertStatusCode($this->response, $statusCode);
 	}
 
+	#[When('/^user "([^"]*)" sets webinar mode for room "([^"]*)" to (\d+) with (\d+) \((v4)\)$/')]
+	public function userSetsWebinarModeOfTheRoom(string $user, string $identifier, int $webinarMode, int $statusCode, string $apiVersion): void {
+		$this->setCurrentUser($user);
+		$this->sendRequest(
+			'PUT', '/apps/spreed/api/' . $apiVersion . '/room/' . self::$identifierToToken[$identifier] . '/webinar-mode',
+			new TableNode([
+				['webinarMode', $webinarMode],
+			])
+		);
+		$this->assertStatusCode($this->response, $statusCode);
+	}
+
 	#[When('/^user "([^"]*)" (unarchives|archives) room "([^"]*)" with (\d+) \((v4)\)$/')]
 	public function userArchivesConversation(string $user, string $action, string $identifier, int $statusCode, string $apiVersion): void {
 		$httpMethod = 'POST';
@@ -0,0 +1,55 @@
+Feature: conversation-5/set-webinar-mode
+  Background:
+    Given user "participant1" exists
+    Given user "participant2" exists
+    Given user "participant3" exists
+
+  Scenario: Moderators can enable and disable the webinar mode
+    Given user "participant1" creates room "room" (v4)
+      | roomType | 3 |
+      | roomName | room |
+    And user "participant1" adds user "participant2" to room "room" with 200 (v4)
+    And user "participant1" adds user "participant3" to room "room" with 200 (v4)
+    And user "participant1" promotes "participant2" in room "room" with 200 (v4)
+    Then user "participant1" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 3    | 0           |
+    When user "participant1" sets webinar mode for room "room" to 1 with 200 (v4)
+    Then user "participant3" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 3    | 1           |
+    When user "participant2" sets webinar mode for room "room" to 0 with 200 (v4)
+    Then user "participant3" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 3    | 0           |
+
+  Scenario: Only moderators can change the webinar mode
+    Given user "participant1" creates room "room" (v4)
+      | roomType | 3 |
+      | roomName | room |
+    And user "participant1" adds user "participant2" to room "room" with 200 (v4)
+    And user "guest" joins room "room" with 200 (v4)
+    When user "participant2" sets webinar mode for room "room" to 1 with 403 (v4)
+    And user "guest" sets webinar mode for room "room" to 1 with 401 (v4)
+    And user "participant3" sets webinar mode for room "room" to 1 with 404 (v4)
+    Then user "participant1" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 3    | 0           |
+
+  Scenario: Cannot set an invalid webinar mode
+    Given user "participant1" creates room "room" (v4)
+      | roomType | 2 |
+      | roomName | room |
+    When user "participant1" sets webinar mode for room "room" to 2 with 400 (v4)
+    Then user "participant1" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 2    | 0           |
+
+  Scenario: Cannot enable the webinar mode in one-to-one conversations
+    Given user "participant1" creates room "room" (v4)
+      | roomType | 1            |
+      | invite   | participant2 |
+    When user "participant1" sets webinar mode for room "room" to 1 with 400 (v4)
+    Then user "participant1" is participant of the following rooms (v4)
+      | id   | type | webinarMode |
+      | room | 1    | 0           |
@@ -321,6 +321,12 @@ class CapabilitiesTest extends TestCase {
 		], $data);
 	}
 
+	public function testWebinarModeFeature(): void {
+		$this->assertContains('webinar-mode', Capabilities::FEATURES);
+		// The webinar mode of federated conversations is synced from the host
+		$this->assertNotContains('webinar-mode', Capabilities::LOCAL_FEATURES);
+	}
+
 	public function testCapabilitiesDocumentation(): void {
 		foreach (Capabilities::FEATURES as $feature) {
 			$suffix = '';
@@ -409,6 +409,22 @@ class SystemMessageTest extends TestCase {
 				'You opened the conversation to registered users and users created with the Guests app',
 				['actor' => ['id' => 'actor', 'type' => 'user']],
 			],
+			['message_pinned', ['message' => 42], 'recipient',
+				'{actor} pinned a message',
+				['actor' => ['id' => 'actor', 'type' => 'user']],
+			],
+			['message_pinned', ['message' => 42], 'actor',
+				'You pinned a message',
+				['actor' => ['id' => 'actor', 'type' => 'user']],
+			],
+			['message_unpinned', ['message' => 42], 'recipient',
+				'{actor} unpinned a message',
+				['actor' => ['id' => 'actor', 'type' => 'user']],
+			],
+			['message_unpinned', ['message' => 42], 'actor',
+				'You unpinned a message',
+				['actor' => ['id' => 'actor', 'type' => 'user']],
+			],
 			['object_shared', ['metaData' => ['id' => 'geo:52.5450511,13.3741463', 'type' => 'geo-location', 'name' => 'Nextcloud Berlin Office']], 'actor',
 				'{object}',
 				['actor' => ['id' => 'actor', 'type' => 'user'], 'object' => ['id' => 'geo:52.5450511,13.3741463', 'type' => 'geo-location', 'name' => 'Nextcloud Berlin Office']],
@@ -19,18 +19,23 @@ use OCA\Talk\GuestManager;
 use OCA\Talk\MatterbridgeManager;
 use OCA\Talk\Model\Attendee;
 use OCA\Talk\Model\Message;
+use OCA\Talk\Model\ScheduledMessage;
 use OCA\Talk\Participant;
 use OCA\Talk\Room;
 use OCA\Talk\Service\AttachmentService;
 use OCA\Talk\Service\AvatarService;
 use OCA\Talk\Service\BotService;
 use OCA\Talk\Service\ParticipantService;
+use OCA\Talk\Service\PinnedMessageService;
 use OCA\Talk\Service\ProxyCacheMessageService;
 use OCA\Talk\Service\ReminderService;
 use OCA\Talk\Service\RoomFormatter;
+use OCA\Talk\Service\ScheduledMessageService;
 use OCA\Talk\Service\SessionService;
+use OCA\Talk\Service\ThreadService;
 use OCA\Talk\Share\Helper\Preloader;
 use OCP\App\IAppManager;
+use OCP\AppFramework\Db\DoesNotExistException;
 use OCP\AppFramework\Http;
 use OCP\AppFramework\Http\DataResponse;
 use OCP\AppFramework\Services\IAppConfig;
@@ -38,6 +43,7 @@ use OCP\AppFramework\Utility\ITimeFactory;
 use OCP\Collaboration\AutoComplete\IManager;
 use OCP\Collaboration\Collaborators\ISearchResult;
 use OCP\Comments\IComment;
+use OCP\Comments\NotFoundException;
 use OCP\EventDispatcher\IEventDispatcher;
 use OCP\IL10N;
 use OCP\IRequest;
@@ -66,6 +72,9 @@ class ChatControllerTest extends TestCase {
 	protected AttachmentService&MockObject $attachmentService;
 	protected AvatarService&MockObject $avatarService;
 	protected ReminderService&MockObject $reminderService;
+	protected PinnedMessageService&MockObject $pinnedMessageService;
+	protected ThreadService&MockObject $threadService;
+	protected ScheduledMessageService&MockObject $scheduledMessageService;
 	protected GuestManager&MockObject $guestManager;
 	protected MessageParser&MockObject $messageParser;
 	protected Preloader&MockObject $sharePreloader;
@@ -109,6 +118,9 @@ class ChatControllerTest extends TestCase {
 		$this->attachmentService = $this->createMock(AttachmentService::class);
 		$this->avatarService = $this->createMock(AvatarService::class);
 		$this->reminderService = $this->createMock(ReminderService::class);
+		$this->pinnedMessageService = $this->createMock(PinnedMessageService::class);
+		$this->threadService = $this->createMock(ThreadService::class);
+		$this->scheduledMessageService = $this->createMock(ScheduledMessageService::class);
 		$this->guestManager = $this->createMock(GuestManager::class);
 		$this->messageParser = $this->createMock(MessageParser::class);
 		$this->sharePreloader = $this->createMock(Preloader::class);
@@ -158,6 +170,9 @@ class ChatControllerTest extends TestCase {
 			$this->attachmentService,
 			$this->avatarService,
 			$this->reminderService,
+			$this->pinnedMessageService,
+			$this->threadService,
+			$this->scheduledMessageService,
 			$this->guestManager,
 			$this->messageParser,
 			$this->sharePreloader,
@@ -1090,6 +1105,448 @@ class ChatControllerTest extends TestCase {
 		$this->assertEquals($expected, $response);
 	}
 
+
+	public function testSendMessageInThreadRootNotFound(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willThrowException(new NotFoundException());
+
+		$this->chatManager->expects($this->never())
+			->method('sendMessage');
+		$this->threadService->expects($this->never())
+			->method('addReply');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->sendMessage('testMessage', threadId: 42);
+
+		$this->assertEquals(new DataResponse(['error' => 'thread'], Http::STATUS_BAD_REQUEST), $response);
+	}
+
+	public function testSendMessageInThreadOfThreadReply(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$threadReply = $this->newComment(43, 'users', 'author', new \DateTime(), 'testReply');
+		$threadReply->method('getVerb')->willReturn(ChatManager::VERB_MESSAGE);
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '43')
+			->willReturn($threadReply);
+
+		$this->threadService->expects($this->once())
+			->method('getThreadIdForMessage')
+			->with($threadReply)
+			->willReturn(42);
+
+		$date = new \DateTime();
+		$this->timeFactory->expects($this->once())
+			->method('getDateTime')
+			->willReturn($date);
+		$comment = $this->newComment(44, 'users', $this->userId, $date, 'testMessage');
+		$this->chatManager->expects($this->once())
+			->method('sendMessage')
+			->with($this->room,
+				$participant,
+				'users',
+				$this->userId,
+				'testMessage',
+				$this->newMessageDateTimeConstraint,
+				null,
+				'',
+				false,
+				true,
+				42,
+			)
+			->willReturn($comment);
+
+		$this->threadService->expects($this->once())
+			->method('addReply')
+			->with($this->room, 42, $comment);
+
+		$chatMessage = $this->createMock(Message::class);
+		$chatMessage->method('getVisibility')
+			->willReturn(true);
+		$chatMessage->method('toArray')
+			->willReturn(['id' => 44, 'message' => 'testMessage', 'threadId' => 42]);
+		$this->messageParser->method('createMessage')
+			->willReturn($chatMessage);
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->sendMessage('testMessage', threadId: 43);
+
+		$this->assertEquals(new DataResponse(['id' => 44, 'message' => 'testMessage', 'threadId' => 42], Http::STATUS_CREATED), $response);
+	}
+
+	public static function dataScheduleMessageInvalid(): array {
+		return [
+			'empty message' => ['  ', 1800000000, new DataResponse(['error' => 'message'], Http::STATUS_BAD_REQUEST)],
+			'message too long' => [str_repeat('a', ChatManager::MAX_CHAT_LENGTH + 1), 1800000000, new DataResponse(['error' => 'message'], Http::STATUS_REQUEST_ENTITY_TOO_LARGE)],
+			'send at in the past' => ['testMessage', 1600000000, new DataResponse(['error' => 'sendAt'], Http::STATUS_BAD_REQUEST)],
+		];
+	}
+
+	/**
+	 * @dataProvider dataScheduleMessageInvalid
+	 */
+	public function testScheduleMessageInvalid(string $message, int $sendAt, DataResponse $expected): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->timeFactory->method('getTime')
+			->willReturn(1700000000);
+
+		$this->scheduledMessageService->expects($this->never())
+			->method('scheduleMessage');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->scheduleMessage($message, $sendAt);
+
+		$this->assertEquals($expected, $response);
+	}
+
+	public function testScheduleMessageReplyToNotFound(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->timeFactory->method('getTime')
+			->willReturn(1700000000);
+		$this->chatManager->expects($this->once())
+			->method('getParentComment')
+			->with($this->room, '42')
+			->willThrowException(new NotFoundException());
+
+		$this->scheduledMessageService->expects($this->never())
+			->method('scheduleMessage');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->scheduleMessage('testMessage', 1800000000, 42);
+
+		$this->assertEquals(new DataResponse(['error' => 'reply-to'], Http::STATUS_BAD_REQUEST), $response);
+	}
+
+	public function testScheduleMessage(): void {
+		$participant = $this->createMock(Participant::class);
+		$participant->method('getAttendee')
+			->willReturn(Attendee::fromRow([
+				'actor_type' => Attendee::ACTOR_USERS,
+				'actor_id' => $this->userId,
+			]));
+
+		$this->timeFactory->method('getTime')
+			->willReturn(1700000000);
+		$this->room->method('getToken')
+			->willReturn('testToken');
+
+		$scheduledMessage = ScheduledMessage::fromRow([
+			'id' => 7,
+			'room_id' => 1,
+			'user_id' => $this->userId,
+			'message' => 'testMessage',
+			'reply_to' => 0,
+			'thread_id' => 0,
+			'silent' => true,
+		]);
+		$scheduledMessage->setSendAt(new \DateTime('@1800000000'));
+		$this->scheduledMessageService->expects($this->once())
+			->method('scheduleMessage')
+			->with($this->room, $this->userId, 'testMessage', new \DateTime('@1800000000'), 0, 0, true)
+			->willReturn($scheduledMessage);
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->scheduleMessage('testMessage', 1800000000, silent: true);
+
+		$this->assertEquals(new DataResponse([
+			'id' => 7,
+			'token' => 'testToken',
+			'actorType' => Attendee::ACTOR_USERS,
+			'actorId' => $this->userId,
+			'message' => 'testMessage',
+			'sendAt' => 1800000000,
+			'silent' => true,
+		], Http::STATUS_CREATED), $response);
+	}
+
+	public function testEditScheduledMessageOfOtherUser(): void {
+		$participant = $this->createMock(Participant::class);
+		$participant->method('getAttendee')
+			->willReturn(Attendee::fromRow([
+				'actor_type' => Attendee::ACTOR_USERS,
+				'actor_id' => $this->userId,
+			]));
+
+		$this->scheduledMessageService->expects($this->once())
+			->method('getScheduledMessage')
+			->with($this->room, $this->userId, 7)
+			->willThrowException(new DoesNotExistException('scheduled message'));
+		$this->scheduledMessageService->expects($this->never())
+			->method('editScheduledMessage');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->editScheduledMessage(7, 'testMessage', 1800000000);
+
+		$this->assertEquals(new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND), $response);
+	}
+
+	public function testDeleteScheduledMessage(): void {
+		$participant = $this->createMock(Participant::class);
+		$participant->method('getAttendee')
+			->willReturn(Attendee::fromRow([
+				'actor_type' => Attendee::ACTOR_USERS,
+				'actor_id' => $this->userId,
+			]));
+
+		$scheduledMessage = new ScheduledMessage();
+		$this->scheduledMessageService->expects($this->once())
+			->method('getScheduledMessage')
+			->with($this->room, $this->userId, 7)
+			->willReturn($scheduledMessage);
+		$this->scheduledMessageService->expects($this->once())
+			->method('deleteScheduledMessage')
+			->with($scheduledMessage);
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->deleteScheduledMessage(7);
+
+		$this->assertEquals(new DataResponse(null, Http::STATUS_OK), $response);
+	}
+
+	public function testGetThreadMessagesNotFound(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willThrowException(new NotFoundException());
+
+		$this->threadService->expects($this->never())
+			->method('getReplyIds');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->getThreadMessages(42);
+
+		$this->assertEquals(new DataResponse(['error' => 'thread'], Http::STATUS_NOT_FOUND), $response);
+	}
+
+	public static function dataGetThreadMessages(): array {
+		return [
+			'root message and replies' => [0, [43, 44], [42, 43, 44]],
+			'only newer replies' => [43, [44], [44]],
+		];
+	}
+
+	/**
+	 * @dataProvider dataGetThreadMessages
+	 */
+	public function testGetThreadMessages(int $lastKnownMessageId, array $replyIds, array $expectedIds): void {
+		$participant = $this->createMock(Participant::class);
+
+		$root = $this->newComment(42, 'users', 'author', new \DateTime(), 'testRoot');
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willReturn($root);
+
+		$this->threadService->expects($this->once())
+			->method('getReplyIds')
+			->with($this->room, 42, $lastKnownMessageId, 100)
+			->willReturn($replyIds);
+
+		$comments = [];
+		foreach ($expectedIds as $id) {
+			$comments[(string)$id] = $this->newComment($id, 'users', 'author', new \DateTime(), 'testMessage');
+		}
+		$this->chatManager->expects($this->once())
+			->method('getMessagesForRoomById')
+			->with($this->room, $expectedIds)
+			->willReturn($comments);
+		$this->chatManager->method('filterCommentsWithNonExistingFiles')
+			->willReturnArgument(0);
+
+		$this->messageParser->method('createMessage')
+			->willReturnCallback(function (Room $room, Participant $participant, IComment $comment): Message {
+				$chatMessage = $this->createMock(Message::class);
+				$chatMessage->method('getComment')
+					->willReturn($comment);
+				$chatMessage->method('getVisibility')
+					->willReturn(true);
+				$chatMessage->method('toArray')
+					->willReturn(['id' => (int)$comment->getId()]);
+				return $chatMessage;
+			});
+		$this->timeFactory->method('getDateTime')
+			->willReturn(new \DateTime());
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->getThreadMessages(42, $lastKnownMessageId);
+
+		$expected = array_map(static fn (int $id): array => ['id' => $id], $expectedIds);
+		$this->assertEquals(new DataResponse($expected, Http::STATUS_OK), $response);
+	}
+
+	public function testPinMessageNotFound(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willThrowException(new NotFoundException());
+
+		$this->pinnedMessageService->expects($this->never())
+			->method('pinMessage');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->pinMessage(42);
+
+		$this->assertEquals(new DataResponse(['error' => 'message'], Http::STATUS_NOT_FOUND), $response);
+	}
+
+	public static function dataPinMessageNotAllowed(): array {
+		return [
+			[ChatManager::VERB_SYSTEM],
+			[ChatManager::VERB_MESSAGE_DELETED],
+			[ChatManager::VERB_REACTION],
+		];
+	}
+
+	/**
+	 * @dataProvider dataPinMessageNotAllowed
+	 */
+	public function testPinMessageNotAllowed(string $verb): void {
+		$participant = $this->createMock(Participant::class);
+
+		$comment = $this->newComment(42, 'users', 'author', new \DateTime(), 'testMessage');
+		$comment->method('getVerb')->willReturn($verb);
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willReturn($comment);
+
+		$this->pinnedMessageService->expects($this->never())
+			->method('pinMessage');
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->pinMessage(42);
+
+		$this->assertEquals(new DataResponse(['error' => 'message'], Http::STATUS_METHOD_NOT_ALLOWED), $response);
+	}
+
+	public function testPinMessageAlreadyPinned(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$comment = $this->newComment(42, 'users', 'author', new \DateTime(), 'testMessage');
+		$comment->method('getVerb')->willReturn(ChatManager::VERB_MESSAGE);
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->willReturn($comment);
+
+		$this->pinnedMessageService->expects($this->once())
+			->method('pinMessage')
+			->with($this->room, $participant, $comment)
+			->willThrowException(new \InvalidArgumentException('pinned'));
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->pinMessage(42);
+
+		$this->assertEquals(new DataResponse(['error' => 'pinned'], Http::STATUS_BAD_REQUEST), $response);
+	}
+
+	public function testPinMessage(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$comment = $this->newComment(42, 'users', 'author', new \DateTime(), 'testMessage');
+		$comment->method('getVerb')->willReturn(ChatManager::VERB_MESSAGE);
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->willReturn($comment);
+
+		$this->pinnedMessageService->expects($this->once())
+			->method('pinMessage')
+			->with($this->room, $participant, $comment);
+
+		$chatMessage = $this->createMock(Message::class);
+		$chatMessage->expects($this->once())
+			->method('toArray')
+			->willReturn(['id' => 42, 'message' => 'testMessage']);
+		$this->messageParser->expects($this->once())
+			->method('createMessage')
+			->with($this->room, $participant, $comment, $this->l)
+			->willReturn($chatMessage);
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->pinMessage(42);
+
+		$this->assertEquals(new DataResponse(['id' => 42, 'message' => 'testMessage'], Http::STATUS_OK), $response);
+	}
+
+	public function testUnpinMessageNotPinned(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$comment = $this->newComment(42, 'users', 'author', new \DateTime(), 'testMessage');
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->willReturn($comment);
+
+		$this->pinnedMessageService->expects($this->once())
+			->method('unpinMessage')
+			->with($this->room, $participant, $comment)
+			->willThrowException(new DoesNotExistException('pin'));
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->unpinMessage(42);
+
+		$this->assertEquals(new DataResponse(['error' => 'pin'], Http::STATUS_NOT_FOUND), $response);
+	}
+
+	public function testGetPinnedMessagesSkipsInvisibleMessages(): void {
+		$participant = $this->createMock(Participant::class);
+
+		$this->pinnedMessageService->expects($this->once())
+			->method('getPinnedMessageIds')
+			->with($this->room)
+			->willReturn([43, 42]);
+
+		$comment = $this->newComment(42, 'users', 'author', new \DateTime(), 'testMessage');
+		$this->chatManager->expects($this->once())
+			->method('getMessagesForRoomById')
+			->with($this->room, [43, 42])
+			->willReturn(['42' => $comment]);
+		$this->chatManager->expects($this->once())
+			->method('filterCommentsWithNonExistingFiles')
+			->willReturnArgument(0);
+
+		$chatMessage = $this->createMock(Message::class);
+		$chatMessage->method('getComment')
+			->willReturn($comment);
+		$chatMessage->method('getVisibility')
+			->willReturn(true);
+		$chatMessage->method('toArray')
+			->willReturn(['id' => 42, 'message' => 'testMessage']);
+		$this->messageParser->method('createMessage')
+			->willReturn($chatMessage);
+		$this->timeFactory->method('getDateTime')
+			->willReturn(new \DateTime());
+
+		$this->controller->setRoom($this->room);
+		$this->controller->setParticipant($participant);
+		$response = $this->controller->getPinnedMessages();
+
+		$this->assertEquals(new DataResponse([['id' => 42, 'message' => 'testMessage']], Http::STATUS_OK), $response);
+	}
+
 	public static function dataMentions(): array {
 		return [
 			['tes', 10, ['exact' => []], []],
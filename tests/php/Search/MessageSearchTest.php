@@ -0,0 +1,181 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Tests\php\Search;
+
+use OCA\Talk\Chat\ChatManager;
+use OCA\Talk\Chat\MessageParser;
+use OCA\Talk\Config;
+use OCA\Talk\Manager as RoomManager;
+use OCA\Talk\Model\Attendee;
+use OCA\Talk\Model\Message;
+use OCA\Talk\Participant;
+use OCA\Talk\Room;
+use OCA\Talk\Search\MessageSearch;
+use OCA\Talk\Service\ParticipantService;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\IComment;
+use OCP\IL10N;
+use OCP\IURLGenerator;
+use OCP\IUser;
+use OCP\IUserSession;
+use OCP\Search\ISearchQuery;
+use OCP\Search\SearchResultEntry;
+use PHPUnit\Framework\MockObject\MockObject;
+use Test\TestCase;
+
+class MessageSearchTest extends TestCase {
+	protected RoomManager&MockObject $roomManager;
+	protected ParticipantService&MockObject $participantService;
+	protected ChatManager&MockObject $chatManager;
+	protected MessageParser&MockObject $messageParser;
+	protected ITimeFactory&MockObject $timeFactory;
+	protected IURLGenerator&MockObject $url;
+	protected IL10N&MockObject $l;
+	protected Config&MockObject $talkConfig;
+	protected IUserSession&MockObject $userSession;
+	protected ?MessageSearch $provider = null;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->roomManager = $this->createMock(RoomManager::class);
+		$this->participantService = $this->createMock(ParticipantService::class);
+		$this->chatManager = $this->createMock(ChatManager::class);
+		$this->messageParser = $this->createMock(MessageParser::class);
+		$this->timeFactory = $this->createMock(ITimeFactory::class);
+		$this->url = $this->createMock(IURLGenerator::class);
+		$this->l = $this->createMock(IL10N::class);
+		$this->talkConfig = $this->createMock(Config::class);
+		$this->userSession = $this->createMock(IUserSession::class);
+
+		$this->timeFactory->method('getDateTime')
+			->willReturn(new \DateTime('@1750000000'));
+		$this->l->method('t')
+			->willReturnCallback(static fn (string $text, array $parameters = []): string => vsprintf($text, $parameters));
+
+		$this->provider = new MessageSearch(
+			$this->roomManager,
+			$this->participantService,
+			$this->chatManager,
+			$this->messageParser,
+			$this->timeFactory,
+			$this->url,
+			$this->l,
+			$this->talkConfig,
+			$this->userSession,
+		);
+	}
+
+	public static function dataCommentToSearchResultEntry(): array {
+		return [
+			'mention with reactions' => [
+				'comment',
+				'Hello {mention-user1}',
+				['mention-user1' => ['type' => 'user', 'id' => 'alice', 'name' => 'Alice']],
+				['👍' => 2, '🎉' => 1],
+				'Hello @Alice',
+			],
+			'group mention' => [
+				'comment',
+				'Hello {mention-user-group1}',
+				['mention-user-group1' => ['type' => 'user-group', 'id' => 'admin', 'name' => 'Administrators']],
+				[],
+				'Hello Administrators',
+			],
+			'file share' => [
+				'comment',
+				'{file}',
+				['file' => ['type' => 'file', 'id' => '23', 'name' => 'hello.txt', 'mimetype' => 'text/plain']],
+				[],
+				'hello.txt',
+			],
+			'voice message' => [
+				'voice-message',
+				'{file}',
+				['file' => ['type' => 'file', 'id' => '42', 'name' => 'Hello voice message.mp3', 'mimetype' => 'audio/mpeg']],
+				['❤️' => 1],
+				'Hello voice message.mp3',
+			],
+		];
+	}
+
+	/**
+	 * @dataProvider dataCommentToSearchResultEntry
+	 */
+	public function testCommentToSearchResultEntry(string $messageType, string $message, array $messageParameters, array $reactions, string $expectedSubline): void {
+		$user = $this->createMock(IUser::class);
+		$user->method('getUID')
+			->willReturn('alice');
+
+		$room = $this->createMock(Room::class);
+		$room->method('getToken')
+			->willReturn('abcdefgh');
+		$room->method('getType')
+			->willReturn(Room::TYPE_GROUP);
+		$room->method('getDisplayName')
+			->with('alice')
+			->willReturn('Conversation');
+
+		$participant = $this->createMock(Participant::class);
+		$this->participantService->method('getParticipant')
+			->with($room, 'alice', false)
+			->willReturn($participant);
+
+		$comment = $this->createMock(IComment::class);
+		$comment->method('getId')
+			->willReturn('42');
+		$comment->method('getActorType')
+			->willReturn(Attendee::ACTOR_USERS);
+		$comment->method('getActorId')
+			->willReturn('bob');
+		$comment->method('getCreationDateTime')
+			->willReturn(new \DateTime('@1700000000'));
+		$comment->method('getExpireDate')
+			->willReturn(null);
+		$comment->method('getReactions')
+			->willReturn($reactions);
+
+		$chatMessage = new Message($room, $participant, $comment, $this->l);
+		$this->messageParser->expects($this->once())
+			->method('createMessage')
+			->with($room, $participant, $comment, $this->l)
+			->willReturn($chatMessage);
+		$this->messageParser->expects($this->once())
+			->method('parseMessage')
+			->with($chatMessage)
+			->willReturnCallback(static function (Message $chatMessage) use ($messageType, $message, $messageParameters): void {
+				$chatMessage->setMessage($message, $messageParameters);
+				$chatMessage->setMessageType($messageType);
+				$chatMessage->setActor(Attendee::ACTOR_USERS, 'bob', 'Bob');
+			});
+
+		$query = $this->createMock(ISearchQuery::class);
+		$query->method('getTerm')
+			->willReturn('hello');
+
+		/** @var SearchResultEntry $entry */
+		$entry = self::invokePrivate($this->provider, 'commentToSearchResultEntry', [$room, $user, $comment, $query]);
+		$data = $entry->jsonSerialize();
+
+		$this->assertSame($expectedSubline, $data['subline']);
+		$this->assertSame([
+			'conversation' => 'abcdefgh',
+			'messageId' => '42',
+			'actorType' => Attendee::ACTOR_USERS,
+			'actorId' => 'bob',
+			'timestamp' => '1700000000',
+			'message' => $message,
+			'messageType' => $messageType,
+		], array_diff_key($data['attributes'], ['messageParameters' => true, 'reactions' => true]));
+
+		// Attributes of search results are strings, so arrays are sent as JSON
+		$this->assertSame($messageParameters, json_decode($data['attributes']['messageParameters'], true, flags: JSON_THROW_ON_ERROR));
+		$this->assertSame($reactions, json_decode($data['attributes']['reactions'], true, flags: JSON_THROW_ON_ERROR));
+	}
+}
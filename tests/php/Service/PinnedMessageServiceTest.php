@@ -0,0 +1,133 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Tests\php\Service;
+
+use OCA\Talk\Chat\ChatManager;
+use OCA\Talk\Model\Attendee;
+use OCA\Talk\Model\PinnedMessageMapper;
+use OCA\Talk\Participant;
+use OCA\Talk\Room;
+use OCA\Talk\Service\PinnedMessageService;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\IComment;
+use OCP\IDBConnection;
+use PHPUnit\Framework\MockObject\MockObject;
+use Test\TestCase;
+
+/**
+ * @group DB
+ */
+class PinnedMessageServiceTest extends TestCase {
+	protected const ROOM_ID = 987654321;
+
+	protected ChatManager&MockObject $chatManager;
+	protected ITimeFactory&MockObject $timeFactory;
+	protected Room&MockObject $room;
+	protected Participant&MockObject $participant;
+	protected ?PinnedMessageService $service = null;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->chatManager = $this->createMock(ChatManager::class);
+		$this->timeFactory = $this->createMock(ITimeFactory::class);
+		$this->timeFactory->method('getDateTime')
+			->willReturnCallback(static fn (): \DateTime => new \DateTime());
+
+		$this->room = $this->createMock(Room::class);
+		$this->room->method('getId')
+			->willReturn(self::ROOM_ID);
+
+		$this->participant = $this->createMock(Participant::class);
+		$this->participant->method('getAttendee')
+			->willReturn(Attendee::fromRow([
+				'actor_type' => Attendee::ACTOR_USERS,
+				'actor_id' => 'moderator',
+			]));
+
+		$this->service = new PinnedMessageService(
+			new PinnedMessageMapper(\OCP\Server::get(IDBConnection::class)),
+			$this->chatManager,
+			$this->timeFactory,
+		);
+		$this->service->deleteByRoom($this->room);
+	}
+
+	public function tearDown(): void {
+		$this->service->deleteByRoom($this->room);
+
+		parent::tearDown();
+	}
+
+	protected function newComment(int $id): IComment&MockObject {
+		$comment = $this->createMock(IComment::class);
+		$comment->method('getId')
+			->willReturn((string)$id);
+		return $comment;
+	}
+
+	public function testPinMessage(): void {
+		$comment = $this->newComment(42);
+		$systemMessage = $this->createMock(IComment::class);
+
+		$this->chatManager->expects($this->once())
+			->method('addSystemMessage')
+			->with(
+				$this->room,
+				Attendee::ACTOR_USERS,
+				'moderator',
+				json_encode(['message' => 'message_pinned', 'parameters' => ['message' => '42']]),
+				$this->anything(),
+				false,
+				null,
+				$comment,
+			)
+			->willReturn($systemMessage);
+
+		$this->assertSame($systemMessage, $this->service->pinMessage($this->room, $this->participant, $comment));
+		$this->assertSame([42], $this->service->getPinnedMessageIds($this->room));
+	}
+
+	public function testPinMessageTwice(): void {
+		$comment = $this->newComment(42);
+		$this->chatManager->expects($this->once())
+			->method('addSystemMessage')
+			->willReturn($this->createMock(IComment::class));
+
+		$this->service->pinMessage($this->room, $this->participant, $comment);
+
+		$this->expectException(\InvalidArgumentException::class);
+		$this->expectExceptionMessage('pinned');
+		$this->service->pinMessage($this->room, $this->participant, $comment);
+	}
+
+	public function testUnpinMessage(): void {
+		$this->chatManager->method('addSystemMessage')
+			->willReturn($this->createMock(IComment::class));
+
+		$this->service->pinMessage($this->room, $this->participant, $this->newComment(42));
+		$this->service->pinMessage($this->room, $this->participant, $this->newComment(43));
+		$this->assertEqualsCanonicalizing([42, 43], $this->service->getPinnedMessageIds($this->room));
+
+		$this->service->unpinMessage($this->room, $this->participant, $this->newComment(42));
+		$this->assertSame([43], $this->service->getPinnedMessageIds($this->room));
+
+		$this->service->removePin($this->room, 43);
+		$this->assertSame([], $this->service->getPinnedMessageIds($this->room));
+	}
+
+	public function testUnpinMessageNotPinned(): void {
+		$this->chatManager->expects($this->never())
+			->method('addSystemMessage');
+
+		$this->expectException(DoesNotExistException::class);
+		$this->service->unpinMessage($this->room, $this->participant, $this->newComment(42));
+	}
+}
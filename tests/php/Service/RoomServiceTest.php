@@ -11,7 +11,11 @@ namespace OCA\Talk\Tests\php\Service;
 use InvalidArgumentException;
 use OC\EventDispatcher\EventDispatcher;
 use OCA\Talk\Config;
+use OCA\Talk\Events\ARoomModifiedEvent;
+use OCA\Talk\Events\BeforeRoomModifiedEvent;
+use OCA\Talk\Events\RoomModifiedEvent;
 use OCA\Talk\Events\RoomPasswordVerifyEvent;
+use OCA\Talk\Exceptions\RoomProperty\WebinarModeException;
 use OCA\Talk\Exceptions\RoomNotFoundException;
 use OCA\Talk\Manager;
 use OCA\Talk\Model\Attendee;
@@ -318,6 +322,101 @@ class RoomServiceTest extends TestCase {
 		$this->assertSame($expected, $this->service->prepareConversationName($input));
 	}
 
+	public static function dataSetWebinarModeInvalid(): array {
+		return [
+			[Room::TYPE_ONE_TO_ONE, '', Room::WEBINAR_MODE_ENABLED, WebinarModeException::REASON_TYPE],
+			[Room::TYPE_ONE_TO_ONE_FORMER, '', Room::WEBINAR_MODE_ENABLED, WebinarModeException::REASON_TYPE],
+			[Room::TYPE_NOTE_TO_SELF, '', Room::WEBINAR_MODE_ENABLED, WebinarModeException::REASON_TYPE],
+			[Room::TYPE_CHANGELOG, '', Room::WEBINAR_MODE_ENABLED, WebinarModeException::REASON_TYPE],
+			[Room::TYPE_GROUP, BreakoutRoom::PARENT_OBJECT_TYPE, Room::WEBINAR_MODE_ENABLED, WebinarModeException::REASON_BREAKOUT_ROOM],
+			[Room::TYPE_GROUP, '', 2, WebinarModeException::REASON_VALUE],
+			[Room::TYPE_PUBLIC, '', -1, WebinarModeException::REASON_VALUE],
+		];
+	}
+
+	/**
+	 * @dataProvider dataSetWebinarModeInvalid
+	 */
+	public function testSetWebinarModeInvalid(int $type, string $objectType, int $webinarMode, string $reason): void {
+		$room = $this->createMock(Room::class);
+		$room->method('getType')
+			->willReturn($type);
+		$room->method('getObjectType')
+			->willReturn($objectType);
+		$room->method('getWebinarMode')
+			->willReturn(Room::WEBINAR_MODE_DISABLED);
+		$room->expects($this->never())
+			->method('setWebinarMode');
+
+		$this->dispatcher->expects($this->never())
+			->method('dispatchTyped');
+
+		try {
+			$this->service->setWebinarMode($room, $webinarMode);
+			$this->fail('Expected a WebinarModeException');
+		} catch (WebinarModeException $e) {
+			$this->assertSame($reason, $e->getReason());
+		}
+	}
+
+	public static function dataSetWebinarMode(): array {
+		return [
+			[Room::TYPE_GROUP, Room::WEBINAR_MODE_DISABLED, Room::WEBINAR_MODE_ENABLED],
+			[Room::TYPE_PUBLIC, Room::WEBINAR_MODE_DISABLED, Room::WEBINAR_MODE_ENABLED],
+			[Room::TYPE_PUBLIC, Room::WEBINAR_MODE_ENABLED, Room::WEBINAR_MODE_DISABLED],
+		];
+	}
+
+	/**
+	 * @dataProvider dataSetWebinarMode
+	 */
+	public function testSetWebinarMode(int $type, int $oldWebinarMode, int $newWebinarMode): void {
+		$room = $this->createMock(Room::class);
+		$room->method('getId')
+			->willReturn(987654321);
+		$room->method('getType')
+			->willReturn($type);
+		$room->method('getObjectType')
+			->willReturn('');
+		$room->method('getWebinarMode')
+			->willReturn($oldWebinarMode);
+		$room->expects($this->once())
+			->method('setWebinarMode')
+			->with($newWebinarMode);
+
+		$events = [];
+		$this->dispatcher->expects($this->exactly(2))
+			->method('dispatchTyped')
+			->willReturnCallback(static function (ARoomModifiedEvent $event) use (&$events): void {
+				$events[] = $event;
+			});
+
+		$this->service->setWebinarMode($room, $newWebinarMode);
+
+		$this->assertInstanceOf(BeforeRoomModifiedEvent::class, $events[0]);
+		$this->assertInstanceOf(RoomModifiedEvent::class, $events[1]);
+		foreach ($events as $event) {
+			$this->assertSame(ARoomModifiedEvent::PROPERTY_WEBINAR_MODE, $event->getProperty());
+			$this->assertSame($newWebinarMode, $event->getNewValue());
+			$this->assertSame($oldWebinarMode, $event->getOldValue());
+		}
+	}
+
+	public function testSetWebinarModeUnchanged(): void {
+		$room = $this->createMock(Room::class);
+		$room->method('getType')
+			->willReturn(Room::TYPE_GROUP);
+		$room->method('getWebinarMode')
+			->willReturn(Room::WEBINAR_MODE_ENABLED);
+		$room->expects($this->never())
+			->method('setWebinarMode');
+
+		$this->dispatcher->expects($this->never())
+			->method('dispatchTyped');
+
+		$this->service->setWebinarMode($room, Room::WEBINAR_MODE_ENABLED);
+	}
+
 	public function testVerifyPassword(): void {
 		$dispatcher = new EventDispatcher(
 			new \Symfony\Component\EventDispatcher\EventDispatcher(),
@@ -388,6 +487,7 @@ class RoomServiceTest extends TestCase {
 			RecordingService::CONSENT_REQUIRED_NO,
 			Room::HAS_FEDERATION_NONE,
 			Room::MENTION_PERMISSIONS_EVERYONE,
+			Room::WEBINAR_MODE_DISABLED,
 		);
 
 		$verificationResult = $service->verifyPassword($room, '1234');
@@ -0,0 +1,174 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Tests\php\Service;
+
+use OCA\Talk\Chat\ChatManager;
+use OCA\Talk\Exceptions\ParticipantNotFoundException;
+use OCA\Talk\Manager;
+use OCA\Talk\Model\Attendee;
+use OCA\Talk\Model\ScheduledMessageMapper;
+use OCA\Talk\Participant;
+use OCA\Talk\Room;
+use OCA\Talk\Service\ParticipantService;
+use OCA\Talk\Service\ScheduledMessageService;
+use OCA\Talk\Service\ThreadService;
+use OCA\Talk\Webinary;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCP\Comments\IComment;
+use OCP\IDBConnection;
+use PHPUnit\Framework\MockObject\MockObject;
+use Psr\Log\LoggerInterface;
+use Test\TestCase;
+
+/**
+ * @group DB
+ */
+class ScheduledMessageServiceTest extends TestCase {
+	protected const ROOM_ID = 987654321;
+
+	protected ChatManager&MockObject $chatManager;
+	protected ThreadService&MockObject $threadService;
+	protected ParticipantService&MockObject $participantService;
+	protected Manager&MockObject $manager;
+	protected ITimeFactory&MockObject $timeFactory;
+	protected Room&MockObject $room;
+	protected ?ScheduledMessageService $service = null;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->chatManager = $this->createMock(ChatManager::class);
+		$this->threadService = $this->createMock(ThreadService::class);
+		$this->participantService = $this->createMock(ParticipantService::class);
+		$this->manager = $this->createMock(Manager::class);
+		$this->timeFactory = $this->createMock(ITimeFactory::class);
+		$this->timeFactory->method('getDateTime')
+			->willReturnCallback(static fn (): \DateTime => new \DateTime());
+
+		$this->room = $this->createMock(Room::class);
+		$this->room->method('getId')
+			->willReturn(self::ROOM_ID);
+		$this->manager->method('getRoomById')
+			->with(self::ROOM_ID)
+			->willReturn($this->room);
+
+		$this->service = new ScheduledMessageService(
+			new ScheduledMessageMapper(\OCP\Server::get(IDBConnection::class)),
+			$this->chatManager,
+			$this->threadService,
+			$this->participantService,
+			$this->manager,
+			$this->timeFactory,
+			$this->createMock(LoggerInterface::class),
+		);
+		$this->service->deleteByRoom($this->room);
+	}
+
+	public function tearDown(): void {
+		$this->service->deleteByRoom($this->room);
+
+		parent::tearDown();
+	}
+
+	protected function newParticipant(int $permissions): Participant&MockObject {
+		$participant = $this->createMock(Participant::class);
+		$participant->method('getPermissions')
+			->willReturn($permissions);
+		return $participant;
+	}
+
+	public function testScheduleEditAndDeleteMessage(): void {
+		$scheduledMessage = $this->service->scheduleMessage($this->room, 'user1', 'Later', new \DateTime('@1800000000'), 0, 0, false);
+		$this->service->scheduleMessage($this->room, 'user1', 'Earlier', new \DateTime('@1790000000'), 0, 0, false);
+		$this->service->scheduleMessage($this->room, 'user2', 'Other user', new \DateTime('@1780000000'), 0, 0, false);
+
+		$messages = $this->service->getScheduledMessages($this->room, 'user1');
+		$this->assertSame(['Earlier', 'Later'], array_map(static fn ($message): string => $message->getMessage(), $messages));
+
+		$this->service->editScheduledMessage($scheduledMessage, 'Edited', new \DateTime('@1770000000'), true);
+		$edited = $this->service->getScheduledMessage($this->room, 'user1', $scheduledMessage->getId());
+		$this->assertSame('Edited', $edited->getMessage());
+		$this->assertSame(1770000000, $edited->getSendAt()->getTimestamp());
+		$this->assertTrue($edited->getSilent());
+
+		$this->service->deleteScheduledMessage($edited);
+		$this->expectException(DoesNotExistException::class);
+		$this->service->getScheduledMessage($this->room, 'user1', $scheduledMessage->getId());
+	}
+
+	public function testGetScheduledMessageOfOtherUser(): void {
+		$scheduledMessage = $this->service->scheduleMessage($this->room, 'user1', 'Later', new \DateTime('@1800000000'), 0, 0, false);
+
+		$this->expectException(DoesNotExistException::class);
+		$this->service->getScheduledMessage($this->room, 'user2', $scheduledMessage->getId());
+	}
+
+	public function testSendScheduledMessages(): void {
+		$this->room->method('getLobbyState')
+			->willReturn(Webinary::LOBBY_NONE);
+
+		$this->service->scheduleMessage($this->room, 'user1', 'Due', new \DateTime('@1700000000'), 0, 42, true);
+		$this->service->scheduleMessage($this->room, 'user1', 'Not due', new \DateTime('@1800000000'), 0, 0, false);
+
+		$participant = $this->newParticipant(Attendee::PERMISSIONS_MAX_DEFAULT);
+		$this->participantService->method('getParticipant')
+			->with($this->room, 'user1', false)
+			->willReturn($participant);
+
+		$threadRoot = $this->createMock(IComment::class);
+		$this->chatManager->expects($this->once())
+			->method('getComment')
+			->with($this->room, '42')
+			->willReturn($threadRoot);
+
+		$comment = $this->createMock(IComment::class);
+		$this->chatManager->expects($this->once())
+			->method('sendMessage')
+			->with($this->room, $participant, Attendee::ACTOR_USERS, 'user1', 'Due', $this->anything(), null, '', true, true, 42)
+			->willReturn($comment);
+		$this->threadService->expects($this->once())
+			->method('addReply')
+			->with($this->room, 42, $comment);
+
+		$this->service->sendScheduledMessages(new \DateTime('@1750000000'));
+
+		$messages = $this->service->getScheduledMessages($this->room, 'user1');
+		$this->assertSame(['Not due'], array_map(static fn ($message): string => $message->getMessage(), $messages));
+	}
+
+	public function testSendScheduledMessagesDropsMessagesOfRemovedUsers(): void {
+		$this->service->scheduleMessage($this->room, 'user1', 'Due', new \DateTime('@1700000000'), 0, 0, false);
+
+		$this->participantService->method('getParticipant')
+			->willThrowException(new ParticipantNotFoundException());
+		$this->chatManager->expects($this->never())
+			->method('sendMessage');
+
+		$this->service->sendScheduledMessages(new \DateTime('@1750000000'));
+
+		$this->assertSame([], $this->service->getScheduledMessages($this->room, 'user1'));
+	}
+
+	public function testSendScheduledMessagesDropsMessagesWithoutChatPermission(): void {
+		$this->room->method('getLobbyState')
+			->willReturn(Webinary::LOBBY_NONE);
+
+		$this->service->scheduleMessage($this->room, 'user1', 'Due', new \DateTime('@1700000000'), 0, 0, false);
+
+		$this->participantService->method('getParticipant')
+			->willReturn($this->newParticipant(Attendee::PERMISSIONS_MAX_DEFAULT & ~Attendee::PERMISSIONS_CHAT));
+		$this->chatManager->expects($this->never())
+			->method('sendMessage');
+
+		$this->service->sendScheduledMessages(new \DateTime('@1750000000'));
+
+		$this->assertSame([], $this->service->getScheduledMessages($this->room, 'user1'));
+	}
+}
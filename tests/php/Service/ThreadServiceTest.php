@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+namespace OCA\Talk\Tests\php\Service;
+
+use OCA\Talk\Model\Message;
+use OCA\Talk\Model\ThreadMessageMapper;
+use OCA\Talk\Room;
+use OCA\Talk\Service\ThreadService;
+use OCP\Comments\IComment;
+use OCP\IDBConnection;
+use PHPUnit\Framework\MockObject\MockObject;
+use Test\TestCase;
+
+/**
+ * @group DB
+ */
+class ThreadServiceTest extends TestCase {
+	protected const ROOM_ID = 987654321;
+
+	protected Room&MockObject $room;
+	protected ?ThreadService $service = null;
+
+	public function setUp(): void {
+		parent::setUp();
+
+		$this->room = $this->createMock(Room::class);
+		$this->room->method('getId')
+			->willReturn(self::ROOM_ID);
+
+		$this->service = new ThreadService(
+			new ThreadMessageMapper(\OCP\Server::get(IDBConnection::class)),
+		);
+		$this->service->deleteByRoom($this->room);
+	}
+
+	public function tearDown(): void {
+		$this->service->deleteByRoom($this->room);
+
+		parent::tearDown();
+	}
+
+	protected function newComment(int $id, array $metaData = []): IComment&MockObject {
+		$comment = $this->createMock(IComment::class);
+		$comment->method('getId')
+			->willReturn((string)$id);
+		$comment->method('getMetaData')
+			->willReturn($metaData);
+		return $comment;
+	}
+
+	public function testGetThreadIdForMessage(): void {
+		$this->assertSame(42, $this->service->getThreadIdForMessage($this->newComment(42)));
+		$this->assertSame(42, $this->service->getThreadIdForMessage($this->newComment(43, [Message::METADATA_THREAD_ID => 42])));
+	}
+
+	public function testGetReplyIds(): void {
+		$this->service->addReply($this->room, 42, $this->newComment(44));
+		$this->service->addReply($this->room, 42, $this->newComment(43));
+		$this->service->addReply($this->room, 50, $this->newComment(51));
+
+		$this->assertSame([43, 44], $this->service->getReplyIds($this->room, 42, 0, 100));
+		$this->assertSame([44], $this->service->getReplyIds($this->room, 42, 43, 100));
+		$this->assertSame([43], $this->service->getReplyIds($this->room, 42, 0, 1));
+		$this->assertSame([51], $this->service->getReplyIds($this->room, 50, 0, 100));
+
+		$this->service->deleteByRoom($this->room);
+		$this->assertSame([], $this->service->getReplyIds($this->room, 42, 0, 100));
+	}
+}